@@ -0,0 +1,228 @@
+// controllers/accountController.js - Teen data export and account deletion
+import bcrypt from 'bcryptjs';
+import prisma from '../lib/prisma.js';
+import {
+  buildTeenDataExport,
+  streamDataExportZip,
+} from '../utils/dataExport.js';
+import {
+  scheduleTeenDeletion,
+  cancelTeenDeletion,
+  processDueDeletions,
+} from '../utils/accountDeletion.js';
+import { recordAuditLog } from '../middleware/auditLog.js';
+
+const sendDataExport = async (res, teenId, format) => {
+  const data = await buildTeenDataExport(teenId);
+
+  if (!data) {
+    return res.status(404).json({
+      success: false,
+      message: 'Teen not found',
+    });
+  }
+
+  if (format === 'zip') {
+    return streamDataExportZip(res, data);
+  }
+
+  res.attachment(`teenshapers-data-${teenId}.json`);
+  res.send(JSON.stringify(data, null, 2));
+};
+
+// ============================================
+// TEEN-FACING
+// ============================================
+
+export const exportMyData = async (req, res) => {
+  try {
+    await sendDataExport(res, req.teen.id, req.query.format);
+  } catch (error) {
+    console.error('Export my data error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+};
+
+export const requestAccountDeletion = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const isPasswordValid = await bcrypt.compare(password, req.teen.password);
+
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Incorrect password',
+      });
+    }
+
+    if (req.teen.deletionScheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account deletion is already scheduled',
+        data: { deletionScheduledFor: req.teen.deletionScheduledFor },
+      });
+    }
+
+    const deletionScheduledFor = await scheduleTeenDeletion(req.teen);
+
+    res.json({
+      success: true,
+      message:
+        'Your account will be deleted on the date below. You can cancel any time before then.',
+      data: { deletionScheduledFor },
+    });
+  } catch (error) {
+    console.error('Request account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+export const cancelMyAccountDeletion = async (req, res) => {
+  try {
+    if (!req.teen.deletionScheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'No account deletion is scheduled',
+      });
+    }
+
+    await cancelTeenDeletion(req.teen.id);
+
+    res.json({
+      success: true,
+      message: 'Account deletion cancelled',
+    });
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// ============================================
+// ADMIN (PARENT REQUESTS)
+// ============================================
+
+export const exportTeenData = async (req, res) => {
+  try {
+    const { teenId } = req.params;
+
+    await recordAuditLog(req, {
+      action: 'teen.export',
+      entityType: 'teen',
+      entityId: teenId,
+      metadata: { format: req.query.format || 'json' },
+    });
+
+    await sendDataExport(res, teenId, req.query.format);
+  } catch (error) {
+    console.error('Export teen data error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+  }
+};
+
+export const scheduleTeenAccountDeletion = async (req, res) => {
+  try {
+    const { teenId } = req.params;
+
+    const teen = await prisma.teen.findUnique({
+      where: { id: teenId },
+    });
+
+    if (!teen) {
+      return res.status(404).json({
+        success: false,
+        message: 'Teen not found',
+      });
+    }
+
+    if (teen.deletionScheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account deletion is already scheduled',
+        data: { deletionScheduledFor: teen.deletionScheduledFor },
+      });
+    }
+
+    const deletionScheduledFor = await scheduleTeenDeletion(teen);
+
+    res.json({
+      success: true,
+      message: 'Account deletion scheduled',
+      data: { deletionScheduledFor },
+    });
+  } catch (error) {
+    console.error('Schedule teen deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+export const cancelTeenAccountDeletion = async (req, res) => {
+  try {
+    const { teenId } = req.params;
+
+    const teen = await prisma.teen.findUnique({
+      where: { id: teenId },
+      select: { deletionScheduledFor: true },
+    });
+
+    if (!teen || !teen.deletionScheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'No account deletion is scheduled for this teen',
+      });
+    }
+
+    await cancelTeenDeletion(teenId);
+
+    res.json({
+      success: true,
+      message: 'Account deletion cancelled',
+    });
+  } catch (error) {
+    console.error('Cancel teen deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Run deletions whose grace period has ended. Daily cron (/api/cron/deletions),
+// admin "run now", or npm run deletions:process
+export const runDueDeletions = async (req, res) => {
+  try {
+    const erased = await processDueDeletions();
+
+    res.json({
+      success: true,
+      message: `${erased} account(s) deleted`,
+      data: { erased },
+    });
+  } catch (error) {
+    console.error('Run due deletions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
@@ -1,9 +1,20 @@
 //teensha/controllers/adminController.js
-import bcrypt from 'bcryptjs';
 import prisma from '../lib/prisma.js';
 import { validationResult } from 'express-validator';
 import { sendChallengeNotification } from '../utils/notifications.js';
 import { handleValidationErrors } from '../middleware/validation.js';
+import {
+  generateUnusablePassword,
+  sendStaffInvitation,
+} from '../utils/staffInvitation.js';
+
+const staffRoleExists = async (staffRoleId) =>
+  Boolean(
+    await prisma.staffRole.findUnique({
+      where: { id: staffRoleId },
+      select: { id: true },
+    })
+  );
 
 export const createStaff = async (req, res) => {
   try {
@@ -16,7 +27,7 @@ export const createStaff = async (req, res) => {
       });
     }
 
-    const { email, password, name, role } = req.body;
+    const { email, name, role, staffRoleId } = req.body;
 
     // Check if user already exists
     const existingUser = await prisma.user.findUnique({
@@ -30,27 +41,44 @@ export const createStaff = async (req, res) => {
       });
     }
 
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 12);
+    if (staffRoleId && !(await staffRoleExists(staffRoleId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Staff role not found',
+      });
+    }
 
-    // Create user
+    // Staff choose their own password from the invitation email
     const user = await prisma.user.create({
       data: {
         email,
-        password: hashedPassword,
+        password: await generateUnusablePassword(),
         name,
         role,
+        staffRoleId: staffRoleId || null,
       },
     });
 
+    let invitationSent = true;
+    try {
+      await sendStaffInvitation(user, req.user.name);
+    } catch (emailError) {
+      invitationSent = false;
+      console.error('⚠️ Staff invitation email failed:', emailError);
+    }
+
     res.status(201).json({
       success: true,
-      message: 'Staff account created successfully',
+      message: invitationSent
+        ? 'Staff account created and invitation sent'
+        : 'Staff account created, but the invitation email failed. Please resend it.',
       data: {
         id: user.id,
         email: user.email,
         name: user.name,
         role: user.role,
+        staffRoleId: user.staffRoleId,
+        invitationSent,
         createdAt: user.createdAt,
       },
     });
@@ -97,6 +125,14 @@ export const getAllStaff = async (req, res) => {
         name: true,
         role: true,
         isActive: true,
+        twoFactorEnabled: true,
+        twoFactorRequired: true,
+        staffRole: {
+          select: { id: true, name: true, permissions: true },
+        },
+        lockedUntil: true,
+        invitationExpires: true,
+        invitationAcceptedAt: true,
         createdAt: true,
         updatedAt: true,
         _count: {
@@ -151,7 +187,13 @@ export const updateStaff = async (req, res) => {
     }
 
     const { userId } = req.params;
-    const allowedUpdates = ['name', 'role', 'isActive'];
+    const allowedUpdates = [
+      'name',
+      'role',
+      'isActive',
+      'twoFactorRequired',
+      'staffRoleId',
+    ];
     const updates = {};
 
     allowedUpdates.forEach((field) => {
@@ -171,6 +213,13 @@ export const updateStaff = async (req, res) => {
       });
     }
 
+    if (updates.staffRoleId && !(await staffRoleExists(updates.staffRoleId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Staff role not found',
+      });
+    }
+
     // Don't allow admin to deactivate themselves
     if (userId === req.user.id && updates.isActive === false) {
       return res.status(400).json({
@@ -188,6 +237,11 @@ export const updateStaff = async (req, res) => {
         name: true,
         role: true,
         isActive: true,
+        twoFactorEnabled: true,
+        twoFactorRequired: true,
+        staffRole: {
+          select: { id: true, name: true, permissions: true },
+        },
         updatedAt: true,
       },
     });
@@ -245,3 +299,39 @@ export const deleteStaff = async (req, res) => {
     });
   }
 };
+
+// Clear a login lockout before it expires
+export const unlockStaff = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found',
+      });
+    }
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { failedLoginAttempts: 0, lockedUntil: null },
+    });
+
+    console.log('🔓 Staff account unlocked:', user.email);
+
+    res.json({
+      success: true,
+      message: 'Staff account unlocked',
+    });
+  } catch (error) {
+    console.error('Unlock staff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
@@ -1,23 +1,51 @@
 // controllers/authController.js - Enhanced with email verification and password reset
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import { validationResult } from 'express-validator';
 import prisma from '../lib/prisma.js';
 import {
   sendVerificationEmail,
   sendPasswordResetEmail,
   sendWelcomeEmail,
+  sendNewDeviceLoginEmail,
   generateVerificationToken,
   generatePasswordResetToken,
   verifyToken,
 } from '../utils/emailService.js';
-
-// Generate JWT token
-const generateToken = (id, type) => {
-  return jwt.sign({ id, type }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '30d',
-  });
-};
+import {
+  getSessionContext,
+  isKnownDevice,
+  createSession,
+  rotateSession,
+  revokeSessionByRefreshToken,
+  revokeAllSessions,
+} from '../utils/sessionService.js';
+import { generateTwoFactorChallengeToken } from '../utils/twoFactor.js';
+import {
+  isAccountLocked,
+  sendLockedResponse,
+  registerFailedLogin,
+  resetFailedLogins,
+} from '../utils/accountLockout.js';
+import {
+  getParentalConsentAge,
+  requiresParentalConsent,
+  hasParentalConsent,
+  requestParentalConsent,
+} from '../utils/parentalConsent.js';
+import {
+  sendMagicLink,
+  consumeMagicLinkToken,
+  consumeMagicLinkCode,
+} from '../utils/magicLink.js';
+import { isInvitationPending } from '../utils/staffInvitation.js';
+import { getUserPermissions } from '../utils/permissions.js';
+import { sendNotificationToTeen } from './notificationController.js';
+import {
+  getRequestLanguage,
+  getTeenLanguage,
+  normalizeLanguage,
+  t,
+} from '../utils/i18n.js';
 
 export const loginUser = async (req, res) => {
   try {
@@ -42,6 +70,13 @@ export const loginUser = async (req, res) => {
         name: true,
         role: true,
         isActive: true,
+        twoFactorEnabled: true,
+        failedLoginAttempts: true,
+        lockedUntil: true,
+        invitationToken: true,
+        staffRole: {
+          select: { permissions: true },
+        },
       },
     });
 
@@ -54,16 +89,52 @@ export const loginUser = async (req, res) => {
       });
     }
 
+    if (isInvitationPending(user)) {
+      return res.status(403).json({
+        success: false,
+        message:
+          'Please accept your invitation email to set your password first',
+      });
+    }
+
+    if (isAccountLocked(user)) {
+      return sendLockedResponse(res, user);
+    }
+
     const isPasswordValid = await bcrypt.compare(password, user.password);
 
     if (!isPasswordValid) {
+      const lockout = await registerFailedLogin('user', user);
+      if (lockout.locked) {
+        return sendLockedResponse(res, lockout);
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials',
       });
     }
 
-    const token = generateToken(user.id, 'user');
+    // Password is correct; with 2FA on, the session is only issued by
+    // /user/login/2fa once the authenticator code checks out
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        data: {
+          requiresTwoFactor: true,
+          challengeToken: await generateTwoFactorChallengeToken(user.id),
+        },
+      });
+    }
+
+    await resetFailedLogins('user', user);
+
+    const { token, refreshToken } = await createSession(
+      user.id,
+      'user',
+      getSessionContext(req)
+    );
 
     console.log('Login successful for:', user.email);
 
@@ -76,8 +147,10 @@ export const loginUser = async (req, res) => {
           email: user.email,
           name: user.name,
           role: user.role,
+          permissions: getUserPermissions(user),
         },
         token,
+        refreshToken,
       },
     });
   } catch (error) {
@@ -110,6 +183,8 @@ export const registerTeen = async (req, res) => {
       country,
       parentEmail,
       profilePhotoUrl,
+      preferredLanguage,
+      timezone,
     } = req.body;
 
     console.log('📝 Registering teen:', email);
@@ -130,6 +205,26 @@ export const registerTeen = async (req, res) => {
       });
     }
 
+    const needsParentalConsent = requiresParentalConsent(age);
+
+    if (needsParentalConsent && !parentEmail) {
+      return res.status(400).json({
+        success: false,
+        message: `A parent or guardian email is required for members under ${getParentalConsentAge()}`,
+      });
+    }
+
+    if (needsParentalConsent && parentEmail === email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Parent email must be different from your own email',
+      });
+    }
+
+    // Without an explicit choice, go with the device language
+    const language =
+      normalizeLanguage(preferredLanguage) || getRequestLanguage(req);
+
     // Hash password
     const hashedPassword = await bcrypt.hash(password, 12);
 
@@ -147,14 +242,30 @@ export const registerTeen = async (req, res) => {
         country,
         parentEmail,
         profilePhoto: profilePhotoUrl || null, // ← Store URL directly
+        preferredLanguage: language,
+        timezone: timezone || null,
         isEmailVerified: false, // New field
         verificationToken, // Store token temporarily
+        parentalConsentStatus: needsParentalConsent
+          ? 'PENDING'
+          : 'NOT_REQUIRED',
       },
     });
 
+    if (needsParentalConsent) {
+      try {
+        await requestParentalConsent(teen);
+      } catch (emailError) {
+        console.error(
+          '⚠️ Parental consent email failed, admins can resend it:',
+          emailError
+        );
+      }
+    }
+
     // Send verification email
     try {
-      await sendVerificationEmail(email, name, verificationToken);
+      await sendVerificationEmail(email, name, verificationToken, language);
     } catch (emailError) {
       console.error(
         '⚠️ Email sending failed, but registration succeeded:',
@@ -164,7 +275,11 @@ export const registerTeen = async (req, res) => {
     }
 
     // Generate auth token (they can use app but with limited features until verified)
-    const token = generateToken(teen.id, 'teen');
+    const { token, refreshToken } = await createSession(
+      teen.id,
+      'teen',
+      getSessionContext(req)
+    );
 
     console.log('✅ Teen registered successfully:', teen.id);
 
@@ -182,8 +297,10 @@ export const registerTeen = async (req, res) => {
           profilePhoto: teen.profilePhoto, // ← Return URL
           isEmailVerified: teen.isEmailVerified,
           needsProfileSetup: !profilePhotoUrl, // Flag for profile setup
+          parentalConsentPending: !hasParentalConsent(teen),
         },
         token,
+        refreshToken,
       },
     });
   } catch (error) {
@@ -196,6 +313,70 @@ export const registerTeen = async (req, res) => {
   }
 };
 
+// Shared by password and magic-link sign-in once the teen is authenticated
+const startTeenSession = async (
+  req,
+  res,
+  teen,
+  message = 'Login successful'
+) => {
+  await resetFailedLogins('teen', teen);
+
+  const sessionContext = getSessionContext(req);
+  const [knownDevice, hasPreviousSessions] = await Promise.all([
+    isKnownDevice(teen.id, sessionContext),
+    prisma.session.count({ where: { teenId: teen.id } }),
+  ]);
+
+  const { token, refreshToken } = await createSession(
+    teen.id,
+    'teen',
+    sessionContext
+  );
+
+  // Alert the teen when an unfamiliar device signs in
+  if (!knownDevice && hasPreviousSessions > 0) {
+    const language = getTeenLanguage(teen);
+    const deviceLabel =
+      sessionContext.deviceName ||
+      sessionContext.userAgent ||
+      t(language, 'push.newDevice.unknownDevice');
+
+    await Promise.allSettled([
+      sendNotificationToTeen(
+        teen.id,
+        t(language, 'push.newDevice.title'),
+        t(language, 'push.newDevice.body', { device: deviceLabel }),
+        { type: 'NEW_DEVICE_LOGIN' }
+      ),
+      sendNewDeviceLoginEmail(teen.email, teen.name, sessionContext, language),
+    ]);
+  }
+
+  console.log('✅ Teen login successful:', teen.id);
+
+  res.json({
+    success: true,
+    message,
+    data: {
+      teen: {
+        id: teen.id,
+        email: teen.email,
+        name: teen.name,
+        age: teen.age,
+        gender: teen.gender,
+        profilePhoto: teen.profilePhoto, // ← Return URL
+        isEmailVerified: teen.isEmailVerified || false,
+        needsProfileSetup: !teen.profilePhoto,
+        parentalConsentPending: !hasParentalConsent(teen),
+        preferredLanguage: getTeenLanguage(teen),
+      },
+      token,
+      refreshToken,
+    },
+  });
+};
+
 export const loginTeen = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -222,38 +403,120 @@ export const loginTeen = async (req, res) => {
       });
     }
 
+    if (isAccountLocked(teen)) {
+      return sendLockedResponse(res, teen);
+    }
+
     const isPasswordValid = await bcrypt.compare(password, teen.password);
 
     if (!isPasswordValid) {
+      const lockout = await registerFailedLogin('teen', teen);
+      if (lockout.locked) {
+        return sendLockedResponse(res, lockout);
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials',
       });
     }
 
-    const token = generateToken(teen.id, 'teen');
+    await startTeenSession(req, res, teen);
+  } catch (error) {
+    console.error('Teen login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Request a passwordless sign-in link/code
+export const requestMagicLink = async (req, res) => {
+  try {
+    const { email } = req.body;
 
-    console.log('✅ Teen login successful:', teen.id);
+    const teen = await prisma.teen.findUnique({
+      where: { email },
+    });
+
+    // Same answer either way to prevent email enumeration
+    if (teen && teen.isActive) {
+      await sendMagicLink(teen);
+      console.log('✅ Magic link sent to:', email);
+    }
 
     res.json({
       success: true,
-      message: 'Login successful',
-      data: {
-        teen: {
-          id: teen.id,
-          email: teen.email,
-          name: teen.name,
-          age: teen.age,
-          gender: teen.gender,
-          profilePhoto: teen.profilePhoto, // ← Return URL
-          isEmailVerified: teen.isEmailVerified || false,
-          needsProfileSetup: !teen.profilePhoto,
-        },
-        token,
-      },
+      message:
+        'If an account exists with this email, a sign-in link and code have been sent',
     });
   } catch (error) {
-    console.error('Teen login error:', error);
+    console.error('Request magic link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send sign-in link',
+    });
+  }
+};
+
+// Exchange a magic link token, or email + 6-digit code, for a session
+export const loginWithMagicLink = async (req, res) => {
+  try {
+    const { token, email, code } = req.body;
+
+    if (!token && !(email && code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A sign-in link or email and code are required',
+      });
+    }
+
+    let teen;
+
+    if (token) {
+      const teenId = await consumeMagicLinkToken(token);
+      teen =
+        teenId && (await prisma.teen.findUnique({ where: { id: teenId } }));
+    } else {
+      teen = await prisma.teen.findUnique({ where: { email } });
+
+      if (teen && isAccountLocked(teen)) {
+        return sendLockedResponse(res, teen);
+      }
+
+      // Wrong codes count towards the same lockout as wrong passwords
+      if (teen && !(await consumeMagicLinkCode(teen.id, code))) {
+        const lockout = await registerFailedLogin('teen', teen);
+        if (lockout.locked) {
+          return sendLockedResponse(res, lockout);
+        }
+        teen = null;
+      }
+    }
+
+    if (!teen || !teen.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired sign-in link or code',
+      });
+    }
+
+    if (isAccountLocked(teen)) {
+      return sendLockedResponse(res, teen);
+    }
+
+    // Opening the email proves the teen owns the address
+    if (!teen.isEmailVerified) {
+      teen = await prisma.teen.update({
+        where: { id: teen.id },
+        data: { isEmailVerified: true, verificationToken: null },
+      });
+    }
+
+    await startTeenSession(req, res, teen);
+  } catch (error) {
+    console.error('Magic link login error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -313,7 +576,7 @@ export const verifyEmail = async (req, res) => {
 
     // Send welcome email
     try {
-      await sendWelcomeEmail(teen.email, teen.name);
+      await sendWelcomeEmail(teen.email, teen.name, getTeenLanguage(teen));
     } catch (emailError) {
       console.error('⚠️ Welcome email failed:', emailError);
     }
@@ -371,7 +634,12 @@ export const resendVerification = async (req, res) => {
     });
 
     // Send verification email
-    await sendVerificationEmail(email, teen.name, verificationToken);
+    await sendVerificationEmail(
+      email,
+      teen.name,
+      verificationToken,
+      getTeenLanguage(teen)
+    );
 
     res.json({
       success: true,
@@ -424,7 +692,12 @@ export const forgotPassword = async (req, res) => {
     });
 
     // Send password reset email
-    await sendPasswordResetEmail(email, teen.name, resetToken);
+    await sendPasswordResetEmail(
+      email,
+      teen.name,
+      resetToken,
+      getTeenLanguage(teen)
+    );
 
     console.log('✅ Password reset email sent to:', email);
 
@@ -490,9 +763,14 @@ export const resetPassword = async (req, res) => {
         password: hashedPassword,
         passwordResetToken: null,
         passwordResetExpires: null,
+        failedLoginAttempts: 0,
+        lockedUntil: null,
       },
     });
 
+    // Sign out every device that used the old password
+    await revokeAllSessions(teen.id, 'teen');
+
     console.log('✅ Password reset successful for:', teen.email);
 
     res.json({
@@ -565,3 +843,101 @@ export const validateResetToken = async (req, res) => {
     });
   }
 };
+
+// ============================================
+// SESSIONS
+// ============================================
+
+// Exchange a refresh token for a new access/refresh token pair
+export const refreshSession = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const tokens = await rotateSession(refreshToken);
+
+    if (!tokens) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token. Please log in again.',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session refreshed',
+      data: {
+        token: tokens.token,
+        refreshToken: tokens.refreshToken,
+      },
+    });
+  } catch (error) {
+    console.error('Refresh session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Log out the current device
+export const logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    await revokeSessionByRefreshToken(refreshToken);
+
+    // Always succeed so clients can clear local state
+    res.json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Log out every device of the authenticated teen
+export const logoutAllTeenSessions = async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.teen.id, 'teen');
+
+    console.log(`🔒 Revoked ${revoked} session(s) for teen:`, req.teen.id);
+
+    res.json({
+      success: true,
+      message: 'Logged out of all devices',
+      data: { revokedSessions: revoked },
+    });
+  } catch (error) {
+    console.error('Logout all teen sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Log out every device of the authenticated admin/staff user
+export const logoutAllUserSessions = async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id, 'user');
+
+    console.log(`🔒 Revoked ${revoked} session(s) for user:`, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Logged out of all devices',
+      data: { revokedSessions: revoked },
+    });
+  } catch (error) {
+    console.error('Logout all user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
@@ -3,6 +3,12 @@ import { validationResult } from 'express-validator';
 import { updateRaffleEligibilityHelper } from '../utils/helpers.js';
 import { handleValidationErrors } from '../middleware/validation.js';
 import prisma from '../lib/prisma.js';
+import {
+  AUDIENCE_SELECT,
+  isTeenEligibleForChallenge,
+} from '../utils/challengeAudience.js';
+import { recordContentVersion } from '../utils/contentVersions.js';
+import { getRequestLanguage, localizeRecord } from '../utils/i18n.js';
 import Paystack from 'paystack-api';
 
 const paystack = Paystack(process.env.PAYSTACK_SECRET_KEY);
@@ -210,6 +216,12 @@ export const updateBadge = async (req, res) => {
     if (price !== undefined) updateData.price = parseFloat(price);
     if (isActive !== undefined) updateData.isActive = isActive;
 
+    // Badge content is versioned as part of its challenge
+    const before = await prisma.monthlyChallenge.findFirst({
+      where: { badge: { id: badgeId } },
+      include: { badge: true },
+    });
+
     const badge = await prisma.badge.update({
       where: { id: badgeId },
       data: updateData,
@@ -224,6 +236,15 @@ export const updateBadge = async (req, res) => {
       },
     });
 
+    if (before) {
+      await recordContentVersion(
+        'challenge',
+        before,
+        { ...before, badge },
+        req.user
+      );
+    }
+
     res.json({
       success: true,
       message: 'Badge updated successfully',
@@ -293,6 +314,7 @@ export const initializeBadgePurchase = async (req, res) => {
             closingDate: true,
             year: true,
             theme: true,
+            ...AUDIENCE_SELECT,
           },
         },
       },
@@ -306,7 +328,10 @@ export const initializeBadgePurchase = async (req, res) => {
     }
 
     // Check if challenge is active (allow past challenges)
-    if (!badge.challenge.isPublished) {
+    if (
+      !badge.challenge.isPublished ||
+      !isTeenEligibleForChallenge(req.teen, badge.challenge)
+    ) {
       return res.status(403).json({
         success: false,
         message: 'Badge is not available for purchase',
@@ -468,7 +493,7 @@ export const verifyBadgePurchase = async (req, res) => {
       },
     });
 
-    if (progress && progress.percentage === 100) {
+    if (progress?.completedAt) {
       await prisma.teenBadge.update({
         where: { id: teenBadge.id },
         data: {
@@ -492,7 +517,7 @@ export const verifyBadgePurchase = async (req, res) => {
           imageUrl: badge.imageUrl,
           price: badge.price,
         },
-        status: progress?.percentage === 100 ? 'EARNED' : 'PURCHASED',
+        status: progress?.completedAt ? 'EARNED' : 'PURCHASED',
         purchasedAt: new Date(),
         paymentReference: reference,
       },
@@ -543,6 +568,7 @@ export const getMyBadges = async (req, res) => {
                 year: true,
                 month: true,
                 theme: true,
+                translations: true,
               },
             },
           },
@@ -550,6 +576,8 @@ export const getMyBadges = async (req, res) => {
       },
     });
 
+    const language = getRequestLanguage(req);
+
     // Sort manually by month
     teenBadges.sort(
       (a, b) => a.badge.challenge.month - b.badge.challenge.month
@@ -566,7 +594,7 @@ export const getMyBadges = async (req, res) => {
           imageUrl: tb.badge.imageUrl,
           price: tb.badge.price,
         },
-        challenge: tb.badge.challenge,
+        challenge: localizeRecord(tb.badge.challenge, 'challenge', language),
         status: tb.status,
         purchasedAt: tb.purchasedAt,
         earnedAt: tb.earnedAt,
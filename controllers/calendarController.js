@@ -0,0 +1,145 @@
+// controllers/calendarController.js - Subscribable .ics calendar feeds
+import {
+  getTeenCalendarLinks,
+  resetTeenCalendarLinks,
+  getStaffCalendarLinks,
+  resetStaffCalendarLinks,
+  findTeenByCalendarToken,
+  findUserByCalendarToken,
+  buildTeenCalendar,
+  buildStaffCalendar,
+} from '../utils/calendarFeed.js';
+
+const sendCalendar = (res, ics) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': 'inline; filename="teenshapers.ics"',
+    'Cache-Control': 'private, max-age=300',
+  });
+  res.send(ics);
+};
+
+// ============================================
+// TEEN-FACING ENDPOINTS
+// ============================================
+
+export const getMyCalendarLink = async (req, res) => {
+  try {
+    const links = await getTeenCalendarLinks(req.teen);
+
+    res.json({
+      success: true,
+      data: links,
+    });
+  } catch (error) {
+    console.error('Get calendar link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// New link for a teen who shared theirs by mistake
+export const resetMyCalendarLink = async (req, res) => {
+  try {
+    const links = await resetTeenCalendarLinks(req.teen.id);
+
+    res.json({
+      success: true,
+      message: 'Calendar link reset. Re-subscribe with the new link.',
+      data: links,
+    });
+  } catch (error) {
+    console.error('Reset calendar link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// ============================================
+// STAFF ENDPOINTS
+// ============================================
+
+export const getStaffCalendarLink = async (req, res) => {
+  try {
+    const links = await getStaffCalendarLinks(req.user);
+
+    res.json({
+      success: true,
+      data: links,
+    });
+  } catch (error) {
+    console.error('Get staff calendar link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+export const resetStaffCalendarLink = async (req, res) => {
+  try {
+    const links = await resetStaffCalendarLinks(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Calendar link reset. Re-subscribe with the new link.',
+      data: links,
+    });
+  } catch (error) {
+    console.error('Reset staff calendar link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// ============================================
+// PUBLIC (FEED TOKEN)
+// ============================================
+
+export const getTeenCalendarFeed = async (req, res) => {
+  try {
+    const teen = await findTeenByCalendarToken(req.params.token);
+
+    if (!teen) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar not found',
+      });
+    }
+
+    sendCalendar(res, await buildTeenCalendar(teen));
+  } catch (error) {
+    console.error('Teen calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+export const getStaffCalendarFeed = async (req, res) => {
+  try {
+    const user = await findUserByCalendarToken(req.params.token);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar not found',
+      });
+    }
+
+    sendCalendar(res, await buildStaffCalendar());
+  } catch (error) {
+    console.error('Staff calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
@@ -0,0 +1,129 @@
+// controllers/challengeBundleController.js - Challenge import/export
+import prisma from '../lib/prisma.js';
+import {
+  validateChallengeBundle,
+  buildChallengeBundle,
+  planChallengeBundleImport,
+  summarizeImportPlan,
+  applyChallengeBundleImport,
+} from '../utils/challengeBundle.js';
+import { recordAuditLog } from '../middleware/auditLog.js';
+
+const bundleInclude = {
+  badge: true,
+  tasks: {
+    orderBy: [{ tabName: 'asc' }, { createdAt: 'asc' }],
+  },
+};
+
+const sendBundle = (res, bundle, filename) => {
+  res.attachment(filename);
+  res.send(JSON.stringify(bundle, null, 2));
+};
+
+export const exportChallenge = async (req, res) => {
+  try {
+    const { challengeId } = req.params;
+
+    const challenge = await prisma.monthlyChallenge.findUnique({
+      where: { id: challengeId },
+      include: bundleInclude,
+    });
+
+    if (!challenge) {
+      return res.status(404).json({
+        success: false,
+        message: 'Challenge not found',
+      });
+    }
+
+    sendBundle(
+      res,
+      buildChallengeBundle([challenge]),
+      `challenge-${challenge.year}-${String(challenge.month).padStart(2, '0')}.json`
+    );
+  } catch (error) {
+    console.error('Export challenge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// All challenges, or one year's worth
+export const exportChallenges = async (req, res) => {
+  try {
+    const { year } = req.query;
+
+    const challenges = await prisma.monthlyChallenge.findMany({
+      where: year ? { year: parseInt(year) } : {},
+      include: bundleInclude,
+      orderBy: [{ year: 'asc' }, { month: 'asc' }],
+    });
+
+    sendBundle(
+      res,
+      buildChallengeBundle(challenges),
+      year ? `challenges-${year}.json` : 'challenges.json'
+    );
+  } catch (error) {
+    console.error('Export challenges error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// POST a bundle; ?dryRun=true returns the diff without writing anything
+export const importChallenges = async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+
+    const errors = validateChallengeBundle(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid challenge bundle',
+        errors,
+      });
+    }
+
+    const plan = await planChallengeBundleImport(req.body);
+    const summary = summarizeImportPlan(plan);
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        message: 'Dry run - nothing was imported',
+        data: { dryRun, plan: summary },
+      });
+    }
+
+    const results = await applyChallengeBundleImport(plan, req.user);
+
+    await recordAuditLog(req, {
+      action: 'challenge.import',
+      entityType: 'challenge',
+      metadata: { results },
+    });
+
+    console.log(
+      `📦 Challenge bundle imported by ${req.user.email}: ${results.length} challenge(s)`
+    );
+
+    res.json({
+      success: true,
+      message: 'Challenge bundle imported',
+      data: { dryRun, plan: summary, results },
+    });
+  } catch (error) {
+    console.error('Import challenges error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
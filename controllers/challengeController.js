@@ -2,8 +2,26 @@
 import { validationResult } from 'express-validator';
 import prisma from '../lib/prisma.js';
 import { handleValidationErrors } from '../middleware/validation.js';
-import { sendChallengeNotification } from '../utils/notifications.js';
-import { sendNotificationToAllTeensMobile } from './notificationController.js';
+import { notifyChallengeLaunch } from '../utils/challengeScheduler.js';
+import {
+  buildChallengeBlueprint,
+  createChallengeFromBlueprint,
+} from '../utils/challengeTemplates.js';
+import {
+  getTeenChallengeState,
+  buildTeenChallengeView,
+} from '../utils/challengeView.js';
+import { getProgressStanding } from '../utils/latePolicy.js';
+import { parseWallClock } from '../utils/challengeTime.js';
+import {
+  pickAudience,
+  isTeenEligibleForChallenge,
+  getLiveChallengesForTeen,
+  getLiveChallengeForTeen,
+} from '../utils/challengeAudience.js';
+import { recordContentVersion } from '../utils/contentVersions.js';
+import { getRequestLanguage, localizeRecord } from '../utils/i18n.js';
+import { recalculateChallengeProgress } from '../utils/helpers.js';
 
 export const createChallenge = async (req, res) => {
   try {
@@ -16,30 +34,16 @@ export const createChallenge = async (req, res) => {
       instructions,
       goLiveDate,
       closingDate,
+      autoSchedule,
+      timezone,
+      latePolicy,
+      graceMinutes,
+      lateCredit,
+      completionRules,
+      translations,
       badgeData,
     } = req.body;
 
-    // Check if challenge already exists for this year/month
-    const existing = await prisma.monthlyChallenge.findFirst({
-      where: {
-        year: parseInt(year),
-        month: parseInt(month),
-      },
-    });
-
-    if (existing) {
-      return res.status(400).json({
-        success: false,
-        message: `A challenge already exists for ${new Date(
-          year,
-          month - 1
-        ).toLocaleDateString('en-US', {
-          month: 'long',
-          year: 'numeric',
-        })}. Only one challenge is allowed per month.`,
-      });
-    }
-
     // Validate badge data is provided (required for each challenge)
     if (
       !badgeData ||
@@ -61,8 +65,16 @@ export const createChallenge = async (req, res) => {
         month: parseInt(month),
         theme,
         instructions,
-        goLiveDate: new Date(goLiveDate),
-        closingDate: new Date(closingDate),
+        goLiveDate: parseWallClock(goLiveDate),
+        closingDate: parseWallClock(closingDate),
+        autoSchedule: autoSchedule === true,
+        timezone: timezone || null,
+        latePolicy,
+        graceMinutes,
+        lateCredit,
+        completionRules: completionRules ?? undefined,
+        ...pickAudience(req.body),
+        translations: translations ?? undefined,
         createdById: req.user.id,
         badge: {
           create: {
@@ -243,18 +255,19 @@ export const publishChallenge = async (req, res) => {
       data: {
         isPublished: true,
         isActive: true,
+        publishedAt: challenge.publishedAt || new Date(),
       },
       include: {
         badge: true,
       },
     });
 
-    // Send notification to all active teens
+    // Email + push to all active teens (only on the first publish).
+    // Don't fail the request if notifications fail
     try {
-      await sendChallengeNotification(updated);
+      await notifyChallengeLaunch(updated);
     } catch (notificationError) {
       console.error('Failed to send notifications:', notificationError);
-      // Don't fail the request if notifications fail
     }
 
     res.json({
@@ -262,23 +275,60 @@ export const publishChallenge = async (req, res) => {
       message: 'Challenge published successfully and notifications sent',
       data: updated,
     });
+  } catch (error) {
+    console.error('Publish challenge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Copy a challenge (tasks, tabs, options, badge, audience) into a new month. Task due
+// dates keep their distance from goLiveDate; the copy starts unpublished.
+export const duplicateChallenge = async (req, res) => {
+  try {
+    const { challengeId } = req.params;
+    const { year, month, goLiveDate, closingDate, theme, timezone } = req.body;
 
-    await sendNotificationToAllTeensMobile(
-      '🎯 New Challenge Available!',
-      `${updated.theme} is now live! Start earning your badge today.`,
+    const source = await prisma.monthlyChallenge.findUnique({
+      where: { id: challengeId },
+      include: {
+        badge: true,
+        tasks: {
+          orderBy: [{ tabName: 'asc' }, { createdAt: 'asc' }],
+        },
+      },
+    });
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Challenge not found',
+      });
+    }
+
+    const challenge = await createChallengeFromBlueprint(
+      buildChallengeBlueprint(source),
       {
-        type: 'CHALLENGE_PUBLISHED',
-        challengeId: updated.id,
-      }
+        year,
+        month,
+        goLiveDate,
+        closingDate,
+        theme,
+        timezone,
+        ...pickAudience(req.body),
+      },
+      req.user.id
     );
 
-    res.json({
+    res.status(201).json({
       success: true,
-      message: 'Challenge published and notifications sent',
-      data: updated,
+      message: `Challenge duplicated with ${challenge.tasks.length} task(s)`,
+      data: challenge,
     });
   } catch (error) {
-    console.error('Publish challenge error:', error);
+    console.error('Duplicate challenge error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -338,25 +388,22 @@ export const deleteChallenge = async (req, res) => {
 // TEEN-FACING ENDPOINTS
 // ============================================
 
+const TEEN_VIEW_INCLUDE = {
+  badge: true,
+  tasks: {
+    orderBy: [{ tabName: 'asc' }, { createdAt: 'asc' }],
+  },
+};
+
+// Older app versions expect a single challenge; with several running this
+// returns the one closing soonest (see getMyChallenges for all of them)
 export const getCurrentChallenge = async (req, res) => {
   try {
-    const currentDate = new Date();
-
-    // Find the current active challenge
-    const challenge = await prisma.monthlyChallenge.findFirst({
-      where: {
-        isPublished: true,
-        isActive: true,
-        goLiveDate: { lte: currentDate },
-        closingDate: { gte: currentDate },
-      },
-      include: {
-        badge: true,
-        tasks: {
-          orderBy: [{ tabName: 'asc' }, { createdAt: 'asc' }],
-        },
-      },
-    });
+    const challenge = await getLiveChallengeForTeen(
+      req.teen,
+      undefined,
+      TEEN_VIEW_INCLUDE
+    );
 
     if (!challenge) {
       return res.json({
@@ -366,121 +413,62 @@ export const getCurrentChallenge = async (req, res) => {
       });
     }
 
-    // Get teen's progress for this challenge
-    const progress = await prisma.teenProgress.findUnique({
-      where: {
-        teenId_challengeId: {
-          teenId: req.teen.id,
-          challengeId: challenge.id,
-        },
-      },
-    });
+    const state = await getTeenChallengeState(req.teen.id, challenge);
 
-    // Get teen's badge status
-    let teenBadge = null;
-    if (challenge.badge) {
-      teenBadge = await prisma.teenBadge.findUnique({
-        where: {
-          teenId_badgeId: {
-            teenId: req.teen.id,
-            badgeId: challenge.badge.id,
-          },
-        },
-      });
-    }
-
-    // Get submissions for this challenge
-    const submissions = await prisma.submission.findMany({
-      where: {
-        teenId: req.teen.id,
-        task: {
-          challengeId: challenge.id,
-        },
-      },
-      include: {
-        task: {
-          select: {
-            id: true,
-            title: true,
-            tabName: true,
-            taskType: true,
-          },
-        },
-      },
+    res.json({
+      success: true,
+      data: buildTeenChallengeView(
+        challenge,
+        state,
+        getRequestLanguage(req),
+        req.teen
+      ),
+    });
+  } catch (error) {
+    console.error('Get current challenge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
     });
+  }
+};
 
-    // Group tasks by tab with submission status
-    const tasksByTab = {};
-    for (const task of challenge.tasks) {
-      if (!tasksByTab[task.tabName]) {
-        tasksByTab[task.tabName] = [];
-      }
+// All live challenges the teen can take (age-group tracks, specials...)
+export const getMyChallenges = async (req, res) => {
+  try {
+    const challenges = await getLiveChallengesForTeen(
+      req.teen,
+      TEEN_VIEW_INCLUDE
+    );
 
-      const submission = submissions.find((s) => s.task.id === task.id);
-      tasksByTab[task.tabName].push({
-        ...task,
-        submission: submission
-          ? {
-              id: submission.id,
-              status: submission.status,
-              submittedAt: submission.submittedAt,
-              score: submission.score,
-            }
-          : null,
-      });
+    const language = getRequestLanguage(req);
+    const data = [];
+    for (const challenge of challenges) {
+      const state = await getTeenChallengeState(req.teen.id, challenge);
+      data.push(buildTeenChallengeView(challenge, state, language, req.teen));
     }
 
     res.json({
       success: true,
-      data: {
-        challenge: {
-          id: challenge.id,
-          theme: challenge.theme,
-          instructions: challenge.instructions,
-          goLiveDate: challenge.goLiveDate,
-          closingDate: challenge.closingDate,
-          year: challenge.year,
-          month: challenge.month,
-        },
-        tasks: tasksByTab,
-        badge: challenge.badge
-          ? {
-              ...challenge.badge,
-              status: teenBadge?.status || 'AVAILABLE',
-              purchasedAt: teenBadge?.purchasedAt || null,
-              earnedAt: teenBadge?.earnedAt || null,
-            }
-          : null,
-        progress: progress || {
-          tasksTotal: challenge.tasks.length,
-          tasksCompleted: 0,
-          percentage: 0,
-        },
-      },
+      data,
     });
   } catch (error) {
-    console.error('Get current challenge error:', error);
+    console.error('Get my challenges error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
-      error: error.message,
     });
   }
 };
 
+// ?challengeId picks one of the teen's live challenges (default: the first)
 export const getCommunityStats = async (req, res) => {
   try {
-    const currentDate = new Date();
-
-    // Get current active challenge
-    const challenge = await prisma.monthlyChallenge.findFirst({
-      where: {
-        isPublished: true,
-        isActive: true,
-        goLiveDate: { lte: currentDate },
-        closingDate: { gte: currentDate },
-      },
-    });
+    const challenge = await getLiveChallengeForTeen(
+      req.teen,
+      req.query.challengeId
+    );
 
     if (!challenge) {
       return res.json({
@@ -516,7 +504,7 @@ export const getCommunityStats = async (req, res) => {
 
     if (teenProgress && totalParticipants > 0) {
       const betterCount = allProgress.filter(
-        (p) => p.percentage > teenProgress.percentage
+        (p) => getProgressStanding(p) > getProgressStanding(teenProgress)
       ).length;
 
       const percentile = Math.round(
@@ -524,6 +512,8 @@ export const getCommunityStats = async (req, res) => {
       );
       teenRanking = {
         percentage: teenProgress.percentage,
+        requiredPercentage: teenProgress.requiredPercentage ?? null,
+        score: teenProgress.score ?? null,
         ahead_of_percentage: 100 - percentile,
         rank: betterCount + 1,
         total: totalParticipants,
@@ -563,11 +553,13 @@ export const getCommunityStats = async (req, res) => {
         title: true,
         tabName: true,
         taskType: true,
+        translations: true,
       },
     });
 
+    const language = getRequestLanguage(req);
     const popularTasks = taskDetails.map((task) => ({
-      ...task,
+      ...localizeRecord(task, 'task', language),
       submissions: taskCounts[task.id] || 0,
     }));
 
@@ -580,7 +572,7 @@ export const getCommunityStats = async (req, res) => {
         popularTasks,
         challenge: {
           id: challenge.id,
-          theme: challenge.theme,
+          theme: localizeRecord(challenge, 'challenge', language).theme,
           month: challenge.month,
           year: challenge.year,
         },
@@ -596,19 +588,13 @@ export const getCommunityStats = async (req, res) => {
   }
 };
 
+// ?challengeId picks one of the teen's live challenges (default: the first)
 export const getLeaderboard = async (req, res) => {
   try {
-    const currentDate = new Date();
-
-    // Get current active challenge
-    const challenge = await prisma.monthlyChallenge.findFirst({
-      where: {
-        isPublished: true,
-        isActive: true,
-        goLiveDate: { lte: currentDate },
-        closingDate: { gte: currentDate },
-      },
-    });
+    const challenge = await getLiveChallengeForTeen(
+      req.teen,
+      req.query.challengeId
+    );
 
     if (!challenge) {
       return res.json({
@@ -640,10 +626,16 @@ export const getLeaderboard = async (req, res) => {
       (p) => p.teen.optInPublic && p.teen.isActive
     );
 
-    // Sort by percentage (desc), then by lastUpdated (asc) for ties
+    // Sort by standing (desc), then score (desc), then by lastUpdated (asc)
+    // for ties
     publicProgress.sort((a, b) => {
-      if (b.percentage !== a.percentage) {
-        return b.percentage - a.percentage;
+      const difference = getProgressStanding(b) - getProgressStanding(a);
+      if (difference !== 0) {
+        return difference;
+      }
+      const scoreDifference = (b.score ?? 0) - (a.score ?? 0);
+      if (scoreDifference !== 0) {
+        return scoreDifference;
       }
       return (
         new Date(a.lastUpdated).getTime() - new Date(b.lastUpdated).getTime()
@@ -659,9 +651,13 @@ export const getLeaderboard = async (req, res) => {
         name: progress.teen.name,
         profilePhoto: progress.teen.profilePhoto,
       },
-      percentage: progress.percentage,
+      percentage: getProgressStanding(progress),
       tasksCompleted: progress.tasksCompleted,
       tasksTotal: progress.tasksTotal,
+      requiredPercentage: progress.requiredPercentage ?? null,
+      score: progress.score ?? null,
+      bonusScore: progress.bonusScore ?? null,
+      requiredMaxScore: progress.requiredMaxScore ?? null,
       completedAt: progress.completedAt,
     }));
 
@@ -689,6 +685,13 @@ export const updateChallenge = async (req, res) => {
       closingDate,
       isPublished,
       isActive,
+      autoSchedule,
+      timezone,
+      latePolicy,
+      graceMinutes,
+      lateCredit,
+      completionRules,
+      translations,
       badgeData,
     } = req.body;
 
@@ -709,12 +712,28 @@ export const updateChallenge = async (req, res) => {
     const updateData = {
       ...(theme && { theme }),
       ...(instructions && { instructions }),
-      ...(goLiveDate && { goLiveDate: new Date(goLiveDate) }),
-      ...(closingDate && { closingDate: new Date(closingDate) }),
+      ...(goLiveDate && { goLiveDate: parseWallClock(goLiveDate) }),
+      ...(closingDate && { closingDate: parseWallClock(closingDate) }),
       ...(typeof isPublished === 'boolean' && { isPublished }),
       ...(typeof isActive === 'boolean' && { isActive }),
+      ...(typeof autoSchedule === 'boolean' && { autoSchedule }),
+      // null goes back to reading the dates in each teen's timezone
+      ...(timezone !== undefined && { timezone }),
+      ...(latePolicy !== undefined && { latePolicy }),
+      ...(graceMinutes !== undefined && { graceMinutes }),
+      ...(lateCredit !== undefined && { lateCredit }),
+      // null goes back to requiring every task
+      ...(completionRules !== undefined && { completionRules }),
+      ...pickAudience(req.body),
+      // Replaces every translation at once; null removes them
+      ...(translations !== undefined && { translations }),
     };
 
+    // Published by hand - the scheduler leaves it alone from now on
+    if (isPublished === true && !existing.publishedAt) {
+      updateData.publishedAt = new Date();
+    }
+
     // Handle badge update/create
     if (badgeData) {
       if (existing.badge) {
@@ -760,6 +779,12 @@ export const updateChallenge = async (req, res) => {
       },
     });
 
+    await recordContentVersion('challenge', existing, challenge, req.user);
+
+    if (completionRules !== undefined) {
+      await recalculateChallengeProgress(challengeId);
+    }
+
     res.json({
       success: true,
       message: 'Challenge updated successfully',
@@ -811,6 +836,9 @@ export const toggleChallengeStatus = async (req, res) => {
       where: { id: challengeId },
       data: {
         [field]: !challenge[field],
+        ...(field === 'isPublished' &&
+          !challenge.isPublished &&
+          !challenge.publishedAt && { publishedAt: new Date() }),
       },
     });
 
@@ -835,12 +863,7 @@ export const getChallengeByIdForTeen = async (req, res) => {
 
     const challenge = await prisma.monthlyChallenge.findUnique({
       where: { id: challengeId },
-      include: {
-        badge: true,
-        tasks: {
-          orderBy: [{ tabName: 'asc' }, { createdAt: 'asc' }],
-        },
-      },
+      include: TEEN_VIEW_INCLUDE,
     });
 
     if (!challenge) {
@@ -850,105 +873,27 @@ export const getChallengeByIdForTeen = async (req, res) => {
       });
     }
 
-    // Check if challenge is published
-    if (!challenge.isPublished) {
+    // Check if challenge is published and meant for this teen
+    if (
+      !challenge.isPublished ||
+      !isTeenEligibleForChallenge(req.teen, challenge)
+    ) {
       return res.status(403).json({
         success: false,
         message: 'Challenge not available',
       });
     }
 
-    // Get teen's progress for this challenge
-    const progress = await prisma.teenProgress.findUnique({
-      where: {
-        teenId_challengeId: {
-          teenId: req.teen.id,
-          challengeId: challenge.id,
-        },
-      },
-    });
-
-    // Get teen's badge status
-    let teenBadge = null;
-    if (challenge.badge) {
-      teenBadge = await prisma.teenBadge.findUnique({
-        where: {
-          teenId_badgeId: {
-            teenId: req.teen.id,
-            badgeId: challenge.badge.id,
-          },
-        },
-      });
-    }
-
-    // Get submissions for this challenge
-    const submissions = await prisma.submission.findMany({
-      where: {
-        teenId: req.teen.id,
-        task: {
-          challengeId: challenge.id,
-        },
-      },
-      include: {
-        task: {
-          select: {
-            id: true,
-            title: true,
-            tabName: true,
-            taskType: true,
-          },
-        },
-      },
-    });
-
-    // Group tasks by tab with submission status
-    const tasksByTab = {};
-    for (const task of challenge.tasks) {
-      if (!tasksByTab[task.tabName]) {
-        tasksByTab[task.tabName] = [];
-      }
-
-      const submission = submissions.find((s) => s.task.id === task.id);
-      tasksByTab[task.tabName].push({
-        ...task,
-        submission: submission
-          ? {
-              id: submission.id,
-              status: submission.status,
-              submittedAt: submission.submittedAt,
-              score: submission.score,
-            }
-          : null,
-      });
-    }
+    const state = await getTeenChallengeState(req.teen.id, challenge);
 
     res.json({
       success: true,
-      data: {
-        challenge: {
-          id: challenge.id,
-          theme: challenge.theme,
-          instructions: challenge.instructions,
-          goLiveDate: challenge.goLiveDate,
-          closingDate: challenge.closingDate,
-          year: challenge.year,
-          month: challenge.month,
-        },
-        tasks: tasksByTab,
-        badge: challenge.badge
-          ? {
-              ...challenge.badge,
-              status: teenBadge?.status || 'AVAILABLE',
-              purchasedAt: teenBadge?.purchasedAt || null,
-              earnedAt: teenBadge?.earnedAt || null,
-            }
-          : null,
-        progress: progress || {
-          tasksTotal: challenge.tasks.length,
-          tasksCompleted: 0,
-          percentage: 0,
-        },
-      },
+      data: buildTeenChallengeView(
+        challenge,
+        state,
+        getRequestLanguage(req),
+        req.teen
+      ),
     });
   } catch (error) {
     console.error('Get challenge by ID error:', error);
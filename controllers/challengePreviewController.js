@@ -0,0 +1,251 @@
+// controllers/challengePreviewController.js - See a challenge the way teens will
+import prisma from '../lib/prisma.js';
+import {
+  simulateTeenChallengeState,
+  buildTeenChallengeView,
+} from '../utils/challengeView.js';
+import {
+  PREVIEW_LINK_DEFAULT_HOURS,
+  createChallengePreviewLink,
+  revokeChallengePreviewLinks,
+  findChallengeForPreviewToken,
+} from '../utils/challengePreview.js';
+import { escapeHtml, renderPage } from '../utils/htmlPage.js';
+import { getRequestLanguage } from '../utils/i18n.js';
+
+const findChallengeForPreview = (challengeId) =>
+  prisma.monthlyChallenge.findUnique({
+    where: { id: challengeId },
+    include: {
+      badge: true,
+      tasks: {
+        orderBy: [{ tabName: 'asc' }, { createdAt: 'asc' }],
+      },
+    },
+  });
+
+// Teen response shape plus what was simulated, so the app can show a banner.
+// ?lang (or the browser language) picks the translation to review.
+const buildPreview = (challenge, query, language) => {
+  const simulated = {
+    tasksCompleted: parseInt(query.tasksCompleted) || 0,
+    badgeStatus: query.badgeStatus || 'AVAILABLE',
+  };
+
+  return {
+    ...buildTeenChallengeView(
+      challenge,
+      simulateTeenChallengeState(challenge, simulated),
+      language
+    ),
+    preview: {
+      isPublished: challenge.isPublished,
+      simulated,
+    },
+  };
+};
+
+// ============================================
+// STAFF
+// ============================================
+
+// Any challenge, published or not, as a teen would get it from
+// GET /api/teen/challenges/:challengeId
+export const previewChallenge = async (req, res) => {
+  try {
+    const challenge = await findChallengeForPreview(req.params.challengeId);
+
+    if (!challenge) {
+      return res.status(404).json({
+        success: false,
+        message: 'Challenge not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: buildPreview(challenge, req.query, getRequestLanguage(req)),
+    });
+  } catch (error) {
+    console.error('Preview challenge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+export const createPreviewLink = async (req, res) => {
+  try {
+    const challenge = await prisma.monthlyChallenge.findUnique({
+      where: { id: req.params.challengeId },
+      select: { id: true },
+    });
+
+    if (!challenge) {
+      return res.status(404).json({
+        success: false,
+        message: 'Challenge not found',
+      });
+    }
+
+    const hours =
+      parseInt(req.body.expiresInHours) || PREVIEW_LINK_DEFAULT_HOURS;
+    const { url, expiresAt } = createChallengePreviewLink(challenge.id, hours);
+
+    res.status(201).json({
+      success: true,
+      message: 'Preview link created',
+      data: { url, expiresAt },
+    });
+  } catch (error) {
+    console.error('Create preview link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+export const revokePreviewLinks = async (req, res) => {
+  try {
+    const challenge = await prisma.monthlyChallenge.findUnique({
+      where: { id: req.params.challengeId },
+      select: { id: true },
+    });
+
+    if (!challenge) {
+      return res.status(404).json({
+        success: false,
+        message: 'Challenge not found',
+      });
+    }
+
+    await revokeChallengePreviewLinks(challenge.id);
+
+    res.json({
+      success: true,
+      message: 'Preview links revoked',
+    });
+  } catch (error) {
+    console.error('Revoke preview links error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// ============================================
+// PUBLIC (PREVIEW LINK)
+// ============================================
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+
+// Option lists differ per task type; show whatever label each entry has
+const renderTaskOptions = (options) => {
+  const list =
+    options?.questions || options?.fields || options?.options || options?.items;
+
+  if (!Array.isArray(list) || list.length === 0) return '';
+
+  const entries = list
+    .map((entry) =>
+      typeof entry === 'string'
+        ? entry
+        : entry.text || entry.title || entry.label || entry.question || ''
+    )
+    .filter(Boolean)
+    .map((label) => `<li>${escapeHtml(label)}</li>`)
+    .join('');
+
+  return entries ? `<ul>${entries}</ul>` : '';
+};
+
+const renderTask = (task) => `
+  <li>
+    <strong>${escapeHtml(task.title)}</strong>
+    <span class="muted">
+      ${escapeHtml(task.taskType)}${task.isRequired ? ' · Required' : ''}${
+        task.dueDate ? ` · Due ${formatDate(task.dueDate)}` : ''
+      }
+    </span>
+    <p>${escapeHtml(task.description)}</p>
+    ${renderTaskOptions(task.options)}
+  </li>
+`;
+
+const renderChallengePreview = ({ challenge, tasks, badge }) => `
+  <p class="muted">
+    Preview · ${formatDate(challenge.goLiveDate)} – ${formatDate(challenge.closingDate)}
+  </p>
+  <p>${escapeHtml(challenge.instructions)}</p>
+  ${
+    badge
+      ? `<h2>Badge: ${escapeHtml(badge.name)}</h2><p>${escapeHtml(badge.description)}</p>`
+      : ''
+  }
+  ${Object.entries(tasks)
+    .map(
+      ([tabName, tabTasks]) =>
+        `<h2>${escapeHtml(tabName)}</h2><ol>${tabTasks.map(renderTask).join('')}</ol>`
+    )
+    .join('')}
+`;
+
+const invalidPreviewPage = renderPage(
+  'Link Expired',
+  '<p>This preview link is invalid or has expired. Ask the TeenShapers team for a new one.</p>'
+);
+
+// Read-only, no account needed. Browsers get a page; ?format=json returns
+// the same data the staff preview does.
+export const showChallengePreview = async (req, res) => {
+  const wantsJson = req.query.format === 'json';
+
+  try {
+    const challenge = await findChallengeForPreviewToken(req.query.token);
+
+    if (!challenge) {
+      return wantsJson
+        ? res.status(400).json({
+            success: false,
+            message: 'Invalid or expired preview link',
+          })
+        : res.status(400).send(invalidPreviewPage);
+    }
+
+    const preview = buildPreview(challenge, {}, getRequestLanguage(req));
+
+    if (wantsJson) {
+      return res.json({ success: true, data: preview });
+    }
+
+    res.send(
+      renderPage(
+        escapeHtml(preview.challenge.theme),
+        renderChallengePreview(preview)
+      )
+    );
+  } catch (error) {
+    console.error('Show challenge preview error:', error);
+
+    if (wantsJson) {
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+      });
+    }
+
+    res
+      .status(500)
+      .send(
+        renderPage('Something Went Wrong', '<p>Please try again later.</p>')
+      );
+  }
+};
@@ -0,0 +1,246 @@
+// controllers/challengeTemplateController.js - Reusable challenge templates
+import prisma from '../lib/prisma.js';
+import {
+  buildChallengeBlueprint,
+  createChallengeFromBlueprint,
+} from '../utils/challengeTemplates.js';
+import { pickAudience } from '../utils/challengeAudience.js';
+
+const templateCreatorSelect = {
+  select: {
+    id: true,
+    name: true,
+    email: true,
+  },
+};
+
+export const getTemplates = async (req, res) => {
+  try {
+    const { search } = req.query;
+
+    const where = {};
+
+    if (search) {
+      where.OR = [
+        { name: { contains: search, mode: 'insensitive' } },
+        { theme: { contains: search, mode: 'insensitive' } },
+      ];
+    }
+
+    const templates = await prisma.challengeTemplate.findMany({
+      where,
+      include: { createdBy: templateCreatorSelect },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    res.json({
+      success: true,
+      data: templates.map((template) => ({
+        ...template,
+        taskCount: template.tasks.length,
+      })),
+    });
+  } catch (error) {
+    console.error('Get templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+export const getTemplateById = async (req, res) => {
+  try {
+    const { templateId } = req.params;
+
+    const template = await prisma.challengeTemplate.findUnique({
+      where: { id: templateId },
+      include: { createdBy: templateCreatorSelect },
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: template,
+    });
+  } catch (error) {
+    console.error('Get template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Save an existing challenge to the library
+export const createTemplate = async (req, res) => {
+  try {
+    const { challengeId, name, description } = req.body;
+
+    const challenge = await prisma.monthlyChallenge.findUnique({
+      where: { id: challengeId },
+      include: {
+        badge: true,
+        tasks: {
+          orderBy: [{ tabName: 'asc' }, { createdAt: 'asc' }],
+        },
+      },
+    });
+
+    if (!challenge) {
+      return res.status(404).json({
+        success: false,
+        message: 'Challenge not found',
+      });
+    }
+
+    const blueprint = buildChallengeBlueprint(challenge);
+
+    const template = await prisma.challengeTemplate.create({
+      data: {
+        name,
+        description,
+        ...blueprint,
+        badge: blueprint.badge ?? undefined,
+        completionRules: blueprint.completionRules ?? undefined,
+        translations: blueprint.translations ?? undefined,
+        createdById: req.user.id,
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Template created successfully',
+      data: template,
+    });
+  } catch (error) {
+    console.error('Create template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+export const updateTemplate = async (req, res) => {
+  try {
+    const { templateId } = req.params;
+    const { name, description, theme, instructions } = req.body;
+
+    const existing = await prisma.challengeTemplate.findUnique({
+      where: { id: templateId },
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found',
+      });
+    }
+
+    const template = await prisma.challengeTemplate.update({
+      where: { id: templateId },
+      data: {
+        ...(name && { name }),
+        ...(description !== undefined && { description }),
+        ...(theme && { theme }),
+        ...(instructions && { instructions }),
+      },
+    });
+
+    res.json({
+      success: true,
+      message: 'Template updated successfully',
+      data: template,
+    });
+  } catch (error) {
+    console.error('Update template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+export const deleteTemplate = async (req, res) => {
+  try {
+    const { templateId } = req.params;
+
+    const existing = await prisma.challengeTemplate.findUnique({
+      where: { id: templateId },
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found',
+      });
+    }
+
+    await prisma.challengeTemplate.delete({
+      where: { id: templateId },
+    });
+
+    res.json({
+      success: true,
+      message: 'Template deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Start a new (unpublished) challenge from a template
+export const createChallengeFromTemplate = async (req, res) => {
+  try {
+    const { templateId } = req.params;
+    const { year, month, goLiveDate, closingDate, theme, timezone } = req.body;
+
+    const template = await prisma.challengeTemplate.findUnique({
+      where: { id: templateId },
+    });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found',
+      });
+    }
+
+    const challenge = await createChallengeFromBlueprint(
+      template,
+      {
+        year,
+        month,
+        goLiveDate,
+        closingDate,
+        theme,
+        timezone,
+        ...pickAudience(req.body),
+      },
+      req.user.id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Challenge created from template with ${challenge.tasks.length} task(s)`,
+      data: challenge,
+    });
+  } catch (error) {
+    console.error('Create challenge from template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
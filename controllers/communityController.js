@@ -1,5 +1,7 @@
 // controllers/communityController.js
 import prisma from '../lib/prisma.js';
+import { getProgressStanding } from '../utils/latePolicy.js';
+import { getLiveChallengesForTeen } from '../utils/challengeAudience.js';
 
 /**
  * Get recent community activity feed with FOMO-inducing updates
@@ -7,19 +9,12 @@ import prisma from '../lib/prisma.js';
 export const getRecentActivity = async (req, res) => {
   try {
     const { limit = 20 } = req.query;
-    const currentDate = new Date();
 
-    // Get current active challenge
-    const currentChallenge = await prisma.monthlyChallenge.findFirst({
-      where: {
-        isPublished: true,
-        isActive: true,
-        goLiveDate: { lte: currentDate },
-        closingDate: { gte: currentDate },
-      },
-    });
+    // Activity from every live challenge this teen can take
+    const liveChallenges = await getLiveChallengesForTeen(req.teen);
+    const challengeIds = liveChallenges.map((challenge) => challenge.id);
 
-    if (!currentChallenge) {
+    if (challengeIds.length === 0) {
       return res.json({
         success: true,
         data: [],
@@ -31,7 +26,7 @@ export const getRecentActivity = async (req, res) => {
     // 1. Get recent challenge completions (last 7 days)
     const recentCompletions = await prisma.teenProgress.findMany({
       where: {
-        challengeId: currentChallenge.id,
+        challengeId: { in: challengeIds },
         percentage: 100,
         completedAt: {
           gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000),
@@ -89,7 +84,7 @@ export const getRecentActivity = async (req, res) => {
         },
         badge: {
           challenge: {
-            id: currentChallenge.id,
+            id: { in: challengeIds },
           },
         },
       },
@@ -142,7 +137,7 @@ export const getRecentActivity = async (req, res) => {
           gte: new Date(Date.now() - 24 * 60 * 60 * 1000),
         },
         task: {
-          challengeId: currentChallenge.id,
+          challengeId: { in: challengeIds },
         },
       },
       include: {
@@ -187,7 +182,7 @@ export const getRecentActivity = async (req, res) => {
     // 4. Get high performers (90%+ completion in last 3 days)
     const highPerformers = await prisma.teenProgress.findMany({
       where: {
-        challengeId: currentChallenge.id,
+        challengeId: { in: challengeIds },
         percentage: { gte: 90 },
         lastUpdated: {
           gte: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000),
@@ -314,14 +309,17 @@ export const getTopPerformers = async (req, res) => {
           },
           completedChallenges: 0,
           totalProgress: 0,
+          totalScore: 0,
           count: 0,
         };
       }
 
-      if (progress.percentage === 100) {
+      const standing = getProgressStanding(progress);
+      if (standing === 100) {
         teenStats[teenId].completedChallenges++;
       }
-      teenStats[teenId].totalProgress += progress.percentage;
+      teenStats[teenId].totalProgress += standing;
+      teenStats[teenId].totalScore += progress.score ?? 0;
       teenStats[teenId].count++;
     }
 
@@ -354,9 +352,11 @@ export const getTopPerformers = async (req, res) => {
       earnedBadges: badgeCountMap[teenId] || 0,
       averageProgress:
         Math.round((stats.totalProgress / stats.count) * 100) / 100,
+      totalScore: stats.totalScore,
     }));
 
-    // Sort by completed challenges, then badges, then average progress
+    // Sort by completed challenges, then badges, then average progress,
+    // then score
     performers.sort((a, b) => {
       if (b.completedChallenges !== a.completedChallenges) {
         return b.completedChallenges - a.completedChallenges;
@@ -364,7 +364,10 @@ export const getTopPerformers = async (req, res) => {
       if (b.earnedBadges !== a.earnedBadges) {
         return b.earnedBadges - a.earnedBadges;
       }
-      return b.averageProgress - a.averageProgress;
+      if (b.averageProgress !== a.averageProgress) {
+        return b.averageProgress - a.averageProgress;
+      }
+      return b.totalScore - a.totalScore;
     });
 
     // Return top 10
@@ -0,0 +1,131 @@
+// controllers/contentVersionController.js - Challenge & task change history
+import {
+  findVersionedEntity,
+  getContentVersions,
+  getContentVersion,
+  restoreContentVersion,
+} from '../utils/contentVersions.js';
+
+const LABELS = { challenge: 'Challenge', task: 'Task' };
+
+const notFound = (res, entityType) =>
+  res.status(404).json({
+    success: false,
+    message: `${LABELS[entityType]} not found`,
+  });
+
+// The same three endpoints exist for challenges and tasks
+const listVersions = (entityType, idParam) => async (req, res) => {
+  try {
+    const entityId = req.params[idParam];
+    const entity = await findVersionedEntity(entityType, entityId);
+
+    if (!entity) return notFound(res, entityType);
+
+    const versions = await getContentVersions(entityType, entityId);
+
+    res.json({
+      success: true,
+      data: {
+        currentVersion: entity.version ?? 1,
+        versions,
+      },
+    });
+  } catch (error) {
+    console.error(`Get ${entityType} versions error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+const showVersion = (entityType, idParam) => async (req, res) => {
+  try {
+    const entityId = req.params[idParam];
+    const version = parseInt(req.params.version);
+    const compareTo =
+      req.query.compareTo !== undefined
+        ? parseInt(req.query.compareTo)
+        : undefined;
+
+    const entry = await getContentVersion(
+      entityType,
+      entityId,
+      version,
+      compareTo
+    );
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: entry,
+    });
+  } catch (error) {
+    console.error(`Get ${entityType} version error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+const restoreVersion = (entityType, idParam) => async (req, res) => {
+  try {
+    const entityId = req.params[idParam];
+    const entity = await findVersionedEntity(entityType, entityId);
+
+    if (!entity) return notFound(res, entityType);
+
+    const entry = await getContentVersion(
+      entityType,
+      entityId,
+      parseInt(req.params.version)
+    );
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found',
+      });
+    }
+
+    const restored = await restoreContentVersion(
+      entityType,
+      entity,
+      entry,
+      req.user
+    );
+
+    res.json({
+      success: true,
+      message: restored.version
+        ? `Version ${entry.version} restored as version ${restored.version.version}`
+        : `Content already matches version ${entry.version}`,
+      data: restored.entity,
+    });
+  } catch (error) {
+    console.error(`Restore ${entityType} version error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+export const getChallengeVersions = listVersions('challenge', 'challengeId');
+export const getChallengeVersion = showVersion('challenge', 'challengeId');
+export const restoreChallengeVersion = restoreVersion(
+  'challenge',
+  'challengeId'
+);
+
+export const getTaskVersions = listVersions('task', 'taskId');
+export const getTaskVersion = showVersion('task', 'taskId');
+export const restoreTaskVersion = restoreVersion('task', 'taskId');
@@ -0,0 +1,203 @@
+// controllers/emailChangeController.js - Confirm or undo a teen email change
+import prisma from '../lib/prisma.js';
+import { verifyToken } from '../utils/emailService.js';
+import {
+  isEmailTaken,
+  applyEmailChange,
+  revertEmailChange,
+} from '../utils/emailChange.js';
+import { escapeHtml, renderPage } from '../utils/htmlPage.js';
+
+// Tokens are one-time: the link only works while it's the stored one
+const findTeenForToken = async (token, type, field) => {
+  if (!token) return null;
+
+  let decoded;
+  try {
+    decoded = verifyToken(token);
+  } catch (tokenError) {
+    return null;
+  }
+
+  if (decoded.type !== type) return null;
+
+  const teen = await prisma.teen.findUnique({
+    where: { id: decoded.id },
+  });
+
+  return teen && teen[field] === token ? teen : null;
+};
+
+const invalidLinkPage = renderPage(
+  'Link Expired',
+  '<p>This link is invalid or has expired. You can request a new email change from the TeenShapers app.</p>'
+);
+
+const errorPage = renderPage(
+  'Something Went Wrong',
+  '<p>Please try again later.</p>'
+);
+
+// The links only show a button; the change happens on POST so mail-client
+// link scanners can't confirm or undo it by prefetching the URL
+const renderActionPage = (title, text, action, token, buttonLabel) =>
+  renderPage(
+    title,
+    `
+    <p>${text}</p>
+    <form method="POST" action="/api/auth/${action}">
+      <input type="hidden" name="token" value="${escapeHtml(token)}">
+      <button type="submit">${buttonLabel}</button>
+    </form>
+    `
+  );
+
+// ============================================
+// NEW ADDRESS (CONFIRM)
+// ============================================
+
+// GET: link sent to the new address
+export const showEmailChangeConfirmation = async (req, res) => {
+  try {
+    const { token } = req.query;
+    const teen = await findTeenForToken(
+      token,
+      'email-change',
+      'emailChangeToken'
+    );
+
+    if (!teen || !teen.pendingEmail) {
+      return res.status(400).send(invalidLinkPage);
+    }
+
+    res.send(
+      renderActionPage(
+        'Confirm Your New Email',
+        `Use <strong>${escapeHtml(teen.pendingEmail)}</strong> for your TeenShapers account from now on?`,
+        'confirm-email-change',
+        token,
+        'Confirm New Email'
+      )
+    );
+  } catch (error) {
+    console.error('Show email change confirmation error:', error);
+    res.status(500).send(errorPage);
+  }
+};
+
+export const confirmEmailChange = async (req, res) => {
+  try {
+    const teen = await findTeenForToken(
+      req.body.token,
+      'email-change',
+      'emailChangeToken'
+    );
+
+    if (!teen || !teen.pendingEmail) {
+      return res.status(400).send(invalidLinkPage);
+    }
+
+    // Someone else may have registered the address since it was requested
+    if (await isEmailTaken(teen.pendingEmail, teen.id)) {
+      return res
+        .status(400)
+        .send(
+          renderPage(
+            'Email Already In Use',
+            '<p>This address now belongs to another account. Please choose a different one in the app.</p>'
+          )
+        );
+    }
+
+    await applyEmailChange(teen);
+
+    console.log('✅ Email changed for teen:', teen.id);
+
+    res.send(
+      renderPage(
+        'Email Changed',
+        `<p>Your TeenShapers account now uses <strong>${escapeHtml(teen.pendingEmail)}</strong>.</p>
+        <p><a href="teenshapers://email-changed?success=true">Open TeenShapers</a></p>`
+      )
+    );
+  } catch (error) {
+    console.error('Confirm email change error:', error);
+    res.status(500).send(errorPage);
+  }
+};
+
+// ============================================
+// OLD ADDRESS (UNDO)
+// ============================================
+
+// GET: "This wasn't me" link sent to the old address
+export const showEmailChangeRevert = async (req, res) => {
+  try {
+    const { token } = req.query;
+    const teen = await findTeenForToken(
+      token,
+      'email-change-revert',
+      'emailChangeRevertToken'
+    );
+
+    if (!teen || !teen.previousEmail) {
+      return res.status(400).send(invalidLinkPage);
+    }
+
+    res.send(
+      renderActionPage(
+        'Undo Email Change',
+        `This puts <strong>${escapeHtml(teen.previousEmail)}</strong> back on your TeenShapers account, signs out every device and asks you to set a new password.`,
+        'revert-email-change',
+        token,
+        'Undo the Change'
+      )
+    );
+  } catch (error) {
+    console.error('Show email change revert error:', error);
+    res.status(500).send(errorPage);
+  }
+};
+
+export const undoEmailChange = async (req, res) => {
+  try {
+    const teen = await findTeenForToken(
+      req.body.token,
+      'email-change-revert',
+      'emailChangeRevertToken'
+    );
+
+    if (!teen || !teen.previousEmail) {
+      return res.status(400).send(invalidLinkPage);
+    }
+
+    if (await isEmailTaken(teen.previousEmail, teen.id)) {
+      return res
+        .status(409)
+        .send(
+          renderPage(
+            'Email Already In Use',
+            '<p>Your old email address is now used by another account. Please contact support.</p>'
+          )
+        );
+    }
+
+    const revoked = await revertEmailChange(teen);
+
+    console.log(
+      `↩️ Email change reverted for teen ${teen.id} (${revoked} session(s) revoked)`
+    );
+
+    res.send(
+      renderPage(
+        'Change Undone',
+        `<p>Your account uses <strong>${escapeHtml(teen.previousEmail)}</strong> again and every device has been signed out.</p>
+        <p>We've sent that address a link to set a new password.</p>
+        <p><a href="teenshapers://email-change-reverted?success=true&amp;passwordReset=true">Open TeenShapers</a></p>`
+      )
+    );
+  } catch (error) {
+    console.error('Revert email change error:', error);
+    res.status(500).send(errorPage);
+  }
+};
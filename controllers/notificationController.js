@@ -128,13 +128,15 @@ export const sendNotificationToTeen = async (
 export const sendNotificationToAllTeensMobile = async (
   title,
   body,
-  data = {}
+  data = {},
+  teenWhere = {}
 ) => {
   try {
     const pushTokens = await prisma.pushToken.findMany({
       where: {
         teen: {
           isActive: true,
+          ...teenWhere,
         },
       },
     });
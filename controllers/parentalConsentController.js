@@ -0,0 +1,250 @@
+// controllers/parentalConsentController.js - Guardian consent for young teens
+import prisma from '../lib/prisma.js';
+import { verifyToken } from '../utils/emailService.js';
+import {
+  getParentalConsentAge,
+  requestParentalConsent,
+} from '../utils/parentalConsent.js';
+import { getSessionContext } from '../utils/sessionService.js';
+import { escapeHtml, renderPage } from '../utils/htmlPage.js';
+import { sendNotificationToTeen } from './notificationController.js';
+import { getTeenLanguage, t } from '../utils/i18n.js';
+
+// Returns the teen for a valid consent token, or null
+const findTeenForConsentToken = async (token) => {
+  if (!token) return null;
+
+  let decoded;
+  try {
+    decoded = verifyToken(token);
+  } catch (tokenError) {
+    return null;
+  }
+
+  if (decoded.type !== 'parental-consent') return null;
+
+  const teen = await prisma.teen.findUnique({
+    where: { id: decoded.id },
+  });
+
+  // The link only works for the parent address it was sent to
+  if (!teen || teen.parentEmail !== decoded.parentEmail) return null;
+
+  return teen;
+};
+
+const invalidLinkPage = renderPage(
+  'Link Expired',
+  '<p>This consent link is invalid or has expired. Ask your teen to contact TeenShapers so we can send you a new one.</p>'
+);
+
+// ============================================
+// PARENT-FACING (CONSENT LINK)
+// ============================================
+
+// GET: show what the parent is agreeing to. Consent is only recorded on POST
+// so link scanners in mail clients can't give it by prefetching the URL.
+export const showParentalConsent = async (req, res) => {
+  try {
+    const { token } = req.query;
+    const teen = await findTeenForConsentToken(token);
+
+    if (!teen) {
+      return res.status(400).send(invalidLinkPage);
+    }
+
+    const teenName = escapeHtml(teen.name);
+
+    if (teen.parentalConsentStatus === 'GRANTED') {
+      return res.send(
+        renderPage(
+          'Already Confirmed',
+          `<p>You have already given consent for <strong>${teenName}</strong>. Thank you!</p>`
+        )
+      );
+    }
+
+    res.send(
+      renderPage(
+        'Parental Consent',
+        `
+        <p><strong>${teenName}</strong> has signed up for TeenShapers and listed you as their parent or guardian.</p>
+        <p>By giving consent you allow ${teenName} to appear on the public leaderboard and community feed, and to purchase badges in the app.</p>
+        <form method="POST" action="/api/auth/parental-consent">
+          <input type="hidden" name="token" value="${token}">
+          <button type="submit">I Give Consent</button>
+        </form>
+        `
+      )
+    );
+  } catch (error) {
+    console.error('Show parental consent error:', error);
+    res
+      .status(500)
+      .send(
+        renderPage('Something Went Wrong', '<p>Please try again later.</p>')
+      );
+  }
+};
+
+export const giveParentalConsent = async (req, res) => {
+  try {
+    const teen = await findTeenForConsentToken(req.body.token);
+
+    if (!teen) {
+      return res.status(400).send(invalidLinkPage);
+    }
+
+    if (teen.parentalConsentStatus !== 'GRANTED') {
+      await prisma.teen.update({
+        where: { id: teen.id },
+        data: {
+          parentalConsentStatus: 'GRANTED',
+          parentalConsentAt: new Date(),
+          parentalConsentIp: getSessionContext(req).ipAddress,
+        },
+      });
+
+      try {
+        const language = getTeenLanguage(teen);
+        await sendNotificationToTeen(
+          teen.id,
+          t(language, 'push.consentGranted.title'),
+          t(language, 'push.consentGranted.body'),
+          { type: 'PARENTAL_CONSENT_GRANTED' }
+        );
+      } catch (notificationError) {
+        console.error('⚠️ Consent notification failed:', notificationError);
+      }
+
+      console.log('✅ Parental consent granted for teen:', teen.id);
+    }
+
+    res.send(
+      renderPage(
+        'Thank You!',
+        `<p>Consent for <strong>${escapeHtml(teen.name)}</strong> has been recorded. All TeenShapers features are now unlocked for them.</p>`
+      )
+    );
+  } catch (error) {
+    console.error('Give parental consent error:', error);
+    res
+      .status(500)
+      .send(
+        renderPage('Something Went Wrong', '<p>Please try again later.</p>')
+      );
+  }
+};
+
+// ============================================
+// ADMIN
+// ============================================
+
+export const getPendingConsents = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const where = { parentalConsentStatus: 'PENDING' };
+
+    const [teens, total] = await Promise.all([
+      prisma.teen.findMany({
+        where,
+        skip,
+        take: parseInt(limit),
+        select: {
+          id: true,
+          name: true,
+          email: true,
+          age: true,
+          parentEmail: true,
+          parentalConsentRequestedAt: true,
+          createdAt: true,
+        },
+        orderBy: { createdAt: 'desc' },
+      }),
+      prisma.teen.count({ where }),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        teens,
+        consentAge: getParentalConsentAge(),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get pending consents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Staff can correct the parent email here; teens can't while consent is
+// pending
+export const resendParentalConsent = async (req, res) => {
+  try {
+    const { teenId } = req.params;
+    // No body at all when staff just resend
+    const parentEmail = req.body?.parentEmail;
+
+    let teen = await prisma.teen.findUnique({
+      where: { id: teenId },
+    });
+
+    if (!teen) {
+      return res.status(404).json({
+        success: false,
+        message: 'Teen not found',
+      });
+    }
+
+    if (teen.parentalConsentStatus !== 'PENDING') {
+      return res.status(400).json({
+        success: false,
+        message: 'This teen is not waiting for parental consent',
+      });
+    }
+
+    if (parentEmail && parentEmail !== teen.parentEmail) {
+      if (parentEmail === teen.email || parentEmail === teen.pendingEmail) {
+        return res.status(400).json({
+          success: false,
+          message: "Parent email must be different from the teen's own email",
+        });
+      }
+
+      teen = await prisma.teen.update({
+        where: { id: teen.id },
+        data: { parentEmail },
+      });
+    }
+
+    if (!teen.parentEmail) {
+      return res.status(400).json({
+        success: false,
+        message: 'No parent email on file for this teen',
+      });
+    }
+
+    await requestParentalConsent(teen);
+
+    res.json({
+      success: true,
+      message: `Consent request sent to ${teen.parentEmail}`,
+    });
+  } catch (error) {
+    console.error('Resend parental consent error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
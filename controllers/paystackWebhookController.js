@@ -128,7 +128,7 @@ async function handleSuccessfulCharge(data) {
       },
     });
 
-    if (progress && progress.percentage === 100) {
+    if (progress?.completedAt) {
       await prisma.teenBadge.update({
         where: { id: teenBadge.id },
         data: {
@@ -74,7 +74,7 @@ export const getYearlyProgress = async (req, res) => {
 
     // Calculate yearly stats
     const completedChallenges = yearlyProgress.filter(
-      (p) => p.percentage === 100
+      (p) => p.completedAt
     ).length;
     const totalPercentage = yearlyProgress.reduce(
       (sum, p) => sum + p.percentage,
@@ -135,7 +135,7 @@ export const getProgressAnalytics = async (req, res) => {
     const analytics = challenges.map((challenge) => {
       const totalParticipants = challenge.progress.length;
       const completedCount = challenge.progress.filter(
-        (p) => p.percentage === 100
+        (p) => p.completedAt
       ).length;
 
       const averageProgress =
@@ -144,6 +144,20 @@ export const getProgressAnalytics = async (req, res) => {
             totalParticipants
           : 0;
 
+      // Records from before weighted progress have no required/score fields
+      const weighted = challenge.progress.filter(
+        (p) =>
+          p.requiredPercentage !== null && p.requiredPercentage !== undefined
+      );
+      const averageOf = (field) =>
+        weighted.length > 0
+          ? Math.round(
+              (weighted.reduce((sum, p) => sum + p[field], 0) /
+                weighted.length) *
+                100
+            ) / 100
+          : 0;
+
       const progressDistribution = {
         '0-25': challenge.progress.filter(
           (p) => p.percentage >= 0 && p.percentage < 25
@@ -155,7 +169,7 @@ export const getProgressAnalytics = async (req, res) => {
           (p) => p.percentage >= 50 && p.percentage < 75
         ).length,
         '75-99': challenge.progress.filter(
-          (p) => p.percentage >= 75 && p.percentage < 100
+          (p) => p.percentage >= 75 && !p.completedAt
         ).length,
         100: completedCount,
       };
@@ -177,6 +191,9 @@ export const getProgressAnalytics = async (req, res) => {
                 100
               : 0,
           averageProgress: Math.round(averageProgress * 100) / 100,
+          averageRequiredPercentage: averageOf('requiredPercentage'),
+          averageScore: averageOf('score'),
+          averageBonusScore: averageOf('bonusScore'),
           progressDistribution,
         },
       };
@@ -0,0 +1,210 @@
+// controllers/questionBankController.js - Reusable quiz question banks
+import prisma from '../lib/prisma.js';
+import {
+  getTasksShortOfQuestions,
+  normalizeBankQuestions,
+} from '../utils/questionBanks.js';
+
+const bankCreatorSelect = {
+  select: {
+    id: true,
+    name: true,
+    email: true,
+  },
+};
+
+// Refuse a change that leaves randomized quizzes unable to draw
+const rejectShortQuizzes = (res, tasks) =>
+  res.status(409).json({
+    success: false,
+    message: `These quizzes would no longer have enough questions to draw: ${tasks
+      .map((task) => task.title)
+      .join(', ')}`,
+    data: { tasks },
+  });
+
+export const getQuestionBanks = async (req, res) => {
+  try {
+    const { topic, search } = req.query;
+
+    const where = {};
+
+    if (topic) {
+      where.topics = { has: topic };
+    }
+
+    if (search) {
+      where.OR = [
+        { name: { contains: search, mode: 'insensitive' } },
+        { description: { contains: search, mode: 'insensitive' } },
+      ];
+    }
+
+    const banks = await prisma.questionBank.findMany({
+      where,
+      include: { createdBy: bankCreatorSelect },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    res.json({
+      success: true,
+      data: banks.map((bank) => ({
+        ...bank,
+        questionCount: bank.questions.length,
+      })),
+    });
+  } catch (error) {
+    console.error('Get question banks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+export const getQuestionBankById = async (req, res) => {
+  try {
+    const { bankId } = req.params;
+
+    const bank = await prisma.questionBank.findUnique({
+      where: { id: bankId },
+      include: { createdBy: bankCreatorSelect },
+    });
+
+    if (!bank) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question bank not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: bank,
+    });
+  } catch (error) {
+    console.error('Get question bank error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+export const createQuestionBank = async (req, res) => {
+  try {
+    const { name, description, topics, questions } = req.body;
+
+    const bank = await prisma.questionBank.create({
+      data: {
+        name,
+        description,
+        topics: topics || [],
+        questions: normalizeBankQuestions(questions),
+        createdById: req.user.id,
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Question bank created successfully',
+      data: bank,
+    });
+  } catch (error) {
+    console.error('Create question bank error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Quizzes already drawn keep their copies of the questions
+export const updateQuestionBank = async (req, res) => {
+  try {
+    const { bankId } = req.params;
+    const { name, description, topics, questions } = req.body;
+
+    const existing = await prisma.questionBank.findUnique({
+      where: { id: bankId },
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question bank not found',
+      });
+    }
+
+    const updatedQuestions = questions
+      ? normalizeBankQuestions(questions, existing.questions)
+      : existing.questions;
+
+    const shortTasks = await getTasksShortOfQuestions(bankId, {
+      topics: topics || existing.topics,
+      questions: updatedQuestions,
+    });
+    if (shortTasks.length > 0) {
+      return rejectShortQuizzes(res, shortTasks);
+    }
+
+    const bank = await prisma.questionBank.update({
+      where: { id: bankId },
+      data: {
+        ...(name && { name }),
+        ...(description !== undefined && { description }),
+        ...(topics && { topics }),
+        ...(questions && { questions: updatedQuestions }),
+      },
+    });
+
+    res.json({
+      success: true,
+      message: 'Question bank updated successfully',
+      data: bank,
+    });
+  } catch (error) {
+    console.error('Update question bank error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+export const deleteQuestionBank = async (req, res) => {
+  try {
+    const { bankId } = req.params;
+
+    const existing = await prisma.questionBank.findUnique({
+      where: { id: bankId },
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question bank not found',
+      });
+    }
+
+    const shortTasks = await getTasksShortOfQuestions(bankId, null);
+    if (shortTasks.length > 0) {
+      return rejectShortQuizzes(res, shortTasks);
+    }
+
+    await prisma.questionBank.delete({
+      where: { id: bankId },
+    });
+
+    res.json({
+      success: true,
+      message: 'Question bank deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete question bank error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
@@ -1,6 +1,7 @@
 // controllers/raffleController.js
 import prisma from '../lib/prisma.js';
 import { validationResult } from 'express-validator';
+import { countRaffleBadgeMonths } from '../utils/helpers.js';
 
 export const checkRaffleEligibility = async (req, res) => {
   try {
@@ -15,20 +16,11 @@ export const checkRaffleEligibility = async (req, res) => {
       },
     });
 
-    // Get purchased badges count for the year
-    const purchasedBadgesCount = await prisma.teenBadge.count({
-      where: {
-        teenId: req.teen.id,
-        status: {
-          in: ['PURCHASED', 'EARNED'],
-        },
-        badge: {
-          challenge: {
-            year: parseInt(year),
-          },
-        },
-      },
-    });
+    // Months of the year with a purchased badge
+    const purchasedBadgesCount = await countRaffleBadgeMonths(
+      req.teen.id,
+      parseInt(year)
+    );
 
     const isEligible = purchasedBadgesCount === 12;
 
@@ -0,0 +1,172 @@
+// controllers/roleController.js - Configurable staff roles
+import prisma from '../lib/prisma.js';
+import { PERMISSIONS } from '../utils/permissions.js';
+
+export const getPermissions = async (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(PERMISSIONS).map(([name, description]) => ({
+      name,
+      description,
+    })),
+  });
+};
+
+export const getRoles = async (req, res) => {
+  try {
+    const roles = await prisma.staffRole.findMany({
+      include: {
+        _count: {
+          select: { users: true },
+        },
+      },
+      orderBy: { name: 'asc' },
+    });
+
+    res.json({
+      success: true,
+      data: roles,
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+export const createRole = async (req, res) => {
+  try {
+    const { name, description, permissions } = req.body;
+
+    const existingRole = await prisma.staffRole.findUnique({
+      where: { name },
+    });
+
+    if (existingRole) {
+      return res.status(400).json({
+        success: false,
+        message: 'A role with this name already exists',
+      });
+    }
+
+    const role = await prisma.staffRole.create({
+      data: {
+        name,
+        description,
+        permissions: [...new Set(permissions)],
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: role,
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+export const updateRole = async (req, res) => {
+  try {
+    const { roleId } = req.params;
+    const { name, description, permissions } = req.body;
+
+    const role = await prisma.staffRole.findUnique({
+      where: { id: roleId },
+    });
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found',
+      });
+    }
+
+    if (name && name !== role.name) {
+      const nameTaken = await prisma.staffRole.findUnique({
+        where: { name },
+      });
+
+      if (nameTaken) {
+        return res.status(400).json({
+          success: false,
+          message: 'A role with this name already exists',
+        });
+      }
+    }
+
+    const updatedRole = await prisma.staffRole.update({
+      where: { id: roleId },
+      data: {
+        ...(name !== undefined && { name }),
+        ...(description !== undefined && { description }),
+        ...(permissions !== undefined && {
+          permissions: [...new Set(permissions)],
+        }),
+      },
+    });
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: updatedRole,
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+export const deleteRole = async (req, res) => {
+  try {
+    const { roleId } = req.params;
+
+    const role = await prisma.staffRole.findUnique({
+      where: { id: roleId },
+      include: {
+        _count: {
+          select: { users: true },
+        },
+      },
+    });
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found',
+      });
+    }
+
+    if (role._count.users > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete a role assigned to ${role._count.users} staff member(s). Reassign them first.`,
+      });
+    }
+
+    await prisma.staffRole.delete({
+      where: { id: roleId },
+    });
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
@@ -0,0 +1,50 @@
+// controllers/scheduleController.js - Scheduled challenge publish/close
+import {
+  runChallengeSchedule,
+  getUpcomingTransitions,
+} from '../utils/challengeScheduler.js';
+
+// Cron endpoint (and manual "run now" for admins) - idempotent
+export const runScheduledTransitions = async (req, res) => {
+  try {
+    const result = await runChallengeSchedule();
+
+    console.log(
+      `📅 Challenge schedule run: ${result.published.length} published, ${result.closed.length} closed`
+    );
+
+    res.json({
+      success: true,
+      message: 'Scheduled transitions applied',
+      data: result,
+    });
+  } catch (error) {
+    console.error('Run scheduled transitions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+export const getScheduledTransitions = async (req, res) => {
+  try {
+    const days = parseInt(req.query.days || '30');
+
+    const transitions = await getUpcomingTransitions(days);
+
+    res.json({
+      success: true,
+      data: {
+        transitions,
+        days,
+      },
+    });
+  } catch (error) {
+    console.error('Get scheduled transitions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
@@ -0,0 +1,89 @@
+// controllers/sessionController.js
+import {
+  listTeenSessions,
+  revokeTeenSession,
+  revokeAllSessions,
+} from '../utils/sessionService.js';
+
+// ============================================
+// TEEN-FACING ENDPOINTS
+// ============================================
+
+export const getMySessions = async (req, res) => {
+  try {
+    const sessions = await listTeenSessions(req.teen.id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map((session) => ({
+          ...session,
+          isCurrent: session.id === req.sessionId,
+        })),
+        total: sessions.length,
+      },
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+export const revokeMySession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const revoked = await revokeTeenSession(sessionId, req.teen.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message:
+        sessionId === req.sessionId
+          ? 'Signed out of this device'
+          : 'Device signed out successfully',
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+export const revokeAllMySessions = async (req, res) => {
+  try {
+    // By default keep the device making the request signed in
+    const includeCurrent = req.query.includeCurrent === 'true';
+
+    const revoked = await revokeAllSessions(
+      req.teen.id,
+      'teen',
+      includeCurrent ? undefined : req.sessionId
+    );
+
+    res.json({
+      success: true,
+      message: includeCurrent
+        ? 'Signed out of all devices'
+        : 'Signed out of all other devices',
+      data: { revokedSessions: revoked },
+    });
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
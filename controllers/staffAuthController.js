@@ -0,0 +1,291 @@
+// controllers/staffAuthController.js - Staff invitations and password reset
+import bcrypt from 'bcryptjs';
+import prisma from '../lib/prisma.js';
+import {
+  generateStaffPasswordResetToken,
+  sendStaffPasswordResetEmail,
+  verifyToken,
+} from '../utils/emailService.js';
+import {
+  isInvitationPending,
+  sendStaffInvitation,
+} from '../utils/staffInvitation.js';
+import { revokeAllSessions } from '../utils/sessionService.js';
+
+// Look up the staff member a one-time token was issued to. The token must
+// match the one stored on the account, so each link works only once.
+const findUserForToken = async (token, type) => {
+  let decoded;
+  try {
+    decoded = verifyToken(token);
+  } catch (tokenError) {
+    return null;
+  }
+
+  if (decoded.type !== type) return null;
+
+  const where =
+    type === 'staff-invitation'
+      ? { invitationToken: token, invitationExpires: { gte: new Date() } }
+      : {
+          passwordResetToken: token,
+          passwordResetExpires: { gte: new Date() },
+        };
+
+  return prisma.user.findFirst({
+    where: { id: decoded.id, ...where },
+  });
+};
+
+// ============================================
+// INVITATIONS
+// ============================================
+
+// Let the dashboard show who the invite is for before they pick a password
+export const validateStaffInvitation = async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token is required',
+      });
+    }
+
+    const user = await findUserForToken(token, 'staff-invitation');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid or has expired',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation is valid',
+      data: {
+        email: user.email,
+        name: user.name,
+        role: user.role,
+      },
+    });
+  } catch (error) {
+    console.error('Validate staff invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+export const acceptStaffInvitation = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const user = await findUserForToken(token, 'staff-invitation');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid or has expired',
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 12);
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        password: hashedPassword,
+        invitationToken: null,
+        invitationExpires: null,
+        invitationAcceptedAt: new Date(),
+      },
+    });
+
+    console.log('✅ Staff invitation accepted:', user.email);
+
+    res.json({
+      success: true,
+      message: 'Your account is ready. You can now log in.',
+    });
+  } catch (error) {
+    console.error('Accept staff invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Admin: send a new link when the first one expired or got lost
+export const resendStaffInvitation = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found',
+      });
+    }
+
+    if (!isInvitationPending(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This staff member has already accepted their invitation',
+      });
+    }
+
+    await sendStaffInvitation(user, req.user.name);
+
+    res.json({
+      success: true,
+      message: `Invitation sent to ${user.email}`,
+    });
+  } catch (error) {
+    console.error('Resend staff invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// ============================================
+// PASSWORD RESET
+// ============================================
+
+export const forgotStaffPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const genericResponse = {
+      success: true,
+      message:
+        'If a staff account exists with this email, a password reset link has been sent',
+    };
+
+    const user = await prisma.user.findUnique({
+      where: { email },
+    });
+
+    // Always return success to prevent email enumeration
+    if (!user || !user.isActive) {
+      return res.json(genericResponse);
+    }
+
+    // Never set a password yet - a fresh invitation is what they need
+    if (isInvitationPending(user)) {
+      await sendStaffInvitation(user, 'The TeenShapers team');
+      return res.json(genericResponse);
+    }
+
+    const resetToken = generateStaffPasswordResetToken(user.id);
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        passwordResetToken: resetToken,
+        passwordResetExpires: new Date(Date.now() + 3600000), // 1 hour
+      },
+    });
+
+    await sendStaffPasswordResetEmail(user.email, user.name, resetToken);
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Staff forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process password reset request',
+    });
+  }
+};
+
+export const validateStaffResetToken = async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token is required',
+      });
+    }
+
+    const user = await findUserForToken(token, 'staff-password-reset');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token is invalid or has expired',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token is valid',
+      data: {
+        email: user.email,
+      },
+    });
+  } catch (error) {
+    console.error('Validate staff reset token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+export const resetStaffPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const user = await findUserForToken(token, 'staff-password-reset');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token',
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 12);
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        password: hashedPassword,
+        passwordResetToken: null,
+        passwordResetExpires: null,
+        failedLoginAttempts: 0,
+        lockedUntil: null,
+      },
+    });
+
+    // Sign out every device that used the old password
+    await revokeAllSessions(user.id, 'user');
+
+    console.log('✅ Staff password reset successful for:', user.email);
+
+    res.json({
+      success: true,
+      message:
+        'Password reset successful. You can now login with your new password.',
+    });
+  } catch (error) {
+    console.error('Staff reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
@@ -16,6 +16,19 @@ import {
 } from '../utils/validation.js';
 import prisma from '../lib/prisma.js';
 import { uploadToCloudinary } from '../utils/fileUpload.js';
+import { checkSubmissionWindow } from '../utils/latePolicy.js';
+import { isTeenEligibleForChallenge } from '../utils/challengeAudience.js';
+import { getRequestLanguage, localizeRecord } from '../utils/i18n.js';
+import {
+  gradeQuiz,
+  getTeenGrading,
+  isMultiSelect,
+  isRandomizedQuiz,
+} from '../utils/quizGrading.js';
+import {
+  getOpenQuizAttempt,
+  getAttemptQuizOptions,
+} from '../utils/questionBanks.js';
 
 // ============================================
 // TEEN-FACING ENDPOINTS
@@ -50,15 +63,30 @@ export const submitTaskResponse = async (req, res) => {
       });
     }
 
-    // ✅ REMOVED: Strict date validation - allow submissions anytime
-    // Check only if challenge is published
-    if (!task.challenge.isPublished) {
+    if (
+      !task.challenge.isPublished ||
+      !isTeenEligibleForChallenge(req.teen, task.challenge)
+    ) {
       return res.status(403).json({
         success: false,
         message: 'Challenge is not available',
       });
     }
 
+    // Due date / closing date, per the challenge's late policy
+    const submissionWindow = checkSubmissionWindow(
+      task,
+      task.challenge,
+      req.teen
+    );
+
+    if (!submissionWindow.accepted) {
+      return res.status(403).json({
+        success: false,
+        message: submissionWindow.message,
+      });
+    }
+
     // Check if submission already exists
     const existingSubmission = await prisma.submission.findUnique({
       where: {
@@ -88,6 +116,9 @@ export const submitTaskResponse = async (req, res) => {
     let processedContent;
     let fileUrls = [];
     let validationError = null;
+    let grading = null;
+    let quizOptions = task.options;
+    let quizAttempt = null;
 
     switch (task.taskType) {
       case 'TEXT':
@@ -162,23 +193,43 @@ export const submitTaskResponse = async (req, res) => {
         break;
 
       case 'QUIZ':
+        // Randomized quizzes are checked against the questions this teen drew
+        if (isRandomizedQuiz(task)) {
+          quizAttempt = await getOpenQuizAttempt(task.id, teenId);
+          if (!quizAttempt?.questions?.length) {
+            validationError = 'Open the quiz to get your questions first';
+            break;
+          }
+          quizOptions = getAttemptQuizOptions(task, quizAttempt);
+        }
+
         console.log('🎯 QUIZ validation:', {
           parsedContent,
-          taskOptions: task.options,
+          taskOptions: quizOptions,
         });
-        validationError = validateQuizSubmission(parsedContent, task.options);
+        validationError = validateQuizSubmission(parsedContent, quizOptions);
         if (!validationError) {
           // parsedContent is already an object with answers
           const answers = parsedContent.answers || parsedContent;
-          // Ensure all values are strings
+          const multiSelectIds = new Set(
+            (quizOptions?.questions || [])
+              .filter(isMultiSelect)
+              .map((question) => question.id)
+          );
+          // Ensure all values are strings (lists for multi-select)
           const sanitizedAnswers = {};
           Object.keys(answers).forEach((key) => {
-            sanitizedAnswers[key] = String(answers[key]);
+            sanitizedAnswers[key] = multiSelectIds.has(key)
+              ? [].concat(answers[key]).map(String)
+              : String(answers[key]);
           });
           processedContent = {
             answers: sanitizedAnswers,
             submittedAt: new Date().toISOString(),
           };
+
+          // Quizzes with an answer key are marked straight away
+          grading = gradeQuiz(quizOptions, sanitizedAnswers, task.maxScore);
         }
         break;
 
@@ -323,6 +374,9 @@ export const submitTaskResponse = async (req, res) => {
 
     console.log('✅ Final processed content:', processedContent);
 
+    // Auto-approve by default; graded quizzes pass or fail on the pass mark
+    const autoStatus = grading && !grading.passed ? 'REJECTED' : 'APPROVED';
+
     // Create or update submission
     const submission = existingSubmission
       ? await prisma.submission.update({
@@ -330,8 +384,13 @@ export const submitTaskResponse = async (req, res) => {
           data: {
             content: processedContent,
             fileUrls,
-            status: 'APPROVED', // Auto-approve by default
+            status: autoStatus,
+            ...(grading && { score: grading.score, grading }),
+            ...(quizAttempt && { quizAttemptId: quizAttempt.id }),
             submittedAt: new Date(),
+            isLate: submissionWindow.isLate,
+            lateCredit: submissionWindow.lateCredit,
+            taskVersion: task.version ?? 1,
           },
           include: {
             task: {
@@ -350,7 +409,12 @@ export const submitTaskResponse = async (req, res) => {
             teenId,
             content: processedContent,
             fileUrls,
-            status: 'APPROVED', // Auto-approve by default
+            status: autoStatus,
+            ...(grading && { score: grading.score, grading }),
+            ...(quizAttempt && { quizAttemptId: quizAttempt.id }),
+            isLate: submissionWindow.isLate,
+            lateCredit: submissionWindow.lateCredit,
+            taskVersion: task.version ?? 1,
           },
           include: {
             task: {
@@ -366,15 +430,26 @@ export const submitTaskResponse = async (req, res) => {
 
     console.log('✅ Submission saved:', submission.id);
 
+    // A retry after this gets a fresh draw
+    if (quizAttempt) {
+      await prisma.quizAttempt.update({
+        where: { id: quizAttempt.id },
+        data: { submittedAt: new Date() },
+      });
+    }
+
     // Update teen progress
     await updateTeenProgressHelper(teenId, task.challengeId);
 
     res.status(existingSubmission ? 200 : 201).json({
       success: true,
-      message: existingSubmission
-        ? 'Submission updated successfully'
-        : 'Submission created successfully',
-      data: submission,
+      message:
+        autoStatus === 'REJECTED'
+          ? `You scored ${grading.percentage}% - ${grading.passMark}% is needed to pass. Try again!`
+          : existingSubmission
+            ? 'Submission updated successfully'
+            : 'Submission created successfully',
+      data: { ...submission, grading: getTeenGrading(submission.grading) },
     });
   } catch (error) {
     console.error('❌ Submit task response error:', error);
@@ -421,12 +496,14 @@ export const getMySubmissions = async (req, res) => {
             tabName: true,
             taskType: true,
             maxScore: true,
+            translations: true,
             challenge: {
               select: {
                 id: true,
                 theme: true,
                 year: true,
                 month: true,
+                translations: true,
               },
             },
           },
@@ -437,10 +514,23 @@ export const getMySubmissions = async (req, res) => {
       },
     });
 
+    const language = getRequestLanguage(req);
+
     res.json({
       success: true,
       data: {
-        submissions,
+        submissions: submissions.map((submission) => ({
+          ...submission,
+          grading: getTeenGrading(submission.grading),
+          task: {
+            ...localizeRecord(submission.task, 'task', language),
+            challenge: localizeRecord(
+              submission.task.challenge,
+              'challenge',
+              language
+            ),
+          },
+        })),
         total: submissions.length,
       },
     });
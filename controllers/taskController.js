@@ -1,5 +1,31 @@
 // controllers/taskController.js
 import prisma from '../lib/prisma.js';
+import {
+  AUDIENCE_SELECT,
+  isTeenEligibleForChallenge,
+} from '../utils/challengeAudience.js';
+import { recordContentVersion } from '../utils/contentVersions.js';
+import { getRequestLanguage, localizeRecord } from '../utils/i18n.js';
+import {
+  getChallengeWindow,
+  getTaskDueAt,
+  parseWallClock,
+} from '../utils/challengeTime.js';
+import { recalculateChallengeProgress } from '../utils/helpers.js';
+import {
+  checkSubmissionWindow,
+  resolveLatePolicy,
+} from '../utils/latePolicy.js';
+import {
+  getQuizOptionsError,
+  getTeenGrading,
+  getTeenTaskOptions,
+  isRandomizedQuiz,
+} from '../utils/quizGrading.js';
+import {
+  getQuestionPoolError,
+  getQuizAttemptForTeen,
+} from '../utils/questionBanks.js';
 
 // CREATE Task
 export const createTask = async (req, res) => {
@@ -7,6 +33,7 @@ export const createTask = async (req, res) => {
     const {
       challengeId,
       tabName,
+      taskGroup,
       title,
       description,
       taskType,
@@ -15,6 +42,10 @@ export const createTask = async (req, res) => {
       completionRule,
       options,
       maxScore,
+      latePolicy,
+      graceMinutes,
+      lateCredit,
+      translations,
     } = req.body;
 
     // Validate challenge exists
@@ -39,18 +70,36 @@ export const createTask = async (req, res) => {
       }
     }
 
+    // Answer key, points and pass mark for auto-graded quizzes
+    if (taskType === 'QUIZ') {
+      const quizError =
+        getQuizOptionsError(options) ||
+        (options.draw ? await getQuestionPoolError(options) : null);
+      if (quizError) {
+        return res.status(400).json({
+          success: false,
+          message: quizError,
+        });
+      }
+    }
+
     const task = await prisma.task.create({
       data: {
         challengeId,
         tabName,
+        taskGroup: taskGroup || null,
         title,
         description,
         taskType,
-        dueDate: dueDate ? new Date(dueDate) : null,
+        dueDate: dueDate ? parseWallClock(dueDate) : null,
         isRequired: isRequired || false,
         completionRule: completionRule || 'Complete this task',
         options: options || null,
         maxScore: maxScore || 100,
+        latePolicy,
+        graceMinutes,
+        lateCredit,
+        translations: translations ?? undefined,
         createdById: req.user.id,
       },
       include: {
@@ -65,6 +114,9 @@ export const createTask = async (req, res) => {
       },
     });
 
+    // A new task changes what finishing the challenge takes
+    await recalculateChallengeProgress(challengeId);
+
     res.status(201).json({
       success: true,
       message: 'Task created successfully',
@@ -86,6 +138,7 @@ export const updateTask = async (req, res) => {
     const { taskId } = req.params;
     const {
       tabName,
+      taskGroup,
       title,
       description,
       taskType,
@@ -94,6 +147,10 @@ export const updateTask = async (req, res) => {
       completionRule,
       options,
       maxScore,
+      latePolicy,
+      graceMinutes,
+      lateCredit,
+      translations,
     } = req.body;
 
     // Check if task exists
@@ -108,16 +165,35 @@ export const updateTask = async (req, res) => {
       });
     }
 
+    if ((taskType || existing.taskType) === 'QUIZ' && options !== undefined) {
+      const quizError =
+        getQuizOptionsError(options) ||
+        (options.draw ? await getQuestionPoolError(options) : null);
+      if (quizError) {
+        return res.status(400).json({
+          success: false,
+          message: quizError,
+        });
+      }
+    }
+
     const updateData = {};
     if (tabName) updateData.tabName = tabName;
+    // null puts the task back in its tab's group
+    if (taskGroup !== undefined) updateData.taskGroup = taskGroup;
     if (title) updateData.title = title;
     if (description) updateData.description = description;
     if (taskType) updateData.taskType = taskType;
-    if (dueDate) updateData.dueDate = new Date(dueDate);
+    if (dueDate) updateData.dueDate = parseWallClock(dueDate);
     if (typeof isRequired === 'boolean') updateData.isRequired = isRequired;
     if (completionRule) updateData.completionRule = completionRule;
     if (options !== undefined) updateData.options = options;
     if (maxScore) updateData.maxScore = maxScore;
+    // null clears the override so the challenge's policy applies again
+    if (latePolicy !== undefined) updateData.latePolicy = latePolicy;
+    if (graceMinutes !== undefined) updateData.graceMinutes = graceMinutes;
+    if (lateCredit !== undefined) updateData.lateCredit = lateCredit;
+    if (translations !== undefined) updateData.translations = translations;
 
     const task = await prisma.task.update({
       where: { id: taskId },
@@ -132,6 +208,17 @@ export const updateTask = async (req, res) => {
       },
     });
 
+    await recordContentVersion('task', existing, task, req.user);
+
+    if (
+      task.tabName !== existing.tabName ||
+      task.taskGroup !== existing.taskGroup ||
+      task.isRequired !== existing.isRequired ||
+      task.maxScore !== existing.maxScore
+    ) {
+      await recalculateChallengeProgress(task.challengeId);
+    }
+
     res.json({
       success: true,
       message: 'Task updated successfully',
@@ -167,6 +254,8 @@ export const deleteTask = async (req, res) => {
       where: { id: taskId },
     });
 
+    await recalculateChallengeProgress(task.challengeId);
+
     res.json({
       success: true,
       message: 'Task deleted successfully',
@@ -282,10 +371,16 @@ export const getTaskDetails = async (req, res) => {
           select: {
             id: true,
             theme: true,
+            translations: true,
             isPublished: true,
             isActive: true,
             goLiveDate: true,
             closingDate: true,
+            timezone: true,
+            latePolicy: true,
+            graceMinutes: true,
+            lateCredit: true,
+            ...AUDIENCE_SELECT,
           },
         },
       },
@@ -300,20 +395,33 @@ export const getTaskDetails = async (req, res) => {
 
     // ✅ UPDATED: Only check if challenge is published
     // Allow viewing tasks from past challenges
-    if (!task.challenge.isPublished) {
+    if (
+      !task.challenge.isPublished ||
+      !isTeenEligibleForChallenge(req.teen, task.challenge)
+    ) {
       return res.status(403).json({
         success: false,
         message: 'Challenge is not available',
       });
     }
 
-    // ✅ NEW: Check if challenge/task is past closing date
+    // ✅ NEW: Check if challenge/task is past closing date (teen's timezone)
     const currentDate = new Date();
-    const isPastChallenge = task.challenge.closingDate < currentDate;
-    const isChallengeOpen =
-      task.challenge.isActive &&
-      task.challenge.goLiveDate <= currentDate &&
-      task.challenge.closingDate >= currentDate;
+    const { timezone, closesAt } = getChallengeWindow(task.challenge, req.teen);
+    const isPastChallenge = closesAt < currentDate;
+
+    // Same rules the submit endpoint applies (utils/latePolicy.js)
+    const submissionWindow = checkSubmissionWindow(
+      task,
+      task.challenge,
+      req.teen,
+      currentDate
+    );
+    const { policy, deadline, graceEnds, lateCredit } = resolveLatePolicy(
+      task,
+      task.challenge,
+      req.teen
+    );
 
     // Get teen's submission for this task
     const submission = await prisma.submission.findUnique({
@@ -325,25 +433,54 @@ export const getTaskDetails = async (req, res) => {
       },
     });
 
+    // Randomized quizzes show the questions this teen drew
+    const quizAttempt = isRandomizedQuiz(task)
+      ? await getQuizAttemptForTeen(task, req.teen.id, submission)
+      : null;
+
+    if (isRandomizedQuiz(task) && !quizAttempt) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "This quiz isn't ready yet. Please check back later or ask a TeenShapers leader.",
+      });
+    }
+
+    const language = getRequestLanguage(req);
+    const localizedTask = localizeRecord(task, 'task', language);
+
     res.json({
       success: true,
       data: {
         task: {
           id: task.id,
-          title: task.title,
-          description: task.description,
+          title: localizedTask.title,
+          description: localizedTask.description,
           taskType: task.taskType,
           dueDate: task.dueDate,
-          options: task.options,
+          dueAt: getTaskDueAt(task, task.challenge, req.teen),
+          // Answer key stays hidden; explanations come with the submission
+          options: getTeenTaskOptions(task, quizAttempt),
           tabName: task.tabName,
+          acceptingSubmissions: submissionWindow.accepted,
+          // A submission made now would be flagged late
+          submissionWouldBeLate: Boolean(submissionWindow.isLate),
+          latePolicy: policy,
+          deadline,
+          graceEnds,
+          lateCredit,
         },
         challenge: {
           id: task.challenge.id,
-          theme: task.challenge.theme,
-          isChallengeOpen, // Whether submissions are within normal timeframe
+          theme: localizeRecord(task.challenge, 'challenge', language).theme,
+          // Whether this task takes on-time submissions right now
+          isChallengeOpen:
+            submissionWindow.accepted && !submissionWindow.isLate,
           isPastChallenge, // ✅ NEW: Whether challenge has closed
           closingDate: task.challenge.closingDate,
-          allowLateSubmission: true, // ✅ NEW: Always allow submissions
+          closesAt,
+          timezone,
+          allowLateSubmission: policy !== 'HARD_CLOSE',
         },
         submission: submission
           ? {
@@ -351,10 +488,11 @@ export const getTaskDetails = async (req, res) => {
               content: submission.content,
               fileUrls: submission.fileUrls,
               status: submission.status,
+              score: submission.score,
+              grading: getTeenGrading(submission.grading),
               submittedAt: submission.submittedAt,
-              // ✅ NEW: Indicate if submission was late
-              submittedLate:
-                submission.submittedAt > task.challenge.closingDate,
+              // As flagged when it was submitted
+              submittedLate: submission.isLate,
             }
           : null,
       },
@@ -1,5 +1,25 @@
 // controllers/teenController.js
 import prisma from '../lib/prisma.js';
+import { hasParentalConsent } from '../utils/parentalConsent.js';
+import {
+  isEmailTaken,
+  isRevertWindowOpen,
+  requestEmailChange,
+} from '../utils/emailChange.js';
+import {
+  isTeenEligibleForChallenge,
+  getLiveChallengesForTeen,
+} from '../utils/challengeAudience.js';
+import {
+  getRequestLanguage,
+  localizeChallenge,
+  localizeRecord,
+} from '../utils/i18n.js';
+import {
+  getChallengeWindow,
+  getWallClockRange,
+} from '../utils/challengeTime.js';
+import { getTeenGrading } from '../utils/quizGrading.js';
 
 export const getAllTeens = async (req, res) => {
   try {
@@ -39,6 +59,7 @@ export const getAllTeens = async (req, res) => {
           country: true,
           profilePhoto: true,
           isActive: true,
+          lockedUntil: true,
           optInPublic: true,
           createdAt: true,
           _count: {
@@ -191,6 +212,20 @@ export const updateTeen = async (req, res) => {
     const { teenId } = req.params;
     const { isActive, optInPublic } = req.body;
 
+    if (optInPublic) {
+      const existingTeen = await prisma.teen.findUnique({
+        where: { id: teenId },
+        select: { parentalConsentStatus: true },
+      });
+
+      if (existingTeen && !hasParentalConsent(existingTeen)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Teen cannot be made public until a parent gives consent',
+        });
+      }
+    }
+
     const updateData = {};
     if (isActive !== undefined) updateData.isActive = isActive;
     if (optInPublic !== undefined) updateData.optInPublic = optInPublic;
@@ -221,6 +256,42 @@ export const updateTeen = async (req, res) => {
   }
 };
 
+// Clear a login lockout before it expires (e.g. teen confirmed by phone)
+export const unlockTeen = async (req, res) => {
+  try {
+    const { teenId } = req.params;
+
+    const teen = await prisma.teen.findUnique({
+      where: { id: teenId },
+    });
+
+    if (!teen) {
+      return res.status(404).json({
+        success: false,
+        message: 'Teen not found',
+      });
+    }
+
+    await prisma.teen.update({
+      where: { id: teenId },
+      data: { failedLoginAttempts: 0, lockedUntil: null },
+    });
+
+    console.log('🔓 Teen account unlocked:', teen.email);
+
+    res.json({
+      success: true,
+      message: 'Teen account unlocked',
+    });
+  } catch (error) {
+    console.error('Unlock teen error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
 export const getTeenStats = async (req, res) => {
   try {
     const totalTeens = await prisma.teen.count();
@@ -265,6 +336,12 @@ export const getProfile = async (req, res) => {
         parentEmail: true,
         isActive: true,
         optInPublic: true,
+        parentalConsentStatus: true,
+        parentalConsentAt: true,
+        pendingEmail: true,
+        deletionScheduledFor: true,
+        preferredLanguage: true,
+        timezone: true,
         createdAt: true,
       },
     });
@@ -293,6 +370,7 @@ export const updateProfile = async (req, res) => {
   try {
     const {
       name,
+      email,
       age,
       gender,
       state,
@@ -300,6 +378,8 @@ export const updateProfile = async (req, res) => {
       profilePhoto,
       parentEmail,
       optInPublic,
+      preferredLanguage,
+      timezone,
     } = req.body;
 
     const updateData = {};
@@ -311,6 +391,56 @@ export const updateProfile = async (req, res) => {
     if (profilePhoto !== undefined) updateData.profilePhoto = profilePhoto;
     if (parentEmail !== undefined) updateData.parentEmail = parentEmail;
     if (optInPublic !== undefined) updateData.optInPublic = optInPublic;
+    if (preferredLanguage !== undefined) {
+      updateData.preferredLanguage = preferredLanguage;
+    }
+    if (timezone !== undefined) updateData.timezone = timezone;
+
+    const consentPending = !hasParentalConsent(req.teen);
+
+    if (consentPending && optInPublic) {
+      return res.status(403).json({
+        success: false,
+        code: 'PARENTAL_CONSENT_REQUIRED',
+        message:
+          'You can join the public leaderboard once your parent or guardian gives consent.',
+      });
+    }
+
+    // Otherwise a teen could point the consent email at an inbox they own.
+    // Staff correct the address and resend the request instead.
+    if (
+      consentPending &&
+      parentEmail !== undefined &&
+      parentEmail !== req.teen.parentEmail
+    ) {
+      return res.status(403).json({
+        success: false,
+        code: 'PARENTAL_CONSENT_REQUIRED',
+        message:
+          "Your parent or guardian email can't be changed while we wait for their consent. Please ask a TeenShapers leader to correct it.",
+      });
+    }
+
+    // Email is never changed here - the new address has to confirm first
+    const emailChangeRequested = Boolean(email) && email !== req.teen.email;
+
+    if (emailChangeRequested) {
+      if (isRevertWindowOpen(req.teen)) {
+        return res.status(400).json({
+          success: false,
+          message:
+            'Your email was changed recently. Please try again in a few days.',
+        });
+      }
+
+      if (await isEmailTaken(email, req.teen.id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Email already in use',
+        });
+      }
+    }
 
     const updatedTeen = await prisma.teen.update({
       where: { id: req.teen.id },
@@ -326,12 +456,21 @@ export const updateProfile = async (req, res) => {
         profilePhoto: true,
         parentEmail: true,
         optInPublic: true,
+        preferredLanguage: true,
+        timezone: true,
       },
     });
 
+    if (emailChangeRequested) {
+      await requestEmailChange(req.teen, email);
+      updatedTeen.pendingEmail = email;
+    }
+
     res.json({
       success: true,
-      message: 'Profile updated successfully',
+      message: emailChangeRequested
+        ? 'Profile updated. Check your new email address to confirm the change.'
+        : 'Profile updated successfully',
       data: updatedTeen,
     });
   } catch (error) {
@@ -348,18 +487,11 @@ export const getDashboard = async (req, res) => {
     const currentDate = new Date();
     const currentYear = currentDate.getFullYear();
 
-    // Get current active challenge
-    const currentChallenge = await prisma.monthlyChallenge.findFirst({
-      where: {
-        isPublished: true,
-        isActive: true,
-        goLiveDate: { lte: currentDate },
-        closingDate: { gte: currentDate },
-      },
-      include: {
-        badge: true,
-      },
+    // Live challenges this teen can take; the first one is "current"
+    const liveChallenges = await getLiveChallengesForTeen(req.teen, {
+      badge: true,
     });
+    const currentChallenge = liveChallenges[0] || null;
 
     // Get teen's stats
     const [totalSubmissions, totalBadges, yearlyProgress] = await Promise.all([
@@ -382,7 +514,7 @@ export const getDashboard = async (req, res) => {
 
     // Calculate yearly stats
     const completedChallenges = yearlyProgress.filter(
-      (p) => p.percentage === 100
+      (p) => p.completedAt
     ).length;
     const averageProgress =
       yearlyProgress.length > 0
@@ -424,9 +556,11 @@ export const getDashboard = async (req, res) => {
           select: {
             title: true,
             taskType: true,
+            translations: true,
             challenge: {
               select: {
                 theme: true,
+                translations: true,
               },
             },
           },
@@ -438,20 +572,29 @@ export const getDashboard = async (req, res) => {
       take: 5,
     });
 
-    // Get upcoming challenges
-    const upcomingChallenges = await prisma.monthlyChallenge.findMany({
-      where: {
-        isPublished: true,
-        goLiveDate: { gt: currentDate },
-      },
-      include: {
-        badge: true,
-      },
-      orderBy: {
-        goLiveDate: 'asc',
-      },
-      take: 3,
-    });
+    // Get upcoming challenges meant for this teen (not yet live where they are)
+    const upcomingChallenges = (
+      await prisma.monthlyChallenge.findMany({
+        where: {
+          isPublished: true,
+          goLiveDate: { gt: getWallClockRange(currentDate).earliest },
+        },
+        include: {
+          badge: true,
+        },
+        orderBy: {
+          goLiveDate: 'asc',
+        },
+      })
+    )
+      .filter(
+        (challenge) =>
+          getChallengeWindow(challenge, req.teen).goLiveAt > currentDate &&
+          isTeenEligibleForChallenge(req.teen, challenge)
+      )
+      .slice(0, 3);
+
+    const language = getRequestLanguage(req);
 
     res.json({
       success: true,
@@ -464,7 +607,7 @@ export const getDashboard = async (req, res) => {
         },
         currentChallenge: currentChallenge
           ? {
-              ...currentChallenge,
+              ...localizeChallenge(currentChallenge, language),
               progress: currentProgress || {
                 tasksTotal: 0,
                 tasksCompleted: 0,
@@ -472,8 +615,28 @@ export const getDashboard = async (req, res) => {
               },
             }
           : null,
-        recentSubmissions,
-        upcomingChallenges,
+        otherLiveChallenges: liveChallenges.slice(1).map((challenge) => ({
+          id: challenge.id,
+          theme: localizeRecord(challenge, 'challenge', language).theme,
+          closingDate: challenge.closingDate,
+          closesAt: getChallengeWindow(challenge, req.teen).closesAt,
+        })),
+        recentSubmissions: recentSubmissions.map((submission) => ({
+          ...submission,
+          grading: getTeenGrading(submission.grading),
+          task: {
+            ...localizeRecord(submission.task, 'task', language),
+            challenge: localizeRecord(
+              submission.task.challenge,
+              'challenge',
+              language
+            ),
+          },
+        })),
+        upcomingChallenges: upcomingChallenges.map((challenge) => ({
+          ...localizeChallenge(challenge, language),
+          goLiveAt: getChallengeWindow(challenge, req.teen).goLiveAt,
+        })),
       },
     });
   } catch (error) {
@@ -245,6 +245,7 @@ export const getTransactionAnalytics = async (req, res) => {
       by: ['teenId'],
       where: {
         status: 'SUCCESS',
+        teenId: { not: null }, // Skip anonymized (deleted account) records
         ...dateFilter,
       },
       _sum: {
@@ -0,0 +1,387 @@
+// controllers/twoFactorController.js - TOTP 2FA for admin/staff accounts
+import bcrypt from 'bcryptjs';
+import prisma from '../lib/prisma.js';
+import { verifyToken } from '../utils/emailService.js';
+import {
+  generateTwoFactorSecret,
+  useTotpCode,
+  generateBackupCodes,
+  consumeBackupCode,
+  useBackupCode,
+  isTwoFactorRequired,
+  claimTwoFactorChallenge,
+} from '../utils/twoFactor.js';
+import {
+  getSessionContext,
+  createSession,
+  revokeAllSessions,
+} from '../utils/sessionService.js';
+import {
+  isAccountLocked,
+  sendLockedResponse,
+  registerFailedLogin,
+  resetFailedLogins,
+} from '../utils/accountLockout.js';
+import { getUserPermissions } from '../utils/permissions.js';
+
+// ============================================
+// LOGIN (STEP 2)
+// ============================================
+
+// Exchange the challenge token from loginUser plus a TOTP/backup code for a session
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyToken(challengeToken);
+    } catch (tokenError) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge expired. Please sign in again.',
+      });
+    }
+
+    if (decoded.type !== '2fa-challenge') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid token type',
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.id },
+      include: { staffRole: true },
+    });
+
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials or inactive account',
+      });
+    }
+
+    // Already used, or replaced by a later sign-in
+    if (!decoded.jti || user.twoFactorChallengeId !== decoded.jti) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge expired. Please sign in again.',
+      });
+    }
+
+    if (isAccountLocked(user)) {
+      return sendLockedResponse(res, user);
+    }
+
+    const isTotpCode = await useTotpCode(user, code);
+    const usedBackupCode =
+      !isTotpCode &&
+      Boolean(consumeBackupCode(code, user.twoFactorBackupCodes));
+
+    if (!isTotpCode && !usedBackupCode) {
+      // Wrong codes count towards the same lockout as wrong passwords
+      const lockout = await registerFailedLogin('user', user);
+      if (lockout.locked) {
+        return sendLockedResponse(res, lockout);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code',
+      });
+    }
+
+    // Claim the challenge before spending a backup code, so a replayed or
+    // stale challenge can't use one up
+    if (!(await claimTwoFactorChallenge(decoded))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge expired. Please sign in again.',
+      });
+    }
+
+    if (usedBackupCode && !(await useBackupCode(user, code))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code',
+      });
+    }
+
+    await resetFailedLogins('user', user);
+
+    const { token, refreshToken } = await createSession(
+      user.id,
+      'user',
+      getSessionContext(req)
+    );
+
+    console.log('✅ 2FA login successful for:', user.email);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          name: user.name,
+          role: user.role,
+          permissions: getUserPermissions(user),
+        },
+        token,
+        refreshToken,
+        ...(usedBackupCode && {
+          backupCodesRemaining: user.twoFactorBackupCodes.length - 1,
+        }),
+      },
+    });
+  } catch (error) {
+    console.error('2FA login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// ============================================
+// ENROLLMENT (AUTHENTICATED ADMIN/STAFF)
+// ============================================
+
+export const getTwoFactorStatus = async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      enabled: req.user.twoFactorEnabled,
+      required: isTwoFactorRequired(req.user),
+      backupCodesRemaining: req.user.twoFactorBackupCodes.length,
+    },
+  });
+};
+
+// Start enrollment: store a pending secret and return the QR code
+export const setupTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    const { secret, otpauthUrl, qrCodeDataUrl } = await generateTwoFactorSecret(
+      req.user.email
+    );
+
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { twoFactorSecret: secret },
+    });
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app',
+      data: {
+        otpauthUrl,
+        qrCode: qrCodeDataUrl,
+        secret, // For manual entry
+      },
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// Finish enrollment: confirm a code from the app and issue backup codes
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    if (!req.user.twoFactorSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first',
+      });
+    }
+
+    if (!(await useTotpCode(req.user, code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code',
+      });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: {
+        twoFactorEnabled: true,
+        twoFactorBackupCodes: hashes,
+      },
+    });
+
+    console.log('🔐 2FA enabled for:', req.user.email);
+
+    res.json({
+      success: true,
+      message:
+        'Two-factor authentication enabled. Store these backup codes somewhere safe - they will not be shown again.',
+      data: { backupCodes: codes },
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+export const regenerateBackupCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (!(await useTotpCode(req.user, code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code',
+      });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { twoFactorBackupCodes: hashes },
+    });
+
+    res.json({
+      success: true,
+      message: 'New backup codes generated. Previous codes no longer work.',
+      data: { backupCodes: codes },
+    });
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (isTwoFactorRequired(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your account',
+      });
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, req.user.password);
+
+    if (!isPasswordValid || !(await useTotpCode(req.user, code))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or authentication code',
+      });
+    }
+
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorBackupCodes: [],
+      },
+    });
+
+    console.log('🔓 2FA disabled for:', req.user.email);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
+
+// ============================================
+// ADMIN
+// ============================================
+
+// Clear a staff member's 2FA (lost phone) so they can enroll again
+export const resetStaffTwoFactor = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found',
+      });
+    }
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorBackupCodes: [],
+      },
+    });
+
+    // Whoever holds the lost device must not stay signed in
+    await revokeAllSessions(userId, 'user');
+
+    res.json({
+      success: true,
+      message:
+        'Two-factor authentication reset. The staff member must enroll again.',
+    });
+  } catch (error) {
+    console.error('Reset staff 2FA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+    });
+  }
+};
@@ -17,11 +17,17 @@ import teenRoutes from './routes/teenRoutes.js';
 import webhookRoutes from './routes/webhookRoutes.js';
 import transactionRoutes from './routes/transactionRoutes.js';
 import uploadRoutes from './routes/uploadRoutes.js'; // ✅ ADD THIS
+import cronRoutes from './routes/cronRoutes.js';
+import previewRoutes from './routes/previewRoutes.js';
+import calendarRoutes from './routes/calendarRoutes.js';
 
 dotenv.config();
 
 const app = express();
 
+// Behind one proxy (Vercel/Render) - needed for real client IPs in rate limiting
+app.set('trust proxy', 1);
+
 // Make prisma available to routes
 app.locals.prisma = prisma;
 
@@ -60,6 +66,9 @@ app.use('/api/progress', progressRoutes);
 app.use('/api/raffle', raffleRoutes);
 app.use('/api/admin/transactions', transactionRoutes);
 app.use('/api/upload', uploadRoutes); // ✅ ADD THIS ROUTE
+app.use('/api/cron', cronRoutes);
+app.use('/api/preview', previewRoutes);
+app.use('/api/calendar', calendarRoutes);
 // Root endpoint
 app.get('/', (req, res) => {
   res.json({
@@ -0,0 +1,183 @@
+// middleware/auditLog.js
+// Append-only audit trail of staff mutations. Entries are only ever created -
+// nothing in the API updates or deletes them.
+import prisma from '../lib/prisma.js';
+import { getSessionContext } from '../utils/sessionService.js';
+
+// Entity type -> Prisma delegate used to snapshot before/after state
+const ENTITY_MODELS = {
+  challenge: 'monthlyChallenge',
+  template: 'challengeTemplate',
+  task: 'task',
+  badge: 'badge',
+  staff: 'user',
+  role: 'staffRole',
+  teen: 'teen',
+  submission: 'submission',
+  raffle: 'raffleDraw',
+  question_bank: 'questionBank',
+};
+
+// Never copied into the log
+const REDACTED_FIELDS = [
+  'password',
+  'twoFactorSecret',
+  'twoFactorBackupCodes',
+  'twoFactorChallengeId',
+  'verificationToken',
+  'passwordResetToken',
+  'invitationToken',
+  'emailChangeToken',
+  'emailChangeRevertToken',
+  'magicLinkToken',
+  'magicLinkCodeHash',
+  'calendarToken',
+];
+
+// Change on every write, so they'd only add noise to the diff
+const IGNORED_FIELDS = ['updatedAt', 'lastUpdated'];
+
+const loadSnapshot = async (entityType, entityId) => {
+  const model = ENTITY_MODELS[entityType];
+  if (!model || !entityId) return null;
+
+  const record = await prisma[model].findUnique({
+    where: { id: entityId },
+  });
+  if (!record) return null;
+
+  const snapshot = { ...record };
+  REDACTED_FIELDS.forEach((field) => delete snapshot[field]);
+  return snapshot;
+};
+
+/**
+ * Field-level diff between two snapshots
+ * @param {Object|null} before - State before the change
+ * @param {Object|null} after - State after the change
+ * @returns {Object} { field: { from, to } }
+ */
+export const diffSnapshots = (before, after) => {
+  const changes = {};
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+
+  for (const field of fields) {
+    // Also covers snapshots passed straight to recordAuditLog
+    if (IGNORED_FIELDS.includes(field) || REDACTED_FIELDS.includes(field)) {
+      continue;
+    }
+
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Write an audit entry. Failures are logged, never thrown, so auditing can't
+ * break the action being audited.
+ * @param {Object} req - Express request (req.user is the actor)
+ * @param {Object} entry - { action, entityType, entityId, before, after, metadata }
+ */
+export const recordAuditLog = async (
+  req,
+  { action, entityType, entityId, before = null, after = null, metadata }
+) => {
+  try {
+    const { ipAddress, userAgent } = getSessionContext(req);
+
+    await prisma.auditLog.create({
+      data: {
+        actorId: req.user?.id || null,
+        actorEmail: req.user?.email || null,
+        actorRole: req.user?.role || null,
+        action,
+        entityType,
+        entityId: entityId || null,
+        changes: diffSnapshots(before, after),
+        metadata,
+        ipAddress,
+        userAgent,
+      },
+    });
+  } catch (error) {
+    console.error('⚠️ Audit log write failed:', action, error);
+  }
+};
+
+/**
+ * Audit a route. Snapshots the entity before the handler runs and again
+ * when it responds successfully, then stores the diff. The entry is written
+ * before the response goes out so it survives serverless freezes.
+ *
+ * @param {string} action - "<entityType>.<verb>", e.g. "badge.update"
+ * @param {Object} options
+ * @param {string} options.idParam - Route param holding the entity id
+ * @param {Function} options.getEntityId - (req, body) => id, for creates
+ */
+export const auditLog =
+  (action, { idParam, getEntityId } = {}) =>
+  async (req, res, next) => {
+    const [entityType, verb] = action.split('.');
+    const paramId = idParam ? req.params[idParam] : undefined;
+
+    let before = null;
+    try {
+      before = await loadSnapshot(entityType, paramId);
+    } catch (error) {
+      console.error('⚠️ Audit snapshot failed:', action, error);
+    }
+
+    const originalJson = res.json.bind(res);
+
+    res.json = (body) => {
+      if (res.statusCode >= 400 || body?.success === false) {
+        return originalJson(body);
+      }
+
+      const entityId =
+        paramId ||
+        (getEntityId ? getEntityId(req, body) : body?.data?.id) ||
+        null;
+
+      (async () => {
+        const after =
+          verb === 'delete'
+            ? null
+            : await loadSnapshot(entityType, entityId).catch((error) => {
+                console.error('⚠️ Audit snapshot failed:', action, error);
+                return null;
+              });
+
+        await recordAuditLog(req, {
+          action,
+          entityType,
+          entityId,
+          before,
+          after,
+        });
+      })()
+        .catch((error) => {
+          console.error('⚠️ Audit log failed:', action, error);
+        })
+        .finally(() => originalJson(body));
+
+      return res;
+    };
+
+    next();
+  };
+
+export default {
+  auditLog,
+  recordAuditLog,
+  diffSnapshots,
+};
@@ -1,6 +1,11 @@
 // middleware/auth.js
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import prisma from '../lib/prisma.js';
+import { isSessionActive } from '../utils/sessionService.js';
+import { isTwoFactorRequired } from '../utils/twoFactor.js';
+import { hasParentalConsent } from '../utils/parentalConsent.js';
+import { hasPermission } from '../utils/permissions.js';
 
 // Authentication middleware for teens
 export const authenticateTeen = async (req, res, next) => {
@@ -23,6 +28,13 @@ export const authenticateTeen = async (req, res, next) => {
       });
     }
 
+    if (!(await isSessionActive(decoded))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired or revoked. Please log in again.',
+      });
+    }
+
     const teen = await prisma.teen.findUnique({
       where: { id: decoded.id },
     });
@@ -35,6 +47,7 @@ export const authenticateTeen = async (req, res, next) => {
     }
 
     req.teen = teen;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     res.status(401).json({
@@ -65,8 +78,16 @@ export const authenticateUser = async (req, res, next) => {
       });
     }
 
+    if (!(await isSessionActive(decoded))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired or revoked. Please log in again.',
+      });
+    }
+
     const user = await prisma.user.findUnique({
       where: { id: decoded.id },
+      include: { staffRole: true },
     });
 
     if (!user || !user.isActive) {
@@ -77,6 +98,7 @@ export const authenticateUser = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     res.status(401).json({
@@ -86,6 +108,18 @@ export const authenticateUser = async (req, res, next) => {
   }
 };
 
+// Users who must use 2FA can only reach enrollment until they enroll
+const needsTwoFactorEnrollment = (user) =>
+  isTwoFactorRequired(user) && !user.twoFactorEnabled;
+
+const sendTwoFactorEnrollmentRequired = (res) =>
+  res.status(403).json({
+    success: false,
+    code: 'TWO_FACTOR_ENROLLMENT_REQUIRED',
+    message:
+      'Two-factor authentication is required. Please enroll at /api/auth/user/2fa/setup.',
+  });
+
 // Admin authorization middleware
 export const requireAdmin = (req, res, next) => {
   if (req.user.role !== 'ADMIN') {
@@ -94,5 +128,64 @@ export const requireAdmin = (req, res, next) => {
       message: 'Access denied. Admin role required.',
     });
   }
+
+  if (needsTwoFactorEnrollment(req.user)) {
+    return sendTwoFactorEnrollmentRequired(res);
+  }
+
+  next();
+};
+
+// Permission authorization middleware (use after authenticateUser)
+// e.g. requirePermission('finance:read')
+export const requirePermission =
+  (...permissions) =>
+  (req, res, next) => {
+    if (!hasPermission(req.user, ...permissions)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Requires permission: ${permissions.join(', ')}`,
+      });
+    }
+
+    if (needsTwoFactorEnrollment(req.user)) {
+      return sendTwoFactorEnrollmentRequired(res);
+    }
+
+    next();
+  };
+
+// Young teens can't use public/paid features until a parent consents
+// (use after authenticateTeen)
+export const requireParentalConsent = (req, res, next) => {
+  if (!hasParentalConsent(req.teen)) {
+    return res.status(403).json({
+      success: false,
+      code: 'PARENTAL_CONSENT_REQUIRED',
+      message:
+        'This feature unlocks once your parent or guardian gives consent. Check with them about the email we sent.',
+    });
+  }
+
+  next();
+};
+
+// Scheduled jobs (Vercel Cron sends "Authorization: Bearer <CRON_SECRET>")
+export const requireCronSecret = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  const provided = req.header('Authorization')?.replace('Bearer ', '') || '';
+
+  const matches =
+    Boolean(secret) &&
+    provided.length === secret.length &&
+    crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(secret));
+
+  if (!matches) {
+    return res.status(401).json({
+      success: false,
+      message: 'Access denied. Invalid cron secret.',
+    });
+  }
+
   next();
 };
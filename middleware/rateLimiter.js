@@ -0,0 +1,80 @@
+// middleware/rateLimiter.js
+// Per-IP and per-account throttling for auth endpoints.
+// The in-memory store is per instance, so on serverless deployments this is a
+// first line of defence; the database-backed lockout in utils/accountLockout.js
+// is what actually stops password guessing against one account.
+import { rateLimit, ipKeyGenerator } from 'express-rate-limit';
+
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+const ONE_HOUR = 60 * 60 * 1000;
+
+const rateLimitHandler = (req, res, next, options) => {
+  console.warn('⚠️ Rate limit hit:', req.method, req.originalUrl, req.ip);
+  res.status(options.statusCode).json({
+    success: false,
+    message: options.message,
+  });
+};
+
+// Key by the (normalized) email in the body, falling back to the client IP
+const accountKeyGenerator = (req) =>
+  req.body?.email
+    ? `account:${String(req.body.email).toLowerCase()}`
+    : ipKeyGenerator(req.ip);
+
+const createLimiter = ({ windowMs, limit, message, keyGenerator }) =>
+  rateLimit({
+    windowMs,
+    limit,
+    message,
+    standardHeaders: 'draft-8',
+    legacyHeaders: false,
+    handler: rateLimitHandler,
+    ...(keyGenerator && { keyGenerator }),
+  });
+
+// Login attempts from one IP (shared devices at church are common, so generous)
+export const loginIpLimiter = createLimiter({
+  windowMs: FIFTEEN_MINUTES,
+  limit: 30,
+  message: 'Too many login attempts from this device. Please try again later.',
+});
+
+// Login attempts against one account, from anywhere
+export const loginAccountLimiter = createLimiter({
+  windowMs: FIFTEEN_MINUTES,
+  limit: 10,
+  message: 'Too many login attempts for this account. Please try again later.',
+  keyGenerator: accountKeyGenerator,
+});
+
+// Password reset / verification emails from one IP
+export const emailIpLimiter = createLimiter({
+  windowMs: ONE_HOUR,
+  limit: 10,
+  message: 'Too many requests from this device. Please try again later.',
+});
+
+// Password reset / verification emails to one address
+export const emailAccountLimiter = createLimiter({
+  windowMs: ONE_HOUR,
+  limit: 3,
+  message:
+    'Too many emails requested for this account. Please check your inbox or try again later.',
+  keyGenerator: accountKeyGenerator,
+});
+
+// Second login step (TOTP codes are only 6 digits)
+export const twoFactorLimiter = createLimiter({
+  windowMs: FIFTEEN_MINUTES,
+  limit: 10,
+  message: 'Too many authentication code attempts. Please try again later.',
+});
+
+export default {
+  loginIpLimiter,
+  loginAccountLimiter,
+  emailIpLimiter,
+  emailAccountLimiter,
+  twoFactorLimiter,
+};
@@ -1,8 +1,23 @@
 // routes/adminRoutes.js
 import express from 'express';
-import { body, param } from 'express-validator';
-import { authenticateUser, requireAdmin } from '../middleware/auth.js';
+import { body, param, query } from 'express-validator';
+import {
+  authenticateUser,
+  requireAdmin,
+  requirePermission,
+} from '../middleware/auth.js';
+import { ALL_PERMISSIONS } from '../utils/permissions.js';
 import { handleValidationErrors } from '../middleware/validation.js';
+import {
+  validateLatePolicy,
+  validateChallengeAudience,
+  validateTranslations,
+  validateTimezone,
+  validateCompletionRules,
+  validateBankQuestions,
+  validateWallClockDate,
+} from '../utils/validation.js';
+import { auditLog } from '../middleware/auditLog.js';
 
 // Import controllers
 import {
@@ -10,8 +25,79 @@ import {
   getAllStaff,
   updateStaff,
   deleteStaff,
+  unlockStaff,
 } from '../controllers/adminController.js';
 
+import { resetStaffTwoFactor } from '../controllers/twoFactorController.js';
+import { resendStaffInvitation } from '../controllers/staffAuthController.js';
+
+import {
+  getPermissions,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+} from '../controllers/roleController.js';
+
+import { getAuditLogs } from '../controllers/auditLogController.js';
+
+import {
+  getTemplates,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  createChallengeFromTemplate,
+} from '../controllers/challengeTemplateController.js';
+
+import {
+  getQuestionBanks,
+  getQuestionBankById,
+  createQuestionBank,
+  updateQuestionBank,
+  deleteQuestionBank,
+} from '../controllers/questionBankController.js';
+
+import {
+  exportChallenge,
+  exportChallenges,
+  importChallenges,
+} from '../controllers/challengeBundleController.js';
+
+import {
+  previewChallenge,
+  createPreviewLink,
+  revokePreviewLinks,
+} from '../controllers/challengePreviewController.js';
+import { PREVIEW_BADGE_STATUSES } from '../utils/challengeView.js';
+import { PREVIEW_LINK_MAX_HOURS } from '../utils/challengePreview.js';
+
+import {
+  getChallengeVersions,
+  getChallengeVersion,
+  restoreChallengeVersion,
+  getTaskVersions,
+  getTaskVersion,
+  restoreTaskVersion,
+} from '../controllers/contentVersionController.js';
+
+import {
+  runScheduledTransitions,
+  getScheduledTransitions,
+} from '../controllers/scheduleController.js';
+
+import {
+  getStaffCalendarLink,
+  resetStaffCalendarLink,
+} from '../controllers/calendarController.js';
+
+import {
+  exportTeenData,
+  scheduleTeenAccountDeletion,
+  cancelTeenAccountDeletion,
+  runDueDeletions,
+} from '../controllers/accountController.js';
+
 import {
   createChallenge,
   getChallenges,
@@ -20,6 +106,7 @@ import {
   publishChallenge,
   deleteChallenge,
   toggleChallengeStatus,
+  duplicateChallenge,
 } from '../controllers/challengeController.js';
 
 import {
@@ -51,8 +138,14 @@ import {
   getTeenById,
   getTeenStats,
   updateTeen,
+  unlockTeen,
 } from '../controllers/teenController.js';
 
+import {
+  getPendingConsents,
+  resendParentalConsent,
+} from '../controllers/parentalConsentController.js';
+
 const router = express.Router();
 
 // ============================================
@@ -65,11 +158,12 @@ router.post(
   requireAdmin,
   [
     body('email').isEmail().normalizeEmail(),
-    body('password').isLength({ min: 6 }),
     body('name').trim().isLength({ min: 2 }),
     body('role').isIn(['ADMIN', 'STAFF']),
+    body('staffRoleId').optional({ values: 'null' }).isMongoId(),
   ],
   handleValidationErrors,
+  auditLog('staff.create'),
   createStaff
 );
 
@@ -83,12 +177,100 @@ router.patch(
     body('name').optional().trim().isLength({ min: 2 }),
     body('role').optional().isIn(['ADMIN', 'STAFF']),
     body('isActive').optional().isBoolean(),
+    body('twoFactorRequired').optional().isBoolean(),
+    body('staffRoleId').optional({ values: 'null' }).isMongoId(),
   ],
   handleValidationErrors,
+  auditLog('staff.update', { idParam: 'userId' }),
   updateStaff
 );
 
-router.delete('/staff/:userId', authenticateUser, requireAdmin, deleteStaff);
+router.delete(
+  '/staff/:userId',
+  authenticateUser,
+  requireAdmin,
+  auditLog('staff.delete', { idParam: 'userId' }),
+  deleteStaff
+);
+
+router.post(
+  '/staff/:userId/2fa/reset',
+  authenticateUser,
+  requireAdmin,
+  [param('userId').isMongoId()],
+  handleValidationErrors,
+  auditLog('staff.reset_2fa', { idParam: 'userId' }),
+  resetStaffTwoFactor
+);
+
+router.post(
+  '/staff/:userId/invitation/resend',
+  authenticateUser,
+  requireAdmin,
+  [param('userId').isMongoId()],
+  handleValidationErrors,
+  auditLog('staff.invitation_resend', { idParam: 'userId' }),
+  resendStaffInvitation
+);
+
+router.post(
+  '/staff/:userId/unlock',
+  authenticateUser,
+  requireAdmin,
+  [param('userId').isMongoId()],
+  handleValidationErrors,
+  auditLog('staff.unlock', { idParam: 'userId' }),
+  unlockStaff
+);
+
+// ============================================
+// ROLE & PERMISSION ROUTES
+// ============================================
+
+router.get('/permissions', authenticateUser, requireAdmin, getPermissions);
+
+router.get('/roles', authenticateUser, requireAdmin, getRoles);
+
+router.post(
+  '/roles',
+  authenticateUser,
+  requireAdmin,
+  [
+    body('name').trim().isLength({ min: 2, max: 50 }),
+    body('description').optional().trim().isLength({ max: 200 }),
+    body('permissions').isArray(),
+    body('permissions.*').isIn(ALL_PERMISSIONS),
+  ],
+  handleValidationErrors,
+  auditLog('role.create'),
+  createRole
+);
+
+router.patch(
+  '/roles/:roleId',
+  authenticateUser,
+  requireAdmin,
+  [
+    param('roleId').isMongoId(),
+    body('name').optional().trim().isLength({ min: 2, max: 50 }),
+    body('description').optional().trim().isLength({ max: 200 }),
+    body('permissions').optional().isArray(),
+    body('permissions.*').isIn(ALL_PERMISSIONS),
+  ],
+  handleValidationErrors,
+  auditLog('role.update', { idParam: 'roleId' }),
+  updateRole
+);
+
+router.delete(
+  '/roles/:roleId',
+  authenticateUser,
+  requireAdmin,
+  [param('roleId').isMongoId()],
+  handleValidationErrors,
+  auditLog('role.delete', { idParam: 'roleId' }),
+  deleteRole
+);
 
 // ============================================
 // CHALLENGE MANAGEMENT ROUTES
@@ -96,6 +278,133 @@ router.delete('/staff/:userId', authenticateUser, requireAdmin, deleteStaff);
 
 router.get('/challenges', authenticateUser, getChallenges);
 
+// Upcoming auto-publish / auto-close transitions
+router.get(
+  '/challenges/schedule',
+  authenticateUser,
+  requirePermission('challenges:write'),
+  [query('days').optional().isInt({ min: 1, max: 365 })],
+  handleValidationErrors,
+  getScheduledTransitions
+);
+
+// Apply due transitions now instead of waiting for the cron
+router.post(
+  '/challenges/schedule/run',
+  authenticateUser,
+  requirePermission('challenges:write'),
+  runScheduledTransitions
+);
+
+// Subscribable .ics feed of every challenge and task deadline, drafts included
+router.get('/challenges/calendar', authenticateUser, getStaffCalendarLink);
+
+router.post(
+  '/challenges/calendar/reset',
+  authenticateUser,
+  auditLog('calendar.reset_link'),
+  resetStaffCalendarLink
+);
+
+// Portable JSON bundle (see utils/challengeBundle.js)
+router.get(
+  '/challenges/export',
+  authenticateUser,
+  requirePermission('challenges:write'),
+  [query('year').optional().isInt({ min: 2024, max: 2030 })],
+  handleValidationErrors,
+  exportChallenges
+);
+
+router.post(
+  '/challenges/import',
+  authenticateUser,
+  requirePermission('challenges:write'),
+  [query('dryRun').optional().isIn(['true', 'false'])],
+  handleValidationErrors,
+  importChallenges
+);
+
+router.get(
+  '/challenges/:challengeId/export',
+  authenticateUser,
+  requirePermission('challenges:write'),
+  [param('challengeId').isMongoId()],
+  handleValidationErrors,
+  exportChallenge
+);
+
+// Teen view of any challenge (published or not) with simulated progress
+router.get(
+  '/challenges/:challengeId/preview',
+  authenticateUser,
+  [
+    param('challengeId').isMongoId(),
+    query('tasksCompleted').optional().isInt({ min: 0 }),
+    query('badgeStatus').optional().isIn(PREVIEW_BADGE_STATUSES),
+  ],
+  handleValidationErrors,
+  previewChallenge
+);
+
+// Expiring read-only links for reviewers without a staff account
+router.post(
+  '/challenges/:challengeId/preview-links',
+  authenticateUser,
+  requirePermission('challenges:write'),
+  [
+    param('challengeId').isMongoId(),
+    body('expiresInHours')
+      .optional()
+      .isInt({ min: 1, max: PREVIEW_LINK_MAX_HOURS }),
+  ],
+  handleValidationErrors,
+  auditLog('challenge.share_preview', { idParam: 'challengeId' }),
+  createPreviewLink
+);
+
+router.delete(
+  '/challenges/:challengeId/preview-links',
+  authenticateUser,
+  requirePermission('challenges:write'),
+  [param('challengeId').isMongoId()],
+  handleValidationErrors,
+  auditLog('challenge.revoke_previews', { idParam: 'challengeId' }),
+  revokePreviewLinks
+);
+
+// Content history: every saved edit is a numbered version that can be
+// compared against any other or restored as a new version
+router.get(
+  '/challenges/:challengeId/versions',
+  authenticateUser,
+  [param('challengeId').isMongoId()],
+  handleValidationErrors,
+  getChallengeVersions
+);
+
+router.get(
+  '/challenges/:challengeId/versions/:version',
+  authenticateUser,
+  [
+    param('challengeId').isMongoId(),
+    param('version').isInt({ min: 1 }),
+    query('compareTo').optional().isInt({ min: 1 }),
+  ],
+  handleValidationErrors,
+  getChallengeVersion
+);
+
+router.post(
+  '/challenges/:challengeId/versions/:version/restore',
+  authenticateUser,
+  requirePermission('challenges:write'),
+  [param('challengeId').isMongoId(), param('version').isInt({ min: 1 })],
+  handleValidationErrors,
+  auditLog('challenge.restore_version', { idParam: 'challengeId' }),
+  restoreChallengeVersion
+);
+
 router.get(
   '/challenges/:challengeId',
   authenticateUser,
@@ -107,13 +416,20 @@ router.get(
 router.post(
   '/challenges',
   authenticateUser,
+  requirePermission('challenges:write'),
   [
     body('year').isInt({ min: 2024, max: 2030 }),
     body('month').isInt({ min: 1, max: 12 }),
     body('theme').trim().isLength({ min: 3 }),
     body('instructions').trim().isLength({ min: 10 }),
-    body('goLiveDate').isISO8601(),
-    body('closingDate').isISO8601(),
+    validateWallClockDate('goLiveDate'),
+    validateWallClockDate('closingDate'),
+    body('autoSchedule').optional().isBoolean(),
+    validateTimezone,
+    ...validateLatePolicy,
+    ...validateChallengeAudience,
+    validateCompletionRules,
+    validateTranslations('challenge'),
     body('badgeData').optional().isObject(),
     body('badgeData.name').optional().trim().isLength({ min: 2 }),
     body('badgeData.description').optional().trim().isLength({ min: 5 }),
@@ -121,18 +437,26 @@ router.post(
     body('badgeData.price').optional().isFloat({ min: 0 }),
   ],
   handleValidationErrors,
+  auditLog('challenge.create'),
   createChallenge
 );
 
 router.patch(
   '/challenges/:challengeId',
   authenticateUser,
+  requirePermission('challenges:write'),
   [
     param('challengeId').isMongoId(),
     body('theme').optional().trim().isLength({ min: 3 }),
     body('instructions').optional().trim().isLength({ min: 10 }),
-    body('goLiveDate').optional().isISO8601(),
-    body('closingDate').optional().isISO8601(),
+    validateWallClockDate('goLiveDate', true),
+    validateWallClockDate('closingDate', true),
+    body('autoSchedule').optional().isBoolean(),
+    validateTimezone,
+    ...validateLatePolicy,
+    ...validateChallengeAudience,
+    validateCompletionRules,
+    validateTranslations('challenge'),
     body('badgeData').optional().isObject(),
     body('badgeData.name').optional().trim().isLength({ min: 2 }),
     body('badgeData.description').optional().trim().isLength({ min: 5 }),
@@ -140,25 +464,30 @@ router.patch(
     body('badgeData.price').optional().isFloat({ min: 0 }),
   ],
   handleValidationErrors,
+  auditLog('challenge.update', { idParam: 'challengeId' }),
   updateChallenge
 );
 
 router.patch(
   '/challenges/:challengeId/publish',
   authenticateUser,
+  requirePermission('challenges:write'),
   [param('challengeId').isMongoId()],
   handleValidationErrors,
+  auditLog('challenge.publish', { idParam: 'challengeId' }),
   publishChallenge
 );
 
 router.patch(
   '/challenges/:challengeId/toggle',
   authenticateUser,
+  requirePermission('challenges:write'),
   [
     param('challengeId').isMongoId(),
     body('field').isIn(['isPublished', 'isActive']),
   ],
   handleValidationErrors,
+  auditLog('challenge.toggle', { idParam: 'challengeId' }),
   toggleChallengeStatus
 );
 
@@ -168,9 +497,177 @@ router.delete(
   requireAdmin,
   [param('challengeId').isMongoId()],
   handleValidationErrors,
+  auditLog('challenge.delete', { idParam: 'challengeId' }),
   deleteChallenge
 );
 
+// Copy tasks, tabs, options, badge and audience into a new month (unpublished);
+// audience fields in the body override the source's
+router.post(
+  '/challenges/:challengeId/duplicate',
+  authenticateUser,
+  requirePermission('challenges:write'),
+  [
+    param('challengeId').isMongoId(),
+    body('year').isInt({ min: 2024, max: 2030 }),
+    body('month').isInt({ min: 1, max: 12 }),
+    validateWallClockDate('goLiveDate'),
+    validateWallClockDate('closingDate', true),
+    body('theme').optional().trim().isLength({ min: 3 }),
+    validateTimezone,
+    ...validateChallengeAudience,
+  ],
+  handleValidationErrors,
+  auditLog('challenge.duplicate'),
+  duplicateChallenge
+);
+
+// ============================================
+// CHALLENGE TEMPLATE ROUTES
+// ============================================
+
+router.get(
+  '/challenge-templates',
+  authenticateUser,
+  requirePermission('challenges:write'),
+  getTemplates
+);
+
+router.get(
+  '/challenge-templates/:templateId',
+  authenticateUser,
+  requirePermission('challenges:write'),
+  [param('templateId').isMongoId()],
+  handleValidationErrors,
+  getTemplateById
+);
+
+// Save an existing challenge as a template
+router.post(
+  '/challenge-templates',
+  authenticateUser,
+  requirePermission('challenges:write'),
+  [
+    body('challengeId').isMongoId(),
+    body('name').trim().isLength({ min: 3 }),
+    body('description').optional().trim(),
+  ],
+  handleValidationErrors,
+  auditLog('template.create'),
+  createTemplate
+);
+
+router.patch(
+  '/challenge-templates/:templateId',
+  authenticateUser,
+  requirePermission('challenges:write'),
+  [
+    param('templateId').isMongoId(),
+    body('name').optional().trim().isLength({ min: 3 }),
+    body('description').optional().trim(),
+    body('theme').optional().trim().isLength({ min: 3 }),
+    body('instructions').optional().trim().isLength({ min: 10 }),
+  ],
+  handleValidationErrors,
+  auditLog('template.update', { idParam: 'templateId' }),
+  updateTemplate
+);
+
+router.delete(
+  '/challenge-templates/:templateId',
+  authenticateUser,
+  requirePermission('challenges:write'),
+  [param('templateId').isMongoId()],
+  handleValidationErrors,
+  auditLog('template.delete', { idParam: 'templateId' }),
+  deleteTemplate
+);
+
+// Create a new month's challenge from a template
+router.post(
+  '/challenge-templates/:templateId/challenges',
+  authenticateUser,
+  requirePermission('challenges:write'),
+  [
+    param('templateId').isMongoId(),
+    body('year').isInt({ min: 2024, max: 2030 }),
+    body('month').isInt({ min: 1, max: 12 }),
+    validateWallClockDate('goLiveDate'),
+    validateWallClockDate('closingDate', true),
+    body('theme').optional().trim().isLength({ min: 3 }),
+    validateTimezone,
+    ...validateChallengeAudience,
+  ],
+  handleValidationErrors,
+  auditLog('challenge.create'),
+  createChallengeFromTemplate
+);
+
+// ============================================
+// QUESTION BANK ROUTES
+// ============================================
+
+router.get(
+  '/question-banks',
+  authenticateUser,
+  requirePermission('challenges:write'),
+  [query('topic').optional().trim(), query('search').optional().trim()],
+  handleValidationErrors,
+  getQuestionBanks
+);
+
+router.get(
+  '/question-banks/:bankId',
+  authenticateUser,
+  requirePermission('challenges:write'),
+  [param('bankId').isMongoId()],
+  handleValidationErrors,
+  getQuestionBankById
+);
+
+router.post(
+  '/question-banks',
+  authenticateUser,
+  requirePermission('challenges:write'),
+  [
+    body('name').trim().isLength({ min: 3 }),
+    body('description').optional().trim(),
+    body('topics').optional().isArray(),
+    body('topics.*').trim().isLength({ min: 1 }),
+    validateBankQuestions(false),
+  ],
+  handleValidationErrors,
+  auditLog('question_bank.create'),
+  createQuestionBank
+);
+
+router.patch(
+  '/question-banks/:bankId',
+  authenticateUser,
+  requirePermission('challenges:write'),
+  [
+    param('bankId').isMongoId(),
+    body('name').optional().trim().isLength({ min: 3 }),
+    body('description').optional().trim(),
+    body('topics').optional().isArray(),
+    body('topics.*').trim().isLength({ min: 1 }),
+    validateBankQuestions(true),
+  ],
+  handleValidationErrors,
+  auditLog('question_bank.update', { idParam: 'bankId' }),
+  updateQuestionBank
+);
+
+router.delete(
+  '/question-banks/:bankId',
+  authenticateUser,
+  requirePermission('challenges:write'),
+  [param('bankId').isMongoId()],
+  handleValidationErrors,
+  auditLog('question_bank.delete', { idParam: 'bankId' }),
+  deleteQuestionBank
+);
+
 // ============================================
 // TASK MANAGEMENT ROUTES
 // ============================================
@@ -178,6 +675,7 @@ router.delete(
 router.post(
   '/tasks',
   authenticateUser,
+  requirePermission('challenges:write'),
   [
     body('challengeId').isMongoId(),
     body('tabName').trim().isLength({ min: 1 }),
@@ -194,11 +692,15 @@ router.post(
     ]),
     body('isRequired').optional().isBoolean(),
     body('completionRule').optional().isString(),
+    body('taskGroup').optional({ values: 'null' }).trim().isLength({ min: 1 }),
     body('maxScore').optional().isInt({ min: 0, max: 100 }),
-    body('dueDate').optional().isISO8601(),
+    validateWallClockDate('dueDate', true),
     body('options').optional(),
+    ...validateLatePolicy,
+    validateTranslations('task'),
   ],
   handleValidationErrors,
+  auditLog('task.create'),
   createTask
 );
 
@@ -210,6 +712,36 @@ router.get(
   getTasksByChallenge
 );
 
+router.get(
+  '/tasks/:taskId/versions',
+  authenticateUser,
+  [param('taskId').isMongoId()],
+  handleValidationErrors,
+  getTaskVersions
+);
+
+router.get(
+  '/tasks/:taskId/versions/:version',
+  authenticateUser,
+  [
+    param('taskId').isMongoId(),
+    param('version').isInt({ min: 1 }),
+    query('compareTo').optional().isInt({ min: 1 }),
+  ],
+  handleValidationErrors,
+  getTaskVersion
+);
+
+router.post(
+  '/tasks/:taskId/versions/:version/restore',
+  authenticateUser,
+  requirePermission('challenges:write'),
+  [param('taskId').isMongoId(), param('version').isInt({ min: 1 })],
+  handleValidationErrors,
+  auditLog('task.restore_version', { idParam: 'taskId' }),
+  restoreTaskVersion
+);
+
 router.get(
   '/tasks/:taskId',
   authenticateUser,
@@ -221,6 +753,7 @@ router.get(
 router.put(
   '/tasks/:taskId',
   authenticateUser,
+  requirePermission('challenges:write'),
   [
     param('taskId').isMongoId(),
     body('tabName').optional().trim().isLength({ min: 1 }),
@@ -239,19 +772,25 @@ router.put(
       ]),
     body('isRequired').optional().isBoolean(),
     body('completionRule').optional().isString(),
+    body('taskGroup').optional({ values: 'null' }).trim().isLength({ min: 1 }),
     body('maxScore').optional().isInt({ min: 0, max: 100 }),
-    body('dueDate').optional().isISO8601(),
+    validateWallClockDate('dueDate', true),
     body('options').optional(),
+    ...validateLatePolicy,
+    validateTranslations('task'),
   ],
   handleValidationErrors,
+  auditLog('task.update', { idParam: 'taskId' }),
   updateTask
 );
 
 router.delete(
   '/tasks/:taskId',
   authenticateUser,
+  requirePermission('challenges:write'),
   [param('taskId').isMongoId()],
   handleValidationErrors,
+  auditLog('task.delete', { idParam: 'taskId' }),
   deleteTask
 );
 
@@ -259,11 +798,17 @@ router.delete(
 // SUBMISSION MANAGEMENT ROUTES
 // ============================================
 
-router.get('/submissions/review-queue', authenticateUser, getReviewQueue);
+router.get(
+  '/submissions/review-queue',
+  authenticateUser,
+  requirePermission('submissions:review'),
+  getReviewQueue
+);
 
 router.get(
   '/submissions/:submissionId',
   authenticateUser,
+  requirePermission('submissions:review'),
   [param('submissionId').isMongoId()],
   handleValidationErrors,
   getSubmissionById
@@ -272,6 +817,7 @@ router.get(
 router.patch(
   '/submissions/:submissionId/review',
   authenticateUser,
+  requirePermission('submissions:review'),
   [
     param('submissionId').isMongoId(),
     body('status').isIn(['APPROVED', 'REJECTED', 'PENDING']),
@@ -279,6 +825,7 @@ router.patch(
     body('reviewNote').optional().isString().isLength({ max: 500 }),
   ],
   handleValidationErrors,
+  auditLog('submission.review', { idParam: 'submissionId' }),
   reviewSubmission
 );
 
@@ -288,6 +835,7 @@ router.delete(
   requireAdmin,
   [param('submissionId').isMongoId()],
   handleValidationErrors,
+  auditLog('submission.delete', { idParam: 'submissionId' }),
   deleteSubmission
 );
 
@@ -297,7 +845,13 @@ router.delete(
 
 router.get('/badges', authenticateUser, getAllBadges);
 
-router.get('/badges/stats', authenticateUser, getBadgeStats);
+// Includes revenue
+router.get(
+  '/badges/stats',
+  authenticateUser,
+  requirePermission('finance:read'),
+  getBadgeStats
+);
 
 router.get(
   '/badges/:badgeId',
@@ -310,6 +864,7 @@ router.get(
 router.post(
   '/badges',
   authenticateUser,
+  requirePermission('badges:write'),
   [
     body('challengeId').isMongoId().withMessage('Valid challenge ID required'),
     body('name').trim().notEmpty().withMessage('Badge name is required'),
@@ -323,12 +878,14 @@ router.post(
       .withMessage('Price must be a positive number'),
   ],
   handleValidationErrors,
+  auditLog('badge.create'),
   createBadge
 );
 
 router.patch(
   '/badges/:badgeId',
   authenticateUser,
+  requirePermission('badges:write'),
   [
     param('badgeId').isMongoId(),
     body('name').optional().trim().notEmpty(),
@@ -338,6 +895,7 @@ router.patch(
     body('isActive').optional().isBoolean(),
   ],
   handleValidationErrors,
+  auditLog('badge.update', { idParam: 'badgeId' }),
   updateBadge
 );
 
@@ -347,6 +905,7 @@ router.delete(
   requireAdmin,
   [param('badgeId').isMongoId()],
   handleValidationErrors,
+  auditLog('badge.delete', { idParam: 'badgeId' }),
   deleteBadge
 );
 
@@ -355,15 +914,52 @@ router.delete(
 // ============================================
 
 // Get all teens
-router.get('/teens', authenticateUser, getAllTeens);
+router.get(
+  '/teens',
+  authenticateUser,
+  requirePermission('teens:manage'),
+  getAllTeens
+);
 
 // Get teen statistics
-router.get('/teens/stats', authenticateUser, getTeenStats);
+router.get(
+  '/teens/stats',
+  authenticateUser,
+  requirePermission('teens:manage'),
+  getTeenStats
+);
+
+// Teens waiting for a parent to consent
+router.get(
+  '/teens/consents/pending',
+  authenticateUser,
+  requirePermission('teens:manage'),
+  getPendingConsents
+);
+
+// Resend the consent email to the parent, optionally to a corrected address
+router.post(
+  '/teens/:teenId/consent/resend',
+  authenticateUser,
+  requirePermission('teens:manage'),
+  [
+    param('teenId').isMongoId(),
+    body('parentEmail')
+      .optional({ values: 'falsy' })
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Parent email must be a valid email address'),
+  ],
+  handleValidationErrors,
+  auditLog('teen.update', { idParam: 'teenId' }),
+  resendParentalConsent
+);
 
 // Get single teen by ID
 router.get(
   '/teens/:teenId',
   authenticateUser,
+  requirePermission('teens:manage'),
   [param('teenId').isMongoId()],
   handleValidationErrors,
   getTeenById
@@ -373,16 +969,93 @@ router.get(
 router.patch(
   '/teens/:teenId',
   authenticateUser,
-  requireAdmin,
+  requirePermission('teens:manage'),
   [
     param('teenId').isMongoId(),
     body('isActive').optional().isBoolean(),
     body('optInPublic').optional().isBoolean(),
   ],
   handleValidationErrors,
+  auditLog('teen.update', { idParam: 'teenId' }),
   updateTeen
 );
 
+// Clear a login lockout
+router.post(
+  '/teens/:teenId/unlock',
+  authenticateUser,
+  requirePermission('teens:manage'),
+  [param('teenId').isMongoId()],
+  handleValidationErrors,
+  auditLog('teen.unlock', { idParam: 'teenId' }),
+  unlockTeen
+);
+
+// Export a teen's personal data (parent requests)
+router.get(
+  '/teens/:teenId/export',
+  authenticateUser,
+  requirePermission('teens:manage'),
+  [
+    param('teenId').isMongoId(),
+    query('format').optional().isIn(['json', 'zip']),
+  ],
+  handleValidationErrors,
+  exportTeenData
+);
+
+// Schedule / cancel account deletion (parent requests)
+router.post(
+  '/teens/:teenId/deletion',
+  authenticateUser,
+  requirePermission('teens:manage'),
+  [param('teenId').isMongoId()],
+  handleValidationErrors,
+  auditLog('teen.schedule_deletion', { idParam: 'teenId' }),
+  scheduleTeenAccountDeletion
+);
+
+router.delete(
+  '/teens/:teenId/deletion',
+  authenticateUser,
+  requirePermission('teens:manage'),
+  [param('teenId').isMongoId()],
+  handleValidationErrors,
+  auditLog('teen.cancel_deletion', { idParam: 'teenId' }),
+  cancelTeenAccountDeletion
+);
+
+// Erase accounts whose grace period has ended
+router.post(
+  '/teens/deletions/process',
+  authenticateUser,
+  requireAdmin,
+  runDueDeletions
+);
+
+// ============================================
+// AUDIT LOG ROUTES
+// ============================================
+
+// Search by actor, entity and date range
+router.get(
+  '/audit-logs',
+  authenticateUser,
+  requireAdmin,
+  [
+    query('actorId').optional().isMongoId(),
+    query('entityType').optional().isString(),
+    query('entityId').optional().isString(),
+    query('action').optional().isString(),
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601(),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 200 }),
+  ],
+  handleValidationErrors,
+  getAuditLogs
+);
+
 // ============================================
 // DEBUG ROUTES
 // ============================================
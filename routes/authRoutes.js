@@ -6,18 +6,59 @@ import {
   validatePassword,
   validateName,
   validateAge,
+  validatePreferredLanguage,
+  validateTimezone,
 } from '../utils/validation.js';
 import { handleValidationErrors } from '../middleware/validation.js';
+import { authenticateTeen, authenticateUser } from '../middleware/auth.js';
+import {
+  loginIpLimiter,
+  loginAccountLimiter,
+  emailIpLimiter,
+  emailAccountLimiter,
+  twoFactorLimiter,
+} from '../middleware/rateLimiter.js';
 import {
   registerTeen,
   loginTeen,
+  requestMagicLink,
+  loginWithMagicLink,
   loginUser,
   verifyEmail,
   resendVerification,
   forgotPassword,
   resetPassword,
   validateResetToken,
+  refreshSession,
+  logout,
+  logoutAllTeenSessions,
+  logoutAllUserSessions,
 } from '../controllers/authController.js';
+import {
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
+} from '../controllers/twoFactorController.js';
+import {
+  validateStaffInvitation,
+  acceptStaffInvitation,
+  forgotStaffPassword,
+  validateStaffResetToken,
+  resetStaffPassword,
+} from '../controllers/staffAuthController.js';
+import {
+  showParentalConsent,
+  giveParentalConsent,
+} from '../controllers/parentalConsentController.js';
+import {
+  showEmailChangeConfirmation,
+  confirmEmailChange,
+  showEmailChangeRevert,
+  undoEmailChange,
+} from '../controllers/emailChangeController.js';
 
 const router = express.Router();
 
@@ -33,6 +74,13 @@ router.post(
     validatePassword,
     validateName,
     validateAge,
+    body('parentEmail')
+      .optional({ values: 'falsy' })
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Parent email must be a valid email address'),
+    validatePreferredLanguage,
+    validateTimezone,
     handleValidationErrors,
   ],
   registerTeen
@@ -41,24 +89,67 @@ router.post(
 // Teen Login
 router.post(
   '/teen/login',
+  loginIpLimiter,
   [validateEmail, validatePassword, handleValidationErrors],
+  loginAccountLimiter,
   loginTeen
 );
 
+// Passwordless sign-in: email a single-use link + 6-digit code
+router.post(
+  '/teen/magic-link',
+  emailIpLimiter,
+  [validateEmail, handleValidationErrors],
+  emailAccountLimiter,
+  requestMagicLink
+);
+
+router.post(
+  '/teen/magic-link/verify',
+  loginIpLimiter,
+  [
+    body('token').optional().isString(),
+    body('email')
+      .optional()
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Must be a valid email address'),
+    body('code')
+      .optional()
+      .trim()
+      .matches(/^\d{6}$/)
+      .withMessage('Code must be 6 digits'),
+    handleValidationErrors,
+  ],
+  loginAccountLimiter,
+  loginWithMagicLink
+);
+
 // Email Verification
 router.get('/verify-email', verifyEmail);
 
+// Email change: confirm from the new address, or undo from the old one.
+// The emailed GET links show a page; its button POSTs to make the change.
+router.get('/confirm-email-change', showEmailChangeConfirmation);
+router.post('/confirm-email-change', confirmEmailChange);
+router.get('/revert-email-change', showEmailChangeRevert);
+router.post('/revert-email-change', undoEmailChange);
+
 // Resend Verification Email
 router.post(
   '/resend-verification',
+  emailIpLimiter,
   [validateEmail, handleValidationErrors],
+  emailAccountLimiter,
   resendVerification
 );
 
 // Forgot Password Request
 router.post(
   '/forgot-password',
+  emailIpLimiter,
   [validateEmail, handleValidationErrors],
+  emailAccountLimiter,
   forgotPassword
 );
 
@@ -78,6 +169,10 @@ router.post(
 // Validate Reset Token (for mobile app)
 router.get('/validate-reset-token', validateResetToken);
 
+// Parental consent link (opened by the parent in a browser)
+router.get('/parental-consent', showParentalConsent);
+router.post('/parental-consent', giveParentalConsent);
+
 // ============================================
 // ADMIN/STAFF AUTHENTICATION ROUTES
 // ============================================
@@ -85,8 +180,138 @@ router.get('/validate-reset-token', validateResetToken);
 // Admin/Staff Login
 router.post(
   '/user/login',
+  loginIpLimiter,
   [validateEmail, validatePassword, handleValidationErrors],
+  loginAccountLimiter,
   loginUser
 );
 
+// Admin/Staff Login - second step when 2FA is enabled
+router.post(
+  '/user/login/2fa',
+  twoFactorLimiter,
+  [
+    body('challengeToken')
+      .notEmpty()
+      .withMessage('Challenge token is required'),
+    body('code')
+      .trim()
+      .notEmpty()
+      .withMessage('Authentication code is required'),
+    handleValidationErrors,
+  ],
+  verifyTwoFactorLogin
+);
+
+// Staff invitation (set password from the emailed link)
+router.get('/user/invitation', validateStaffInvitation);
+
+router.post(
+  '/user/invitation/accept',
+  [
+    body('token').notEmpty().withMessage('Invitation token is required'),
+    validatePassword,
+    handleValidationErrors,
+  ],
+  acceptStaffInvitation
+);
+
+// Staff Forgot Password Request
+router.post(
+  '/user/forgot-password',
+  emailIpLimiter,
+  [validateEmail, handleValidationErrors],
+  emailAccountLimiter,
+  forgotStaffPassword
+);
+
+// Staff Reset Password
+router.post(
+  '/user/reset-password',
+  [
+    body('token').notEmpty().withMessage('Reset token is required'),
+    validatePassword,
+    handleValidationErrors,
+  ],
+  resetStaffPassword
+);
+
+router.get('/user/validate-reset-token', validateStaffResetToken);
+
+// ============================================
+// ADMIN/STAFF TWO-FACTOR ENROLLMENT ROUTES
+// ============================================
+
+router.get('/user/2fa', authenticateUser, getTwoFactorStatus);
+
+router.post('/user/2fa/setup', authenticateUser, setupTwoFactor);
+
+router.post(
+  '/user/2fa/enable',
+  authenticateUser,
+  [
+    body('code')
+      .trim()
+      .notEmpty()
+      .withMessage('Authentication code is required'),
+    handleValidationErrors,
+  ],
+  enableTwoFactor
+);
+
+router.post(
+  '/user/2fa/backup-codes',
+  authenticateUser,
+  [
+    body('code')
+      .trim()
+      .notEmpty()
+      .withMessage('Authentication code is required'),
+    handleValidationErrors,
+  ],
+  regenerateBackupCodes
+);
+
+router.post(
+  '/user/2fa/disable',
+  authenticateUser,
+  [
+    body('password').notEmpty().withMessage('Password is required'),
+    body('code')
+      .trim()
+      .notEmpty()
+      .withMessage('Authentication code is required'),
+    handleValidationErrors,
+  ],
+  disableTwoFactor
+);
+
+// ============================================
+// SESSION ROUTES
+// ============================================
+
+// Rotate refresh token (teen and admin/staff)
+router.post(
+  '/refresh',
+  [
+    body('refreshToken').notEmpty().withMessage('Refresh token is required'),
+    handleValidationErrors,
+  ],
+  refreshSession
+);
+
+// Log out current device
+router.post(
+  '/logout',
+  [
+    body('refreshToken').notEmpty().withMessage('Refresh token is required'),
+    handleValidationErrors,
+  ],
+  logout
+);
+
+// Log out all devices
+router.post('/teen/logout-all', authenticateTeen, logoutAllTeenSessions);
+router.post('/user/logout-all', authenticateUser, logoutAllUserSessions);
+
 export default router;
@@ -1,6 +1,10 @@
 // teensha/routes/badgeRoutes.js
 import express from 'express';
-import { authenticateUser } from '../middleware/auth.js';
+import {
+  authenticateUser,
+  requireAdmin,
+  requirePermission,
+} from '../middleware/auth.js';
 import {
   createBadge,
   getAllBadges,
@@ -11,6 +15,7 @@ import {
 } from '../controllers/badgeController.js';
 import { body } from 'express-validator';
 import { handleValidationErrors } from '../middleware/validation.js';
+import { auditLog } from '../middleware/auditLog.js';
 
 const router = express.Router();
 
@@ -56,19 +61,44 @@ const updateBadgeValidation = [
 // Get all badges with filters
 router.get('/', authenticateUser, getAllBadges);
 
-// Get badge statistics
-router.get('/stats', authenticateUser, getBadgeStats);
+// Get badge statistics (includes revenue)
+router.get(
+  '/stats',
+  authenticateUser,
+  requirePermission('finance:read'),
+  getBadgeStats
+);
 
 // Get single badge
 router.get('/:badgeId', authenticateUser, getBadgeById);
 
 // Create new badge
-router.post('/', authenticateUser, badgeValidation, createBadge);
+router.post(
+  '/',
+  authenticateUser,
+  requirePermission('badges:write'),
+  badgeValidation,
+  auditLog('badge.create'),
+  createBadge
+);
 
-// Update badge
-router.patch('/:badgeId', authenticateUser, updateBadgeValidation, updateBadge);
+// Update badge (including price)
+router.patch(
+  '/:badgeId',
+  authenticateUser,
+  requirePermission('badges:write'),
+  updateBadgeValidation,
+  auditLog('badge.update', { idParam: 'badgeId' }),
+  updateBadge
+);
 
 // Delete badge
-router.delete('/:badgeId', authenticateUser, deleteBadge);
+router.delete(
+  '/:badgeId',
+  authenticateUser,
+  requireAdmin,
+  auditLog('badge.delete', { idParam: 'badgeId' }),
+  deleteBadge
+);
 
 export default router;
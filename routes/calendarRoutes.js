@@ -0,0 +1,30 @@
+// routes/calendarRoutes.js - .ics feeds for calendar apps (token in the URL)
+import express from 'express';
+import { param } from 'express-validator';
+import { handleValidationErrors } from '../middleware/validation.js';
+import {
+  getTeenCalendarFeed,
+  getStaffCalendarFeed,
+} from '../controllers/calendarController.js';
+
+const router = express.Router();
+
+const validateFeedToken = [
+  param('token').isHexadecimal().isLength({ min: 64, max: 64 }),
+];
+
+router.get(
+  '/teen/:token.ics',
+  validateFeedToken,
+  handleValidationErrors,
+  getTeenCalendarFeed
+);
+
+router.get(
+  '/staff/:token.ics',
+  validateFeedToken,
+  handleValidationErrors,
+  getStaffCalendarFeed
+);
+
+export default router;
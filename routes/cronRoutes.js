@@ -0,0 +1,20 @@
+// routes/cronRoutes.js - Scheduled jobs, called by the platform cron
+import express from 'express';
+import { requireCronSecret } from '../middleware/auth.js';
+import { runScheduledTransitions } from '../controllers/scheduleController.js';
+import { runDueDeletions } from '../controllers/accountController.js';
+
+const router = express.Router();
+
+router.use(requireCronSecret);
+
+// Publish challenges at goLiveDate, close them at closingDate
+// (Vercel Cron issues GET; POST is for other schedulers)
+router.get('/challenges', runScheduledTransitions);
+router.post('/challenges', runScheduledTransitions);
+
+// Erase teen accounts whose deletion grace period has ended
+router.get('/deletions', runDueDeletions);
+router.post('/deletions', runDueDeletions);
+
+export default router;
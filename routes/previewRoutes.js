@@ -0,0 +1,16 @@
+// routes/previewRoutes.js - Shareable challenge previews (no login)
+import express from 'express';
+import { query } from 'express-validator';
+import { handleValidationErrors } from '../middleware/validation.js';
+import { showChallengePreview } from '../controllers/challengePreviewController.js';
+
+const router = express.Router();
+
+router.get(
+  '/challenge',
+  [query('format').optional().isIn(['html', 'json'])],
+  handleValidationErrors,
+  showChallengePreview
+);
+
+export default router;
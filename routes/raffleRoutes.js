@@ -4,8 +4,9 @@ import { body } from 'express-validator';
 import {
   authenticateTeen,
   authenticateUser,
-  requireAdmin,
+  requirePermission,
 } from '../middleware/auth.js';
+import { auditLog } from '../middleware/auditLog.js';
 import {
   checkRaffleEligibility,
   getEligibleTeens,
@@ -18,19 +19,27 @@ const router = express.Router();
 // Teen: Check raffle eligibility
 router.get('/eligibility/:year', authenticateTeen, checkRaffleEligibility);
 
-// Admin: Get eligible teens for raffle
-router.get('/eligible/:year', authenticateUser, requireAdmin, getEligibleTeens);
+// Staff with raffle:draw: Get eligible teens for raffle
+router.get(
+  '/eligible/:year',
+  authenticateUser,
+  requirePermission('raffle:draw'),
+  getEligibleTeens
+);
 
-// Admin: Create raffle draw
+// Staff with raffle:draw: Create raffle draw
 router.post(
   '/draw',
   authenticateUser,
-  requireAdmin,
+  requirePermission('raffle:draw'),
   [
     body('year').isInt({ min: 2020, max: 2030 }),
     body('prize').trim().isLength({ min: 3 }),
     body('description').optional().trim(),
   ],
+  auditLog('raffle.draw', {
+    getEntityId: (req, body) => body?.data?.raffleDraw?.id,
+  }),
   createRaffleDraw
 );
 
@@ -1,8 +1,15 @@
 // routes/teenRoutes.js - UPDATED WITH PAYSTACK
 import express from 'express';
-import { body, param } from 'express-validator';
-import { authenticateTeen } from '../middleware/auth.js';
+import { body, param, query } from 'express-validator';
+import {
+  authenticateTeen,
+  requireParentalConsent,
+} from '../middleware/auth.js';
 import { handleValidationErrors } from '../middleware/validation.js';
+import {
+  validatePreferredLanguage,
+  validateTimezone,
+} from '../utils/validation.js';
 import { upload } from '../utils/multerConfig.js';
 
 import {
@@ -10,6 +17,7 @@ import {
   getCommunityStats,
   getLeaderboard,
   getChallengeByIdForTeen,
+  getMyChallenges,
 } from '../controllers/challengeController.js';
 
 import {
@@ -44,6 +52,23 @@ import {
   getDashboard,
 } from '../controllers/teenController.js';
 
+import {
+  getMySessions,
+  revokeMySession,
+  revokeAllMySessions,
+} from '../controllers/sessionController.js';
+
+import {
+  getMyCalendarLink,
+  resetMyCalendarLink,
+} from '../controllers/calendarController.js';
+
+import {
+  exportMyData,
+  requestAccountDeletion,
+  cancelMyAccountDeletion,
+} from '../controllers/accountController.js';
+
 const router = express.Router();
 
 // ============================================
@@ -56,8 +81,10 @@ router.put(
   authenticateTeen,
   [
     body('name').optional().isString().isLength({ min: 1 }),
-    body('email').optional().isEmail(),
+    body('email').optional().isEmail().normalizeEmail(),
     body('age').optional().isInt({ min: 13 }),
+    validatePreferredLanguage,
+    validateTimezone,
   ],
   handleValidationErrors,
   updateProfile
@@ -68,9 +95,11 @@ router.patch(
   authenticateTeen,
   [
     body('name').optional().isString().isLength({ min: 1 }),
-    body('email').optional().isEmail(),
+    body('email').optional().isEmail().normalizeEmail(),
     body('age').optional().isInt({ min: 13 }),
     body('profilePhoto').optional().isString(),
+    validatePreferredLanguage,
+    validateTimezone,
   ],
   handleValidationErrors,
   updateProfile
@@ -81,9 +110,12 @@ router.patch(
   authenticateTeen,
   [
     param('teenId').isString(),
+    body('email').optional().isEmail().normalizeEmail(),
     body('profilePhoto').optional().isString(),
     body('name').optional().isString(),
     body('age').optional().isInt({ min: 13 }),
+    validatePreferredLanguage,
+    validateTimezone,
   ],
   handleValidationErrors,
   updateProfile
@@ -91,12 +123,71 @@ router.patch(
 
 router.get('/dashboard', authenticateTeen, getDashboard);
 
+// ============================================
+// CALENDAR FEED ROUTES
+// ============================================
+
+// Subscribable .ics link with challenge dates and task deadlines
+router.get('/calendar', authenticateTeen, getMyCalendarLink);
+router.post('/calendar/reset', authenticateTeen, resetMyCalendarLink);
+
+// ============================================
+// ACCOUNT DATA ROUTES
+// ============================================
+
+// Download everything we hold (?format=zip for a ZIP archive)
+router.get(
+  '/account/export',
+  authenticateTeen,
+  [query('format').optional().isIn(['json', 'zip'])],
+  handleValidationErrors,
+  exportMyData
+);
+
+// Schedule account deletion (after a grace period)
+router.post(
+  '/account/deletion',
+  authenticateTeen,
+  [body('password').notEmpty().withMessage('Password is required')],
+  handleValidationErrors,
+  requestAccountDeletion
+);
+
+router.delete('/account/deletion', authenticateTeen, cancelMyAccountDeletion);
+
+// ============================================
+// SESSION / DEVICE ROUTES
+// ============================================
+router.get('/sessions', authenticateTeen, getMySessions);
+router.delete('/sessions', authenticateTeen, revokeAllMySessions);
+router.delete(
+  '/sessions/:sessionId',
+  authenticateTeen,
+  [param('sessionId').isMongoId()],
+  handleValidationErrors,
+  revokeMySession
+);
+
 // ============================================
 // CHALLENGE ROUTES (TEEN-FACING)
 // ============================================
+router.get('/challenges', authenticateTeen, getMyChallenges);
 router.get('/challenges/current', authenticateTeen, getCurrentChallenge);
-router.get('/challenges/stats', authenticateTeen, getCommunityStats);
-router.get('/challenges/leaderboard', authenticateTeen, getLeaderboard);
+router.get(
+  '/challenges/stats',
+  authenticateTeen,
+  [query('challengeId').optional().isMongoId()],
+  handleValidationErrors,
+  getCommunityStats
+);
+router.get(
+  '/challenges/leaderboard',
+  authenticateTeen,
+  requireParentalConsent,
+  [query('challengeId').optional().isMongoId()],
+  handleValidationErrors,
+  getLeaderboard
+);
 
 router.get(
   '/challenges/:challengeId',
@@ -109,8 +200,18 @@ router.get(
 // ============================================
 // COMMUNITY ROUTES
 // ============================================
-router.get('/community/activity', authenticateTeen, getRecentActivity);
-router.get('/community/top-performers', authenticateTeen, getTopPerformers);
+router.get(
+  '/community/activity',
+  authenticateTeen,
+  requireParentalConsent,
+  getRecentActivity
+);
+router.get(
+  '/community/top-performers',
+  authenticateTeen,
+  requireParentalConsent,
+  getTopPerformers
+);
 
 // ============================================
 // TASK ROUTES (TEEN-FACING)
@@ -160,6 +261,7 @@ router.patch(
 router.post(
   '/badges/purchase/initialize',
   authenticateTeen,
+  requireParentalConsent,
   [body('badgeId').isMongoId()],
   handleValidationErrors,
   initializeBadgePurchase
@@ -168,6 +270,7 @@ router.post(
 router.get(
   '/badges/purchase/verify/:reference',
   authenticateTeen,
+  requireParentalConsent,
   [param('reference').isString()],
   handleValidationErrors,
   verifyBadgePurchase
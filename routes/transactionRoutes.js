@@ -1,6 +1,6 @@
 // routes/transactionRoutes.js
 import express from 'express';
-import { authenticateUser, requireAdmin } from '../middleware/auth.js';
+import { authenticateUser, requirePermission } from '../middleware/auth.js';
 import {
   getAllTransactions,
   getTransactionById,
@@ -11,8 +11,8 @@ import {
 
 const router = express.Router();
 
-// All routes require authentication
-router.use(authenticateUser);
+// All routes require authentication and finance access
+router.use(authenticateUser, requirePermission('finance:read'));
 
 // Get all transactions with filters
 router.get('/', getAllTransactions);
@@ -0,0 +1,90 @@
+// scripts/migrate-wall-clock-dates.js
+// Run this script once after deploying wall-clock challenge dates when
+// APP_TIMEZONE is not UTC. Challenges created before then hold real instants
+// in goLiveDate, closingDate and task dueDates; this rewrites them as the
+// local time they showed in APP_TIMEZONE, so they open and close when they
+// did before (utils/challengeTime.js).
+//
+//   node scripts/migrate-wall-clock-dates.js --before=2026-10-19        (dry run)
+//   node scripts/migrate-wall-clock-dates.js --before=2026-10-19 --apply
+//
+// --before is the deploy date: challenges created after it already hold
+// wall-clock times and are left alone. Running it twice shifts dates twice.
+import prisma from '../lib/prisma.js';
+import { DEFAULT_TIMEZONE, toWallClock } from '../utils/challengeTime.js';
+
+const getArg = (name) =>
+  process.argv
+    .find((arg) => arg.startsWith(`--${name}=`))
+    ?.slice(name.length + 3);
+
+async function migrateWallClockDates() {
+  const apply = process.argv.includes('--apply');
+  const before = new Date(getArg('before'));
+
+  if (Number.isNaN(before.getTime())) {
+    console.error('❌ Pass the deploy date, e.g. --before=2026-10-19');
+    process.exit(1);
+  }
+
+  if (DEFAULT_TIMEZONE === 'UTC') {
+    console.log('ℹ️  APP_TIMEZONE is UTC, stored dates are already correct');
+    return;
+  }
+
+  console.log(
+    `🔄 Converting challenges created before ${before.toISOString()} to ${DEFAULT_TIMEZONE} wall-clock times${apply ? '' : ' (dry run)'}...`
+  );
+
+  try {
+    const challenges = await prisma.monthlyChallenge.findMany({
+      where: { createdAt: { lt: before }, timezone: null },
+      include: {
+        tasks: { select: { id: true, title: true, dueDate: true } },
+      },
+    });
+
+    console.log(`📊 Found ${challenges.length} challenges`);
+
+    let updatedTasks = 0;
+    for (const challenge of challenges) {
+      const goLiveDate = toWallClock(challenge.goLiveDate, DEFAULT_TIMEZONE);
+      const closingDate = toWallClock(challenge.closingDate, DEFAULT_TIMEZONE);
+
+      console.log(
+        `  ${challenge.year}-${challenge.month} "${challenge.theme}": ${challenge.goLiveDate.toISOString()} -> ${goLiveDate.toISOString()}`
+      );
+
+      const tasks = challenge.tasks.filter((task) => task.dueDate);
+
+      if (apply) {
+        await prisma.monthlyChallenge.update({
+          where: { id: challenge.id },
+          data: { goLiveDate, closingDate },
+        });
+        for (const task of tasks) {
+          await prisma.task.update({
+            where: { id: task.id },
+            data: { dueDate: toWallClock(task.dueDate, DEFAULT_TIMEZONE) },
+          });
+        }
+      }
+      updatedTasks += tasks.length;
+    }
+
+    console.log(
+      `✅ ${apply ? 'Updated' : 'Would update'} ${challenges.length} challenges and ${updatedTasks} task due dates`
+    );
+    if (!apply) {
+      console.log('ℹ️  Run again with --apply to write the changes');
+    }
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+// Run migration
+migrateWallClockDates();
@@ -0,0 +1,18 @@
+// scripts/processAccountDeletions.js
+// Erase teen accounts whose deletion grace period has ended
+import prisma from '../lib/prisma.js';
+import { processDueDeletions } from '../utils/accountDeletion.js';
+
+async function main() {
+  const erased = await processDueDeletions();
+  console.log(`Deleted ${erased} teen account(s)`);
+}
+
+main()
+  .catch((e) => {
+    console.error(e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
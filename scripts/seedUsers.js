@@ -1,10 +1,20 @@
 // teensha/prisma/seed.js
 import { PrismaClient } from '@prisma/client';
 import bcrypt from 'bcryptjs';
+import { DEFAULT_ROLES } from '../utils/permissions.js';
 
 const prisma = new PrismaClient();
 
 async function main() {
+  // Create default staff roles (existing roles keep any admin edits)
+  for (const role of DEFAULT_ROLES) {
+    await prisma.staffRole.upsert({
+      where: { name: role.name },
+      update: {},
+      create: role,
+    });
+  }
+
   // Create admin user
   const adminPassword = await bcrypt.hash('admin123TeenShappers', 12);
 
@@ -52,6 +62,7 @@ async function main() {
   });
 
   console.log('Seed data created:');
+  console.log('Roles:', DEFAULT_ROLES.map((role) => role.name).join(', '));
   console.log('Admin:', admin.email, '- Password: admin123TeenShappers');
   console.log('Staff:', staff.email, '- Password: staff123');
   console.log('Teen:', teen.email, '- Password: teen123');
@@ -0,0 +1,174 @@
+// utils/accountDeletion.js
+// Teen account deletion with a grace period. Financial records survive,
+// anonymized, so Transaction accounting stays intact.
+
+import prisma from '../lib/prisma.js';
+import { deleteFileCloudinary, parseCloudinaryUrl } from './cloudinary.js';
+import { sendAccountDeletionScheduledEmail } from './emailService.js';
+import { getTeenLanguage } from './i18n.js';
+
+/**
+ * Days between a deletion request and the actual erasure.
+ * Configurable with ACCOUNT_DELETION_GRACE_DAYS (default 14).
+ * @returns {number}
+ */
+export const getDeletionGraceDays = () =>
+  parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '14');
+
+/**
+ * Schedule a teen's account for deletion and let them (and their parent) know
+ * @param {Object} teen - Teen record
+ * @returns {Promise<Date>} When the account will be erased
+ */
+export const scheduleTeenDeletion = async (teen) => {
+  const deletionScheduledFor = new Date(
+    Date.now() + getDeletionGraceDays() * 24 * 60 * 60 * 1000
+  );
+
+  await prisma.teen.update({
+    where: { id: teen.id },
+    data: {
+      deletionRequestedAt: new Date(),
+      deletionScheduledFor,
+    },
+  });
+
+  const recipients = [teen.email, teen.parentEmail].filter(Boolean);
+  await Promise.allSettled(
+    recipients.map((email) =>
+      sendAccountDeletionScheduledEmail(
+        email,
+        teen.name,
+        deletionScheduledFor,
+        getTeenLanguage(teen)
+      )
+    )
+  );
+
+  console.log(
+    `🗓️ Teen ${teen.id} scheduled for deletion on ${deletionScheduledFor.toISOString()}`
+  );
+
+  return deletionScheduledFor;
+};
+
+/**
+ * Cancel a pending deletion
+ * @param {string} teenId - Teen id
+ */
+export const cancelTeenDeletion = async (teenId) => {
+  await prisma.teen.update({
+    where: { id: teenId },
+    data: {
+      deletionRequestedAt: null,
+      deletionScheduledFor: null,
+    },
+  });
+};
+
+// Strip anything that identifies the teen from stored Paystack metadata
+const anonymizeMetadata = (metadata) => {
+  if (!metadata) return metadata;
+
+  let parsed = metadata;
+  if (typeof metadata === 'string') {
+    try {
+      parsed = JSON.parse(metadata);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  const { teenId, email, customer, ...rest } = parsed;
+  return rest;
+};
+
+// Best effort - a file we can't remove must not block the erasure
+const deleteUploadedFiles = async (urls) => {
+  const results = await Promise.allSettled(
+    urls.map((url) => {
+      const file = parseCloudinaryUrl(url);
+      return file
+        ? deleteFileCloudinary(file.publicId, file.resourceType)
+        : Promise.resolve();
+    })
+  );
+
+  const failed = results.filter((r) => r.status === 'rejected').length;
+  if (failed > 0) {
+    console.warn(`⚠️ ${failed} uploaded file(s) could not be deleted`);
+  }
+};
+
+/**
+ * Permanently erase a teen. Transactions are kept but detached from the
+ * teen; everything else cascades with the Teen record.
+ * @param {string} teenId - Teen id
+ */
+export const eraseTeenAccount = async (teenId) => {
+  const teen = await prisma.teen.findUnique({
+    where: { id: teenId },
+    include: {
+      submissions: { select: { fileUrls: true } },
+      transactions: { select: { id: true, metadata: true } },
+    },
+  });
+
+  if (!teen) return;
+
+  for (const transaction of teen.transactions) {
+    await prisma.transaction.update({
+      where: { id: transaction.id },
+      data: {
+        teenId: null,
+        customerEmail: null,
+        metadata: anonymizeMetadata(transaction.metadata),
+        anonymizedAt: new Date(),
+      },
+    });
+  }
+
+  await deleteUploadedFiles([
+    ...(teen.profilePhoto ? [teen.profilePhoto] : []),
+    ...teen.submissions.flatMap((submission) => submission.fileUrls),
+  ]);
+
+  await prisma.teen.delete({
+    where: { id: teenId },
+  });
+
+  console.log(
+    `🗑️ Teen account erased: ${teenId} (${teen.transactions.length} transaction(s) anonymized)`
+  );
+};
+
+/**
+ * Erase every account whose grace period has ended. Safe to run repeatedly.
+ * @returns {Promise<number>} Number of accounts erased
+ */
+export const processDueDeletions = async () => {
+  const dueTeens = await prisma.teen.findMany({
+    where: { deletionScheduledFor: { lte: new Date() } },
+    select: { id: true },
+  });
+
+  let erased = 0;
+  for (const { id } of dueTeens) {
+    try {
+      await eraseTeenAccount(id);
+      erased++;
+    } catch (error) {
+      console.error('❌ Account deletion failed for teen:', id, error);
+    }
+  }
+
+  return erased;
+};
+
+export default {
+  getDeletionGraceDays,
+  scheduleTeenDeletion,
+  cancelTeenDeletion,
+  eraseTeenAccount,
+  processDueDeletions,
+};
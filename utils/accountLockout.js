@@ -0,0 +1,109 @@
+// utils/accountLockout.js
+// Progressive lockout after repeated failed logins (teens and staff)
+
+import prisma from '../lib/prisma.js';
+import { sendAccountLockedEmail } from './emailService.js';
+import { getTeenLanguage } from './i18n.js';
+
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS || '5');
+const BASE_LOCKOUT_MINUTES = 15;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+
+const getDelegate = (type) => (type === 'teen' ? prisma.teen : prisma.user);
+
+/**
+ * Lock duration doubles with every further batch of failures:
+ * 15 min, 30 min, 1 h ... capped at 24 h
+ * @param {number} failedAttempts - Consecutive failed attempts
+ * @returns {number} Minutes
+ */
+const getLockoutMinutes = (failedAttempts) => {
+  const lockouts = Math.floor(failedAttempts / MAX_FAILED_ATTEMPTS);
+  return Math.min(
+    BASE_LOCKOUT_MINUTES * 2 ** (lockouts - 1),
+    MAX_LOCKOUT_MINUTES
+  );
+};
+
+/**
+ * Whether an account is currently locked
+ * @param {Object} account - Teen or user record
+ * @returns {boolean}
+ */
+export const isAccountLocked = (account) =>
+  Boolean(account.lockedUntil && account.lockedUntil > new Date());
+
+/**
+ * Standard 423 response for a locked account
+ */
+export const sendLockedResponse = (res, account) =>
+  res.status(423).json({
+    success: false,
+    message:
+      'This account is temporarily locked after too many failed sign-in attempts. Please try again later or reset your password.',
+    lockedUntil: account.lockedUntil,
+  });
+
+/**
+ * Record a failed password/code attempt and lock the account when needed
+ * @param {string} type - 'teen' or 'user'
+ * @param {Object} account - Teen or user record (needs id, email, name)
+ * @returns {Promise<Object>} { locked, lockedUntil }
+ */
+export const registerFailedLogin = async (type, account) => {
+  // Count atomically so parallel guesses can't all write the same number
+  // and skip past a lockout
+  const { failedLoginAttempts } = await getDelegate(type).update({
+    where: { id: account.id },
+    data: { failedLoginAttempts: { increment: 1 } },
+    select: { failedLoginAttempts: true },
+  });
+
+  const shouldLock = failedLoginAttempts % MAX_FAILED_ATTEMPTS === 0;
+  const lockedUntil = shouldLock
+    ? new Date(Date.now() + getLockoutMinutes(failedLoginAttempts) * 60000)
+    : null;
+
+  if (shouldLock) {
+    await getDelegate(type).update({
+      where: { id: account.id },
+      data: { lockedUntil },
+    });
+
+    console.warn(
+      `🔒 ${type} account locked until ${lockedUntil.toISOString()}:`,
+      account.email
+    );
+
+    // Staff have no language preference, so they get English
+    await sendAccountLockedEmail(
+      account.email,
+      account.name,
+      lockedUntil,
+      getTeenLanguage(account)
+    );
+  }
+
+  return { locked: shouldLock, lockedUntil };
+};
+
+/**
+ * Clear failed attempts after a successful login
+ * @param {string} type - 'teen' or 'user'
+ * @param {Object} account - Teen or user record
+ */
+export const resetFailedLogins = async (type, account) => {
+  if (!account.failedLoginAttempts && !account.lockedUntil) return;
+
+  await getDelegate(type).update({
+    where: { id: account.id },
+    data: { failedLoginAttempts: 0, lockedUntil: null },
+  });
+};
+
+export default {
+  isAccountLocked,
+  sendLockedResponse,
+  registerFailedLogin,
+  resetFailedLogins,
+};
@@ -0,0 +1,346 @@
+// utils/calendarFeed.js
+// iCalendar (.ics) feeds that phone and desktop calendars subscribe to.
+// Teens get the challenges they can take (go-live, closing and task due
+// dates, in their language); staff get the whole content calendar, drafts
+// included. Feeds are built on every fetch, so date changes show up the next
+// time the calendar app refreshes. Calendar apps can't send an auth header,
+// so each feed URL carries a random token that can be reset to revoke it.
+
+import crypto from 'crypto';
+import prisma from '../lib/prisma.js';
+import { isTeenEligibleForChallenge } from './challengeAudience.js';
+import { getChallengeWindow, getTaskDueAt } from './challengeTime.js';
+import {
+  DEFAULT_LANGUAGE,
+  getTeenLanguage,
+  localizeChallenge,
+  t,
+} from './i18n.js';
+
+const generateCalendarToken = () => crypto.randomBytes(32).toString('hex');
+
+const getFeedUrl = (audience, token) =>
+  `${process.env.APP_URL || 'https://teensha.vercel.app'}/api/calendar/${audience}/${token}.ics`;
+
+const toFeedLinks = (audience, token) => {
+  const url = getFeedUrl(audience, token);
+  return { url, webcalUrl: url.replace(/^https?:\/\//, 'webcal://') };
+};
+
+// ============================================
+// FEED TOKENS
+// ============================================
+
+/**
+ * A teen's feed links, creating the token on first use
+ * @param {Object} teen - Teen with id and calendarToken
+ * @returns {Promise<Object>} { url, webcalUrl }
+ */
+export const getTeenCalendarLinks = async (teen) => {
+  let token = teen.calendarToken;
+
+  if (!token) {
+    token = generateCalendarToken();
+    await prisma.teen.update({
+      where: { id: teen.id },
+      data: { calendarToken: token },
+    });
+  }
+
+  return toFeedLinks('teen', token);
+};
+
+/**
+ * Replace a teen's feed token; calendars using the old link stop updating
+ * @param {string} teenId
+ * @returns {Promise<Object>} { url, webcalUrl }
+ */
+export const resetTeenCalendarLinks = async (teenId) => {
+  const token = generateCalendarToken();
+  await prisma.teen.update({
+    where: { id: teenId },
+    data: { calendarToken: token },
+  });
+  return toFeedLinks('teen', token);
+};
+
+/**
+ * A staff member's feed links, creating the token on first use
+ * @param {Object} user - User with id and calendarToken
+ * @returns {Promise<Object>} { url, webcalUrl }
+ */
+export const getStaffCalendarLinks = async (user) => {
+  let token = user.calendarToken;
+
+  if (!token) {
+    token = generateCalendarToken();
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { calendarToken: token },
+    });
+  }
+
+  return toFeedLinks('staff', token);
+};
+
+/**
+ * Replace a staff member's feed token
+ * @param {string} userId
+ * @returns {Promise<Object>} { url, webcalUrl }
+ */
+export const resetStaffCalendarLinks = async (userId) => {
+  const token = generateCalendarToken();
+  await prisma.user.update({
+    where: { id: userId },
+    data: { calendarToken: token },
+  });
+  return toFeedLinks('staff', token);
+};
+
+/**
+ * Active teen a feed token belongs to
+ * @param {string} token
+ * @returns {Promise<Object|null>}
+ */
+export const findTeenByCalendarToken = (token) =>
+  prisma.teen.findFirst({
+    where: { calendarToken: token, isActive: true },
+  });
+
+/**
+ * Active staff member a feed token belongs to
+ * @param {string} token
+ * @returns {Promise<Object|null>}
+ */
+export const findUserByCalendarToken = (token) =>
+  prisma.user.findFirst({
+    where: { calendarToken: token, isActive: true },
+  });
+
+// ============================================
+// ICS OUTPUT
+// ============================================
+
+// Text values escape backslashes, separators and newlines (RFC 5545 3.3.11)
+const escapeText = (value) =>
+  String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// UTC date-time, e.g. 20260301T090000Z
+const formatUtc = (date) =>
+  new Date(date)
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets continue on the next line after a space.
+// Split on code points so multi-byte characters aren't cut in half.
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+const buildEvent = ({
+  uid,
+  start,
+  summary,
+  description,
+  updatedAt,
+  status,
+  reminderMinutes,
+  reminderText,
+}) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}@teenshapers`,
+    `DTSTAMP:${formatUtc(updatedAt)}`,
+    `LAST-MODIFIED:${formatUtc(updatedAt)}`,
+    `DTSTART:${formatUtc(start)}`,
+    `SUMMARY:${escapeText(summary)}`,
+  ];
+
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (status) lines.push(`STATUS:${status}`);
+
+  if (reminderMinutes != null) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `TRIGGER:-PT${reminderMinutes}M`,
+      `DESCRIPTION:${escapeText(reminderText)}`,
+      'END:VALARM'
+    );
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// Remind a day before anything closes or falls due
+const DEADLINE_REMINDER_MINUTES = 24 * 60;
+
+/**
+ * Events for one challenge: go-live, closing and each task due date
+ * @param {Object} challenge - Challenge with tasks, already localized
+ * @param {string} language - Language for the event titles
+ * @param {Object} options
+ * @param {boolean} options.markDrafts - Flag unpublished challenges (staff)
+ * @param {Object} options.teen - Teen whose timezone the dates are read in
+ * @returns {string[][]} Event line groups
+ */
+const buildChallengeEvents = (
+  challenge,
+  language,
+  { markDrafts = false, teen = null }
+) => {
+  const { goLiveAt, closesAt } = getChallengeWindow(challenge, teen);
+  const isDraft = markDrafts && !challenge.isPublished;
+  const prefix = isDraft ? '[Draft] ' : '';
+  const status = isDraft ? 'TENTATIVE' : 'CONFIRMED';
+  const copy = (key, params) => t(language, `calendar.${key}`, params);
+  const { theme } = challenge;
+
+  const closingSummary = prefix + copy('closing', { theme });
+
+  const events = [
+    buildEvent({
+      uid: `challenge-${challenge.id}-golive`,
+      start: goLiveAt,
+      summary: prefix + copy('goLive', { theme }),
+      description: challenge.instructions,
+      updatedAt: challenge.updatedAt,
+      status,
+    }),
+    buildEvent({
+      uid: `challenge-${challenge.id}-closing`,
+      start: closesAt,
+      summary: closingSummary,
+      updatedAt: challenge.updatedAt,
+      status,
+      reminderMinutes: DEADLINE_REMINDER_MINUTES,
+      reminderText: copy('reminder', { summary: closingSummary }),
+    }),
+  ];
+
+  for (const task of challenge.tasks || []) {
+    if (!task.dueDate) continue;
+
+    const summary = prefix + copy('taskDue', { title: task.title });
+    events.push(
+      buildEvent({
+        uid: `task-${task.id}-due`,
+        start: getTaskDueAt(task, challenge, teen),
+        summary,
+        description: `${copy('partOf', { theme })}\n\n${task.description}`,
+        updatedAt: task.updatedAt,
+        status,
+        reminderMinutes: DEADLINE_REMINDER_MINUTES,
+        reminderText: copy('reminder', { summary }),
+      })
+    );
+  }
+
+  return events;
+};
+
+const renderCalendar = (name, events) =>
+  [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//TeenShapers//Challenge Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    // Ask subscribed calendars to check for changes every hour
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...events.flat(),
+    'END:VCALENDAR',
+  ]
+    .map(foldLine)
+    .join('\r\n') + '\r\n';
+
+const CALENDAR_INCLUDE = {
+  tasks: {
+    select: {
+      id: true,
+      title: true,
+      description: true,
+      dueDate: true,
+      translations: true,
+      updatedAt: true,
+    },
+  },
+};
+
+/**
+ * Feed for one teen: published challenges in their audience
+ * @param {Object} teen - Teen
+ * @returns {Promise<string>} ICS document
+ */
+export const buildTeenCalendar = async (teen) => {
+  const language = getTeenLanguage(teen);
+
+  const challenges = await prisma.monthlyChallenge.findMany({
+    where: { isPublished: true },
+    include: CALENDAR_INCLUDE,
+    orderBy: { goLiveDate: 'asc' },
+  });
+
+  const events = challenges
+    .filter((challenge) => isTeenEligibleForChallenge(teen, challenge))
+    .map((challenge) =>
+      buildChallengeEvents(localizeChallenge(challenge, language), language, {
+        teen,
+      })
+    );
+
+  return renderCalendar(t(language, 'calendar.name'), events.flat());
+};
+
+/**
+ * Feed for staff: every challenge, drafts included
+ * @returns {Promise<string>} ICS document
+ */
+export const buildStaffCalendar = async () => {
+  const challenges = await prisma.monthlyChallenge.findMany({
+    include: CALENDAR_INCLUDE,
+    orderBy: { goLiveDate: 'asc' },
+  });
+
+  const events = challenges.map((challenge) =>
+    buildChallengeEvents(challenge, DEFAULT_LANGUAGE, { markDrafts: true })
+  );
+
+  return renderCalendar('TeenShapers Content Calendar', events.flat());
+};
+
+export default {
+  getTeenCalendarLinks,
+  resetTeenCalendarLinks,
+  getStaffCalendarLinks,
+  resetStaffCalendarLinks,
+  findTeenByCalendarToken,
+  findUserByCalendarToken,
+  buildTeenCalendar,
+  buildStaffCalendar,
+};
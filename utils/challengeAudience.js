@@ -0,0 +1,156 @@
+// utils/challengeAudience.js
+// Who a challenge is for. Several challenges can run in the same month
+// (age-group tracks, seasonal specials); each one can be narrowed by age
+// range, gender, state or country. Empty/unset criteria match everyone.
+
+import prisma from '../lib/prisma.js';
+import { buildPossiblyOpenWhere, isChallengeOpen } from './challengeTime.js';
+
+export const AUDIENCE_LIST_FIELDS = {
+  genders: 'gender',
+  states: 'state',
+  countries: 'country',
+};
+
+// Add to a challenge `select` so isTeenEligibleForChallenge has what it needs
+export const AUDIENCE_SELECT = {
+  minAge: true,
+  maxAge: true,
+  genders: true,
+  states: true,
+  countries: true,
+};
+
+const normalize = (value) =>
+  typeof value === 'string' ? value.trim().toLowerCase() : value;
+
+/**
+ * Pick the audience fields out of a request body / bundle entry
+ * @param {Object} source
+ * @returns {Object} Only the fields that were provided
+ */
+export const pickAudience = (source) => {
+  const audience = {};
+
+  for (const field of ['minAge', 'maxAge']) {
+    if (source[field] !== undefined) audience[field] = source[field];
+  }
+  for (const field of Object.keys(AUDIENCE_LIST_FIELDS)) {
+    if (source[field] !== undefined) {
+      audience[field] = (source[field] || [])
+        .map((value) => String(value).trim())
+        .filter(Boolean);
+    }
+  }
+
+  return audience;
+};
+
+/**
+ * Whether a teen is in a challenge's audience
+ * @param {Object} teen - Teen (age, gender, state, country)
+ * @param {Object} challenge - Challenge with audience fields
+ * @returns {boolean}
+ */
+export const isTeenEligibleForChallenge = (teen, challenge) => {
+  if (challenge.minAge != null && teen.age < challenge.minAge) return false;
+  if (challenge.maxAge != null && teen.age > challenge.maxAge) return false;
+
+  return Object.entries(AUDIENCE_LIST_FIELDS).every(
+    ([listField, teenField]) => {
+      const allowed = challenge[listField] || [];
+      return (
+        allowed.length === 0 ||
+        allowed.map(normalize).includes(normalize(teen[teenField]))
+      );
+    }
+  );
+};
+
+/**
+ * Prisma filter for the teens in a challenge's audience
+ * @param {Object} challenge - Challenge with audience fields
+ * @returns {Object} Teen where clause
+ */
+export const buildAudienceTeenWhere = (challenge) => {
+  const conditions = [];
+
+  if (challenge.minAge != null || challenge.maxAge != null) {
+    conditions.push({
+      age: {
+        ...(challenge.minAge != null && { gte: challenge.minAge }),
+        ...(challenge.maxAge != null && { lte: challenge.maxAge }),
+      },
+    });
+  }
+
+  for (const [listField, teenField] of Object.entries(AUDIENCE_LIST_FIELDS)) {
+    const allowed = challenge[listField] || [];
+    if (allowed.length > 0) {
+      conditions.push({
+        OR: allowed.map((value) => ({
+          [teenField]: { equals: value, mode: 'insensitive' },
+        })),
+      });
+    }
+  }
+
+  return conditions.length > 0 ? { AND: conditions } : {};
+};
+
+/**
+ * Published challenges that are open right now (in the teen's timezone, see
+ * utils/challengeTime.js) and that the teen can take, soonest-closing first
+ * @param {Object} teen - Teen
+ * @param {Object} include - Prisma include for the challenges
+ * @returns {Promise<Object[]>}
+ */
+export const getLiveChallengesForTeen = async (teen, include = undefined) => {
+  const currentDate = new Date();
+
+  const challenges = await prisma.monthlyChallenge.findMany({
+    where: {
+      isPublished: true,
+      isActive: true,
+      ...buildPossiblyOpenWhere(currentDate),
+    },
+    include,
+    orderBy: [{ closingDate: 'asc' }, { goLiveDate: 'asc' }],
+  });
+
+  return challenges.filter(
+    (challenge) =>
+      isChallengeOpen(challenge, teen, currentDate) &&
+      isTeenEligibleForChallenge(teen, challenge)
+  );
+};
+
+/**
+ * The challenge to show when a single "current" challenge is expected:
+ * the one asked for, if the teen can see it, otherwise the first live one
+ * @param {Object} teen - Teen
+ * @param {string} challengeId - Optional challenge the client asked for
+ * @param {Object} include - Prisma include for the challenges
+ * @returns {Promise<Object|null>}
+ */
+export const getLiveChallengeForTeen = async (
+  teen,
+  challengeId = undefined,
+  include = undefined
+) => {
+  const challenges = await getLiveChallengesForTeen(teen, include);
+
+  if (challengeId) {
+    return challenges.find((challenge) => challenge.id === challengeId) || null;
+  }
+
+  return challenges[0] || null;
+};
+
+export default {
+  pickAudience,
+  isTeenEligibleForChallenge,
+  buildAudienceTeenWhere,
+  getLiveChallengesForTeen,
+  getLiveChallengeForTeen,
+};
@@ -0,0 +1,919 @@
+// utils/challengeBundle.js
+// Portable challenge bundles: a versioned JSON document holding one or more
+// challenges with their tasks and badge. Used by the admin import/export
+// endpoints and by scripts/seedChallenges.js.
+//
+// {
+//   "format": "teenshapers.challenge-bundle",
+//   "version": 1,
+//   "challenges": [
+//     { "year", "month", "theme", "instructions", "goLiveDate", "closingDate",
+//       "timezone", "latePolicy", "graceMinutes", "lateCredit",
+//       "completionRules", "minAge", "maxAge", "genders", "states",
+//       "countries", "translations",
+//       "badge": { "name", "description", "imageUrl", "price" } | null,
+//       "tasks": [{ "tabName", "taskGroup", "title", "description", "taskType",
+//                   "dueDate",
+//                   "isRequired", "completionRule", "options", "maxScore",
+//                   "latePolicy", "graceMinutes", "lateCredit",
+//                   "translations" }] }
+//
+// The timezone, late-policy, completion-rule, audience and translation
+// fields are optional; null/empty means "each teen's timezone" / "use the
+// default" / "every task" / "everyone" / "English only". Several challenges
+// can share a month, so challenges are identified by year + month + theme.
+// Dates are local date-times ("2026-03-01T00:00:00.000") read in the
+// challenge's timezone; a trailing "Z" (older exports) is read the same way,
+// any other UTC offset is refused.
+//   ]
+// }
+
+import prisma from '../lib/prisma.js';
+import { LATE_POLICIES } from './latePolicy.js';
+import { diffFields, recalculateChallengeProgress } from './helpers.js';
+import { recordContentVersion } from './contentVersions.js';
+import { getTranslationsError } from './i18n.js';
+import {
+  isValidTimezone,
+  isWallClockString,
+  parseWallClock,
+  formatWallClock,
+} from './challengeTime.js';
+import { getCompletionRulesError } from './completionRules.js';
+import { getQuizOptionsError } from './quizGrading.js';
+
+export const BUNDLE_FORMAT = 'teenshapers.challenge-bundle';
+export const BUNDLE_VERSION = 1;
+
+const TASK_TYPES = [
+  'TEXT',
+  'IMAGE',
+  'VIDEO',
+  'QUIZ',
+  'FORM',
+  'PICK_ONE',
+  'CHECKLIST',
+];
+
+// Where each option-based task type keeps its list, and the id prefix
+const OPTION_LISTS = {
+  QUIZ: { key: 'questions', prefix: 'question' },
+  FORM: { key: 'fields', prefix: 'field' },
+  PICK_ONE: { key: 'options', prefix: 'option' },
+  CHECKLIST: { key: 'items', prefix: 'item' },
+};
+
+const LATE_POLICY_FIELDS = ['latePolicy', 'graceMinutes', 'lateCredit'];
+const AUDIENCE_FIELDS = ['minAge', 'maxAge', 'genders', 'states', 'countries'];
+const CHALLENGE_FIELDS = [
+  'instructions',
+  'goLiveDate',
+  'closingDate',
+  'timezone',
+  ...LATE_POLICY_FIELDS,
+  'completionRules',
+  ...AUDIENCE_FIELDS,
+  'translations',
+];
+const BADGE_FIELDS = ['name', 'description', 'imageUrl', 'price'];
+const TASK_FIELDS = [
+  'taskGroup',
+  'description',
+  'taskType',
+  'dueDate',
+  'isRequired',
+  'completionRule',
+  'options',
+  'maxScore',
+  ...LATE_POLICY_FIELDS,
+  'translations',
+];
+
+const taskKey = (task) => `${task.tabName}::${task.title}`;
+const challengeKey = (challenge) =>
+  `${challenge.year}-${challenge.month} "${challenge.theme}"`;
+
+// Bundle date -> stored wall-clock Date, or null if it isn't one
+const readBundleDate = (value) => {
+  if (typeof value !== 'string') return null;
+  const local = value.endsWith('Z') ? value.slice(0, -1) : value;
+  return isWallClockString(local) ? parseWallClock(local) : null;
+};
+
+const isValidDate = (value) => readBundleDate(value) !== null;
+
+const isNonEmptyString = (value) =>
+  typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Fill in option ids and the display fields the app expects. Missing ids
+ * reuse the existing task's id at the same position so submissions that
+ * point at an option keep working.
+ * @param {string} taskType - Task type
+ * @param {Object|null} options - Options from the bundle or database
+ * @param {Object|null} existingOptions - Options currently stored, if any
+ * @returns {Object|null}
+ */
+export const normalizeTaskOptions = (taskType, options, existingOptions) => {
+  const list = OPTION_LISTS[taskType];
+  if (!options || !list || !Array.isArray(options[list.key])) {
+    return options ?? null;
+  }
+
+  const existingList = existingOptions?.[list.key] || [];
+
+  const entries = options[list.key].map((entry, index) => {
+    const id =
+      entry?.id || existingList[index]?.id || `${list.prefix}-${index + 1}`;
+
+    switch (taskType) {
+      case 'CHECKLIST':
+        return typeof entry === 'string'
+          ? { id, text: entry }
+          : { ...entry, id, text: entry.text || entry.title || entry.name };
+      case 'PICK_ONE':
+        return typeof entry === 'string'
+          ? { id, title: entry, description: '' }
+          : { ...entry, id, title: entry.title || entry.text || entry.name };
+      case 'QUIZ':
+        return {
+          ...entry,
+          id,
+          text: entry.text || entry.question || '',
+          options: entry.options || [],
+        };
+      case 'FORM':
+        return {
+          ...entry,
+          id,
+          label: entry.label || entry.name,
+          type: entry.type || 'text',
+          required: entry.required !== undefined ? entry.required : false,
+        };
+      default:
+        return entry;
+    }
+  });
+
+  return { ...options, [list.key]: entries };
+};
+
+const validateTaskOptions = (taskType, options, path, errors) => {
+  const list = OPTION_LISTS[taskType];
+
+  if (!list) {
+    if (
+      options !== undefined &&
+      options !== null &&
+      typeof options !== 'object'
+    ) {
+      errors.push({ field: `${path}.options`, message: 'Must be an object' });
+    }
+    return;
+  }
+
+  const entries = options?.[list.key];
+
+  // Randomized quizzes can take every question from question banks
+  if (taskType === 'QUIZ' && options?.draw && entries === undefined) {
+    const message = getQuizOptionsError(options);
+    if (message) {
+      errors.push({ field: `${path}.options`, message });
+    }
+    return;
+  }
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    errors.push({
+      field: `${path}.options.${list.key}`,
+      message: `${taskType} tasks need a non-empty "${list.key}" list`,
+    });
+    return;
+  }
+
+  entries.forEach((entry, index) => {
+    const entryPath = `${path}.options.${list.key}[${index}]`;
+
+    switch (taskType) {
+      case 'QUIZ': {
+        if (!isNonEmptyString(entry?.text || entry?.question)) {
+          errors.push({
+            field: entryPath,
+            message: 'Question text is required',
+          });
+        }
+        if (!Array.isArray(entry?.options) || entry.options.length < 2) {
+          errors.push({
+            field: `${entryPath}.options`,
+            message: 'A question needs at least 2 answers',
+          });
+        }
+        break;
+      }
+      case 'FORM':
+        if (!isNonEmptyString(entry?.label || entry?.name)) {
+          errors.push({ field: entryPath, message: 'Field label is required' });
+        }
+        break;
+      case 'PICK_ONE':
+        if (
+          !isNonEmptyString(
+            typeof entry === 'string'
+              ? entry
+              : entry?.title || entry?.text || entry?.name
+          )
+        ) {
+          errors.push({
+            field: entryPath,
+            message: 'Option title is required',
+          });
+        }
+        break;
+      case 'CHECKLIST':
+        if (
+          !isNonEmptyString(
+            typeof entry === 'string'
+              ? entry
+              : entry?.text || entry?.title || entry?.name
+          )
+        ) {
+          errors.push({ field: entryPath, message: 'Item text is required' });
+        }
+        break;
+    }
+  });
+
+  // Answer key, points and pass mark
+  if (taskType === 'QUIZ') {
+    const message = getQuizOptionsError(options);
+    if (message) {
+      errors.push({ field: `${path}.options`, message });
+    }
+  }
+};
+
+const isUnsetValue = (value) => value === undefined || value === null;
+
+const validateLatePolicyFields = (item, path, errors) => {
+  if (
+    !isUnsetValue(item.latePolicy) &&
+    !LATE_POLICIES.includes(item.latePolicy)
+  ) {
+    errors.push({
+      field: `${path}.latePolicy`,
+      message: `Must be one of ${LATE_POLICIES.join(', ')}`,
+    });
+  }
+  if (
+    !isUnsetValue(item.graceMinutes) &&
+    (!Number.isInteger(item.graceMinutes) || item.graceMinutes < 0)
+  ) {
+    errors.push({
+      field: `${path}.graceMinutes`,
+      message: 'Must be a non-negative integer',
+    });
+  }
+  if (
+    !isUnsetValue(item.lateCredit) &&
+    (!Number.isInteger(item.lateCredit) ||
+      item.lateCredit < 0 ||
+      item.lateCredit > 100)
+  ) {
+    errors.push({
+      field: `${path}.lateCredit`,
+      message: 'Must be an integer between 0 and 100',
+    });
+  }
+};
+
+const validateTask = (task, challenge, path, errors) => {
+  if (!task || typeof task !== 'object') {
+    errors.push({ field: path, message: 'Must be an object' });
+    return;
+  }
+
+  if (!isNonEmptyString(task.tabName)) {
+    errors.push({ field: `${path}.tabName`, message: 'Tab name is required' });
+  }
+  if (!isUnsetValue(task.taskGroup) && !isNonEmptyString(task.taskGroup)) {
+    errors.push({
+      field: `${path}.taskGroup`,
+      message: 'Must be a non-empty string',
+    });
+  }
+  if (!isNonEmptyString(task.title)) {
+    errors.push({ field: `${path}.title`, message: 'Title is required' });
+  }
+  if (typeof task.description !== 'string') {
+    errors.push({
+      field: `${path}.description`,
+      message: 'Description is required',
+    });
+  }
+  if (!TASK_TYPES.includes(task.taskType)) {
+    errors.push({
+      field: `${path}.taskType`,
+      message: `Must be one of ${TASK_TYPES.join(', ')}`,
+    });
+  } else {
+    validateTaskOptions(task.taskType, task.options, path, errors);
+  }
+  if (task.isRequired !== undefined && typeof task.isRequired !== 'boolean') {
+    errors.push({ field: `${path}.isRequired`, message: 'Must be a boolean' });
+  }
+  if (
+    task.maxScore !== undefined &&
+    (!Number.isInteger(task.maxScore) || task.maxScore < 0)
+  ) {
+    errors.push({
+      field: `${path}.maxScore`,
+      message: 'Must be a non-negative integer',
+    });
+  }
+  validateLatePolicyFields(task, path, errors);
+  validateTranslationsField(task, 'task', path, errors);
+
+  if (task.dueDate !== undefined && task.dueDate !== null) {
+    if (!isValidDate(task.dueDate)) {
+      errors.push({
+        field: `${path}.dueDate`,
+        message: 'Must be a local date-time without a UTC offset',
+      });
+    } else if (
+      isValidDate(challenge.goLiveDate) &&
+      isValidDate(challenge.closingDate) &&
+      (readBundleDate(task.dueDate) < readBundleDate(challenge.goLiveDate) ||
+        readBundleDate(task.dueDate) > readBundleDate(challenge.closingDate))
+    ) {
+      errors.push({
+        field: `${path}.dueDate`,
+        message: 'Must fall between goLiveDate and closingDate',
+      });
+    }
+  }
+};
+
+const validateTranslationsField = (item, entityType, path, errors) => {
+  if (isUnsetValue(item.translations)) return;
+
+  const message = getTranslationsError(item.translations, entityType);
+  if (message) {
+    errors.push({ field: `${path}.translations`, message });
+  }
+};
+
+const validateAudienceFields = (challenge, path, errors) => {
+  for (const field of ['minAge', 'maxAge']) {
+    const value = challenge[field];
+    if (
+      !isUnsetValue(value) &&
+      (!Number.isInteger(value) || value < 13 || value > 19)
+    ) {
+      errors.push({
+        field: `${path}.${field}`,
+        message: 'Must be an integer between 13 and 19',
+      });
+    }
+  }
+  if (
+    Number.isInteger(challenge.minAge) &&
+    Number.isInteger(challenge.maxAge) &&
+    challenge.maxAge < challenge.minAge
+  ) {
+    errors.push({
+      field: `${path}.maxAge`,
+      message: 'Must not be below minAge',
+    });
+  }
+  for (const field of ['genders', 'states', 'countries']) {
+    const value = challenge[field];
+    if (
+      !isUnsetValue(value) &&
+      (!Array.isArray(value) || !value.every(isNonEmptyString))
+    ) {
+      errors.push({
+        field: `${path}.${field}`,
+        message: 'Must be a list of non-empty strings',
+      });
+    }
+  }
+};
+
+const validateChallenge = (challenge, path, errors) => {
+  if (!challenge || typeof challenge !== 'object') {
+    errors.push({ field: path, message: 'Must be an object' });
+    return;
+  }
+
+  if (
+    !Number.isInteger(challenge.year) ||
+    challenge.year < 2024 ||
+    challenge.year > 2030
+  ) {
+    errors.push({
+      field: `${path}.year`,
+      message: 'Must be between 2024 and 2030',
+    });
+  }
+  if (
+    !Number.isInteger(challenge.month) ||
+    challenge.month < 1 ||
+    challenge.month > 12
+  ) {
+    errors.push({
+      field: `${path}.month`,
+      message: 'Must be between 1 and 12',
+    });
+  }
+  if (!isNonEmptyString(challenge.theme) || challenge.theme.trim().length < 3) {
+    errors.push({ field: `${path}.theme`, message: 'At least 3 characters' });
+  }
+  if (
+    !isNonEmptyString(challenge.instructions) ||
+    challenge.instructions.trim().length < 10
+  ) {
+    errors.push({
+      field: `${path}.instructions`,
+      message: 'At least 10 characters',
+    });
+  }
+
+  if (!isValidDate(challenge.goLiveDate)) {
+    errors.push({
+      field: `${path}.goLiveDate`,
+      message: 'Must be a local date-time without a UTC offset',
+    });
+  }
+  if (!isValidDate(challenge.closingDate)) {
+    errors.push({
+      field: `${path}.closingDate`,
+      message: 'Must be a local date-time without a UTC offset',
+    });
+  } else if (
+    isValidDate(challenge.goLiveDate) &&
+    readBundleDate(challenge.closingDate) <=
+      readBundleDate(challenge.goLiveDate)
+  ) {
+    errors.push({
+      field: `${path}.closingDate`,
+      message: 'Must be after goLiveDate',
+    });
+  }
+
+  if (challenge.badge !== undefined && challenge.badge !== null) {
+    const { badge } = challenge;
+    if (!isNonEmptyString(badge.name) || badge.name.trim().length < 2) {
+      errors.push({
+        field: `${path}.badge.name`,
+        message: 'At least 2 characters',
+      });
+    }
+    if (!isNonEmptyString(badge.imageUrl)) {
+      errors.push({
+        field: `${path}.badge.imageUrl`,
+        message: 'Image URL is required',
+      });
+    }
+    if (typeof badge.price !== 'number' || badge.price < 0) {
+      errors.push({
+        field: `${path}.badge.price`,
+        message: 'Must be a non-negative number',
+      });
+    }
+  }
+
+  if (
+    !isUnsetValue(challenge.timezone) &&
+    !isValidTimezone(challenge.timezone)
+  ) {
+    errors.push({
+      field: `${path}.timezone`,
+      message: 'Must be an IANA timezone such as Africa/Lagos',
+    });
+  }
+
+  validateLatePolicyFields(challenge, path, errors);
+
+  if (!isUnsetValue(challenge.completionRules)) {
+    const message = getCompletionRulesError(challenge.completionRules);
+    if (message) {
+      errors.push({ field: `${path}.completionRules`, message });
+    }
+  }
+
+  validateAudienceFields(challenge, path, errors);
+  validateTranslationsField(challenge, 'challenge', path, errors);
+
+  if (!Array.isArray(challenge.tasks)) {
+    errors.push({ field: `${path}.tasks`, message: 'Must be an array' });
+    return;
+  }
+
+  const seen = new Set();
+  challenge.tasks.forEach((task, index) => {
+    const taskPath = `${path}.tasks[${index}]`;
+    validateTask(task, challenge, taskPath, errors);
+
+    // Tasks are matched on tab + title when re-importing
+    const key = task && taskKey(task);
+    if (key && seen.has(key)) {
+      errors.push({
+        field: taskPath,
+        message: `Duplicate task "${task.title}" in tab "${task.tabName}"`,
+      });
+    }
+    seen.add(key);
+  });
+};
+
+/**
+ * Check a bundle's shape, task types, option lists and dates
+ * @param {Object} bundle - Parsed JSON document
+ * @returns {Object[]} Errors as { field: path, message } (empty when valid)
+ */
+export const validateChallengeBundle = (bundle) => {
+  const errors = [];
+
+  if (!bundle || typeof bundle !== 'object') {
+    return [{ field: '', message: 'Bundle must be a JSON object' }];
+  }
+  if (bundle.format !== BUNDLE_FORMAT) {
+    errors.push({ field: 'format', message: `Must be "${BUNDLE_FORMAT}"` });
+  }
+  if (bundle.version !== BUNDLE_VERSION) {
+    errors.push({
+      field: 'version',
+      message: `Unsupported version (expected ${BUNDLE_VERSION})`,
+    });
+  }
+  if (!Array.isArray(bundle.challenges) || bundle.challenges.length === 0) {
+    errors.push({ field: 'challenges', message: 'Must be a non-empty array' });
+    return errors;
+  }
+
+  const seen = new Set();
+  bundle.challenges.forEach((challenge, index) => {
+    const path = `challenges[${index}]`;
+    validateChallenge(challenge, path, errors);
+
+    const key = challenge && challengeKey(challenge);
+    if (key && seen.has(key)) {
+      errors.push({ field: path, message: `Duplicate challenge ${key}` });
+    }
+    seen.add(key);
+  });
+
+  return errors;
+};
+
+/**
+ * Build a bundle from challenges loaded with tasks and badge
+ * @param {Object[]} challenges - Challenges including tasks and badge
+ * @returns {Object} Bundle document
+ */
+export const buildChallengeBundle = (challenges) => ({
+  format: BUNDLE_FORMAT,
+  version: BUNDLE_VERSION,
+  exportedAt: new Date().toISOString(),
+  challenges: challenges.map((challenge) => ({
+    year: challenge.year,
+    month: challenge.month,
+    theme: challenge.theme,
+    instructions: challenge.instructions,
+    goLiveDate: formatWallClock(challenge.goLiveDate),
+    closingDate: formatWallClock(challenge.closingDate),
+    timezone: challenge.timezone ?? null,
+    latePolicy: challenge.latePolicy ?? null,
+    graceMinutes: challenge.graceMinutes ?? null,
+    lateCredit: challenge.lateCredit ?? null,
+    completionRules: challenge.completionRules ?? null,
+    minAge: challenge.minAge ?? null,
+    maxAge: challenge.maxAge ?? null,
+    genders: challenge.genders || [],
+    states: challenge.states || [],
+    countries: challenge.countries || [],
+    translations: challenge.translations ?? null,
+    badge: challenge.badge
+      ? {
+          name: challenge.badge.name,
+          description: challenge.badge.description,
+          imageUrl: challenge.badge.imageUrl,
+          price: challenge.badge.price,
+        }
+      : null,
+    tasks: challenge.tasks.map((task) => ({
+      tabName: task.tabName,
+      taskGroup: task.taskGroup ?? null,
+      title: task.title,
+      description: task.description,
+      taskType: task.taskType,
+      dueDate: task.dueDate ? formatWallClock(task.dueDate) : null,
+      isRequired: task.isRequired,
+      completionRule: task.completionRule,
+      options: task.options,
+      maxScore: task.maxScore,
+      latePolicy: task.latePolicy ?? null,
+      graceMinutes: task.graceMinutes ?? null,
+      lateCredit: task.lateCredit ?? null,
+      translations: task.translations ?? null,
+    })),
+  })),
+});
+
+// Bundle task -> the values we'd store, defaults matching createTask
+const toTaskData = (task, existingTask) => ({
+  tabName: task.tabName,
+  taskGroup: task.taskGroup ?? null,
+  title: task.title,
+  description: task.description,
+  taskType: task.taskType,
+  dueDate: task.dueDate ? readBundleDate(task.dueDate) : null,
+  isRequired: task.isRequired || false,
+  completionRule: task.completionRule || 'Complete this task',
+  options: normalizeTaskOptions(
+    task.taskType,
+    task.options,
+    existingTask?.options
+  ),
+  maxScore: task.maxScore ?? 100,
+  latePolicy: task.latePolicy ?? null,
+  graceMinutes: task.graceMinutes ?? null,
+  lateCredit: task.lateCredit ?? null,
+  translations: task.translations ?? null,
+});
+
+/**
+ * Work out what importing a (valid) bundle would do, without writing
+ * anything. Challenges are matched on year + month + theme, tasks on
+ * tab + title.
+ * Tasks missing from the bundle are reported but never deleted.
+ * @param {Object} bundle - Validated bundle
+ * @returns {Promise<Object[]>} One plan entry per challenge
+ */
+export const planChallengeBundleImport = async (bundle) => {
+  const plan = [];
+
+  for (const incoming of bundle.challenges) {
+    const existing = await prisma.monthlyChallenge.findFirst({
+      where: {
+        year: incoming.year,
+        month: incoming.month,
+        theme: incoming.theme,
+      },
+      include: { badge: true, tasks: true },
+    });
+
+    const challengeData = {
+      theme: incoming.theme,
+      instructions: incoming.instructions,
+      goLiveDate: readBundleDate(incoming.goLiveDate),
+      closingDate: readBundleDate(incoming.closingDate),
+      timezone: incoming.timezone ?? null,
+      latePolicy: incoming.latePolicy ?? null,
+      graceMinutes: incoming.graceMinutes ?? null,
+      lateCredit: incoming.lateCredit ?? null,
+      completionRules: incoming.completionRules ?? null,
+      minAge: incoming.minAge ?? null,
+      maxAge: incoming.maxAge ?? null,
+      genders: incoming.genders || [],
+      states: incoming.states || [],
+      countries: incoming.countries || [],
+      translations: incoming.translations ?? null,
+    };
+
+    const existingTasks = new Map(
+      (existing?.tasks || []).map((task) => [taskKey(task), task])
+    );
+
+    const tasks = incoming.tasks.map((task) => {
+      const existingTask = existingTasks.get(taskKey(task));
+      const data = toTaskData(task, existingTask);
+      const changes = existingTask
+        ? diffFields(existingTask, data, TASK_FIELDS)
+        : null;
+
+      return {
+        data,
+        existingTask,
+        action: !existingTask
+          ? 'create'
+          : Object.keys(changes).length > 0
+            ? 'update'
+            : 'unchanged',
+        changes,
+      };
+    });
+
+    const badge = incoming.badge
+      ? { ...incoming.badge, description: incoming.badge.description || '' }
+      : null;
+    const incomingKeys = new Set(incoming.tasks.map(taskKey));
+    const challengeChanges = existing
+      ? diffFields(existing, challengeData, CHALLENGE_FIELDS)
+      : null;
+    const badgeChanges =
+      existing && badge
+        ? diffFields(existing.badge, badge, BADGE_FIELDS)
+        : null;
+
+    const hasChanges =
+      !existing ||
+      Object.keys(challengeChanges).length > 0 ||
+      (badgeChanges && Object.keys(badgeChanges).length > 0) ||
+      tasks.some((task) => task.action !== 'unchanged');
+
+    plan.push({
+      year: incoming.year,
+      month: incoming.month,
+      theme: incoming.theme,
+      action: !existing ? 'create' : hasChanges ? 'update' : 'unchanged',
+      existing,
+      challengeData,
+      badge,
+      challengeChanges,
+      badgeChanges,
+      tasks,
+      notInBundle: (existing?.tasks || [])
+        .filter((task) => !incomingKeys.has(taskKey(task)))
+        .map((task) => ({ tabName: task.tabName, title: task.title })),
+    });
+  }
+
+  return plan;
+};
+
+/**
+ * The dry-run view of a plan (no database records)
+ * @param {Object[]} plan - Result of planChallengeBundleImport
+ * @returns {Object[]}
+ */
+export const summarizeImportPlan = (plan) =>
+  plan.map((entry) => ({
+    year: entry.year,
+    month: entry.month,
+    theme: entry.theme,
+    action: entry.action,
+    challengeId: entry.existing?.id || null,
+    changes: entry.challengeChanges,
+    badge: entry.existing
+      ? entry.badgeChanges
+      : entry.badge && { action: 'create' },
+    tasks: {
+      create: entry.tasks
+        .filter((task) => task.action === 'create')
+        .map((task) => ({
+          tabName: task.data.tabName,
+          title: task.data.title,
+        })),
+      update: entry.tasks
+        .filter((task) => task.action === 'update')
+        .map((task) => ({
+          tabName: task.data.tabName,
+          title: task.data.title,
+          changes: task.changes,
+        })),
+      unchanged: entry.tasks.filter((task) => task.action === 'unchanged')
+        .length,
+      notInBundle: entry.notInBundle,
+    },
+  }));
+
+/**
+ * Write a plan to the database. New challenges start unpublished.
+ * @param {Object[]} plan - Result of planChallengeBundleImport
+ * @param {Object} user - Staff member recorded as creator / editor (id, email)
+ * @returns {Promise<Object[]>} { year, month, action, challengeId }
+ */
+export const applyChallengeBundleImport = async (plan, user) => {
+  const results = [];
+
+  for (const entry of plan) {
+    if (entry.action === 'create') {
+      const challenge = await prisma.monthlyChallenge.create({
+        data: {
+          year: entry.year,
+          month: entry.month,
+          ...entry.challengeData,
+          isPublished: false,
+          createdById: user.id,
+          ...(entry.badge && {
+            badge: {
+              create: {
+                name: entry.badge.name,
+                description: entry.badge.description,
+                imageUrl: entry.badge.imageUrl,
+                price: entry.badge.price,
+              },
+            },
+          }),
+          tasks: {
+            create: entry.tasks.map(({ data }) => ({
+              ...data,
+              options: data.options ?? undefined,
+              createdById: user.id,
+            })),
+          },
+        },
+      });
+
+      results.push({
+        year: entry.year,
+        month: entry.month,
+        action: 'create',
+        challengeId: challenge.id,
+      });
+      continue;
+    }
+
+    if (entry.action === 'unchanged') {
+      results.push({
+        year: entry.year,
+        month: entry.month,
+        action: 'unchanged',
+        challengeId: entry.existing.id,
+      });
+      continue;
+    }
+
+    const challengeId = entry.existing.id;
+
+    if (Object.keys(entry.challengeChanges).length > 0) {
+      await prisma.monthlyChallenge.update({
+        where: { id: challengeId },
+        data: entry.challengeData,
+      });
+    }
+
+    if (entry.badge) {
+      const badgeData = {
+        name: entry.badge.name,
+        description: entry.badge.description,
+        imageUrl: entry.badge.imageUrl,
+        price: entry.badge.price,
+      };
+
+      if (!entry.existing.badge) {
+        await prisma.badge.create({ data: { ...badgeData, challengeId } });
+      } else if (Object.keys(entry.badgeChanges).length > 0) {
+        await prisma.badge.update({
+          where: { id: entry.existing.badge.id },
+          data: badgeData,
+        });
+      }
+    }
+
+    for (const task of entry.tasks) {
+      if (task.action === 'create') {
+        await prisma.task.create({
+          data: {
+            ...task.data,
+            options: task.data.options ?? undefined,
+            challengeId,
+            createdById: user.id,
+          },
+        });
+      } else if (task.action === 'update') {
+        const updated = await prisma.task.update({
+          where: { id: task.existingTask.id },
+          data: Object.fromEntries(
+            Object.keys(task.changes).map((field) => [field, task.data[field]])
+          ),
+        });
+        await recordContentVersion('task', task.existingTask, updated, user);
+      }
+    }
+
+    // Rules or task groups may have changed what finishing takes
+    await recalculateChallengeProgress(challengeId);
+
+    await recordContentVersion(
+      'challenge',
+      entry.existing,
+      await prisma.monthlyChallenge.findUnique({
+        where: { id: challengeId },
+        include: { badge: true },
+      }),
+      user
+    );
+
+    results.push({
+      year: entry.year,
+      month: entry.month,
+      action: 'update',
+      challengeId,
+    });
+  }
+
+  return results;
+};
+
+export default {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  normalizeTaskOptions,
+  validateChallengeBundle,
+  buildChallengeBundle,
+  planChallengeBundleImport,
+  summarizeImportPlan,
+  applyChallengeBundleImport,
+};
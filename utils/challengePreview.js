@@ -0,0 +1,96 @@
+// utils/challengePreview.js
+// Shareable, read-only preview links for challenges that aren't published
+// yet, so reviewers without a staff account can check the content
+
+import jwt from 'jsonwebtoken';
+import prisma from '../lib/prisma.js';
+import { verifyToken } from './emailService.js';
+
+export const PREVIEW_LINK_DEFAULT_HOURS = 72;
+export const PREVIEW_LINK_MAX_HOURS = 30 * 24;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const getPreviewUrl = (token) =>
+  `${process.env.APP_URL || 'https://teensha.vercel.app'}/api/preview/challenge?token=${token}`;
+
+/**
+ * Create a preview link for a challenge
+ * @param {string} challengeId
+ * @param {number} hours - How long the link works for
+ * @returns {Object} { url, token, expiresAt }
+ */
+export const createChallengePreviewLink = (
+  challengeId,
+  hours = PREVIEW_LINK_DEFAULT_HOURS
+) => {
+  // issuedAt in ms (iat is whole seconds) so revocation can't miss a link
+  // created in the same second
+  const token = jwt.sign(
+    { challengeId, type: 'challenge-preview', issuedAt: Date.now() },
+    process.env.JWT_SECRET,
+    { expiresIn: `${hours}h` }
+  );
+
+  return {
+    url: getPreviewUrl(token),
+    token,
+    expiresAt: new Date(Date.now() + hours * HOUR_MS),
+  };
+};
+
+/**
+ * Invalidate every preview link issued so far for a challenge
+ * @param {string} challengeId
+ */
+export const revokeChallengePreviewLinks = async (challengeId) =>
+  prisma.monthlyChallenge.update({
+    where: { id: challengeId },
+    data: { previewRevokedAt: new Date() },
+  });
+
+/**
+ * Resolve a preview token to its challenge
+ * @param {string} token - Token from the link
+ * @returns {Promise<Object|null>} Challenge with badge and ordered tasks, or
+ *   null if the link is invalid, expired or revoked
+ */
+export const findChallengeForPreviewToken = async (token) => {
+  if (!token) return null;
+
+  let decoded;
+  try {
+    decoded = verifyToken(token);
+  } catch (error) {
+    return null;
+  }
+
+  if (decoded.type !== 'challenge-preview') return null;
+
+  const challenge = await prisma.monthlyChallenge.findUnique({
+    where: { id: decoded.challengeId },
+    include: {
+      badge: true,
+      tasks: {
+        orderBy: [{ tabName: 'asc' }, { createdAt: 'asc' }],
+      },
+    },
+  });
+
+  if (!challenge) return null;
+
+  if (
+    challenge.previewRevokedAt &&
+    decoded.issuedAt <= challenge.previewRevokedAt.getTime()
+  ) {
+    return null;
+  }
+
+  return challenge;
+};
+
+export default {
+  createChallengePreviewLink,
+  revokeChallengePreviewLinks,
+  findChallengeForPreviewToken,
+};
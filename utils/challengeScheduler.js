@@ -0,0 +1,272 @@
+// utils/challengeScheduler.js
+// Publishes challenges at goLiveDate and closes them at closingDate. Runs from
+// a cron endpoint, so every step is a conditional write: overlapping or
+// repeated runs can't publish, notify or close anything twice.
+// Challenges without their own timezone go live in each teen's timezone, so
+// they're published when the first timezone reaches goLiveDate and closed
+// once the last one is past closingDate (see utils/challengeTime.js).
+
+import prisma from '../lib/prisma.js';
+import { sendChallengeNotification } from './notifications.js';
+import { buildAudienceTeenWhere } from './challengeAudience.js';
+import {
+  SUPPORTED_LANGUAGES,
+  buildLanguageTeenWhere,
+  localizeRecord,
+  t,
+} from './i18n.js';
+import {
+  getChallengeSpan,
+  getTeenTimezones,
+  getWallClockRange,
+} from './challengeTime.js';
+import { sendNotificationToAllTeensMobile } from '../controllers/notificationController.js';
+
+// Fields added after launch are missing (not null) on older documents
+const isUnset = (field) => ({
+  OR: [{ [field]: null }, { [field]: { isSet: false } }],
+});
+
+/**
+ * Send the launch email + push for a challenge, at most once
+ * @param {Object} challenge - Published challenge
+ * @returns {Promise<boolean>} Whether this call sent the notifications
+ */
+export const notifyChallengeLaunch = async (challenge) => {
+  const { count } = await prisma.monthlyChallenge.updateMany({
+    where: { id: challenge.id, ...isUnset('launchNotifiedAt') },
+    data: { launchNotifiedAt: new Date() },
+  });
+
+  if (count === 0) return false;
+
+  // Don't let a failed channel stop the other one
+  try {
+    await sendChallengeNotification(challenge);
+  } catch (error) {
+    console.error('Failed to send challenge emails:', error);
+  }
+
+  // One push per language, each to the teens who read it
+  for (const language of SUPPORTED_LANGUAGES) {
+    const { theme } = localizeRecord(challenge, 'challenge', language);
+
+    await sendNotificationToAllTeensMobile(
+      t(language, 'push.challengeLaunch.title'),
+      t(language, 'push.challengeLaunch.body', { theme }),
+      {
+        type: 'CHALLENGE_PUBLISHED',
+        challengeId: challenge.id,
+      },
+      {
+        AND: [
+          buildAudienceTeenWhere(challenge),
+          buildLanguageTeenWhere(language),
+        ],
+      }
+    );
+  }
+
+  return true;
+};
+
+const publishDueChallenges = async (now, timezones, result) => {
+  const { earliest, latest } = getWallClockRange(now);
+
+  const candidates = await prisma.monthlyChallenge.findMany({
+    where: {
+      autoSchedule: true,
+      isPublished: false,
+      goLiveDate: { lte: latest },
+      closingDate: { gt: earliest },
+      ...isUnset('publishedAt'),
+    },
+    include: { badge: true },
+  });
+
+  const due = candidates.filter((challenge) => {
+    const { firstGoLiveAt, lastClosesAt } = getChallengeSpan(
+      challenge,
+      timezones
+    );
+    return firstGoLiveAt <= now && lastClosesAt > now;
+  });
+
+  for (const challenge of due) {
+    if (!challenge.badge) {
+      result.skipped.push({ challengeId: challenge.id, reason: 'NO_BADGE' });
+      continue;
+    }
+
+    // Only the run that flips the flag goes on to notify
+    const { count } = await prisma.monthlyChallenge.updateMany({
+      where: {
+        id: challenge.id,
+        isPublished: false,
+        ...isUnset('publishedAt'),
+      },
+      data: { isPublished: true, isActive: true, publishedAt: now },
+    });
+
+    if (count === 1) {
+      result.published.push(challenge.id);
+      console.log(`📅 Auto-published challenge: ${challenge.theme}`);
+    }
+  }
+};
+
+// Also picks up launches whose notifications were cut short by a timeout
+const notifyPendingLaunches = async (now, timezones, result) => {
+  const candidates = await prisma.monthlyChallenge.findMany({
+    where: {
+      autoSchedule: true,
+      isPublished: true,
+      publishedAt: { not: null },
+      closingDate: { gt: getWallClockRange(now).earliest },
+      ...isUnset('launchNotifiedAt'),
+    },
+  });
+
+  const pending = candidates.filter(
+    (challenge) => getChallengeSpan(challenge, timezones).lastClosesAt > now
+  );
+
+  for (const challenge of pending) {
+    if (await notifyChallengeLaunch(challenge)) {
+      result.notified.push(challenge.id);
+    }
+  }
+};
+
+const closeDueChallenges = async (now, timezones, result) => {
+  const candidates = await prisma.monthlyChallenge.findMany({
+    where: {
+      autoSchedule: true,
+      isActive: true,
+      closingDate: { lte: getWallClockRange(now).latest },
+      ...isUnset('closedAt'),
+    },
+    select: {
+      id: true,
+      theme: true,
+      goLiveDate: true,
+      closingDate: true,
+      timezone: true,
+    },
+  });
+
+  const due = candidates.filter(
+    (challenge) => getChallengeSpan(challenge, timezones).lastClosesAt <= now
+  );
+
+  for (const challenge of due) {
+    const { count } = await prisma.monthlyChallenge.updateMany({
+      where: { id: challenge.id, isActive: true, ...isUnset('closedAt') },
+      data: { isActive: false, closedAt: now },
+    });
+
+    if (count === 1) {
+      result.closed.push(challenge.id);
+      console.log(`📅 Auto-closed challenge: ${challenge.theme}`);
+    }
+  }
+};
+
+/**
+ * Apply every transition that is due. Safe to call as often as you like.
+ * @param {Date} now - Reference time (defaults to the current time)
+ * @returns {Promise<Object>} { published, notified, closed, skipped }
+ */
+export const runChallengeSchedule = async (now = new Date()) => {
+  const result = { published: [], notified: [], closed: [], skipped: [] };
+  const timezones = await getTeenTimezones();
+
+  await publishDueChallenges(now, timezones, result);
+  await notifyPendingLaunches(now, timezones, result);
+  await closeDueChallenges(now, timezones, result);
+
+  return result;
+};
+
+/**
+ * Scheduled publish/close transitions coming up (or overdue) for
+ * auto-scheduled challenges
+ * @param {number} days - How far ahead to look
+ * @returns {Promise<Object[]>} Transitions, soonest first
+ */
+export const getUpcomingTransitions = async (days = 30) => {
+  const now = new Date();
+  const horizon = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+  const latest = getWallClockRange(horizon).latest;
+
+  const [challenges, timezones] = await Promise.all([
+    prisma.monthlyChallenge.findMany({
+      where: {
+        autoSchedule: true,
+        OR: [
+          {
+            isPublished: false,
+            goLiveDate: { lte: latest },
+            closingDate: { gt: getWallClockRange(now).earliest },
+            ...isUnset('publishedAt'),
+          },
+          {
+            isActive: true,
+            closingDate: { lte: latest },
+            ...isUnset('closedAt'),
+          },
+        ],
+      },
+      include: { badge: { select: { id: true } } },
+    }),
+    getTeenTimezones(),
+  ]);
+
+  const transitions = [];
+
+  for (const challenge of challenges) {
+    const { firstGoLiveAt, lastClosesAt } = getChallengeSpan(
+      challenge,
+      timezones
+    );
+    const summary = {
+      challengeId: challenge.id,
+      theme: challenge.theme,
+      year: challenge.year,
+      month: challenge.month,
+    };
+
+    if (
+      !challenge.isPublished &&
+      !challenge.publishedAt &&
+      firstGoLiveAt <= horizon &&
+      lastClosesAt > now
+    ) {
+      transitions.push({
+        ...summary,
+        transition: 'PUBLISH',
+        scheduledFor: firstGoLiveAt,
+        overdue: firstGoLiveAt <= now,
+        blockedReason: challenge.badge ? null : 'NO_BADGE',
+      });
+    }
+
+    if (challenge.isActive && !challenge.closedAt && lastClosesAt <= horizon) {
+      transitions.push({
+        ...summary,
+        transition: 'CLOSE',
+        scheduledFor: lastClosesAt,
+        overdue: lastClosesAt <= now,
+        blockedReason: null,
+      });
+    }
+  }
+
+  return transitions.sort((a, b) => a.scheduledFor - b.scheduledFor);
+};
+
+export default {
+  notifyChallengeLaunch,
+  runChallengeSchedule,
+  getUpcomingTransitions,
+};
@@ -0,0 +1,156 @@
+// utils/challengeTemplates.js
+// Reusable challenge "blueprints": everything needed to rebuild a challenge
+// (tasks, options, tabs, badge) with due dates stored relative to goLiveDate,
+// so a copy can be dropped into any month.
+
+import prisma from '../lib/prisma.js';
+import { pickAudience } from './challengeAudience.js';
+import { parseWallClock } from './challengeTime.js';
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Strip a challenge down to a date-independent blueprint
+ * @param {Object} challenge - Challenge including tasks and badge
+ * @returns {Object} { theme, instructions, durationMinutes, timezone,
+ *   late policy, completionRules, audience, translations, badge, tasks }
+ */
+export const buildChallengeBlueprint = (challenge) => {
+  const goLive = new Date(challenge.goLiveDate).getTime();
+  const toMinutes = (date) =>
+    Math.round((new Date(date).getTime() - goLive) / MINUTE_MS);
+
+  return {
+    theme: challenge.theme,
+    instructions: challenge.instructions,
+    durationMinutes: toMinutes(challenge.closingDate),
+    timezone: challenge.timezone ?? null,
+    latePolicy: challenge.latePolicy ?? null,
+    graceMinutes: challenge.graceMinutes ?? null,
+    lateCredit: challenge.lateCredit ?? null,
+    completionRules: challenge.completionRules ?? null,
+    minAge: challenge.minAge ?? null,
+    maxAge: challenge.maxAge ?? null,
+    genders: challenge.genders || [],
+    states: challenge.states || [],
+    countries: challenge.countries || [],
+    translations: challenge.translations ?? null,
+    badge: challenge.badge
+      ? {
+          name: challenge.badge.name,
+          description: challenge.badge.description,
+          imageUrl: challenge.badge.imageUrl,
+          price: challenge.badge.price,
+        }
+      : null,
+    tasks: challenge.tasks.map((task) => ({
+      tabName: task.tabName,
+      taskGroup: task.taskGroup ?? null,
+      title: task.title,
+      description: task.description,
+      taskType: task.taskType,
+      isRequired: task.isRequired,
+      completionRule: task.completionRule,
+      options: task.options,
+      maxScore: task.maxScore,
+      latePolicy: task.latePolicy ?? null,
+      graceMinutes: task.graceMinutes ?? null,
+      lateCredit: task.lateCredit ?? null,
+      translations: task.translations ?? null,
+      dueOffsetMinutes: task.dueDate ? toMinutes(task.dueDate) : null,
+    })),
+  };
+};
+
+/**
+ * Create a new, unpublished challenge from a blueprint
+ * @param {Object} blueprint - Result of buildChallengeBlueprint
+ * @param {Object} target - { year, month, goLiveDate, closingDate?, theme?,
+ *   timezone? } plus any audience fields to override
+ * @param {string} userId - Staff member creating the copy
+ * @returns {Promise<Object>} Created challenge with badge and tasks
+ */
+export const createChallengeFromBlueprint = async (
+  blueprint,
+  target,
+  userId
+) => {
+  const goLiveDate = parseWallClock(target.goLiveDate);
+  const closingDate = target.closingDate
+    ? parseWallClock(target.closingDate)
+    : new Date(goLiveDate.getTime() + blueprint.durationMinutes * MINUTE_MS);
+
+  return prisma.monthlyChallenge.create({
+    data: {
+      year: parseInt(target.year),
+      month: parseInt(target.month),
+      theme: target.theme || blueprint.theme,
+      instructions: blueprint.instructions,
+      goLiveDate,
+      closingDate,
+      timezone:
+        target.timezone !== undefined
+          ? target.timezone
+          : (blueprint.timezone ?? null),
+      latePolicy: blueprint.latePolicy ?? null,
+      graceMinutes: blueprint.graceMinutes ?? null,
+      lateCredit: blueprint.lateCredit ?? null,
+      completionRules: blueprint.completionRules ?? null,
+      minAge: blueprint.minAge ?? null,
+      maxAge: blueprint.maxAge ?? null,
+      genders: blueprint.genders || [],
+      states: blueprint.states || [],
+      countries: blueprint.countries || [],
+      ...pickAudience(target),
+      translations: blueprint.translations ?? null,
+      isPublished: false,
+      createdById: userId,
+      ...(blueprint.badge && {
+        badge: {
+          create: {
+            name: blueprint.badge.name,
+            description: blueprint.badge.description,
+            imageUrl: blueprint.badge.imageUrl,
+            price: parseFloat(blueprint.badge.price),
+          },
+        },
+      }),
+      tasks: {
+        create: blueprint.tasks.map((task) => ({
+          tabName: task.tabName,
+          taskGroup: task.taskGroup ?? null,
+          title: task.title,
+          description: task.description,
+          taskType: task.taskType,
+          isRequired: task.isRequired || false,
+          completionRule: task.completionRule,
+          options: task.options ?? undefined,
+          maxScore: task.maxScore ?? 100,
+          latePolicy: task.latePolicy ?? null,
+          graceMinutes: task.graceMinutes ?? null,
+          lateCredit: task.lateCredit ?? null,
+          translations: task.translations ?? null,
+          dueDate:
+            task.dueOffsetMinutes === null ||
+            task.dueOffsetMinutes === undefined
+              ? null
+              : new Date(
+                  goLiveDate.getTime() + task.dueOffsetMinutes * MINUTE_MS
+                ),
+          createdById: userId,
+        })),
+      },
+    },
+    include: {
+      badge: true,
+      tasks: {
+        orderBy: [{ tabName: 'asc' }, { createdAt: 'asc' }],
+      },
+    },
+  });
+};
+
+export default {
+  buildChallengeBlueprint,
+  createChallengeFromBlueprint,
+};
@@ -0,0 +1,290 @@
+// utils/challengeTime.js
+// Which instant a challenge's dates mean. goLiveDate, closingDate and task
+// dueDates are stored as wall-clock times (the UTC fields hold the local
+// time), read in the challenge's timezone if it has one, otherwise in the
+// teen's, otherwise in APP_TIMEZONE. "Closes 31 March 23:59" then means
+// 23:59 where the teen is, not 23:59 on the server.
+//
+// Everything that asks "is this challenge open?" or "is this task due?"
+// goes through here so the answer is the same everywhere.
+//
+// The API takes these dates as local date-times with no "Z" or UTC offset
+// ("2026-03-01" or "2026-03-01T00:00"), parsed with parseWallClock. An
+// instant like toISOString() output is refused: it would be stored shifted
+// by the sender's offset and then read in the challenge's timezone.
+//
+// Challenges and tasks saved before dates were wall-clock times hold real
+// instants. With APP_TIMEZONE at UTC those read the same either way; with
+// any other APP_TIMEZONE run scripts/migrate-wall-clock-dates.js once.
+
+import prisma from '../lib/prisma.js';
+
+export const DEFAULT_TIMEZONE = process.env.APP_TIMEZONE || 'UTC';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Furthest any timezone sits ahead of / behind UTC (Kiribati, Baker Island).
+// Database queries widen their date ranges by these before the exact check.
+const MAX_AHEAD_MS = 14 * HOUR_MS;
+const MAX_BEHIND_MS = 12 * HOUR_MS;
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+      })
+    );
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Whether a value is an IANA timezone name this server knows
+ * @param {string} timeZone - e.g. "Africa/Lagos"
+ * @returns {boolean}
+ */
+export const isValidTimezone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// How far a timezone's clock is ahead of UTC at a given instant
+const getOffsetMs = (instant, timeZone) => {
+  const seconds = Math.floor(instant / 1000) * 1000;
+  const parts = Object.fromEntries(
+    getFormatter(timeZone)
+      .formatToParts(new Date(seconds))
+      .map(({ type, value }) => [type, Number(value)])
+  );
+
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+
+  return asUtc - seconds;
+};
+
+// 2026-03-01, 2026-03-01T09:00, 2026-03-01T09:00:00 or ...T09:00:00.000
+const WALL_CLOCK_PATTERN =
+  /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?)?$/;
+
+/**
+ * Stored form of a local date-time: the UTC fields hold the local time.
+ * Never goes through the server's own timezone.
+ * @param {string} value - e.g. "2026-03-01T00:00"
+ * @returns {Date}
+ */
+export const parseWallClock = (value) =>
+  new Date(`${value.length === 10 ? `${value}T00:00` : value}Z`);
+
+/**
+ * Whether a value is a local date-time the API accepts (no Z or offset)
+ * @param {string} value
+ * @returns {boolean}
+ */
+export const isWallClockString = (value) => {
+  if (typeof value !== 'string' || !WALL_CLOCK_PATTERN.test(value)) {
+    return false;
+  }
+
+  // Date rolls 30 February over into March; refuse it instead
+  const parsed = parseWallClock(value);
+  return (
+    !Number.isNaN(parsed.getTime()) &&
+    parsed.toISOString().slice(0, 10) === value.slice(0, 10)
+  );
+};
+
+/**
+ * A stored wall-clock time written back as a local date-time string
+ * @param {Date|string} wallClock - Stored date
+ * @returns {string} e.g. "2026-03-01T00:00:00.000"
+ */
+export const formatWallClock = (wallClock) =>
+  new Date(wallClock).toISOString().slice(0, -1);
+
+/**
+ * The wall-clock time a real instant shows in a timezone (inverse of
+ * toInstant)
+ * @param {Date|string} instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} Stored form (UTC fields = local time)
+ */
+export const toWallClock = (instant, timeZone) => {
+  const time = new Date(instant).getTime();
+  return new Date(time + getOffsetMs(time, timeZone));
+};
+
+/**
+ * The real instant a stored wall-clock time means in a timezone
+ * @param {Date|string} wallClock - Stored date (UTC fields = local time)
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date}
+ */
+export const toInstant = (wallClock, timeZone) => {
+  const wall = new Date(wallClock).getTime();
+  if (timeZone === 'UTC') return new Date(wall);
+
+  // Guess with the offset at the wall-clock time, then correct once in case
+  // the guess landed on the other side of a DST change
+  const offset = getOffsetMs(wall, timeZone);
+  const corrected = getOffsetMs(wall - offset, timeZone);
+
+  return new Date(wall - corrected);
+};
+
+/**
+ * Timezone a challenge's dates are read in for a teen
+ * @param {Object} challenge - Challenge (timezone)
+ * @param {Object} teen - Teen (timezone), or null for staff/system checks
+ * @returns {string}
+ */
+export const resolveChallengeTimezone = (challenge, teen = null) =>
+  challenge.timezone || teen?.timezone || DEFAULT_TIMEZONE;
+
+/**
+ * When a challenge opens and closes for a teen
+ * @param {Object} challenge - Challenge (goLiveDate, closingDate, timezone)
+ * @param {Object} teen - Teen, or null for staff/system checks
+ * @returns {Object} { timezone, goLiveAt, closesAt }
+ */
+export const getChallengeWindow = (challenge, teen = null) => {
+  const timezone = resolveChallengeTimezone(challenge, teen);
+
+  return {
+    timezone,
+    goLiveAt: toInstant(challenge.goLiveDate, timezone),
+    closesAt: toInstant(challenge.closingDate, timezone),
+  };
+};
+
+/**
+ * Whether a challenge is between go-live and close for a teen
+ * @param {Object} challenge
+ * @param {Object} teen - Teen, or null for staff/system checks
+ * @param {Date} now
+ * @returns {boolean}
+ */
+export const isChallengeOpen = (challenge, teen = null, now = new Date()) => {
+  const { goLiveAt, closesAt } = getChallengeWindow(challenge, teen);
+  return goLiveAt <= now && closesAt >= now;
+};
+
+/**
+ * When a task falls due for a teen
+ * @param {Object} task - Task (dueDate)
+ * @param {Object} challenge - The task's challenge
+ * @param {Object} teen - Teen, or null for staff/system checks
+ * @returns {Date|null} Null when the task has no due date
+ */
+export const getTaskDueAt = (task, challenge, teen = null) =>
+  task.dueDate
+    ? toInstant(task.dueDate, resolveChallengeTimezone(challenge, teen))
+    : null;
+
+/**
+ * Wall-clock times that could be "now" somewhere on Earth. Use it to widen
+ * stored-date queries, then do the exact check per challenge.
+ * @param {Date} now
+ * @returns {Object} { earliest, latest }
+ */
+export const getWallClockRange = (now = new Date()) => ({
+  earliest: new Date(now.getTime() - MAX_BEHIND_MS),
+  latest: new Date(now.getTime() + MAX_AHEAD_MS),
+});
+
+/**
+ * Prisma filter for challenges that could be open somewhere right now.
+ * Narrow the results down with isChallengeOpen.
+ * @param {Date} now
+ * @returns {Object}
+ */
+export const buildPossiblyOpenWhere = (now = new Date()) => {
+  const { earliest, latest } = getWallClockRange(now);
+  return {
+    goLiveDate: { lte: latest },
+    closingDate: { gte: earliest },
+  };
+};
+
+/**
+ * Timezones teens have picked, plus the default
+ * @returns {Promise<string[]>}
+ */
+export const getTeenTimezones = async () => {
+  const teens = await prisma.teen.findMany({
+    where: { timezone: { not: null } },
+    distinct: ['timezone'],
+    select: { timezone: true },
+  });
+
+  return [
+    ...new Set([
+      DEFAULT_TIMEZONE,
+      ...teens.map(({ timezone }) => timezone).filter(isValidTimezone),
+    ]),
+  ];
+};
+
+/**
+ * When a challenge first opens and last closes across a set of timezones.
+ * A challenge with its own timezone has one window for everyone.
+ * @param {Object} challenge
+ * @param {string[]} timezones - From getTeenTimezones
+ * @returns {Object} { firstGoLiveAt, lastClosesAt }
+ */
+export const getChallengeSpan = (challenge, timezones) => {
+  const zones = challenge.timezone ? [challenge.timezone] : timezones;
+  const windows = zones.map((timezone) =>
+    getChallengeWindow({ ...challenge, timezone })
+  );
+
+  return {
+    firstGoLiveAt: new Date(
+      Math.min(...windows.map(({ goLiveAt }) => goLiveAt.getTime()))
+    ),
+    lastClosesAt: new Date(
+      Math.max(...windows.map(({ closesAt }) => closesAt.getTime()))
+    ),
+  };
+};
+
+export default {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  isWallClockString,
+  parseWallClock,
+  formatWallClock,
+  toWallClock,
+  toInstant,
+  resolveChallengeTimezone,
+  getChallengeWindow,
+  isChallengeOpen,
+  getTaskDueAt,
+  getWallClockRange,
+  buildPossiblyOpenWhere,
+  getTeenTimezones,
+  getChallengeSpan,
+};
@@ -0,0 +1,189 @@
+// utils/challengeView.js
+// The challenge as the teen app sees it: tasks grouped by tab with the teen's
+// submission, badge status and progress. Shared by the teen endpoints and the
+// staff preview so the two can't drift apart.
+
+import prisma from '../lib/prisma.js';
+import { buildProgressFields } from './helpers.js';
+import { DEFAULT_LANGUAGE, localizeChallenge } from './i18n.js';
+import { getChallengeWindow, getTaskDueAt } from './challengeTime.js';
+import { evaluateCompletion } from './completionRules.js';
+import { getTeenTaskOptions } from './quizGrading.js';
+
+export const PREVIEW_BADGE_STATUSES = ['AVAILABLE', 'PURCHASED', 'EARNED'];
+
+/**
+ * Load one teen's submissions, badge and progress for a challenge
+ * @param {string} teenId
+ * @param {Object} challenge - Challenge including badge
+ * @returns {Promise<Object>} { progress, teenBadge, submissions }
+ */
+export const getTeenChallengeState = async (teenId, challenge) => {
+  const progress = await prisma.teenProgress.findUnique({
+    where: {
+      teenId_challengeId: {
+        teenId,
+        challengeId: challenge.id,
+      },
+    },
+  });
+
+  let teenBadge = null;
+  if (challenge.badge) {
+    teenBadge = await prisma.teenBadge.findUnique({
+      where: {
+        teenId_badgeId: {
+          teenId,
+          badgeId: challenge.badge.id,
+        },
+      },
+    });
+  }
+
+  const submissions = await prisma.submission.findMany({
+    where: {
+      teenId,
+      task: {
+        challengeId: challenge.id,
+      },
+    },
+    select: {
+      id: true,
+      taskId: true,
+      status: true,
+      submittedAt: true,
+      score: true,
+    },
+  });
+
+  return { progress, teenBadge, submissions };
+};
+
+/**
+ * Make up a teen's state for a staff preview. The first `tasksCompleted`
+ * tasks (in display order) get approved, full-score submissions; progress
+ * follows the challenge's completion rules as it would for a real teen.
+ * @param {Object} challenge - Challenge including badge and ordered tasks
+ * @param {Object} options - { tasksCompleted, badgeStatus }
+ * @returns {Object} { progress, teenBadge, submissions }
+ */
+export const simulateTeenChallengeState = (
+  challenge,
+  { tasksCompleted = 0, badgeStatus = 'AVAILABLE' } = {}
+) => {
+  const now = new Date();
+  const approvedCount = Math.min(
+    Math.max(tasksCompleted, 0),
+    challenge.tasks.length
+  );
+  const submissions = challenge.tasks.slice(0, approvedCount).map((task) => ({
+    id: null,
+    taskId: task.id,
+    status: 'APPROVED',
+    submittedAt: now,
+    score: task.maxScore,
+  }));
+
+  const completion = evaluateCompletion(
+    challenge.tasks,
+    challenge.completionRules,
+    submissions
+  );
+
+  return {
+    progress: {
+      ...buildProgressFields(completion),
+      completedAt: completion.isCompleted ? now : null,
+    },
+    teenBadge: {
+      status: badgeStatus,
+      purchasedAt: badgeStatus === 'AVAILABLE' ? null : now,
+      earnedAt: badgeStatus === 'EARNED' ? now : null,
+    },
+    submissions,
+  };
+};
+
+/**
+ * Build the teen-facing response for a challenge
+ * @param {Object} source - Challenge including badge and ordered tasks
+ * @param {Object} state - { progress, teenBadge, submissions }
+ * @param {string} language - Language to show challenge and task text in
+ * @param {Object} teen - Teen whose timezone the dates are read in, or null
+ * @returns {Object} { challenge, tasks, badge, progress }
+ */
+export const buildTeenChallengeView = (
+  source,
+  { progress, teenBadge, submissions },
+  language = DEFAULT_LANGUAGE,
+  teen = null
+) => {
+  const challenge = localizeChallenge(source, language);
+  const { timezone, goLiveAt, closesAt } = getChallengeWindow(source, teen);
+
+  // Where the teen stands on each completion rule ("2 of 3 activities")
+  const completion = evaluateCompletion(
+    source.tasks,
+    source.completionRules,
+    submissions.filter((submission) => submission.status === 'APPROVED')
+  );
+
+  // Group tasks by tab with submission status
+  const tasksByTab = {};
+  for (const task of challenge.tasks) {
+    if (!tasksByTab[task.tabName]) {
+      tasksByTab[task.tabName] = [];
+    }
+
+    const submission = submissions.find((s) => s.taskId === task.id);
+    tasksByTab[task.tabName].push({
+      ...task,
+      options: getTeenTaskOptions(task),
+      dueAt: getTaskDueAt(task, source, teen),
+      submission: submission
+        ? {
+            id: submission.id,
+            status: submission.status,
+            submittedAt: submission.submittedAt,
+            score: submission.score,
+          }
+        : null,
+    });
+  }
+
+  return {
+    challenge: {
+      id: challenge.id,
+      theme: challenge.theme,
+      instructions: challenge.instructions,
+      goLiveDate: challenge.goLiveDate,
+      closingDate: challenge.closingDate,
+      // The real instants, in the timezone the dates are read in
+      timezone,
+      goLiveAt,
+      closesAt,
+      year: challenge.year,
+      month: challenge.month,
+      language,
+    },
+    tasks: tasksByTab,
+    badge: challenge.badge
+      ? {
+          ...challenge.badge,
+          status: teenBadge?.status || 'AVAILABLE',
+          purchasedAt: teenBadge?.purchasedAt || null,
+          earnedAt: teenBadge?.earnedAt || null,
+        }
+      : null,
+    progress: {
+      ...(progress || buildProgressFields(completion)),
+      groups: completion.groups,
+    },
+  };
+};
+
+export default {
+  getTeenChallengeState,
+  simulateTeenChallengeState,
+  buildTeenChallengeView,
+};
@@ -147,4 +147,28 @@ export const getFileDetails = async (publicId, resourceType = 'image') => {
   }
 };
 
+/**
+ * Work out the public ID and resource type from a Cloudinary delivery URL
+ * e.g. https://res.cloudinary.com/<cloud>/image/upload/v123/teenshapers/abc.jpg
+ * @param {String} url - Cloudinary secure URL
+ * @returns {Object|null} - { publicId, resourceType } or null for other hosts
+ */
+export const parseCloudinaryUrl = (url) => {
+  const match =
+    typeof url === 'string' &&
+    url.match(
+      /res\.cloudinary\.com\/[^/]+\/(image|video|raw)\/upload\/(?:v\d+\/)?(.+)$/
+    );
+
+  if (!match) return null;
+
+  const [, resourceType, path] = match;
+
+  // Raw files keep their extension as part of the public ID
+  return {
+    resourceType,
+    publicId: resourceType === 'raw' ? path : path.replace(/\.[^/.]+$/, ''),
+  };
+};
+
 export default cloudinary;
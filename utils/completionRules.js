@@ -0,0 +1,234 @@
+// utils/completionRules.js
+// What "finishing" a challenge means. Tasks are grouped by tab (or by their
+// taskGroup when set) and each group can have a rule in the challenge's
+// completionRules:
+//
+//   [{ "group": "Activities", "type": "ANY_OF", "count": 1 },
+//    { "group": "Projects", "type": "REQUIRED_PLUS", "count": 2 }]
+//
+//   ALL_OF        - every task in the group (the default for groups without
+//                   a rule)
+//   ANY_OF        - any `count` of the group's tasks (isRequired ones
+//                   included)
+//   REQUIRED_PLUS - every isRequired task plus any `count` of the others
+//
+// Progress, completion, badge earning and leaderboard standing are all worked
+// out from these rules. Task.completionRule stays as the wording shown to
+// teens.
+//
+// Whatever the rule, isRequired tasks always gate completion, and every
+// approved submission scores points (its reviewed score, or the task's
+// maxScore when it wasn't scored). Optional tasks' points are the bonus.
+
+import { getSubmissionCredit } from './latePolicy.js';
+
+export const COMPLETION_RULE_TYPES = ['ALL_OF', 'ANY_OF', 'REQUIRED_PLUS'];
+
+const DEFAULT_RULE = { type: 'ALL_OF', count: null };
+
+/**
+ * Group a task counts towards
+ * @param {Object} task - Task (taskGroup, tabName)
+ * @returns {string}
+ */
+export const getTaskGroup = (task) => task.taskGroup || task.tabName;
+
+// Sum of the `limit` largest values
+const sumTop = (values, limit) =>
+  [...values]
+    .sort((a, b) => b - a)
+    .slice(0, limit)
+    .reduce((sum, value) => sum + value, 0);
+
+// needed = tasks that have to be done; credits = what each approved
+// submission is worth towards standings
+const evaluateGroup = (tasks, rule, creditsByTask) => {
+  const creditsFor = (list) =>
+    list
+      .filter((task) => creditsByTask.has(task.id))
+      .map((task) => creditsByTask.get(task.id));
+
+  if (rule.type === 'ANY_OF' || rule.type === 'REQUIRED_PLUS') {
+    const required = tasks.filter((task) => task.isRequired);
+    const optional = tasks.filter((task) => !task.isRequired);
+    // Required tasks are always among the ANY_OF picks
+    const optionalNeeded =
+      rule.type === 'ANY_OF'
+        ? Math.min(
+            Math.max((rule.count ?? 1) - required.length, 0),
+            optional.length
+          )
+        : Math.min(rule.count ?? 0, optional.length);
+    const requiredCredits = creditsFor(required);
+    const optionalCredits = creditsFor(optional);
+    return {
+      needed: required.length + optionalNeeded,
+      done:
+        requiredCredits.length +
+        Math.min(optionalCredits.length, optionalNeeded),
+      credited:
+        sumTop(requiredCredits, required.length) +
+        sumTop(optionalCredits, optionalNeeded),
+    };
+  }
+
+  const credits = creditsFor(tasks);
+  return {
+    needed: tasks.length,
+    done: credits.length,
+    credited: sumTop(credits, tasks.length),
+  };
+};
+
+// Required-task counts and points. Late work scores as far as its
+// lateCredit allows, like standings.
+const evaluateWeighting = (tasks, approvedByTask) => {
+  const weighting = {
+    requiredTotal: 0,
+    requiredCompleted: 0,
+    requiredMaxScore: 0,
+    score: 0,
+    bonusScore: 0,
+  };
+
+  for (const task of tasks) {
+    const maxScore = task.maxScore ?? 100;
+    if (task.isRequired) {
+      weighting.requiredTotal++;
+      weighting.requiredMaxScore += maxScore;
+    }
+
+    const submission = approvedByTask.get(task.id);
+    if (!submission) continue;
+
+    const points = Math.round(
+      (submission.score ?? maxScore) * getSubmissionCredit(submission)
+    );
+    weighting.score += points;
+    if (task.isRequired) {
+      weighting.requiredCompleted++;
+    } else {
+      weighting.bonusScore += points;
+    }
+  }
+
+  return weighting;
+};
+
+/**
+ * Work out a teen's completion of a challenge
+ * @param {Object[]} tasks - The challenge's tasks (id, tabName, taskGroup,
+ *   isRequired, maxScore)
+ * @param {Object[]} rules - The challenge's completionRules (null = ALL_OF)
+ * @param {Object[]} approved - Approved submissions ({ taskId, score, isLate,
+ *   lateCredit })
+ * @returns {Object} { tasksTotal, tasksCompleted, credited, isCompleted,
+ *   groups, requiredTotal, requiredCompleted, requiredMaxScore, score,
+ *   bonusScore } - tasksTotal is what the rules ask for, not the task count
+ */
+export const evaluateCompletion = (tasks, rules, approved) => {
+  const ruleByGroup = new Map(
+    (Array.isArray(rules) ? rules : []).map((rule) => [rule.group, rule])
+  );
+  const approvedByTask = new Map(
+    approved.map((submission) => [submission.taskId, submission])
+  );
+  const creditsByTask = new Map(
+    approved.map((submission) => [
+      submission.taskId,
+      getSubmissionCredit(submission),
+    ])
+  );
+
+  const tasksByGroup = new Map();
+  for (const task of tasks) {
+    const group = getTaskGroup(task);
+    if (!tasksByGroup.has(group)) tasksByGroup.set(group, []);
+    tasksByGroup.get(group).push(task);
+  }
+
+  const groups = [...tasksByGroup].map(([group, groupTasks]) => {
+    const rule = ruleByGroup.get(group) || DEFAULT_RULE;
+    const { needed, done, credited } = evaluateGroup(
+      groupTasks,
+      rule,
+      creditsByTask
+    );
+
+    return {
+      group,
+      type: rule.type,
+      count: rule.count ?? null,
+      tasksTotal: needed,
+      tasksCompleted: done,
+      credited,
+      isCompleted: done >= needed,
+    };
+  });
+
+  const tasksTotal = groups.reduce((sum, group) => sum + group.tasksTotal, 0);
+  const tasksCompleted = groups.reduce(
+    (sum, group) => sum + group.tasksCompleted,
+    0
+  );
+
+  const weighting = evaluateWeighting(tasks, approvedByTask);
+
+  return {
+    tasksTotal,
+    tasksCompleted,
+    credited: groups.reduce((sum, group) => sum + group.credited, 0),
+    isCompleted: tasksTotal > 0 && tasksCompleted >= tasksTotal,
+    groups: groups.map(({ credited, ...group }) => group),
+    ...weighting,
+  };
+};
+
+/**
+ * Check a completionRules payload from staff
+ * @param {Object[]} rules
+ * @returns {string|null} Problem description, or null if valid
+ */
+export const getCompletionRulesError = (rules) => {
+  if (!Array.isArray(rules)) {
+    return 'Completion rules must be a list';
+  }
+
+  const seen = new Set();
+
+  for (const [index, rule] of rules.entries()) {
+    const label = `Rule ${index + 1}`;
+
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      return `${label} must be an object`;
+    }
+    if (typeof rule.group !== 'string' || !rule.group.trim()) {
+      return `${label} needs the group (tab name or task group) it applies to`;
+    }
+    if (seen.has(rule.group)) {
+      return `"${rule.group}" has more than one rule`;
+    }
+    seen.add(rule.group);
+
+    if (!COMPLETION_RULE_TYPES.includes(rule.type)) {
+      return `${label} type must be one of ${COMPLETION_RULE_TYPES.join(', ')}`;
+    }
+
+    const minCount = rule.type === 'ANY_OF' ? 1 : 0;
+    if (
+      rule.type !== 'ALL_OF' &&
+      (!Number.isInteger(rule.count) || rule.count < minCount)
+    ) {
+      return `${label} count must be a whole number of at least ${minCount}`;
+    }
+  }
+
+  return null;
+};
+
+export default {
+  COMPLETION_RULE_TYPES,
+  getTaskGroup,
+  evaluateCompletion,
+  getCompletionRulesError,
+};
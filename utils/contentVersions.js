@@ -0,0 +1,324 @@
+// utils/contentVersions.js
+// Version history for challenge and task content. Every edit stores a full
+// snapshot so staff can see exactly what teens saw at any point (e.g. before
+// a quiz answer key was fixed), diff versions and restore an old one.
+//
+// Content created before versioning, or never edited, has no history yet;
+// its first edit stores the pre-edit state as version 1.
+
+import prisma from '../lib/prisma.js';
+import { diffFields, recalculateChallengeProgress } from './helpers.js';
+
+const BADGE_FIELDS = ['name', 'description', 'imageUrl', 'price'];
+
+// Content only - publish/active flags are tracked by the audit log
+const VERSIONED_ENTITIES = {
+  challenge: {
+    model: 'monthlyChallenge',
+    include: { badge: true },
+    fields: [
+      'theme',
+      'instructions',
+      'goLiveDate',
+      'closingDate',
+      'timezone',
+      'latePolicy',
+      'graceMinutes',
+      'lateCredit',
+      'completionRules',
+      'minAge',
+      'maxAge',
+      'genders',
+      'states',
+      'countries',
+      'translations',
+      'badge',
+    ],
+  },
+  task: {
+    model: 'task',
+    include: undefined,
+    fields: [
+      'tabName',
+      'taskGroup',
+      'title',
+      'description',
+      'taskType',
+      'dueDate',
+      'isRequired',
+      'completionRule',
+      'options',
+      'maxScore',
+      'latePolicy',
+      'graceMinutes',
+      'lateCredit',
+      'translations',
+    ],
+  },
+};
+
+const DATE_FIELDS = ['goLiveDate', 'closingDate', 'dueDate'];
+const LIST_FIELDS = ['genders', 'states', 'countries'];
+
+const MAX_RECORD_ATTEMPTS = 3;
+
+/**
+ * Load a versioned record the way snapshots expect it
+ * @param {string} entityType - "challenge" | "task"
+ * @param {string} entityId
+ * @returns {Promise<Object|null>}
+ */
+export const findVersionedEntity = (entityType, entityId) => {
+  const { model, include } = VERSIONED_ENTITIES[entityType];
+  return prisma[model].findUnique({ where: { id: entityId }, include });
+};
+
+/**
+ * The versioned content of a challenge (with badge) or task, as plain JSON
+ * @param {string} entityType - "challenge" | "task"
+ * @param {Object} entity
+ * @returns {Object}
+ */
+export const buildContentSnapshot = (entityType, entity) => {
+  const snapshot = {};
+
+  for (const field of VERSIONED_ENTITIES[entityType].fields) {
+    snapshot[field] =
+      entity[field] ?? (LIST_FIELDS.includes(field) ? [] : null);
+  }
+
+  if (entityType === 'challenge') {
+    snapshot.badge = entity.badge
+      ? Object.fromEntries(
+          BADGE_FIELDS.map((field) => [field, entity.badge[field] ?? null])
+        )
+      : null;
+  }
+
+  // Dates become ISO strings, matching what comes back out of the Json column
+  return JSON.parse(JSON.stringify(snapshot));
+};
+
+/**
+ * Fields that differ between two snapshots
+ * @param {string} entityType - "challenge" | "task"
+ * @param {Object} from - Older snapshot
+ * @param {Object} to - Newer snapshot
+ * @returns {Object} { field: { from, to } }
+ */
+export const diffSnapshots = (entityType, from, to) =>
+  diffFields(from, to, VERSIONED_ENTITIES[entityType].fields);
+
+const getLatestVersion = (entityType, entityId) =>
+  prisma.contentVersion.findFirst({
+    where: { entityType, entityId },
+    orderBy: { version: 'desc' },
+  });
+
+/**
+ * Record an edit. Call after the update with the record before and after.
+ * Does nothing if the versioned content didn't change.
+ * @param {string} entityType - "challenge" | "task"
+ * @param {Object} before - Record before the edit (challenge with badge)
+ * @param {Object} after - Record after the edit (challenge with badge)
+ * @param {Object} user - Staff member who made the change (id, email)
+ * @param {Object} options - { restoredFromVersion }
+ * @returns {Promise<Object|null>} The new version, or null if nothing changed
+ */
+export const recordContentVersion = async (
+  entityType,
+  before,
+  after,
+  user,
+  { restoredFromVersion } = {}
+) => {
+  const snapshot = buildContentSnapshot(entityType, after);
+
+  // Two edits at once race for the same version number; the loser retries
+  for (let attempt = 1; ; attempt++) {
+    try {
+      let latest = await getLatestVersion(entityType, after.id);
+
+      if (!latest) {
+        latest = await prisma.contentVersion.create({
+          data: {
+            entityType,
+            entityId: after.id,
+            version: 1,
+            snapshot: buildContentSnapshot(entityType, before),
+            createdAt: before.updatedAt || before.createdAt,
+          },
+        });
+      }
+
+      const changedFields = Object.keys(
+        diffSnapshots(entityType, latest.snapshot, snapshot)
+      );
+
+      if (changedFields.length === 0) return null;
+
+      const version = await prisma.contentVersion.create({
+        data: {
+          entityType,
+          entityId: after.id,
+          version: latest.version + 1,
+          snapshot,
+          changedFields,
+          restoredFromVersion,
+          changedById: user?.id,
+          changedByEmail: user?.email,
+        },
+      });
+
+      await prisma[VERSIONED_ENTITIES[entityType].model].update({
+        where: { id: after.id },
+        data: { version: version.version },
+      });
+
+      return version;
+    } catch (error) {
+      if (error.code !== 'P2002' || attempt >= MAX_RECORD_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Version list, newest first (without snapshots)
+ * @param {string} entityType - "challenge" | "task"
+ * @param {string} entityId
+ * @returns {Promise<Object[]>}
+ */
+export const getContentVersions = (entityType, entityId) =>
+  prisma.contentVersion.findMany({
+    where: { entityType, entityId },
+    orderBy: { version: 'desc' },
+    select: {
+      id: true,
+      version: true,
+      changedFields: true,
+      restoredFromVersion: true,
+      changedById: true,
+      changedByEmail: true,
+      createdAt: true,
+    },
+  });
+
+/**
+ * One version with its changes compared to another (default: the previous
+ * version)
+ * @param {string} entityType - "challenge" | "task"
+ * @param {string} entityId
+ * @param {number} version
+ * @param {number} compareTo - Version to diff against
+ * @returns {Promise<Object|null>} { ...version, comparedTo, changes }
+ */
+export const getContentVersion = async (
+  entityType,
+  entityId,
+  version,
+  compareTo = version - 1
+) => {
+  const [entry, other] = await Promise.all([
+    prisma.contentVersion.findUnique({
+      where: {
+        entityType_entityId_version: { entityType, entityId, version },
+      },
+    }),
+    compareTo > 0
+      ? prisma.contentVersion.findUnique({
+          where: {
+            entityType_entityId_version: {
+              entityType,
+              entityId,
+              version: compareTo,
+            },
+          },
+        })
+      : null,
+  ]);
+
+  if (!entry) return null;
+
+  return {
+    ...entry,
+    comparedTo: other ? other.version : null,
+    changes: other
+      ? diffSnapshots(entityType, other.snapshot, entry.snapshot)
+      : null,
+  };
+};
+
+/**
+ * Put an old version's content back. Recorded as a new version.
+ * @param {string} entityType - "challenge" | "task"
+ * @param {Object} entity - Current record (challenge with badge)
+ * @param {Object} version - ContentVersion to restore
+ * @param {Object} user - Staff member restoring it
+ * @returns {Promise<Object>} { entity, version }
+ */
+export const restoreContentVersion = async (
+  entityType,
+  entity,
+  version,
+  user
+) => {
+  const { model, include, fields } = VERSIONED_ENTITIES[entityType];
+  const { badge, ...snapshot } = version.snapshot;
+
+  const data = {};
+  for (const field of fields) {
+    if (field === 'badge') continue;
+
+    const value = snapshot[field];
+    if (DATE_FIELDS.includes(field)) {
+      data[field] = value ? new Date(value) : null;
+    } else if (LIST_FIELDS.includes(field)) {
+      data[field] = value ?? [];
+    } else if (field === 'options') {
+      data[field] = value ?? undefined;
+    } else {
+      data[field] = value;
+    }
+  }
+
+  // The badge is restored in place; one that has since been added stays,
+  // since teens may have bought it
+  if (entityType === 'challenge' && badge) {
+    data.badge = entity.badge ? { update: badge } : { create: badge };
+  }
+
+  const restored = await prisma[model].update({
+    where: { id: entity.id },
+    data,
+    include,
+  });
+
+  const recorded = await recordContentVersion(
+    entityType,
+    entity,
+    restored,
+    user,
+    { restoredFromVersion: version.version }
+  );
+
+  // Restored rules or task groups can change what finishing takes
+  if (recorded) {
+    await recalculateChallengeProgress(
+      entityType === 'challenge' ? restored.id : restored.challengeId
+    );
+  }
+
+  return { entity: restored, version: recorded };
+};
+
+export default {
+  findVersionedEntity,
+  buildContentSnapshot,
+  diffSnapshots,
+  recordContentVersion,
+  getContentVersions,
+  getContentVersion,
+  restoreContentVersion,
+};
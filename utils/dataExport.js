@@ -0,0 +1,226 @@
+// utils/dataExport.js
+// Personal data export for a teen (self-service or on a parent's request)
+
+import archiver from 'archiver';
+import prisma from '../lib/prisma.js';
+
+/**
+ * Gather everything we hold about a teen
+ * @param {string} teenId - Teen id
+ * @returns {Promise<Object|null>} Export bundle, or null if the teen is gone
+ */
+export const buildTeenDataExport = async (teenId) => {
+  const teen = await prisma.teen.findUnique({
+    where: { id: teenId },
+    select: {
+      id: true,
+      email: true,
+      name: true,
+      age: true,
+      gender: true,
+      state: true,
+      country: true,
+      profilePhoto: true,
+      parentEmail: true,
+      isEmailVerified: true,
+      optInPublic: true,
+      parentalConsentStatus: true,
+      parentalConsentAt: true,
+      deletionScheduledFor: true,
+      createdAt: true,
+      updatedAt: true,
+    },
+  });
+
+  if (!teen) return null;
+
+  const [
+    submissions,
+    badges,
+    transactions,
+    notifications,
+    progress,
+    raffleEntries,
+    sessions,
+    quizAttempts,
+  ] = await Promise.all([
+    prisma.submission.findMany({
+      where: { teenId },
+      select: {
+        id: true,
+        content: true,
+        fileUrls: true,
+        status: true,
+        reviewNote: true,
+        submittedAt: true,
+        reviewedAt: true,
+        task: {
+          select: {
+            title: true,
+            taskType: true,
+            challenge: { select: { theme: true, year: true, month: true } },
+          },
+        },
+      },
+      orderBy: { submittedAt: 'asc' },
+    }),
+    prisma.teenBadge.findMany({
+      where: { teenId },
+      include: {
+        badge: { select: { name: true, description: true, imageUrl: true } },
+      },
+    }),
+    prisma.transaction.findMany({
+      where: { teenId },
+      select: {
+        id: true,
+        reference: true,
+        amount: true,
+        currency: true,
+        status: true,
+        paymentMethod: true,
+        paidAt: true,
+        createdAt: true,
+        badge: { select: { name: true } },
+      },
+      orderBy: { createdAt: 'asc' },
+    }),
+    prisma.notification.findMany({
+      where: { teenId },
+      select: {
+        title: true,
+        body: true,
+        isRead: true,
+        createdAt: true,
+      },
+      orderBy: { createdAt: 'asc' },
+    }),
+    prisma.teenProgress.findMany({
+      where: { teenId },
+      include: {
+        challenge: { select: { theme: true, year: true, month: true } },
+      },
+    }),
+    prisma.raffleEntry.findMany({
+      where: { teenId },
+      select: { year: true, isEligible: true, createdAt: true },
+    }),
+    prisma.session.findMany({
+      where: { teenId },
+      select: {
+        deviceName: true,
+        userAgent: true,
+        ipAddress: true,
+        createdAt: true,
+        lastSeenAt: true,
+        revokedAt: true,
+      },
+    }),
+    prisma.quizAttempt.findMany({
+      where: { teenId },
+      select: {
+        id: true,
+        questions: true,
+        startedAt: true,
+        submittedAt: true,
+        task: {
+          select: {
+            title: true,
+            challenge: { select: { theme: true, year: true, month: true } },
+          },
+        },
+      },
+      orderBy: { startedAt: 'asc' },
+    }),
+  ]);
+
+  const uploadedFiles = [
+    ...(teen.profilePhoto
+      ? [{ type: 'PROFILE_PHOTO', url: teen.profilePhoto }]
+      : []),
+    ...submissions.flatMap((submission) =>
+      submission.fileUrls.map((url) => ({
+        type: 'SUBMISSION',
+        submissionId: submission.id,
+        task: submission.task.title,
+        url,
+      }))
+    ),
+  ];
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: teen,
+    submissions,
+    // Questions the teen was given, without the answer keys
+    quizAttempts: quizAttempts.map((attempt) => ({
+      ...attempt,
+      questions: (attempt.questions || []).map(
+        ({ correctAnswer, correctAnswers, explanation, ...question }) =>
+          question
+      ),
+    })),
+    uploadedFiles,
+    badges: badges.map((teenBadge) => ({
+      name: teenBadge.badge.name,
+      description: teenBadge.badge.description,
+      imageUrl: teenBadge.badge.imageUrl,
+      status: teenBadge.status,
+      purchasedAt: teenBadge.purchasedAt,
+      earnedAt: teenBadge.earnedAt,
+    })),
+    transactions,
+    notifications,
+    progress: progress.map((p) => ({
+      challenge: p.challenge,
+      tasksTotal: p.tasksTotal,
+      tasksCompleted: p.tasksCompleted,
+      percentage: p.percentage,
+      requiredPercentage: p.requiredPercentage ?? null,
+      score: p.score ?? null,
+      completedAt: p.completedAt,
+    })),
+    raffleEntries,
+    devices: sessions,
+  };
+};
+
+/**
+ * Stream an export as a ZIP: the full JSON plus one file per section and a
+ * plain list of uploaded file URLs
+ * @param {Object} res - Express response
+ * @param {Object} data - Result of buildTeenDataExport
+ */
+export const streamDataExportZip = async (res, data) => {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  archive.on('error', (error) => {
+    console.error('❌ Data export ZIP error:', error);
+    res.destroy(error);
+  });
+
+  res.attachment(`teenshapers-data-${data.profile.id}.zip`);
+  archive.pipe(res);
+
+  archive.append(JSON.stringify(data, null, 2), {
+    name: 'teenshapers-data.json',
+  });
+
+  for (const [section, value] of Object.entries(data)) {
+    if (section === 'exportedAt') continue;
+    archive.append(JSON.stringify(value, null, 2), {
+      name: `sections/${section}.json`,
+    });
+  }
+
+  archive.append(data.uploadedFiles.map((file) => file.url).join('\n'), {
+    name: 'uploaded-files.txt',
+  });
+
+  await archive.finalize();
+};
+
+export default {
+  buildTeenDataExport,
+  streamDataExportZip,
+};
@@ -0,0 +1,161 @@
+// utils/emailChange.js
+// Teen email changes. A new address only takes over once it confirms, and the
+// old address can undo the change for a week.
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import prisma from '../lib/prisma.js';
+import {
+  generateEmailChangeToken,
+  generateEmailChangeRevertToken,
+  generatePasswordResetToken,
+  sendEmailChangeVerificationEmail,
+  sendEmailChangeAlertEmail,
+  sendPasswordResetEmail,
+  verifyToken,
+} from './emailService.js';
+import { revokeAllSessions } from './sessionService.js';
+import { getTeenLanguage } from './i18n.js';
+
+/**
+ * Whether an address already belongs to (or is being claimed by) another teen
+ * @param {string} email - Address to check
+ * @param {string} teenId - Teen making the change
+ * @returns {Promise<boolean>}
+ */
+export const isEmailTaken = async (email, teenId) => {
+  const existing = await prisma.teen.findFirst({
+    where: {
+      id: { not: teenId },
+      OR: [{ email }, { pendingEmail: email }],
+    },
+    select: { id: true },
+  });
+
+  return Boolean(existing);
+};
+
+/**
+ * Whether a confirmed change can still be reverted by the old address. A
+ * second change in that window would replace the revert link, so it's refused.
+ * @param {Object} teen - Teen record
+ * @returns {boolean}
+ */
+export const isRevertWindowOpen = (teen) => {
+  if (!teen.emailChangeRevertToken || teen.pendingEmail) return false;
+
+  try {
+    verifyToken(teen.emailChangeRevertToken);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Park a new address as pending, send the confirmation link to it and alert
+ * the current address with a revert link
+ * @param {Object} teen - Teen record (id, name, email)
+ * @param {string} newEmail - Requested address
+ */
+export const requestEmailChange = async (teen, newEmail) => {
+  const emailChangeToken = generateEmailChangeToken(teen.id);
+  const emailChangeRevertToken = generateEmailChangeRevertToken(teen.id);
+
+  await prisma.teen.update({
+    where: { id: teen.id },
+    data: {
+      pendingEmail: newEmail,
+      emailChangeToken,
+      emailChangeRevertToken,
+      previousEmail: teen.email,
+    },
+  });
+
+  const language = getTeenLanguage(teen);
+
+  await sendEmailChangeVerificationEmail(
+    newEmail,
+    teen.name,
+    emailChangeToken,
+    language
+  );
+  await sendEmailChangeAlertEmail(
+    teen.email,
+    teen.name,
+    newEmail,
+    emailChangeRevertToken,
+    language
+  );
+
+  console.log(`✉️ Email change requested for teen ${teen.id}`);
+};
+
+/**
+ * Apply a confirmed change. The revert token stays valid so the old address
+ * can still undo it.
+ * @param {Object} teen - Teen record with a pending email
+ * @returns {Promise<Object>} Updated teen
+ */
+export const applyEmailChange = async (teen) => {
+  return prisma.teen.update({
+    where: { id: teen.id },
+    data: {
+      email: teen.pendingEmail,
+      isEmailVerified: true,
+      pendingEmail: null,
+      emailChangeToken: null,
+    },
+  });
+};
+
+/**
+ * Undo a change (pending or applied) and restore the old address. Someone
+ * else may have been using the account, so every device is signed out and
+ * the password is replaced with a random one: the owner sets a new one from
+ * the reset email sent to the restored address.
+ * @param {Object} teen - Teen record with a previous email
+ * @returns {Promise<number>} Sessions revoked
+ */
+export const revertEmailChange = async (teen) => {
+  const resetToken = generatePasswordResetToken(teen.id);
+
+  await prisma.teen.update({
+    where: { id: teen.id },
+    data: {
+      email: teen.previousEmail,
+      isEmailVerified: true,
+      pendingEmail: null,
+      emailChangeToken: null,
+      emailChangeRevertToken: null,
+      previousEmail: null,
+      password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12),
+      passwordResetToken: resetToken,
+      passwordResetExpires: new Date(Date.now() + 3600000), // 1 hour
+    },
+  });
+
+  const revoked = await revokeAllSessions(teen.id, 'teen');
+
+  // If this fails the owner can still use "forgot password"
+  try {
+    await sendPasswordResetEmail(
+      teen.previousEmail,
+      teen.name,
+      resetToken,
+      getTeenLanguage(teen)
+    );
+  } catch (emailError) {
+    console.error('⚠️ Password reset email after revert failed:', emailError);
+  }
+
+  return revoked;
+};
+
+export default {
+  isEmailTaken,
+  isRevertWindowOpen,
+  requestEmailChange,
+  applyEmailChange,
+  revertEmailChange,
+};
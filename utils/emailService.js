@@ -5,6 +5,7 @@
 
 import nodemailer from 'nodemailer';
 import jwt from 'jsonwebtoken';
+import { DEFAULT_LANGUAGE, t, formatDateTime } from './i18n.js';
 
 /**
  * Create and configure email transporter
@@ -40,6 +41,57 @@ export const generatePasswordResetToken = (teenId) => {
   );
 };
 
+// Passwordless sign-in; stored on the teen so it can only be used once
+export const generateMagicLinkToken = (teenId) => {
+  return jwt.sign({ id: teenId, type: 'magic-link' }, process.env.JWT_SECRET, {
+    expiresIn: '15m',
+  });
+};
+
+// Staff tokens use their own types so a teen reset link can never be
+// replayed against a staff account (or vice versa)
+export const generateStaffPasswordResetToken = (userId) => {
+  return jwt.sign(
+    { id: userId, type: 'staff-password-reset' },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: '1h',
+    }
+  );
+};
+
+export const generateStaffInvitationToken = (userId) => {
+  return jwt.sign(
+    { id: userId, type: 'staff-invitation' },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: '7d',
+    }
+  );
+};
+
+// Confirms a new address; sent to the address being added
+export const generateEmailChangeToken = (teenId) => {
+  return jwt.sign(
+    { id: teenId, type: 'email-change' },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: '24h',
+    }
+  );
+};
+
+// Lets the old address undo a change it didn't make
+export const generateEmailChangeRevertToken = (teenId) => {
+  return jwt.sign(
+    { id: teenId, type: 'email-change-revert' },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: '7d',
+    }
+  );
+};
+
 export const verifyToken = (token) => {
   try {
     return jwt.verify(token, process.env.JWT_SECRET);
@@ -202,8 +254,33 @@ const getEmailStyles = () => `
   }
 `;
 
-export const sendVerificationEmail = async (email, name, verificationToken) => {
+// Teen-facing emails take their copy from utils/locales ("common.*" keys are
+// shared by every email); staff emails stay in English
+const getEmailCopy = (language, email) => (key, params) =>
+  t(
+    language,
+    key.startsWith('common.') ? `emails.${key}` : `emails.${email}.${key}`,
+    params
+  );
+
+const getEmailFooter = (language) => `
+            <div class="footer">
+              <p><strong style="color: #FF6B35;">TeenShapers</strong></p>
+              <p>${t(language, 'emails.common.tagline')}</p>
+              <p style="margin-top: 15px; color: #9CA3AF;">${t(language, 'emails.common.rights', { year: new Date().getFullYear() })}</p>
+            </div>`;
+
+// Plain-text fallbacks reuse the HTML copy
+const stripTags = (html) => html.replace(/<[^>]+>/g, '');
+
+export const sendVerificationEmail = async (
+  email,
+  name,
+  verificationToken,
+  language = DEFAULT_LANGUAGE
+) => {
   const transporter = createTransporter();
+  const copy = getEmailCopy(language, 'verification');
 
   const verificationUrl = `${
     process.env.APP_URL || 'https://teensha.vercel.app'
@@ -212,10 +289,10 @@ export const sendVerificationEmail = async (email, name, verificationToken) => {
   const mailOptions = {
     from: `"TeenShapers" <${process.env.EMAIL_USER}>`,
     to: email,
-    subject: 'Verify Your TeenShapers Account 🎉',
+    subject: copy('subject'),
     html: `
       <!DOCTYPE html>
-      <html lang="en">
+      <html lang="${language}">
         <head>
           <meta charset="UTF-8">
           <meta name="viewport" content="width=device-width, initial-scale=1.0">
@@ -226,58 +303,54 @@ export const sendVerificationEmail = async (email, name, verificationToken) => {
         <body>
           <div class="container">
             <div class="header">
-              <h1>Welcome to TeenShapers! 🎉</h1>
+              <h1>${copy('heading')}</h1>
             </div>
             <div class="content">
-              <h2>Hi ${name}!</h2>
-              <p>Thank you for joining TeenShapers! We're excited to have you on board and can't wait to see you grow and achieve amazing things.</p>
-              <p>To complete your registration and unlock all features, please verify your email address by clicking the button below:</p>
+              <h2>${copy('common.greetingExcited', { name })}</h2>
+              <p>${copy('intro')}</p>
+              <p>${copy('action')}</p>
               
               <center>
-                <a href="${verificationUrl}" class="button">Verify Email Address</a>
+                <a href="${verificationUrl}" class="button">${copy('button')}</a>
               </center>
               
-              <p style="color: #6B7280; font-size: 14px; margin-top: 25px;">Or copy and paste this link into your browser:</p>
+              <p style="color: #6B7280; font-size: 14px; margin-top: 25px;">${copy('common.orCopyLink')}</p>
               <div class="link-text">${verificationUrl}</div>
               
               <div class="warning">
-                <p><strong>⏰ Important:</strong> This verification link will expire in 24 hours for security purposes.</p>
+                <p><strong>${copy('common.important')}</strong> ${copy('expiry')}</p>
               </div>
               
-              <p>Once verified, you'll be able to:</p>
+              <p>${copy('benefitsIntro')}</p>
               <ul style="color: #4B5563; line-height: 1.8;">
-                <li>🎯 Participate in monthly challenges</li>
-                <li>🏆 Earn badges and rewards</li>
-                <li>📊 Track your progress</li>
-                <li>👥 Join the community leaderboard</li>
+                <li>${copy('benefitChallenges')}</li>
+                <li>${copy('benefitBadges')}</li>
+                <li>${copy('benefitProgress')}</li>
+                <li>${copy('benefitLeaderboard')}</li>
               </ul>
               
-              <p style="margin-top: 25px;">If you didn't create an account with TeenShapers, please ignore this email or contact our support team.</p>
-            </div>
-            <div class="footer">
-              <p><strong style="color: #FF6B35;">TeenShapers</strong></p>
-              <p>Shaping the future, one teen at a time</p>
-              <p style="margin-top: 15px; color: #9CA3AF;">© ${new Date().getFullYear()} TeenShapers. All rights reserved.</p>
+              <p style="margin-top: 25px;">${copy('ignore')}</p>
             </div>
+            ${getEmailFooter(language)}
           </div>
         </body>
       </html>
     `,
     // Plain text fallback
     text: `
-      Welcome to TeenShapers!
+      ${copy('heading')}
       
-      Hi ${name},
+      ${copy('common.greeting', { name })}
       
-      Thank you for joining TeenShapers! To complete your registration, please verify your email address by clicking the link below:
+      ${copy('action')}
       
       ${verificationUrl}
       
-      This link will expire in 24 hours.
+      ${copy('expiry')}
       
-      If you didn't create an account with TeenShapers, please ignore this email.
+      ${copy('ignore')}
       
-      © ${new Date().getFullYear()} TeenShapers. All rights reserved.
+      ${copy('common.rights', { year: new Date().getFullYear() })}
     `,
   };
 
@@ -290,8 +363,14 @@ export const sendVerificationEmail = async (email, name, verificationToken) => {
   }
 };
 
-export const sendPasswordResetEmail = async (email, name, resetToken) => {
+export const sendPasswordResetEmail = async (
+  email,
+  name,
+  resetToken,
+  language = DEFAULT_LANGUAGE
+) => {
   const transporter = createTransporter();
+  const copy = getEmailCopy(language, 'passwordReset');
 
   // For mobile app deep linking
   const resetUrl = `teenshapers://reset-password?token=${resetToken}`;
@@ -303,7 +382,190 @@ export const sendPasswordResetEmail = async (email, name, resetToken) => {
   const mailOptions = {
     from: `"TeenShapers" <${process.env.EMAIL_USER}>`,
     to: email,
-    subject: 'Reset Your TeenShapers Password 🔐',
+    subject: copy('subject'),
+    html: `
+      <!DOCTYPE html>
+      <html lang="${language}">
+        <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <style>
+            ${getEmailStyles()}
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>${copy('heading')}</h1>
+            </div>
+            <div class="content">
+              <h2>${copy('common.greeting', { name })}</h2>
+              <p>${copy('intro')}</p>
+              <p>${copy('action')}</p>
+              
+              <center>
+                <a href="${resetUrl}" class="button">${copy('button')}</a>
+              </center>
+              
+              <p style="color: #6B7280; font-size: 14px; margin-top: 25px;">${copy('common.buttonFallback')}</p>
+              <div class="link-text">${resetUrl}</div>
+              
+              <div class="warning">
+                <p class="warning-title">${copy('common.securityTitle')}</p>
+                <ul>
+                  <li>${copy('expiry')}</li>
+                  <li>${copy('ignore')}</li>
+                  <li>${copy('noShare')}</li>
+                  <li>${copy('noPasswordByEmail')}</li>
+                </ul>
+              </div>
+              
+              <p style="margin-top: 25px; color: #4B5563;">${copy('after')}</p>
+              
+              <p style="color: #9CA3AF; font-size: 14px; margin-top: 25px;">${copy('support')}</p>
+            </div>
+            ${getEmailFooter(language)}
+          </div>
+        </body>
+      </html>
+    `,
+    // Plain text fallback
+    text: `
+      ${copy('heading')}
+      
+      ${copy('common.greeting', { name })}
+      
+      ${copy('intro')}
+      
+      ${copy('action')}
+      ${resetUrl}
+      
+      ${stripTags(copy('expiry'))}
+      
+      ${copy('ignore')}
+      
+      ${copy('common.rights', { year: new Date().getFullYear() })}
+    `,
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log('✅ Password reset email sent to:', email);
+  } catch (error) {
+    console.error('❌ Error sending password reset email:', error);
+    throw new Error('Failed to send password reset email');
+  }
+};
+
+export const sendMagicLinkEmail = async (
+  email,
+  name,
+  token,
+  code,
+  language = DEFAULT_LANGUAGE
+) => {
+  const transporter = createTransporter();
+  const copy = getEmailCopy(language, 'magicLink');
+
+  // Opens the app, which exchanges the token for a session
+  const magicLinkUrl = `teenshapers://magic-link?token=${token}`;
+
+  const mailOptions = {
+    from: `"TeenShapers" <${process.env.EMAIL_USER}>`,
+    to: email,
+    subject: copy('subject', { code }),
+    html: `
+      <!DOCTYPE html>
+      <html lang="${language}">
+        <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <style>
+            ${getEmailStyles()}
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>${copy('heading')}</h1>
+            </div>
+            <div class="content">
+              <h2>${copy('common.greetingExcited', { name })}</h2>
+              <p>${copy('action')}</p>
+              
+              <center>
+                <a href="${magicLinkUrl}" class="button">${copy('button')}</a>
+              </center>
+              
+              <p style="color: #6B7280; font-size: 14px; margin-top: 25px;">${copy('codeIntro')}</p>
+              <div class="feature">
+                <div class="feature-title" style="font-size: 28px; letter-spacing: 8px; text-align: center;">${code}</div>
+              </div>
+              
+              <div class="warning">
+                <p class="warning-title">${copy('common.securityTitle')}</p>
+                <ul>
+                  <li>${copy('expiry')}</li>
+                  <li>${copy('ignore')}</li>
+                  <li>${copy('noShare')}</li>
+                </ul>
+              </div>
+            </div>
+            ${getEmailFooter(language)}
+          </div>
+        </body>
+      </html>
+    `,
+    // Plain text fallback
+    text: `
+      ${copy('heading')}
+      
+      ${copy('common.greeting', { name })}
+      
+      ${copy('action')}
+      ${magicLinkUrl}
+      
+      ${copy('codeIntro')} ${code}
+      
+      ${stripTags(copy('expiry'))}
+      
+      ${copy('ignore')}
+      
+      ${copy('common.rights', { year: new Date().getFullYear() })}
+    `,
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log('✅ Magic link email sent to:', email);
+  } catch (error) {
+    console.error('❌ Error sending magic link email:', error);
+    throw new Error('Failed to send magic link email');
+  }
+};
+
+// Staff use the web dashboard rather than the mobile app
+const getStaffDashboardUrl = () =>
+  `${
+    process.env.ADMIN_APP_URL ||
+    process.env.APP_URL ||
+    'https://teensha.vercel.app'
+  }/staff`;
+
+export const sendStaffInvitationEmail = async (
+  email,
+  name,
+  invitedBy,
+  token
+) => {
+  const transporter = createTransporter();
+
+  const actionUrl = `${getStaffDashboardUrl()}/accept-invitation?token=${token}`;
+
+  const mailOptions = {
+    from: `"TeenShapers" <${process.env.EMAIL_USER}>`,
+    to: email,
+    subject: "You're Invited to the TeenShapers Team 🙌",
     html: `
       <!DOCTYPE html>
       <html lang="en">
@@ -317,33 +579,107 @@ export const sendPasswordResetEmail = async (email, name, resetToken) => {
         <body>
           <div class="container">
             <div class="header">
-              <h1>Password Reset Request 🔐</h1>
+              <h1>You're Invited! 🙌</h1>
             </div>
             <div class="content">
               <h2>Hi ${name},</h2>
-              <p>We received a request to reset your password for your TeenShapers account. No worries - it happens to everyone!</p>
-              <p>Click the button below to reset your password:</p>
+              <p>${invitedBy} has invited you to join the TeenShapers admin dashboard as a team member.</p>
+              <p>Click the button below to set your password and activate your account:</p>
               
               <center>
-                <a href="${resetUrl}" class="button">Reset Password</a>
+                <a href="${actionUrl}" class="button">Accept Invitation</a>
               </center>
               
               <p style="color: #6B7280; font-size: 14px; margin-top: 25px;">If the button doesn't work, copy and paste this link into your browser:</p>
-              <div class="link-text">${resetUrl}</div>
+              <div class="link-text">${actionUrl}</div>
               
               <div class="warning">
                 <p class="warning-title">⚠️ Important Security Information</p>
                 <ul>
-                  <li><strong>This link will expire in 1 hour</strong> for your security</li>
-                  <li>If you didn't request this reset, please ignore this email - your account is safe</li>
-                  <li>Never share this link with anyone</li>
+                  <li><strong>This link will expire in 7 days</strong> and can only be used once</li>
+                  <li>If you weren't expecting this invitation, you can ignore this email</li>
                   <li>TeenShapers will never ask for your password via email</li>
                 </ul>
               </div>
+            </div>
+            <div class="footer">
+              <p><strong style="color: #FF6B35;">TeenShapers</strong></p>
+              <p>Shaping the future, one teen at a time</p>
+              <p style="margin-top: 15px; color: #9CA3AF;">© ${new Date().getFullYear()} TeenShapers. All rights reserved.</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `,
+    // Plain text fallback
+    text: `
+      You're Invited!
+      
+      Hi ${name},
+      
+      ${invitedBy} has invited you to join the TeenShapers admin dashboard. Set your password here:
+      
+      ${actionUrl}
+      
+      This link will expire in 7 days and can only be used once.
+      
+      © ${new Date().getFullYear()} TeenShapers. All rights reserved.
+    `,
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log('✅ Staff invitation email sent to:', email);
+  } catch (error) {
+    console.error('❌ Error sending staff invitation email:', error);
+    throw new Error('Failed to send staff invitation email');
+  }
+};
+
+export const sendStaffPasswordResetEmail = async (email, name, token) => {
+  const transporter = createTransporter();
+
+  const actionUrl = `${getStaffDashboardUrl()}/reset-password?token=${token}`;
+
+  const mailOptions = {
+    from: `"TeenShapers" <${process.env.EMAIL_USER}>`,
+    to: email,
+    subject: 'Reset Your TeenShapers Staff Password 🔐',
+    html: `
+      <!DOCTYPE html>
+      <html lang="en">
+        <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <style>
+            ${getEmailStyles()}
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>Password Reset Request 🔐</h1>
+            </div>
+            <div class="content">
+              <h2>Hi ${name},</h2>
+              <p>We received a request to reset the password for your TeenShapers staff account.</p>
+              <p>Click the button below to choose a new password:</p>
+              
+              <center>
+                <a href="${actionUrl}" class="button">Reset Password</a>
+              </center>
               
-              <p style="margin-top: 25px; color: #4B5563;">After resetting your password, you'll be able to sign in with your new credentials.</p>
+              <p style="color: #6B7280; font-size: 14px; margin-top: 25px;">If the button doesn't work, copy and paste this link into your browser:</p>
+              <div class="link-text">${actionUrl}</div>
               
-              <p style="color: #9CA3AF; font-size: 14px; margin-top: 25px;">If you're having trouble, please contact our support team for assistance.</p>
+              <div class="warning">
+                <p class="warning-title">⚠️ Important Security Information</p>
+                <ul>
+                  <li><strong>This link will expire in 1 hour</strong> and can only be used once</li>
+                  <li>If you didn't request this reset, please ignore this email - your account is safe</li>
+                  <li>TeenShapers will never ask for your password via email</li>
+                </ul>
+              </div>
             </div>
             <div class="footer">
               <p><strong style="color: #FF6B35;">TeenShapers</strong></p>
@@ -360,14 +696,11 @@ export const sendPasswordResetEmail = async (email, name, resetToken) => {
       
       Hi ${name},
       
-      We received a request to reset your password for your TeenShapers account.
+      We received a request to reset your staff password. Choose a new one here:
       
-      Click the link below to reset your password:
-      ${resetUrl}
-      
-      This link will expire in 1 hour for your security.
+      ${actionUrl}
       
-      If you didn't request this reset, please ignore this email - your account is safe.
+      This link will expire in 1 hour and can only be used once.
       
       © ${new Date().getFullYear()} TeenShapers. All rights reserved.
     `,
@@ -375,23 +708,28 @@ export const sendPasswordResetEmail = async (email, name, resetToken) => {
 
   try {
     await transporter.sendMail(mailOptions);
-    console.log('✅ Password reset email sent to:', email);
+    console.log('✅ Staff password reset email sent to:', email);
   } catch (error) {
-    console.error('❌ Error sending password reset email:', error);
-    throw new Error('Failed to send password reset email');
+    console.error('❌ Error sending staff password reset email:', error);
+    throw new Error('Failed to send staff password reset email');
   }
 };
 
-export const sendWelcomeEmail = async (email, name) => {
+export const sendWelcomeEmail = async (
+  email,
+  name,
+  language = DEFAULT_LANGUAGE
+) => {
   const transporter = createTransporter();
+  const copy = getEmailCopy(language, 'welcome');
 
   const mailOptions = {
     from: `"TeenShapers" <${process.env.EMAIL_USER}>`,
     to: email,
-    subject: "Welcome to TeenShapers! You're All Set! 🎉",
+    subject: copy('subject'),
     html: `
       <!DOCTYPE html>
-      <html lang="en">
+      <html lang="${language}">
         <head>
           <meta charset="UTF-8">
           <meta name="viewport" content="width=device-width, initial-scale=1.0">
@@ -402,81 +740,77 @@ export const sendWelcomeEmail = async (email, name) => {
         <body>
           <div class="container">
             <div class="header">
-              <h1>You're All Set! 🚀</h1>
+              <h1>${copy('heading')}</h1>
             </div>
             <div class="content">
-              <h2>Welcome aboard, ${name}!</h2>
-              <p>Your email has been verified and your account is now fully active. You're ready to start your journey with TeenShapers!</p>
+              <h2>${copy('greeting', { name })}</h2>
+              <p>${copy('intro')}</p>
               
-              <p style="font-size: 18px; font-weight: 700; color: #FF6B35; margin: 30px 0 20px 0; font-family: 'Trebuchet MS', 'Lucida Grande', sans-serif;">What's Next?</p>
+              <p style="font-size: 18px; font-weight: 700; color: #FF6B35; margin: 30px 0 20px 0; font-family: 'Trebuchet MS', 'Lucida Grande', sans-serif;">${copy('nextTitle')}</p>
               
               <div class="feature">
-                <div class="feature-title">📱 Complete Your Profile</div>
-                <p>Add a profile photo and customize your settings to get the most out of TeenShapers and connect with the community.</p>
+                <div class="feature-title">${copy('profileTitle')}</div>
+                <p>${copy('profileText')}</p>
               </div>
               
               <div class="feature">
-                <div class="feature-title">🎯 Join Your First Challenge</div>
-                <p>Check out the current monthly challenge and start earning badges! Each challenge is designed to help you grow and learn.</p>
+                <div class="feature-title">${copy('challengeTitle')}</div>
+                <p>${copy('challengeText')}</p>
               </div>
               
               <div class="feature">
-                <div class="feature-title">🏆 Track Your Progress</div>
-                <p>Monitor your achievements, see how you rank on the leaderboard, and celebrate your wins with the community.</p>
+                <div class="feature-title">${copy('progressTitle')}</div>
+                <p>${copy('progressText')}</p>
               </div>
               
               <div class="feature">
-                <div class="feature-title">👥 Join the Community</div>
-                <p>Connect with other teens, share your experiences, and inspire others on their journey to excellence.</p>
+                <div class="feature-title">${copy('communityTitle')}</div>
+                <p>${copy('communityText')}</p>
               </div>
               
               <div class="stats">
-                <p><strong>Did you know?</strong></p>
-                <p>TeenShapers has helped thousands of teens achieve their goals and earn recognition for their hard work!</p>
+                <p><strong>${copy('didYouKnow')}</strong></p>
+                <p>${copy('didYouKnowText')}</p>
               </div>
               
-              <p style="margin-top: 30px;">If you have any questions or need help getting started, our support team is always here for you.</p>
+              <p style="margin-top: 30px;">${copy('help')}</p>
               
-              <p style="font-weight: 700; color: #FF6B35; margin-top: 25px;">Happy shaping! 🎉</p>
+              <p style="font-weight: 700; color: #FF6B35; margin-top: 25px;">${copy('signOff')}</p>
               
-              <p style="color: #9CA3AF; font-size: 14px; margin-top: 30px;">P.S. Make sure to enable notifications so you never miss important updates about new challenges and achievements!</p>
-            </div>
-            <div class="footer">
-              <p><strong style="color: #FF6B35;">TeenShapers</strong></p>
-              <p>Shaping the future, one teen at a time</p>
-              <p style="margin-top: 15px; color: #9CA3AF;">© ${new Date().getFullYear()} TeenShapers. All rights reserved.</p>
+              <p style="color: #9CA3AF; font-size: 14px; margin-top: 30px;">${copy('postscript')}</p>
             </div>
+            ${getEmailFooter(language)}
           </div>
         </body>
       </html>
     `,
     // Plain text fallback
     text: `
-      You're All Set!
+      ${copy('heading')}
       
-      Welcome aboard, ${name}!
+      ${copy('greeting', { name })}
       
-      Your email has been verified and your account is now fully active. You're ready to start your journey with TeenShapers!
+      ${copy('intro')}
       
-      What's Next?
+      ${copy('nextTitle')}
       
-      📱 Complete Your Profile
-      Add a profile photo and customize your settings.
+      ${copy('profileTitle')}
+      ${copy('profileText')}
       
-      🎯 Join Your First Challenge
-      Check out the current monthly challenge and start earning badges!
+      ${copy('challengeTitle')}
+      ${copy('challengeText')}
       
-      🏆 Track Your Progress
-      Monitor your achievements and see how you rank on the leaderboard.
+      ${copy('progressTitle')}
+      ${copy('progressText')}
       
-      👥 Join the Community
-      Connect with other teens and share your experiences.
+      ${copy('communityTitle')}
+      ${copy('communityText')}
       
-      If you have any questions, our support team is always here for you.
+      ${copy('help')}
       
-      Happy shaping! 🎉
+      ${copy('signOff')}
       
-      © ${new Date().getFullYear()} TeenShapers. All rights reserved.
+      ${copy('common.rights', { year: new Date().getFullYear() })}
     `,
   };
 
@@ -489,6 +823,513 @@ export const sendWelcomeEmail = async (email, name) => {
   }
 };
 
+export const sendNewDeviceLoginEmail = async (
+  email,
+  name,
+  device,
+  language = DEFAULT_LANGUAGE
+) => {
+  const transporter = createTransporter();
+  const copy = getEmailCopy(language, 'newDevice');
+
+  const deviceLabel =
+    device.deviceName || device.userAgent || copy('unknownDevice');
+  const ipAddress = device.ipAddress || copy('unknown');
+  const signedInAt = formatDateTime(new Date(), language);
+
+  const mailOptions = {
+    from: `"TeenShapers" <${process.env.EMAIL_USER}>`,
+    to: email,
+    subject: copy('subject'),
+    html: `
+      <!DOCTYPE html>
+      <html lang="${language}">
+        <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <style>
+            ${getEmailStyles()}
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>${copy('heading')}</h1>
+            </div>
+            <div class="content">
+              <h2>${copy('common.greeting', { name })}</h2>
+              <p>${copy('intro')}</p>
+              
+              <div class="feature">
+                <div class="feature-title">${copy('detailsTitle')}</div>
+                <p><strong>${copy('device')}</strong> ${deviceLabel}</p>
+                <p><strong>${copy('ipAddress')}</strong> ${ipAddress}</p>
+                <p><strong>${copy('time')}</strong> ${signedInAt}</p>
+              </div>
+              
+              <div class="warning">
+                <p class="warning-title">${copy('common.wasntYou')}</p>
+                <ul>
+                  <li>${copy('signOutDevice')}</li>
+                  <li>${copy('resetPassword')}</li>
+                </ul>
+              </div>
+              
+              <p style="color: #9CA3AF; font-size: 14px; margin-top: 25px;">${copy('wasYou')}</p>
+            </div>
+            ${getEmailFooter(language)}
+          </div>
+        </body>
+      </html>
+    `,
+    // Plain text fallback
+    text: `
+      ${copy('heading')}
+      
+      ${copy('common.greeting', { name })}
+      
+      ${copy('intro')}
+      
+      ${copy('device')} ${deviceLabel}
+      ${copy('ipAddress')} ${ipAddress}
+      ${copy('time')} ${signedInAt}
+      
+      ${copy('common.wasntYou')}
+      - ${stripTags(copy('signOutDevice'))}
+      - ${copy('resetPassword')}
+      
+      ${copy('common.rights', { year: new Date().getFullYear() })}
+    `,
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log('✅ New device email sent to:', email);
+  } catch (error) {
+    console.error('⚠️ Error sending new device email:', error);
+    // Don't throw - the login itself already succeeded
+  }
+};
+
+export const sendAccountLockedEmail = async (
+  email,
+  name,
+  lockedUntil,
+  language = DEFAULT_LANGUAGE
+) => {
+  const transporter = createTransporter();
+  const copy = getEmailCopy(language, 'accountLocked');
+
+  const unlockAt = formatDateTime(lockedUntil, language);
+
+  const mailOptions = {
+    from: `"TeenShapers" <${process.env.EMAIL_USER}>`,
+    to: email,
+    subject: copy('subject'),
+    html: `
+      <!DOCTYPE html>
+      <html lang="${language}">
+        <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <style>
+            ${getEmailStyles()}
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>${copy('heading')}</h1>
+            </div>
+            <div class="content">
+              <h2>${copy('common.greeting', { name })}</h2>
+              <p>${copy('intro')}</p>
+              
+              <div class="feature">
+                <div class="feature-title">${copy('lockedUntil')}</div>
+                <p>${unlockAt}</p>
+              </div>
+              
+              <div class="warning">
+                <p class="warning-title">${copy('common.wasntYou')}</p>
+                <ul>
+                  <li>${copy('guessing')}</li>
+                  <li>${copy('resetAfter')}</li>
+                </ul>
+              </div>
+              
+              <p style="color: #9CA3AF; font-size: 14px; margin-top: 25px;">${copy('wasYou')}</p>
+            </div>
+            ${getEmailFooter(language)}
+          </div>
+        </body>
+      </html>
+    `,
+    // Plain text fallback
+    text: `
+      ${copy('heading')}
+      
+      ${copy('common.greeting', { name })}
+      
+      ${copy('intro')}
+      
+      ${copy('lockedUntil')}: ${unlockAt}
+      
+      ${copy('common.wasntYou')} ${copy('resetAfter')}
+      
+      ${copy('common.rights', { year: new Date().getFullYear() })}
+    `,
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log('✅ Account locked email sent to:', email);
+  } catch (error) {
+    console.error('⚠️ Error sending account locked email:', error);
+    // Don't throw - the lock is already in place
+  }
+};
+
+export const sendEmailChangeVerificationEmail = async (
+  newEmail,
+  name,
+  token,
+  language = DEFAULT_LANGUAGE
+) => {
+  const transporter = createTransporter();
+  const copy = getEmailCopy(language, 'emailChangeConfirm');
+
+  const confirmUrl = `${
+    process.env.APP_URL || 'https://teensha.vercel.app'
+  }/api/auth/confirm-email-change?token=${token}`;
+
+  const mailOptions = {
+    from: `"TeenShapers" <${process.env.EMAIL_USER}>`,
+    to: newEmail,
+    subject: copy('subject'),
+    html: `
+      <!DOCTYPE html>
+      <html lang="${language}">
+        <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <style>
+            ${getEmailStyles()}
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>${copy('heading')}</h1>
+            </div>
+            <div class="content">
+              <h2>${copy('common.greeting', { name })}</h2>
+              <p>${copy('intro')}</p>
+              
+              <center>
+                <a href="${confirmUrl}" class="button">${copy('button')}</a>
+              </center>
+              
+              <p style="color: #6B7280; font-size: 14px; margin-top: 25px;">${copy('common.orCopyLink')}</p>
+              <div class="link-text">${confirmUrl}</div>
+              
+              <div class="warning">
+                <p><strong>${copy('common.important')}</strong> ${copy('expiry')}</p>
+              </div>
+              
+              <p style="margin-top: 25px;">${copy('ignore')}</p>
+            </div>
+            ${getEmailFooter(language)}
+          </div>
+        </body>
+      </html>
+    `,
+    // Plain text fallback
+    text: `
+      ${copy('heading')}
+      
+      ${copy('common.greeting', { name })}
+      
+      ${copy('intro')}
+      
+      ${confirmUrl}
+      
+      ${copy('expiry')}
+      
+      ${copy('ignore')}
+      
+      ${copy('common.rights', { year: new Date().getFullYear() })}
+    `,
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log('✅ Email change confirmation sent to:', newEmail);
+  } catch (error) {
+    console.error('❌ Error sending email change confirmation:', error);
+    throw new Error('Failed to send email change confirmation');
+  }
+};
+
+export const sendEmailChangeAlertEmail = async (
+  oldEmail,
+  name,
+  newEmail,
+  token,
+  language = DEFAULT_LANGUAGE
+) => {
+  const transporter = createTransporter();
+  const copy = getEmailCopy(language, 'emailChangeAlert');
+
+  const revertUrl = `${
+    process.env.APP_URL || 'https://teensha.vercel.app'
+  }/api/auth/revert-email-change?token=${token}`;
+
+  const mailOptions = {
+    from: `"TeenShapers" <${process.env.EMAIL_USER}>`,
+    to: oldEmail,
+    subject: copy('subject'),
+    html: `
+      <!DOCTYPE html>
+      <html lang="${language}">
+        <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <style>
+            ${getEmailStyles()}
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>${copy('heading')}</h1>
+            </div>
+            <div class="content">
+              <h2>${copy('common.greeting', { name })}</h2>
+              <p>${copy('intro')}</p>
+              
+              <div class="feature">
+                <div class="feature-title">${copy('newAddress')}</div>
+                <p>${newEmail}</p>
+              </div>
+              
+              <div class="warning">
+                <p class="warning-title">${copy('common.wasntYou')}</p>
+                <p>${copy('revert')}</p>
+              </div>
+              
+              <center>
+                <a href="${revertUrl}" class="button">${copy('button')}</a>
+              </center>
+              
+              <p style="color: #6B7280; font-size: 14px; margin-top: 25px;">${copy('common.orCopyLink')}</p>
+              <div class="link-text">${revertUrl}</div>
+              
+              <p style="color: #9CA3AF; font-size: 14px; margin-top: 25px;">${copy('wasYou')}</p>
+            </div>
+            ${getEmailFooter(language)}
+          </div>
+        </body>
+      </html>
+    `,
+    // Plain text fallback
+    text: `
+      ${copy('heading')}
+      
+      ${copy('common.greeting', { name })}
+      
+      ${copy('intro')}
+      
+      ${newEmail}
+      
+      ${copy('common.wasntYou')} ${copy('revert')}
+      
+      ${revertUrl}
+      
+      ${copy('wasYou')}
+      
+      ${copy('common.rights', { year: new Date().getFullYear() })}
+    `,
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log('✅ Email change alert sent to:', oldEmail);
+  } catch (error) {
+    console.error('⚠️ Error sending email change alert:', error);
+    // Don't throw - the confirmation email already went out
+  }
+};
+
+export const sendParentalConsentEmail = async (
+  parentEmail,
+  teenName,
+  consentToken,
+  language = DEFAULT_LANGUAGE
+) => {
+  const transporter = createTransporter();
+  const copy = getEmailCopy(language, 'parentalConsent');
+
+  const consentUrl = `${
+    process.env.APP_URL || 'https://teensha.vercel.app'
+  }/api/auth/parental-consent?token=${consentToken}`;
+
+  const mailOptions = {
+    from: `"TeenShapers" <${process.env.EMAIL_USER}>`,
+    to: parentEmail,
+    subject: copy('subject', { teenName }),
+    html: `
+      <!DOCTYPE html>
+      <html lang="${language}">
+        <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <style>
+            ${getEmailStyles()}
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>${copy('heading')}</h1>
+            </div>
+            <div class="content">
+              <h2>${copy('common.hello')}</h2>
+              <p>${copy('intro', { teenName })}</p>
+              <p>${copy('explain', { teenName })}</p>
+              <ul style="color: #4B5563; line-height: 1.8;">
+                <li>${copy('leaderboard')}</li>
+                <li>${copy('badges')}</li>
+              </ul>
+              
+              <center>
+                <a href="${consentUrl}" class="button">${copy('button')}</a>
+              </center>
+              
+              <p style="color: #6B7280; font-size: 14px; margin-top: 25px;">${copy('common.orCopyLink')}</p>
+              <div class="link-text">${consentUrl}</div>
+              
+              <div class="warning">
+                <p><strong>${copy('common.important')}</strong> ${copy('expiry')}</p>
+              </div>
+              
+              <p style="margin-top: 25px;">${copy('ignore', { teenName })}</p>
+            </div>
+            ${getEmailFooter(language)}
+          </div>
+        </body>
+      </html>
+    `,
+    // Plain text fallback
+    text: `
+      ${copy('heading')}
+      
+      ${copy('common.hello')}
+      
+      ${stripTags(copy('intro', { teenName }))}
+      ${copy('explain', { teenName })}
+      - ${copy('leaderboard')}
+      - ${copy('badges')}
+      
+      ${consentUrl}
+      
+      ${copy('expiry')}
+      
+      ${copy('ignore', { teenName })}
+      
+      ${copy('common.rights', { year: new Date().getFullYear() })}
+    `,
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log('✅ Parental consent email sent to:', parentEmail);
+  } catch (error) {
+    console.error('❌ Error sending parental consent email:', error);
+    throw new Error('Failed to send parental consent email');
+  }
+};
+
+export const sendAccountDeletionScheduledEmail = async (
+  email,
+  name,
+  deletionScheduledFor,
+  language = DEFAULT_LANGUAGE
+) => {
+  const transporter = createTransporter();
+  const copy = getEmailCopy(language, 'accountDeletion');
+
+  const deletionDate = formatDateTime(deletionScheduledFor, language);
+
+  const mailOptions = {
+    from: `"TeenShapers" <${process.env.EMAIL_USER}>`,
+    to: email,
+    subject: copy('subject'),
+    html: `
+      <!DOCTYPE html>
+      <html lang="${language}">
+        <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <style>
+            ${getEmailStyles()}
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>${copy('heading')}</h1>
+            </div>
+            <div class="content">
+              <h2>${copy('common.hello')}</h2>
+              <p>${copy('intro', { name })}</p>
+              
+              <div class="feature">
+                <div class="feature-title">${copy('dateTitle')}</div>
+                <p>${deletionDate}</p>
+              </div>
+              
+              <p>${copy('erased')}</p>
+              
+              <div class="warning">
+                <p class="warning-title">${copy('changedMind')}</p>
+                <ul>
+                  <li>${copy('cancel')}</li>
+                  <li>${copy('download')}</li>
+                </ul>
+              </div>
+            </div>
+            ${getEmailFooter(language)}
+          </div>
+        </body>
+      </html>
+    `,
+    // Plain text fallback
+    text: `
+      ${copy('heading')}
+      
+      ${copy('common.hello')}
+      
+      ${stripTags(copy('intro', { name }))}
+      ${copy('dateTitle')}: ${deletionDate}
+      
+      ${copy('erased')}
+      
+      ${copy('changedMind')} ${stripTags(copy('cancel'))}
+      
+      ${copy('common.rights', { year: new Date().getFullYear() })}
+    `,
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log('✅ Account deletion email sent to:', email);
+  } catch (error) {
+    console.error('⚠️ Error sending account deletion email:', error);
+    // Don't throw - the deletion is already scheduled
+  }
+};
+
 export const sendTestEmail = async (email) => {
   const transporter = createTransporter();
 
@@ -562,9 +1403,23 @@ export const sendTestEmail = async (email) => {
 export default {
   sendVerificationEmail,
   sendPasswordResetEmail,
+  sendMagicLinkEmail,
   sendWelcomeEmail,
+  sendNewDeviceLoginEmail,
+  sendAccountLockedEmail,
+  sendParentalConsentEmail,
+  sendStaffInvitationEmail,
+  sendStaffPasswordResetEmail,
+  sendAccountDeletionScheduledEmail,
+  sendEmailChangeVerificationEmail,
+  sendEmailChangeAlertEmail,
   sendTestEmail,
   generateVerificationToken,
   generatePasswordResetToken,
+  generateMagicLinkToken,
+  generateStaffPasswordResetToken,
+  generateStaffInvitationToken,
+  generateEmailChangeToken,
+  generateEmailChangeRevertToken,
   verifyToken,
 };
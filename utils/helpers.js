@@ -1,5 +1,6 @@
 // utils/helpers.js
 import prisma from '../lib/prisma.js';
+import { evaluateCompletion } from './completionRules.js';
 
 // Calculate progress percentage
 export const calculateProgress = (completed, total) => {
@@ -35,34 +36,74 @@ export const isDateInRange = (date, start, end) => {
   return checkDate >= startDate && checkDate <= endDate;
 };
 
-// Get current active challenge
-export const getCurrentChallengeUtils = async () => {
-  const currentDate = new Date();
+// JSON with sorted keys, so option objects compare by content
+export const canonical = (value) =>
+  JSON.stringify(value ?? null, (key, v) =>
+    v && typeof v === 'object' && !Array.isArray(v)
+      ? Object.fromEntries(
+          Object.entries(v).sort(([a], [b]) => a.localeCompare(b))
+        )
+      : v
+  );
 
-  return await prisma.monthlyChallenge.findFirst({
-    where: {
-      isPublished: true,
-      isActive: true,
-      goLiveDate: { lte: currentDate },
-      closingDate: { gte: currentDate },
-    },
-    include: {
-      tasks: true,
-      badge: true,
-    },
-  });
+// Field-by-field { from, to } for the fields whose values differ
+export const diffFields = (before, after, fields) => {
+  const changes = {};
+  for (const field of fields) {
+    if (canonical(before?.[field]) !== canonical(after?.[field])) {
+      changes[field] = { from: before?.[field] ?? null, to: after?.[field] };
+    }
+  }
+  return changes;
 };
 
-// Update teen progress helper
+// TeenProgress fields for an evaluateCompletion result
+export const buildProgressFields = (completion) => {
+  const { tasksTotal, tasksCompleted, requiredTotal, requiredCompleted } =
+    completion;
+  const percentage = calculateProgress(tasksCompleted, tasksTotal);
+
+  return {
+    tasksTotal,
+    tasksCompleted,
+    percentage,
+    // Leaderboards only count late work as far as the late policy allows
+    standing: calculateProgress(completion.credited, tasksTotal),
+    requiredTotal,
+    requiredCompleted,
+    // With no required tasks, nothing beyond the rules gates completion
+    requiredPercentage: requiredTotal
+      ? calculateProgress(requiredCompleted, requiredTotal)
+      : percentage,
+    score: completion.score,
+    bonusScore: completion.bonusScore,
+    requiredMaxScore: completion.requiredMaxScore,
+  };
+};
+
+// Update teen progress helper. Progress follows the challenge's completion
+// rules (utils/completionRules.js), not a plain count of approved tasks.
 export const updateTeenProgressHelper = async (teenId, challengeId) => {
   try {
-    // Get all tasks for the challenge
-    const tasks = await prisma.task.findMany({
-      where: { challengeId },
+    const challenge = await prisma.monthlyChallenge.findUnique({
+      where: { id: challengeId },
+      select: {
+        completionRules: true,
+        tasks: {
+          select: {
+            id: true,
+            tabName: true,
+            taskGroup: true,
+            isRequired: true,
+            maxScore: true,
+          },
+        },
+        badge: { select: { id: true } },
+      },
     });
 
     // Get completed submissions for this teen and challenge
-    const completedSubmissions = await prisma.submission.count({
+    const approved = await prisma.submission.findMany({
       where: {
         teenId,
         status: 'APPROVED',
@@ -70,11 +111,25 @@ export const updateTeenProgressHelper = async (teenId, challengeId) => {
           challengeId,
         },
       },
+      select: { taskId: true, score: true, isLate: true, lateCredit: true },
     });
 
-    const totalTasks = tasks.length;
-    const percentage = calculateProgress(completedSubmissions, totalTasks);
-    const isCompleted = percentage === 100;
+    const completion = evaluateCompletion(
+      challenge.tasks,
+      challenge.completionRules,
+      approved
+    );
+    const { isCompleted, groups } = completion;
+    const fields = buildProgressFields(completion);
+
+    const existing = await prisma.teenProgress.findUnique({
+      where: { teenId_challengeId: { teenId, challengeId } },
+      select: { completedAt: true },
+    });
+    // Keep the original completion time when progress is recalculated
+    const completedAt = isCompleted
+      ? existing?.completedAt || new Date()
+      : null;
 
     // Update or create progress record
     await prisma.teenProgress.upsert({
@@ -85,44 +140,81 @@ export const updateTeenProgressHelper = async (teenId, challengeId) => {
         },
       },
       update: {
-        tasksTotal: totalTasks,
-        tasksCompleted: completedSubmissions,
-        percentage,
-        completedAt: isCompleted ? new Date() : null,
+        ...fields,
+        completedAt,
       },
       create: {
         teenId,
         challengeId,
-        tasksTotal: totalTasks,
-        tasksCompleted: completedSubmissions,
-        percentage,
-        completedAt: isCompleted ? new Date() : null,
+        ...fields,
+        completedAt,
       },
     });
 
-    return { totalTasks, completedSubmissions, percentage, isCompleted };
+    // A badge bought before finishing is earned once the challenge is completed
+    if (isCompleted && challenge.badge) {
+      await prisma.teenBadge.updateMany({
+        where: { teenId, badgeId: challenge.badge.id, status: 'PURCHASED' },
+        data: { status: 'EARNED', earnedAt: new Date() },
+      });
+    }
+
+    return {
+      totalTasks: fields.tasksTotal,
+      completedSubmissions: fields.tasksCompleted,
+      ...fields,
+      isCompleted,
+      groups,
+    };
   } catch (error) {
     console.error('Update progress helper error:', error);
     throw error;
   }
 };
 
+// Recalculate every teen's progress on a challenge, e.g. after its
+// completion rules or task grouping change
+export const recalculateChallengeProgress = async (challengeId) => {
+  const records = await prisma.teenProgress.findMany({
+    where: { challengeId },
+    select: { teenId: true },
+  });
+
+  for (const { teenId } of records) {
+    await updateTeenProgressHelper(teenId, challengeId);
+  }
+
+  return records.length;
+};
+
+// Raffle needs a badge for each of the 12 months. Several challenges can run
+// in one month (tracks, specials), so count months rather than badges.
+export const countRaffleBadgeMonths = async (teenId, year) => {
+  const badges = await prisma.teenBadge.findMany({
+    where: {
+      teenId,
+      status: {
+        in: ['PURCHASED', 'EARNED'],
+      },
+      badge: {
+        challenge: {
+          year,
+        },
+      },
+    },
+    select: {
+      badge: { select: { challenge: { select: { month: true } } } },
+    },
+  });
+
+  return new Set(badges.map((teenBadge) => teenBadge.badge.challenge.month))
+    .size;
+};
+
 // Update raffle eligibility helper
 export const updateRaffleEligibilityHelper = async (teenId, year) => {
   try {
-    const purchasedBadges = await prisma.teenBadge.count({
-      where: {
-        teenId,
-        status: {
-          in: ['PURCHASED', 'EARNED'],
-        },
-        badge: {
-          challenge: {
-            year,
-          },
-        },
-      },
-    });
+    const purchasedBadges = await countRaffleBadgeMonths(teenId, year);
 
     const isEligible = purchasedBadges === 12;
 
@@ -0,0 +1,52 @@
+// utils/htmlPage.js
+// Minimal branded pages for links opened in a browser instead of the app
+// (parental consent, email changes, challenge previews)
+
+/**
+ * Escape a value for interpolation into HTML
+ * @param {*} value
+ * @returns {string}
+ */
+export const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Wrap body HTML in the TeenShapers card layout
+ * @param {string} title - Page title (must already be safe)
+ * @param {string} body - Inner HTML
+ * @returns {string}
+ */
+export const renderPage = (title, body) => `
+  <!DOCTYPE html>
+  <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${title} - TeenShapers</title>
+      <style>
+        body { font-family: 'Segoe UI', Arial, sans-serif; background: #F9FAFB; color: #1F2937; margin: 0; padding: 40px 20px; }
+        .card { max-width: 520px; margin: 0 auto; background: #FFFFFF; border-radius: 12px; padding: 32px; box-shadow: 0 4px 12px rgba(0,0,0,0.08); }
+        h1 { color: #FF6B35; margin-top: 0; }
+        h2 { color: #1F2937; font-size: 18px; margin-top: 28px; }
+        p, li { line-height: 1.6; color: #4B5563; }
+        .muted { color: #9CA3AF; font-size: 14px; }
+        button { background: #FF6B35; color: #FFFFFF; border: none; border-radius: 8px; padding: 14px 28px; font-size: 16px; font-weight: 600; cursor: pointer; }
+      </style>
+    </head>
+    <body>
+      <div class="card">
+        <h1>${title}</h1>
+        ${body}
+      </div>
+    </body>
+  </html>
+`;
+
+export default {
+  escapeHtml,
+  renderPage,
+};
@@ -0,0 +1,254 @@
+// utils/i18n.js
+// Languages teens can use TeenShapers in. Challenge and task text is written
+// in English, with per-language overrides in each record's `translations`
+// ({ fr: { theme: '...' }, yo: { ... } }); email and push copy lives in
+// utils/locales. Anything without a translation falls back to English.
+
+import en from './locales/en.js';
+import fr from './locales/fr.js';
+import yo from './locales/yo.js';
+
+export const DEFAULT_LANGUAGE = 'en';
+export const SUPPORTED_LANGUAGES = ['en', 'fr', 'yo'];
+
+const CATALOGS = { en, fr, yo };
+
+// Intl locales used to format dates in each language
+const DATE_LOCALES = { en: 'en-GB', fr: 'fr-FR', yo: 'yo-NG' };
+
+// Fields staff can translate, per record type
+export const LOCALIZED_FIELDS = {
+  challenge: ['theme', 'instructions'],
+  task: ['title', 'description'],
+};
+
+/**
+ * Map a language tag to a supported language ("fr-CA" -> "fr")
+ * @param {string} value - Language tag
+ * @returns {string|null} Supported language, or null
+ */
+export const normalizeLanguage = (value) => {
+  if (typeof value !== 'string') return null;
+
+  const base = value.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LANGUAGES.includes(base) ? base : null;
+};
+
+/**
+ * Best supported language from an Accept-Language header
+ * @param {string} header - e.g. "yo-NG,fr;q=0.8,en;q=0.5"
+ * @returns {string|null}
+ */
+export const parseAcceptLanguage = (header) => {
+  if (!header) return null;
+
+  const ranked = header
+    .split(',')
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.find((param) => param.trim().startsWith('q='));
+      const quality = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+      return { language: normalizeLanguage(tag), quality };
+    })
+    .filter(({ language, quality }) => language && quality > 0)
+    .sort((a, b) => b.quality - a.quality);
+
+  return ranked.length > 0 ? ranked[0].language : null;
+};
+
+/**
+ * A teen's language (English until they pick one)
+ * @param {Object} teen - Teen with preferredLanguage
+ * @returns {string}
+ */
+export const getTeenLanguage = (teen) =>
+  normalizeLanguage(teen?.preferredLanguage) || DEFAULT_LANGUAGE;
+
+/**
+ * Language to answer a request in: ?lang, then the signed-in teen's
+ * preference, then the Accept-Language header, then English
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+export const getRequestLanguage = (req) =>
+  normalizeLanguage(req.query?.lang) ||
+  normalizeLanguage(req.teen?.preferredLanguage) ||
+  parseAcceptLanguage(req.headers?.['accept-language']) ||
+  DEFAULT_LANGUAGE;
+
+/**
+ * Prisma filter for teens who read a given language. Teens without a
+ * preference get English.
+ * @param {string} language
+ * @returns {Object}
+ */
+export const buildLanguageTeenWhere = (language) =>
+  language === DEFAULT_LANGUAGE
+    ? {
+        OR: [
+          { preferredLanguage: null },
+          { preferredLanguage: { isSet: false } },
+          { preferredLanguage: DEFAULT_LANGUAGE },
+        ],
+      }
+    : { preferredLanguage: language };
+
+const lookup = (catalog, key) =>
+  key.split('.').reduce((node, part) => node?.[part], catalog);
+
+/**
+ * Translated copy for a catalog key, with {placeholders} filled in
+ * @param {string} language
+ * @param {string} key - Dotted path, e.g. "emails.welcome.subject"
+ * @param {Object} params - Placeholder values
+ * @returns {string} Falls back to English, then to the key itself
+ */
+export const t = (language, key, params = {}) => {
+  let message = lookup(CATALOGS[normalizeLanguage(language)], key);
+
+  if (typeof message !== 'string') message = lookup(CATALOGS.en, key);
+  if (typeof message !== 'string') return key;
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] !== undefined && params[name] !== null
+      ? String(params[name])
+      : placeholder
+  );
+};
+
+/**
+ * Date and time (UTC) written out for a language
+ * @param {Date|string} date
+ * @param {string} language
+ * @returns {string}
+ */
+export const formatDateTime = (date, language) =>
+  new Date(date).toLocaleString(
+    DATE_LOCALES[normalizeLanguage(language) || DEFAULT_LANGUAGE],
+    { dateStyle: 'full', timeStyle: 'long', timeZone: 'UTC' }
+  );
+
+/**
+ * Calendar date (no time) written out for a language
+ * @param {Date|string} date
+ * @param {string} language
+ * @returns {string}
+ */
+export const formatDate = (date, language) =>
+  new Date(date).toLocaleDateString(
+    DATE_LOCALES[normalizeLanguage(language) || DEFAULT_LANGUAGE],
+    { dateStyle: 'long', timeZone: 'UTC' }
+  );
+
+/**
+ * Month name and year for a challenge month
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {string} language
+ * @returns {string}
+ */
+export const formatMonth = (year, month, language) =>
+  new Date(Date.UTC(year, month - 1)).toLocaleDateString(
+    DATE_LOCALES[normalizeLanguage(language) || DEFAULT_LANGUAGE],
+    { month: 'long', year: 'numeric', timeZone: 'UTC' }
+  );
+
+/**
+ * A record with its translatable fields in the given language. Each field
+ * falls back to English on its own, so a partial translation still works.
+ * @param {Object} record - Challenge or task
+ * @param {string} entityType - "challenge" | "task"
+ * @param {string} language
+ * @returns {Object} Copy without the raw translations
+ */
+export const localizeRecord = (record, entityType, language) => {
+  const { translations, ...localized } = record;
+  const translation = translations?.[language] || {};
+
+  for (const field of LOCALIZED_FIELDS[entityType]) {
+    const value = translation[field];
+    if (typeof value === 'string' && value.trim()) {
+      localized[field] = value;
+    }
+  }
+
+  return localized;
+};
+
+/**
+ * A challenge (and its tasks, when included) in the given language
+ * @param {Object} challenge
+ * @param {string} language
+ * @returns {Object}
+ */
+export const localizeChallenge = (challenge, language) => {
+  const localized = localizeRecord(challenge, 'challenge', language);
+
+  if (Array.isArray(challenge.tasks)) {
+    localized.tasks = challenge.tasks.map((task) =>
+      localizeRecord(task, 'task', language)
+    );
+  }
+
+  return localized;
+};
+
+/**
+ * Check a translations payload from staff
+ * @param {Object} translations - { fr: { theme: '...' }, ... }
+ * @param {string} entityType - "challenge" | "task"
+ * @returns {string|null} Problem description, or null if valid
+ */
+export const getTranslationsError = (translations, entityType) => {
+  if (typeof translations !== 'object' || Array.isArray(translations)) {
+    return 'Translations must be an object keyed by language';
+  }
+
+  const fields = LOCALIZED_FIELDS[entityType];
+
+  for (const [language, translation] of Object.entries(translations)) {
+    if (
+      language === DEFAULT_LANGUAGE ||
+      !SUPPORTED_LANGUAGES.includes(language)
+    ) {
+      return `Unsupported translation language "${language}" (use ${SUPPORTED_LANGUAGES.filter((code) => code !== DEFAULT_LANGUAGE).join(', ')})`;
+    }
+
+    if (
+      !translation ||
+      typeof translation !== 'object' ||
+      Array.isArray(translation)
+    ) {
+      return `Translation "${language}" must be an object`;
+    }
+
+    for (const [field, value] of Object.entries(translation)) {
+      if (!fields.includes(field)) {
+        return `"${field}" can't be translated (use ${fields.join(', ')})`;
+      }
+      if (typeof value !== 'string') {
+        return `${language}.${field} must be text`;
+      }
+    }
+  }
+
+  return null;
+};
+
+export default {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  LOCALIZED_FIELDS,
+  normalizeLanguage,
+  parseAcceptLanguage,
+  getTeenLanguage,
+  getRequestLanguage,
+  buildLanguageTeenWhere,
+  t,
+  formatDateTime,
+  formatDate,
+  formatMonth,
+  localizeRecord,
+  localizeChallenge,
+  getTranslationsError,
+};
@@ -0,0 +1,124 @@
+// utils/latePolicy.js
+// When a task stops taking submissions, and how much late work counts.
+// Policy is set per challenge; tasks can override any part of it.
+//
+//   HARD_CLOSE   - nothing accepted after the deadline
+//   GRACE_PERIOD - accepted for graceMinutes after the deadline
+//   ALLOW_LATE   - always accepted
+//
+// Late submissions are flagged on Submission and count towards leaderboard
+// standing at lateCredit (0 = excluded). The teen's own progress
+// always counts them in full.
+//
+// Deadlines are read in the challenge's (or teen's) timezone; see
+// utils/challengeTime.js.
+
+import { getChallengeWindow, toInstant } from './challengeTime.js';
+
+export const LATE_POLICIES = ['HARD_CLOSE', 'GRACE_PERIOD', 'ALLOW_LATE'];
+
+const DEFAULT_LATE_POLICY = 'HARD_CLOSE';
+const DEFAULT_GRACE_MINUTES = 24 * 60;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Work out the policy that applies to a task
+ * @param {Object} task - Task (latePolicy, graceMinutes, lateCredit, dueDate)
+ * @param {Object} challenge - The task's challenge
+ * @param {Object} teen - Teen whose timezone applies, or null
+ * @returns {Object} { policy, graceMinutes, lateCredit, deadline, graceEnds }
+ *   - graceEnds is only set for GRACE_PERIOD
+ */
+export const resolveLatePolicy = (task, challenge, teen = null) => {
+  const policy = task.latePolicy ?? challenge.latePolicy ?? DEFAULT_LATE_POLICY;
+  const { timezone } = getChallengeWindow(challenge, teen);
+  const graceMinutes =
+    task.graceMinutes ?? challenge.graceMinutes ?? DEFAULT_GRACE_MINUTES;
+  const deadline = toInstant(task.dueDate ?? challenge.closingDate, timezone);
+
+  return {
+    policy,
+    graceMinutes,
+    // A grace period is forgiveness, so late work counts in full unless
+    // staff say otherwise; open-ended late work doesn't count by default
+    lateCredit:
+      task.lateCredit ??
+      challenge.lateCredit ??
+      (policy === 'GRACE_PERIOD' ? 100 : 0),
+    deadline,
+    graceEnds:
+      policy === 'GRACE_PERIOD'
+        ? new Date(deadline.getTime() + graceMinutes * MINUTE_MS)
+        : null,
+  };
+};
+
+/**
+ * Check whether a submission made now is accepted, and whether it's late
+ * @param {Object} task - Task
+ * @param {Object} challenge - The task's challenge
+ * @param {Object} teen - Submitting teen (for their timezone)
+ * @param {Date} now - Submission time
+ * @returns {Object} { accepted, isLate, lateCredit, message }
+ */
+export const checkSubmissionWindow = (
+  task,
+  challenge,
+  teen = null,
+  now = new Date()
+) => {
+  if (now < getChallengeWindow(challenge, teen).goLiveAt) {
+    return {
+      accepted: false,
+      message: 'This challenge has not started yet',
+    };
+  }
+
+  const { policy, lateCredit, deadline, graceEnds } = resolveLatePolicy(
+    task,
+    challenge,
+    teen
+  );
+
+  if (now <= deadline) {
+    return { accepted: true, isLate: false, lateCredit: null };
+  }
+
+  if (
+    policy === 'HARD_CLOSE' ||
+    (policy === 'GRACE_PERIOD' && now > graceEnds)
+  ) {
+    return {
+      accepted: false,
+      message: 'This task is closed for submissions',
+    };
+  }
+
+  return { accepted: true, isLate: true, lateCredit };
+};
+
+/**
+ * How much an approved submission is worth towards standings (0-1)
+ * @param {Object} submission - { isLate, lateCredit }
+ * @returns {number}
+ */
+export const getSubmissionCredit = (submission) =>
+  submission.isLate ? (submission.lateCredit ?? 0) / 100 : 1;
+
+/**
+ * Leaderboard percentage for a progress record. Records written before late
+ * policies existed have no standing; nothing in them was late.
+ * @param {Object} progress - TeenProgress
+ * @returns {number}
+ */
+export const getProgressStanding = (progress) =>
+  progress.standing ?? progress.percentage;
+
+export default {
+  LATE_POLICIES,
+  resolveLatePolicy,
+  checkSubmissionWindow,
+  getSubmissionCredit,
+  getProgressStanding,
+};
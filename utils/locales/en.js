@@ -0,0 +1,219 @@
+// utils/locales/en.js - English copy for teen emails, notifications and calendars.
+// Every other catalog falls back to this one key by key, so new keys only
+// have to be added here first.
+
+export default {
+  emails: {
+    common: {
+      greeting: 'Hi {name},',
+      greetingExcited: 'Hi {name}!',
+      hello: 'Hello,',
+      orCopyLink: 'Or copy and paste this link into your browser:',
+      buttonFallback:
+        "If the button doesn't work, copy and paste this link into your browser:",
+      important: '⏰ Important:',
+      securityTitle: '⚠️ Important Security Information',
+      wasntYou: "⚠️ Wasn't you?",
+      tagline: 'Shaping the future, one teen at a time',
+      rights: '© {year} TeenShapers. All rights reserved.',
+    },
+    verification: {
+      subject: 'Verify Your TeenShapers Account 🎉',
+      heading: 'Welcome to TeenShapers! 🎉',
+      intro:
+        "Thank you for joining TeenShapers! We're excited to have you on board and can't wait to see you grow and achieve amazing things.",
+      action:
+        'To complete your registration and unlock all features, please verify your email address by clicking the button below:',
+      button: 'Verify Email Address',
+      expiry:
+        'This verification link will expire in 24 hours for security purposes.',
+      benefitsIntro: "Once verified, you'll be able to:",
+      benefitChallenges: '🎯 Participate in monthly challenges',
+      benefitBadges: '🏆 Earn badges and rewards',
+      benefitProgress: '📊 Track your progress',
+      benefitLeaderboard: '👥 Join the community leaderboard',
+      ignore:
+        "If you didn't create an account with TeenShapers, please ignore this email or contact our support team.",
+    },
+    passwordReset: {
+      subject: 'Reset Your TeenShapers Password 🔐',
+      heading: 'Password Reset Request 🔐',
+      intro:
+        'We received a request to reset your password for your TeenShapers account. No worries - it happens to everyone!',
+      action: 'Click the button below to reset your password:',
+      button: 'Reset Password',
+      expiry:
+        '<strong>This link will expire in 1 hour</strong> for your security',
+      ignore:
+        "If you didn't request this reset, please ignore this email - your account is safe",
+      noShare: 'Never share this link with anyone',
+      noPasswordByEmail:
+        'TeenShapers will never ask for your password via email',
+      after:
+        "After resetting your password, you'll be able to sign in with your new credentials.",
+      support:
+        "If you're having trouble, please contact our support team for assistance.",
+    },
+    magicLink: {
+      subject: 'Your TeenShapers Sign-in Code: {code} ✨',
+      heading: 'Sign In to TeenShapers ✨',
+      action:
+        'Tap the button below on your phone to sign in - no password needed:',
+      button: 'Sign In',
+      codeIntro: 'Or enter this code in the app:',
+      expiry:
+        '<strong>This link and code expire in 15 minutes</strong> and work only once',
+      ignore:
+        "If you didn't ask to sign in, please ignore this email - your account is safe",
+      noShare: 'Never share this code with anyone',
+    },
+    welcome: {
+      subject: "Welcome to TeenShapers! You're All Set! 🎉",
+      heading: "You're All Set! 🚀",
+      greeting: 'Welcome aboard, {name}!',
+      intro:
+        "Your email has been verified and your account is now fully active. You're ready to start your journey with TeenShapers!",
+      nextTitle: "What's Next?",
+      profileTitle: '📱 Complete Your Profile',
+      profileText:
+        'Add a profile photo and customize your settings to get the most out of TeenShapers and connect with the community.',
+      challengeTitle: '🎯 Join Your First Challenge',
+      challengeText:
+        'Check out the current monthly challenge and start earning badges! Each challenge is designed to help you grow and learn.',
+      progressTitle: '🏆 Track Your Progress',
+      progressText:
+        'Monitor your achievements, see how you rank on the leaderboard, and celebrate your wins with the community.',
+      communityTitle: '👥 Join the Community',
+      communityText:
+        'Connect with other teens, share your experiences, and inspire others on their journey to excellence.',
+      didYouKnow: 'Did you know?',
+      didYouKnowText:
+        'TeenShapers has helped thousands of teens achieve their goals and earn recognition for their hard work!',
+      help: 'If you have any questions or need help getting started, our support team is always here for you.',
+      signOff: 'Happy shaping! 🎉',
+      postscript:
+        'P.S. Make sure to enable notifications so you never miss important updates about new challenges and achievements!',
+    },
+    newDevice: {
+      subject: 'New Sign-in to Your TeenShapers Account 🔔',
+      heading: 'New Device Sign-in 🔔',
+      intro:
+        "Your TeenShapers account was just signed in from a device we haven't seen before.",
+      detailsTitle: '📱 Sign-in Details',
+      device: 'Device:',
+      ipAddress: 'IP address:',
+      time: 'Time:',
+      unknown: 'Unknown',
+      unknownDevice: 'Unknown device',
+      signOutDevice:
+        'Open the app and go to <strong>Devices</strong> to sign this device out',
+      resetPassword: 'Reset your password to sign out every device at once',
+      wasYou: "If this was you, there's nothing you need to do.",
+    },
+    accountLocked: {
+      subject: 'Your TeenShapers Account Is Temporarily Locked 🔒',
+      heading: 'Account Locked 🔒',
+      intro:
+        "We noticed several failed sign-in attempts on your TeenShapers account, so we've locked it for a little while to keep it safe.",
+      lockedUntil: '⏰ Locked Until',
+      guessing: 'Someone may be trying to guess your password',
+      resetAfter: 'Reset your password once the lock ends to be safe',
+      wasYou: 'If this was you, just wait until the lock ends and try again.',
+    },
+    emailChangeConfirm: {
+      subject: 'Confirm Your New TeenShapers Email ✉️',
+      heading: 'Confirm Your New Email ✉️',
+      intro:
+        'You asked to use this address for your TeenShapers account. Confirm it by clicking the button below:',
+      button: 'Confirm New Email',
+      expiry:
+        'This link will expire in 24 hours. Until you confirm, your account keeps using your current email.',
+      ignore: "If you didn't ask for this, you can ignore this email.",
+    },
+    emailChangeAlert: {
+      subject: 'Your TeenShapers Email Is Being Changed ⚠️',
+      heading: 'Email Change Requested ⚠️',
+      intro:
+        'Someone signed in to your TeenShapers account asked to change its email address.',
+      newAddress: '✉️ New Address',
+      revert:
+        'Click below to keep this address on your account and sign out every device. This works even if the change has already gone through.',
+      button: "This Wasn't Me",
+      wasYou:
+        "If this was you, there's nothing you need to do. This link will expire in 7 days.",
+    },
+    parentalConsent: {
+      subject: '{teenName} Needs Your Consent to Join TeenShapers 👋',
+      heading: 'Parental Consent 👋',
+      intro:
+        '<strong>{teenName}</strong> has signed up for TeenShapers and listed you as their parent or guardian.',
+      explain:
+        'TeenShapers runs monthly faith and growth challenges for teens. Because {teenName} is under our minimum age for full access, we need your consent before they can:',
+      leaderboard: '👥 Appear on the public leaderboard and community feed',
+      badges: '🏆 Purchase badges',
+      button: 'Review & Give Consent',
+      expiry: 'This link will expire in 7 days.',
+      ignore:
+        "If you don't know {teenName} or don't want to give consent, simply ignore this email.",
+    },
+    accountDeletion: {
+      subject: 'TeenShapers Account Scheduled for Deletion 🗓️',
+      heading: 'Account Deletion Scheduled 🗓️',
+      intro:
+        'We received a request to delete the TeenShapers account for <strong>{name}</strong>.',
+      dateTitle: '🗑️ Deletion Date',
+      erased:
+        'On that date we will permanently erase the profile, submissions, uploaded files, badges, progress and notifications. Payment records are kept for accounting, with all personal details removed.',
+      changedMind: '⚠️ Changed your mind?',
+      cancel:
+        'Open the app and cancel the deletion from <strong>Account Settings</strong> before the date above',
+      download: 'You can also download a copy of the data there first',
+    },
+    challengeLaunch: {
+      subject: '🎯 New Challenge Available: {theme}',
+      intro: 'A new monthly challenge is now available!',
+      challenge: 'Challenge: {theme}',
+      month: 'Month: {month}',
+      badge: 'Badge: {badge}',
+      noBadge: 'Not available',
+      price: 'Price: ₦{price}',
+      goLive: 'Go Live Date: {date}',
+      closing: 'Closing Date: {date}',
+      login: 'Log in to your TeenShapers account to get started!',
+      signOff: 'Best regards,',
+      team: 'TeenShapers Team',
+    },
+    challengeCompletion: {
+      subject: '🎉 Congratulations! You completed the {theme} challenge!',
+      greeting: 'Congratulations {name}!',
+      intro: "You've successfully completed the {theme} challenge!",
+      raffle:
+        "Don't forget to purchase your badge to be eligible for the annual raffle draw.",
+      signOff: 'Keep up the great work!',
+      team: 'TeenShapers Team',
+    },
+  },
+  push: {
+    challengeLaunch: {
+      title: '🎯 New Challenge Available!',
+      body: '{theme} is now live! Start earning your badge today.',
+    },
+    newDevice: {
+      title: '🔔 New sign-in',
+      body: 'Your account was just signed in on {device}. Not you? Sign it out from Devices.',
+      unknownDevice: 'a new device',
+    },
+    consentGranted: {
+      title: '🎉 All features unlocked',
+      body: 'Your parent or guardian gave consent. You can now join the leaderboard, community feed and badge store!',
+    },
+  },
+  calendar: {
+    name: 'TeenShapers Challenges',
+    goLive: '🎯 {theme} starts',
+    closing: '⏳ {theme} closes',
+    taskDue: '📝 Due: {title}',
+    partOf: 'Part of the {theme} challenge',
+    reminder: 'Reminder: {summary}',
+  },
+};
@@ -0,0 +1,222 @@
+// utils/locales/fr.js - French copy for teen emails, notifications and calendars
+
+export default {
+  emails: {
+    common: {
+      greeting: 'Bonjour {name},',
+      greetingExcited: 'Salut {name} !',
+      hello: 'Bonjour,',
+      orCopyLink: 'Ou copiez et collez ce lien dans votre navigateur :',
+      buttonFallback:
+        'Si le bouton ne fonctionne pas, copiez et collez ce lien dans votre navigateur :',
+      important: '⏰ Important :',
+      securityTitle: '⚠️ Informations de sécurité importantes',
+      wasntYou: "⚠️ Ce n'était pas vous ?",
+      tagline: "Façonner l'avenir, un ado à la fois",
+      rights: '© {year} TeenShapers. Tous droits réservés.',
+    },
+    verification: {
+      subject: 'Vérifiez votre compte TeenShapers 🎉',
+      heading: 'Bienvenue sur TeenShapers ! 🎉',
+      intro:
+        "Merci d'avoir rejoint TeenShapers ! Nous sommes ravis de t'accueillir et avons hâte de te voir grandir et accomplir de grandes choses.",
+      action:
+        'Pour terminer ton inscription et débloquer toutes les fonctionnalités, vérifie ton adresse e-mail en cliquant sur le bouton ci-dessous :',
+      button: "Vérifier l'adresse e-mail",
+      expiry:
+        'Pour des raisons de sécurité, ce lien de vérification expire dans 24 heures.',
+      benefitsIntro: 'Une fois vérifié, tu pourras :',
+      benefitChallenges: '🎯 Participer aux défis mensuels',
+      benefitBadges: '🏆 Gagner des badges et des récompenses',
+      benefitProgress: '📊 Suivre ta progression',
+      benefitLeaderboard: '👥 Rejoindre le classement de la communauté',
+      ignore:
+        "Si tu n'as pas créé de compte TeenShapers, ignore cet e-mail ou contacte notre équipe d'assistance.",
+    },
+    passwordReset: {
+      subject: 'Réinitialisez votre mot de passe TeenShapers 🔐',
+      heading: 'Réinitialisation du mot de passe 🔐',
+      intro:
+        'Nous avons reçu une demande de réinitialisation du mot de passe de ton compte TeenShapers. Pas de souci, ça arrive à tout le monde !',
+      action:
+        'Clique sur le bouton ci-dessous pour réinitialiser ton mot de passe :',
+      button: 'Réinitialiser le mot de passe',
+      expiry: '<strong>Ce lien expire dans 1 heure</strong> pour ta sécurité',
+      ignore:
+        "Si tu n'as pas demandé cette réinitialisation, ignore cet e-mail : ton compte est en sécurité",
+      noShare: 'Ne partage jamais ce lien avec personne',
+      noPasswordByEmail:
+        'TeenShapers ne te demandera jamais ton mot de passe par e-mail',
+      after:
+        'Après la réinitialisation, tu pourras te connecter avec ton nouveau mot de passe.',
+      support: "En cas de difficulté, contacte notre équipe d'assistance.",
+    },
+    magicLink: {
+      subject: 'Votre code de connexion TeenShapers : {code} ✨',
+      heading: 'Connexion à TeenShapers ✨',
+      action:
+        'Appuie sur le bouton ci-dessous depuis ton téléphone pour te connecter, sans mot de passe :',
+      button: 'Se connecter',
+      codeIntro: "Ou saisis ce code dans l'application :",
+      expiry:
+        '<strong>Ce lien et ce code expirent dans 15 minutes</strong> et ne fonctionnent qu’une seule fois',
+      ignore:
+        "Si tu n'as pas demandé à te connecter, ignore cet e-mail : ton compte est en sécurité",
+      noShare: 'Ne partage jamais ce code avec personne',
+    },
+    welcome: {
+      subject: 'Bienvenue sur TeenShapers ! Tout est prêt ! 🎉',
+      heading: 'Tout est prêt ! 🚀',
+      greeting: 'Bienvenue à bord, {name} !',
+      intro:
+        'Ton adresse e-mail a été vérifiée et ton compte est maintenant actif. Tu es prêt à commencer ton aventure avec TeenShapers !',
+      nextTitle: 'Et maintenant ?',
+      profileTitle: '📱 Complète ton profil',
+      profileText:
+        'Ajoute une photo de profil et personnalise tes paramètres pour profiter au maximum de TeenShapers et te connecter à la communauté.',
+      challengeTitle: '🎯 Participe à ton premier défi',
+      challengeText:
+        'Découvre le défi du mois et commence à gagner des badges ! Chaque défi est conçu pour t’aider à grandir et à apprendre.',
+      progressTitle: '🏆 Suis ta progression',
+      progressText:
+        'Suis tes réussites, regarde ton rang dans le classement et célèbre tes victoires avec la communauté.',
+      communityTitle: '👥 Rejoins la communauté',
+      communityText:
+        "Échange avec d'autres ados, partage tes expériences et inspire les autres dans leur parcours.",
+      didYouKnow: 'Le savais-tu ?',
+      didYouKnowText:
+        "TeenShapers a aidé des milliers d'ados à atteindre leurs objectifs et à être reconnus pour leurs efforts !",
+      help: "Si tu as des questions ou besoin d'aide pour commencer, notre équipe d'assistance est toujours là pour toi.",
+      signOff: 'Bonne aventure ! 🎉',
+      postscript:
+        'P.S. Active les notifications pour ne rien manquer des nouveaux défis et de tes réussites !',
+    },
+    newDevice: {
+      subject: 'Nouvelle connexion à votre compte TeenShapers 🔔',
+      heading: 'Connexion depuis un nouvel appareil 🔔',
+      intro:
+        "Ton compte TeenShapers vient d'être connecté depuis un appareil que nous ne connaissons pas.",
+      detailsTitle: '📱 Détails de la connexion',
+      device: 'Appareil :',
+      ipAddress: 'Adresse IP :',
+      time: 'Heure :',
+      unknown: 'Inconnue',
+      unknownDevice: 'Appareil inconnu',
+      signOutDevice:
+        "Ouvre l'application et va dans <strong>Appareils</strong> pour déconnecter cet appareil",
+      resetPassword:
+        'Réinitialise ton mot de passe pour déconnecter tous les appareils en une fois',
+      wasYou: "Si c'était toi, tu n'as rien à faire.",
+    },
+    accountLocked: {
+      subject: 'Votre compte TeenShapers est temporairement verrouillé 🔒',
+      heading: 'Compte verrouillé 🔒',
+      intro:
+        'Nous avons remarqué plusieurs tentatives de connexion échouées sur ton compte TeenShapers. Nous l’avons donc verrouillé pendant un moment pour le protéger.',
+      lockedUntil: "⏰ Verrouillé jusqu'au",
+      guessing: 'Quelqu’un essaie peut-être de deviner ton mot de passe',
+      resetAfter:
+        'Par précaution, réinitialise ton mot de passe une fois le verrouillage terminé',
+      wasYou:
+        "Si c'était toi, attends simplement la fin du verrouillage et réessaie.",
+    },
+    emailChangeConfirm: {
+      subject: 'Confirmez votre nouvelle adresse e-mail TeenShapers ✉️',
+      heading: 'Confirme ta nouvelle adresse ✉️',
+      intro:
+        'Tu as demandé à utiliser cette adresse pour ton compte TeenShapers. Confirme-la en cliquant sur le bouton ci-dessous :',
+      button: 'Confirmer la nouvelle adresse',
+      expiry:
+        "Ce lien expire dans 24 heures. Tant que tu n'as pas confirmé, ton compte garde ton adresse actuelle.",
+      ignore: "Si tu n'es pas à l'origine de cette demande, ignore cet e-mail.",
+    },
+    emailChangeAlert: {
+      subject:
+        'Votre adresse e-mail TeenShapers est en cours de modification ⚠️',
+      heading: "Demande de changement d'adresse ⚠️",
+      intro:
+        'Une personne connectée à ton compte TeenShapers a demandé à changer son adresse e-mail.',
+      newAddress: '✉️ Nouvelle adresse',
+      revert:
+        'Clique ci-dessous pour garder cette adresse sur ton compte et déconnecter tous les appareils. Cela fonctionne même si le changement a déjà été effectué.',
+      button: "Ce n'était pas moi",
+      wasYou:
+        "Si c'était toi, tu n'as rien à faire. Ce lien expire dans 7 jours.",
+    },
+    parentalConsent: {
+      subject:
+        '{teenName} a besoin de votre accord pour rejoindre TeenShapers 👋',
+      heading: 'Autorisation parentale 👋',
+      intro:
+        "<strong>{teenName}</strong> s'est inscrit(e) sur TeenShapers et vous a indiqué comme parent ou tuteur.",
+      explain:
+        "TeenShapers propose chaque mois des défis de foi et de croissance pour les ados. Comme {teenName} n'a pas encore l'âge minimum pour un accès complet, nous avons besoin de votre accord avant qu'il ou elle puisse :",
+      leaderboard:
+        '👥 Apparaître dans le classement public et le fil de la communauté',
+      badges: '🏆 Acheter des badges',
+      button: 'Consulter et donner mon accord',
+      expiry: 'Ce lien expire dans 7 jours.',
+      ignore:
+        'Si vous ne connaissez pas {teenName} ou ne souhaitez pas donner votre accord, ignorez simplement cet e-mail.',
+    },
+    accountDeletion: {
+      subject: 'Suppression du compte TeenShapers programmée 🗓️',
+      heading: 'Suppression du compte programmée 🗓️',
+      intro:
+        'Nous avons reçu une demande de suppression du compte TeenShapers de <strong>{name}</strong>.',
+      dateTitle: '🗑️ Date de suppression',
+      erased:
+        'À cette date, nous effacerons définitivement le profil, les réponses, les fichiers envoyés, les badges, la progression et les notifications. Les paiements sont conservés pour la comptabilité, sans aucune donnée personnelle.',
+      changedMind: "⚠️ Vous avez changé d'avis ?",
+      cancel:
+        "Ouvrez l'application et annulez la suppression depuis les <strong>Paramètres du compte</strong> avant la date ci-dessus",
+      download: 'Vous pouvez aussi y télécharger une copie des données avant',
+    },
+    challengeLaunch: {
+      subject: '🎯 Nouveau défi disponible : {theme}',
+      intro: 'Un nouveau défi mensuel est disponible !',
+      challenge: 'Défi : {theme}',
+      month: 'Mois : {month}',
+      badge: 'Badge : {badge}',
+      noBadge: 'Non disponible',
+      price: 'Prix : ₦{price}',
+      goLive: 'Date de lancement : {date}',
+      closing: 'Date de clôture : {date}',
+      login: 'Connecte-toi à ton compte TeenShapers pour commencer !',
+      signOff: 'Bien à toi,',
+      team: "L'équipe TeenShapers",
+    },
+    challengeCompletion: {
+      subject: '🎉 Félicitations ! Tu as terminé le défi {theme} !',
+      greeting: 'Félicitations {name} !',
+      intro: 'Tu as terminé avec succès le défi {theme} !',
+      raffle:
+        "N'oublie pas d'acheter ton badge pour participer au tirage au sort annuel.",
+      signOff: 'Continue comme ça !',
+      team: "L'équipe TeenShapers",
+    },
+  },
+  push: {
+    challengeLaunch: {
+      title: '🎯 Nouveau défi disponible !',
+      body: '{theme} est en ligne ! Commence à gagner ton badge dès aujourd’hui.',
+    },
+    newDevice: {
+      title: '🔔 Nouvelle connexion',
+      body: "Ton compte vient d'être connecté sur {device}. Ce n'était pas toi ? Déconnecte-le depuis Appareils.",
+      unknownDevice: 'un nouvel appareil',
+    },
+    consentGranted: {
+      title: '🎉 Toutes les fonctionnalités sont débloquées',
+      body: 'Ton parent ou tuteur a donné son accord. Tu peux maintenant rejoindre le classement, le fil de la communauté et la boutique de badges !',
+    },
+  },
+  calendar: {
+    name: 'Défis TeenShapers',
+    goLive: '🎯 Début du défi {theme}',
+    closing: '⏳ Fin du défi {theme}',
+    taskDue: '📝 À rendre : {title}',
+    partOf: 'Fait partie du défi {theme}',
+    reminder: 'Rappel : {summary}',
+  },
+};
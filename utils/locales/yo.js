@@ -0,0 +1,215 @@
+// utils/locales/yo.js - Yoruba copy for teen emails, notifications and calendars
+
+export default {
+  emails: {
+    common: {
+      greeting: 'Báwo ni {name},',
+      greetingExcited: 'Báwo ni {name}!',
+      hello: 'Ẹ ǹlẹ́ o,',
+      orCopyLink: 'Tàbí ṣe ẹ̀dà ìjápọ̀ yìí kí o sì lẹ̀ ẹ́ mọ́ aṣàwákiri rẹ:',
+      buttonFallback:
+        'Tí bọ́tìnnì náà kò bá ṣiṣẹ́, ṣe ẹ̀dà ìjápọ̀ yìí kí o sì lẹ̀ ẹ́ mọ́ aṣàwákiri rẹ:',
+      important: '⏰ Ó ṣe pàtàkì:',
+      securityTitle: '⚠️ Ìsọfúnni Ààbò Pàtàkì',
+      wasntYou: '⚠️ Kì í ṣe ìwọ?',
+      tagline: 'À ń ṣe ọjọ́ ọ̀la, ọ̀dọ́ kan lẹ́ẹ̀kan',
+      rights: '© {year} TeenShapers. Gbogbo ẹ̀tọ́ wà ní ìpamọ́.',
+    },
+    verification: {
+      subject: 'Jẹ́rìísí àkọọ́lẹ̀ TeenShapers rẹ 🎉',
+      heading: 'Ẹ káàbọ̀ sí TeenShapers! 🎉',
+      intro:
+        'O ṣeun fún dídarapọ̀ mọ́ TeenShapers! Inú wa dùn láti rí ọ, a sì ń retí láti rí ọ tí o ń dàgbà tí o sì ń ṣe àwọn ohun ńlá.',
+      action:
+        'Láti parí ìforúkọsílẹ̀ rẹ kí o sì ṣí gbogbo ohun èlò sílẹ̀, jọ̀wọ́ jẹ́rìísí àdírẹ́sì ímeèlì rẹ nípa títẹ bọ́tìnnì ìsàlẹ̀ yìí:',
+      button: 'Jẹ́rìísí Àdírẹ́sì Ímeèlì',
+      expiry: 'Ìjápọ̀ ìjẹ́rìísí yìí yóò parí láàárín wákàtí 24 fún ààbò.',
+      benefitsIntro: 'Lẹ́yìn ìjẹ́rìísí, o lè:',
+      benefitChallenges: '🎯 Kópa nínú àwọn ìpèníjà oṣooṣù',
+      benefitBadges: '🏆 Gba àmì-ẹ̀yẹ àti ẹ̀bùn',
+      benefitProgress: '📊 Tọpinpin ìlọsíwájú rẹ',
+      benefitLeaderboard: '👥 Darapọ̀ mọ́ ìpò àwùjọ',
+      ignore:
+        'Tí kì í bá ṣe ìwọ ló ṣí àkọọ́lẹ̀ TeenShapers, jọ̀wọ́ fojú fo ímeèlì yìí tàbí kàn sí ẹgbẹ́ ìrànlọ́wọ́ wa.',
+    },
+    passwordReset: {
+      subject: 'Tún Ọ̀rọ̀ Aṣínà TeenShapers Rẹ Ṣe 🔐',
+      heading: 'Ìbéèrè Àtúnṣe Ọ̀rọ̀ Aṣínà 🔐',
+      intro:
+        'A gba ìbéèrè láti tún ọ̀rọ̀ aṣínà àkọọ́lẹ̀ TeenShapers rẹ ṣe. Má ṣe bẹ̀rù, ó ń ṣẹlẹ̀ sí gbogbo ènìyàn!',
+      action: 'Tẹ bọ́tìnnì ìsàlẹ̀ yìí láti tún ọ̀rọ̀ aṣínà rẹ ṣe:',
+      button: 'Tún Ọ̀rọ̀ Aṣínà Ṣe',
+      expiry:
+        '<strong>Ìjápọ̀ yìí yóò parí láàárín wákàtí 1</strong> fún ààbò rẹ',
+      ignore:
+        'Tí kì í bá ṣe ìwọ ló béèrè àtúnṣe yìí, fojú fo ímeèlì yìí - àkọọ́lẹ̀ rẹ wà láìléwu',
+      noShare: 'Má ṣe fi ìjápọ̀ yìí han ẹnikẹ́ni',
+      noPasswordByEmail:
+        'TeenShapers kò ní béèrè ọ̀rọ̀ aṣínà rẹ láéláé nípasẹ̀ ímeèlì',
+      after: 'Lẹ́yìn àtúnṣe, o lè wọlé pẹ̀lú ọ̀rọ̀ aṣínà tuntun rẹ.',
+      support: 'Tí o bá ní ìṣòro, jọ̀wọ́ kàn sí ẹgbẹ́ ìrànlọ́wọ́ wa.',
+    },
+    magicLink: {
+      subject: 'Kóòdù Ìwọlé TeenShapers Rẹ: {code} ✨',
+      heading: 'Wọlé sí TeenShapers ✨',
+      action: 'Tẹ bọ́tìnnì ìsàlẹ̀ yìí lórí fóònù rẹ láti wọlé - kò sí ọ̀rọ̀ aṣínà:',
+      button: 'Wọlé',
+      codeIntro: 'Tàbí tẹ kóòdù yìí sínú áàpù náà:',
+      expiry:
+        '<strong>Ìjápọ̀ àti kóòdù yìí yóò parí láàárín ìṣẹ́jú 15</strong>, wọ́n sì ń ṣiṣẹ́ lẹ́ẹ̀kan ṣoṣo',
+      ignore:
+        'Tí kì í bá ṣe ìwọ ló fẹ́ wọlé, fojú fo ímeèlì yìí - àkọọ́lẹ̀ rẹ wà láìléwu',
+      noShare: 'Má ṣe fi kóòdù yìí han ẹnikẹ́ni',
+    },
+    welcome: {
+      subject: 'Ẹ káàbọ̀ sí TeenShapers! Gbogbo nǹkan ti ṣetán! 🎉',
+      heading: 'Gbogbo nǹkan ti ṣetán! 🚀',
+      greeting: 'Ẹ káàbọ̀, {name}!',
+      intro:
+        'A ti jẹ́rìísí ímeèlì rẹ, àkọọ́lẹ̀ rẹ sì ti ṣiṣẹ́ ní kíkún. O ti ṣetán láti bẹ̀rẹ̀ ìrìn-àjò rẹ pẹ̀lú TeenShapers!',
+      nextTitle: 'Kí ló kàn?',
+      profileTitle: '📱 Parí Àkọsílẹ̀ Rẹ',
+      profileText:
+        'Fi àwòrán kún àkọsílẹ̀ rẹ kí o sì ṣètò àwọn ààtò rẹ láti jẹ ànfààní TeenShapers ní kíkún kí o sì bá àwùjọ pàdé.',
+      challengeTitle: '🎯 Darapọ̀ mọ́ Ìpèníjà Àkọ́kọ́ Rẹ',
+      challengeText:
+        'Wo ìpèníjà oṣù yìí kí o sì bẹ̀rẹ̀ sí í gba àmì-ẹ̀yẹ! A ṣe ìpèníjà kọ̀ọ̀kan láti ràn ọ́ lọ́wọ́ láti dàgbà àti láti kẹ́kọ̀ọ́.',
+      progressTitle: '🏆 Tọpinpin Ìlọsíwájú Rẹ',
+      progressText:
+        'Wo àwọn àṣeyọrí rẹ, wo ipò rẹ lórí ìpò àwùjọ, kí o sì ṣe àjọyọ̀ àwọn ìṣẹ́gun rẹ pẹ̀lú àwùjọ.',
+      communityTitle: '👥 Darapọ̀ mọ́ Àwùjọ',
+      communityText:
+        'Bá àwọn ọ̀dọ́ mìíràn sọ̀rọ̀, pín ìrírí rẹ, kí o sì fún àwọn ẹlòmíràn ní ìwúrí.',
+      didYouKnow: 'Ṣé o mọ̀?',
+      didYouKnowText:
+        'TeenShapers ti ran ẹgbẹẹgbẹ̀rún ọ̀dọ́ lọ́wọ́ láti dé àfojúsùn wọn àti láti gba ìdánimọ̀ fún iṣẹ́ takuntakun wọn!',
+      help: 'Tí o bá ní ìbéèrè tàbí tí o bá nílò ìrànlọ́wọ́ láti bẹ̀rẹ̀, ẹgbẹ́ ìrànlọ́wọ́ wa wà fún ọ nígbà gbogbo.',
+      signOff: 'Ire o! 🎉',
+      postscript:
+        'P.S. Tan àwọn ìfitónilétí kí o má bàa pàdánù ìròyìn nípa àwọn ìpèníjà tuntun àti àṣeyọrí rẹ!',
+    },
+    newDevice: {
+      subject: 'Ìwọlé Tuntun sí Àkọọ́lẹ̀ TeenShapers Rẹ 🔔',
+      heading: 'Ìwọlé láti Ẹ̀rọ Tuntun 🔔',
+      intro:
+        'Ẹnìkan ṣẹ̀ṣẹ̀ wọlé sí àkọọ́lẹ̀ TeenShapers rẹ láti ẹ̀rọ tí a kò rí rí.',
+      detailsTitle: '📱 Àlàyé Ìwọlé',
+      device: 'Ẹ̀rọ:',
+      ipAddress: 'Àdírẹ́sì IP:',
+      time: 'Àkókò:',
+      unknown: 'A kò mọ̀',
+      unknownDevice: 'Ẹ̀rọ tí a kò mọ̀',
+      signOutDevice:
+        'Ṣí áàpù náà kí o lọ sí <strong>Àwọn Ẹ̀rọ</strong> láti jáde kúrò lórí ẹ̀rọ yìí',
+      resetPassword:
+        'Tún ọ̀rọ̀ aṣínà rẹ ṣe láti jáde kúrò lórí gbogbo ẹ̀rọ lẹ́ẹ̀kan náà',
+      wasYou: 'Tí ìwọ ni, kò sí ohun tí o nílò láti ṣe.',
+    },
+    accountLocked: {
+      subject: 'A Ti Ti Àkọọ́lẹ̀ TeenShapers Rẹ Fún Ìgbà Díẹ̀ 🔒',
+      heading: 'A Ti Ti Àkọọ́lẹ̀ Rẹ 🔒',
+      intro:
+        'A ṣàkíyèsí ọ̀pọ̀lọpọ̀ ìgbìyànjú ìwọlé tí kò yọrí sí rere lórí àkọọ́lẹ̀ TeenShapers rẹ, nítorí náà a ti tì í fún ìgbà díẹ̀ láti dáàbò bò ó.',
+      lockedUntil: '⏰ A Ti Tì Í Títí Di',
+      guessing: 'Ẹnìkan lè máa gbìyànjú láti méfò ọ̀rọ̀ aṣínà rẹ',
+      resetAfter:
+        'Tún ọ̀rọ̀ aṣínà rẹ ṣe lẹ́yìn tí títì náà bá parí láti wà láìléwu',
+      wasYou: 'Tí ìwọ ni, dúró títí títì náà yóò fi parí kí o sì tún gbìyànjú.',
+    },
+    emailChangeConfirm: {
+      subject: 'Jẹ́rìísí Ímeèlì Tuntun TeenShapers Rẹ ✉️',
+      heading: 'Jẹ́rìísí Ímeèlì Tuntun Rẹ ✉️',
+      intro:
+        'O béèrè láti lo àdírẹ́sì yìí fún àkọọ́lẹ̀ TeenShapers rẹ. Jẹ́rìísí rẹ̀ nípa títẹ bọ́tìnnì ìsàlẹ̀ yìí:',
+      button: 'Jẹ́rìísí Ímeèlì Tuntun',
+      expiry:
+        'Ìjápọ̀ yìí yóò parí láàárín wákàtí 24. Títí tí o fi jẹ́rìísí, àkọọ́lẹ̀ rẹ yóò máa lo ímeèlì rẹ lọ́wọ́lọ́wọ́.',
+      ignore: 'Tí kì í bá ṣe ìwọ ló béèrè èyí, o lè fojú fo ímeèlì yìí.',
+    },
+    emailChangeAlert: {
+      subject: 'A Ń Yí Ímeèlì TeenShapers Rẹ Padà ⚠️',
+      heading: 'Ìbéèrè Láti Yí Ímeèlì Padà ⚠️',
+      intro:
+        'Ẹnìkan tí ó wọlé sí àkọọ́lẹ̀ TeenShapers rẹ béèrè láti yí àdírẹ́sì ímeèlì rẹ̀ padà.',
+      newAddress: '✉️ Àdírẹ́sì Tuntun',
+      revert:
+        'Tẹ ìsàlẹ̀ yìí láti pa àdírẹ́sì yìí mọ́ lórí àkọọ́lẹ̀ rẹ kí o sì jáde kúrò lórí gbogbo ẹ̀rọ. Èyí ń ṣiṣẹ́ bí ìyípadà náà tilẹ̀ ti wáyé.',
+      button: 'Kì Í Ṣe Èmi',
+      wasYou:
+        'Tí ìwọ ni, kò sí ohun tí o nílò láti ṣe. Ìjápọ̀ yìí yóò parí láàárín ọjọ́ 7.',
+    },
+    parentalConsent: {
+      subject: '{teenName} Nílò Àṣẹ Yín Láti Darapọ̀ mọ́ TeenShapers 👋',
+      heading: 'Àṣẹ Òbí 👋',
+      intro:
+        '<strong>{teenName}</strong> ti forúkọ sílẹ̀ lórí TeenShapers ó sì kọ orúkọ yín gẹ́gẹ́ bí òbí tàbí alágbàtọ́.',
+      explain:
+        'TeenShapers ń ṣe àwọn ìpèníjà ìgbàgbọ́ àti ìdàgbàsókè oṣooṣù fún àwọn ọ̀dọ́. Nítorí pé {teenName} kò tíì pé ọjọ́ orí tí a béèrè fún ànfààní kíkún, a nílò àṣẹ yín kí ó tó lè:',
+      leaderboard: '👥 Farahàn lórí ìpò gbangba àti ojú-ìwé àwùjọ',
+      badges: '🏆 Ra àmì-ẹ̀yẹ',
+      button: 'Ṣàyẹ̀wò Kí O Sì Fún Wa Ní Àṣẹ',
+      expiry: 'Ìjápọ̀ yìí yóò parí láàárín ọjọ́ 7.',
+      ignore:
+        'Tí ẹ kò bá mọ {teenName} tàbí tí ẹ kò fẹ́ fún wa ní àṣẹ, ẹ kàn fojú fo ímeèlì yìí.',
+    },
+    accountDeletion: {
+      subject: 'A Ti Ṣètò Láti Pa Àkọọ́lẹ̀ TeenShapers Rẹ́ 🗓️',
+      heading: 'A Ti Ṣètò Ìparẹ́ Àkọọ́lẹ̀ 🗓️',
+      intro:
+        'A gba ìbéèrè láti pa àkọọ́lẹ̀ TeenShapers <strong>{name}</strong> rẹ́.',
+      dateTitle: '🗑️ Ọjọ́ Ìparẹ́',
+      erased:
+        'Ní ọjọ́ náà, a ó pa àkọsílẹ̀, àwọn ìdáhùn, fáìlì tí a gbé sókè, àmì-ẹ̀yẹ, ìlọsíwájú àti ìfitónilétí rẹ́ pátápátá. A ó pa àkọsílẹ̀ ìsanwó mọ́ fún ìṣirò owó, láìsí ìsọfúnni ti ara ẹni kankan.',
+      changedMind: '⚠️ Ṣé o ti yí ọkàn padà?',
+      cancel:
+        'Ṣí áàpù náà kí o fagilé ìparẹ́ náà láti <strong>Ààtò Àkọọ́lẹ̀</strong> kí ọjọ́ òkè yìí tó dé',
+      download: 'O tún lè ṣe ìgbàsílẹ̀ ẹ̀dà ìsọfúnni náà níbẹ̀ ná',
+    },
+    challengeLaunch: {
+      subject: '🎯 Ìpèníjà Tuntun Ti Dé: {theme}',
+      intro: 'Ìpèníjà oṣooṣù tuntun ti wà báyìí!',
+      challenge: 'Ìpèníjà: {theme}',
+      month: 'Oṣù: {month}',
+      badge: 'Àmì-ẹ̀yẹ: {badge}',
+      noBadge: 'Kò sí',
+      price: 'Iye owó: ₦{price}',
+      goLive: 'Ọjọ́ Ìbẹ̀rẹ̀: {date}',
+      closing: 'Ọjọ́ Ìparí: {date}',
+      login: 'Wọlé sí àkọọ́lẹ̀ TeenShapers rẹ láti bẹ̀rẹ̀!',
+      signOff: 'Ẹ̀yin ni tiwa,',
+      team: 'Ẹgbẹ́ TeenShapers',
+    },
+    challengeCompletion: {
+      subject: '🎉 Ẹ kú oríire! O ti parí ìpèníjà {theme}!',
+      greeting: 'Ẹ kú oríire {name}!',
+      intro: 'O ti parí ìpèníjà {theme} ní àṣeyọrí!',
+      raffle:
+        'Má gbàgbé láti ra àmì-ẹ̀yẹ rẹ kí o lè kópa nínú ìfàmì-ẹ̀bùn ọdọọdún.',
+      signOff: 'Máa bá iṣẹ́ rere náà lọ!',
+      team: 'Ẹgbẹ́ TeenShapers',
+    },
+  },
+  push: {
+    challengeLaunch: {
+      title: '🎯 Ìpèníjà Tuntun Ti Dé!',
+      body: '{theme} ti bẹ̀rẹ̀! Bẹ̀rẹ̀ sí í ṣiṣẹ́ fún àmì-ẹ̀yẹ rẹ lónìí.',
+    },
+    newDevice: {
+      title: '🔔 Ìwọlé tuntun',
+      body: 'Ẹnìkan ṣẹ̀ṣẹ̀ wọlé sí àkọọ́lẹ̀ rẹ lórí {device}. Kì í ṣe ìwọ? Jáde kúrò níbẹ̀ láti Àwọn Ẹ̀rọ.',
+      unknownDevice: 'ẹ̀rọ tuntun kan',
+    },
+    consentGranted: {
+      title: '🎉 Gbogbo ohun èlò ti ṣí sílẹ̀',
+      body: 'Òbí tàbí alágbàtọ́ rẹ ti fún ọ ní àṣẹ. O lè darapọ̀ mọ́ ìpò àwùjọ, ojú-ìwé àwùjọ àti ilé ìtajà àmì-ẹ̀yẹ báyìí!',
+    },
+  },
+  calendar: {
+    name: 'Àwọn Ìpèníjà TeenShapers',
+    goLive: '🎯 {theme} bẹ̀rẹ̀',
+    closing: '⏳ {theme} parí',
+    taskDue: '📝 Ọjọ́ ìfisílẹ̀: {title}',
+    partOf: 'Apá kan ìpèníjà {theme}',
+    reminder: 'Ìránnilétí: {summary}',
+  },
+};
@@ -0,0 +1,96 @@
+// utils/magicLink.js
+// Passwordless sign-in for teens: an emailed link or 6-digit code, each good
+// for one sign-in within 15 minutes
+
+import crypto from 'crypto';
+import prisma from '../lib/prisma.js';
+import {
+  generateMagicLinkToken,
+  sendMagicLinkEmail,
+  verifyToken,
+} from './emailService.js';
+import { getTeenLanguage } from './i18n.js';
+
+const MAGIC_LINK_TTL_MS = 15 * 60 * 1000;
+
+const hashMagicLinkCode = (code) =>
+  crypto.createHash('sha256').update(String(code).trim()).digest('hex');
+
+/**
+ * Issue a new link and code (replacing any earlier ones) and email them
+ * @param {Object} teen - Teen record (id, name, email, preferredLanguage)
+ */
+export const sendMagicLink = async (teen) => {
+  const token = generateMagicLinkToken(teen.id);
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  await prisma.teen.update({
+    where: { id: teen.id },
+    data: {
+      magicLinkToken: token,
+      magicLinkCodeHash: hashMagicLinkCode(code),
+      magicLinkExpires: new Date(Date.now() + MAGIC_LINK_TTL_MS),
+    },
+  });
+
+  await sendMagicLinkEmail(
+    teen.email,
+    teen.name,
+    token,
+    code,
+    getTeenLanguage(teen)
+  );
+};
+
+// The conditional update only matches while the credential is still stored,
+// so two requests racing with the same link can't both sign in
+const consume = async (teenId, where) => {
+  const { count } = await prisma.teen.updateMany({
+    where: {
+      id: teenId,
+      magicLinkExpires: { gt: new Date() },
+      ...where,
+    },
+    data: {
+      magicLinkToken: null,
+      magicLinkCodeHash: null,
+      magicLinkExpires: null,
+    },
+  });
+
+  return count === 1;
+};
+
+/**
+ * Use up an emailed link
+ * @param {string} token - Token from the link
+ * @returns {Promise<string|null>} Teen id, or null if invalid/used/expired
+ */
+export const consumeMagicLinkToken = async (token) => {
+  let decoded;
+  try {
+    decoded = verifyToken(token);
+  } catch (error) {
+    return null;
+  }
+
+  if (decoded.type !== 'magic-link') return null;
+
+  const consumed = await consume(decoded.id, { magicLinkToken: token });
+  return consumed ? decoded.id : null;
+};
+
+/**
+ * Use up an emailed code
+ * @param {string} teenId - Teen the code was sent to
+ * @param {string} code - 6-digit code
+ * @returns {Promise<boolean>}
+ */
+export const consumeMagicLinkCode = async (teenId, code) =>
+  consume(teenId, { magicLinkCodeHash: hashMagicLinkCode(code) });
+
+export default {
+  sendMagicLink,
+  consumeMagicLinkToken,
+  consumeMagicLinkCode,
+};
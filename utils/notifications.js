@@ -1,5 +1,14 @@
 // utils/notifications.js
 import nodemailer from 'nodemailer';
+import prisma from '../lib/prisma.js';
+import { buildAudienceTeenWhere } from './challengeAudience.js';
+import {
+  t,
+  formatDate,
+  formatMonth,
+  getTeenLanguage,
+  localizeRecord,
+} from './i18n.js';
 
 const transporter = nodemailer.createTransport({
   host: process.env.EMAIL_HOST,
@@ -38,15 +47,17 @@ export const sendChallengeNotification = async (challenge) => {
   try {
     console.log('📢 Sending challenge notifications...');
 
-    // Get all active teens
+    // Get active teens the challenge is meant for
     const activeTeens = await prisma.teen.findMany({
       where: {
         isActive: true,
+        ...buildAudienceTeenWhere(challenge),
       },
       select: {
         id: true,
         email: true,
         name: true,
+        preferredLanguage: true,
       },
     });
 
@@ -65,33 +76,41 @@ export const sendChallengeNotification = async (challenge) => {
         `✉️ Notifying ${teen.name} (${teen.email}) about new challenge: ${challenge.theme}`
       );
 
-      // Example email content:
+      // Example email content, in the teen's language:
+      const language = getTeenLanguage(teen);
+      const { theme, instructions } = localizeRecord(
+        challenge,
+        'challenge',
+        language
+      );
+      const copy = (key, params) =>
+        t(language, `emails.challengeLaunch.${key}`, params);
+
       const emailData = {
         to: teen.email,
-        subject: `🎯 New Challenge Available: ${challenge.theme}`,
+        subject: copy('subject', { theme }),
         body: `
-          Hi ${teen.name},
+          ${t(language, 'emails.common.greeting', { name: teen.name })}
           
-          A new monthly challenge is now available!
+          ${copy('intro')}
           
-          Challenge: ${challenge.theme}
-          Month: ${new Date(
-            challenge.year,
-            challenge.month - 1
-          ).toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}
+          ${copy('challenge', { theme })}
+          ${copy('month', {
+            month: formatMonth(challenge.year, challenge.month, language),
+          })}
           
-          ${challenge.instructions}
+          ${instructions}
           
-          Badge: ${challenge.badge?.name || 'Not available'}
-          Price: ₦${challenge.badge?.price || 0}
+          ${copy('badge', { badge: challenge.badge?.name || copy('noBadge') })}
+          ${copy('price', { price: challenge.badge?.price || 0 })}
           
-          Go Live Date: ${new Date(challenge.goLiveDate).toLocaleDateString()}
-          Closing Date: ${new Date(challenge.closingDate).toLocaleDateString()}
+          ${copy('goLive', { date: formatDate(challenge.goLiveDate, language) })}
+          ${copy('closing', { date: formatDate(challenge.closingDate, language) })}
           
-          Log in to your TeenShapers account to get started!
+          ${copy('login')}
           
-          Best regards,
-          TeenShapers Team
+          ${copy('signOff')}
+          ${copy('team')}
         `,
       };
 
@@ -257,6 +276,7 @@ export const sendChallengeCompletionNotification = async (
       select: {
         email: true,
         name: true,
+        preferredLanguage: true,
       },
     });
 
@@ -264,20 +284,25 @@ export const sendChallengeCompletionNotification = async (
 
     console.log(`🎉 Sending completion notification to ${teen.name}`);
 
+    const language = getTeenLanguage(teen);
+    const { theme } = localizeRecord(challenge, 'challenge', language);
+    const copy = (key, params) =>
+      t(language, `emails.challengeCompletion.${key}`, params);
+
     // TODO: Send congratulations email/notification
     const emailData = {
       to: teen.email,
-      subject: `🎉 Congratulations! You completed the ${challenge.theme} challenge!`,
+      subject: copy('subject', { theme }),
       body: `
-        Congratulations ${teen.name}!
+        ${copy('greeting', { name: teen.name })}
         
-        You've successfully completed the ${challenge.theme} challenge!
+        ${copy('intro', { theme })}
         
-        Don't forget to purchase your badge to be eligible for the annual raffle draw.
+        ${copy('raffle')}
         
-        Keep up the great work!
+        ${copy('signOff')}
         
-        TeenShapers Team
+        ${copy('team')}
       `,
     };
 
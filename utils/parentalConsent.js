@@ -0,0 +1,75 @@
+// utils/parentalConsent.js
+// Guardian consent for our youngest members
+
+import jwt from 'jsonwebtoken';
+import prisma from '../lib/prisma.js';
+import { sendParentalConsentEmail } from './emailService.js';
+import { getTeenLanguage } from './i18n.js';
+
+/**
+ * Teens younger than this need a parent/guardian to consent.
+ * Configurable with PARENTAL_CONSENT_AGE (default 16).
+ * @returns {number}
+ */
+export const getParentalConsentAge = () =>
+  parseInt(process.env.PARENTAL_CONSENT_AGE || '16');
+
+/**
+ * Whether a teen of this age needs parental consent
+ * @param {number} age - Teen age
+ * @returns {boolean}
+ */
+export const requiresParentalConsent = (age) =>
+  parseInt(age) < getParentalConsentAge();
+
+/**
+ * Whether a teen may use the restricted (public/paid) features
+ * @param {Object} teen - Teen record
+ * @returns {boolean}
+ */
+export const hasParentalConsent = (teen) =>
+  teen.parentalConsentStatus !== 'PENDING';
+
+/**
+ * Signed consent link token. Bound to the parent email it was sent to so a
+ * link stops working if the teen changes the address.
+ * @param {Object} teen - Teen record (id, parentEmail)
+ * @returns {string} Signed JWT
+ */
+export const generateParentalConsentToken = (teen) => {
+  return jwt.sign(
+    { id: teen.id, parentEmail: teen.parentEmail, type: 'parental-consent' },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: '7d',
+    }
+  );
+};
+
+/**
+ * Email the parent a consent link and record when it was sent
+ * @param {Object} teen - Teen record (id, name, parentEmail, preferredLanguage)
+ */
+export const requestParentalConsent = async (teen) => {
+  const consentToken = generateParentalConsentToken(teen);
+
+  await sendParentalConsentEmail(
+    teen.parentEmail,
+    teen.name,
+    consentToken,
+    getTeenLanguage(teen)
+  );
+
+  await prisma.teen.update({
+    where: { id: teen.id },
+    data: { parentalConsentRequestedAt: new Date() },
+  });
+};
+
+export default {
+  getParentalConsentAge,
+  requiresParentalConsent,
+  hasParentalConsent,
+  generateParentalConsentToken,
+  requestParentalConsent,
+};
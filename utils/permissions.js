@@ -0,0 +1,67 @@
+// utils/permissions.js
+// Named permissions for admin/staff. ADMIN always has every permission;
+// STAFF get theirs from the StaffRole assigned to them.
+
+export const PERMISSIONS = {
+  'challenges:write': 'Create, edit and publish challenges and tasks',
+  'submissions:review': 'Review and score teen submissions',
+  'badges:write': 'Create badges and change badge prices',
+  'finance:read': 'View transactions and revenue',
+  'teens:manage': 'View teen accounts and manage their status',
+  'raffle:draw': 'View raffle eligibility and run draws',
+};
+
+export const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Roles created by scripts/seedUsers.js; admins can edit them or add more
+export const DEFAULT_ROLES = [
+  {
+    name: 'Reviewer',
+    description: 'Reviews and scores submissions',
+    permissions: ['submissions:review'],
+  },
+  {
+    name: 'Content Editor',
+    description: 'Builds monthly challenges, tasks and badges',
+    permissions: ['challenges:write', 'badges:write'],
+  },
+  {
+    name: 'Finance',
+    description: 'Tracks badge sales and revenue',
+    permissions: ['finance:read'],
+  },
+];
+
+// STAFF created before roles existed keep what they could already do,
+// minus badge pricing and finance
+const UNASSIGNED_STAFF_PERMISSIONS = ['challenges:write', 'submissions:review'];
+
+/**
+ * Resolve a user's effective permissions
+ * @param {Object} user - User record, with staffRole included
+ * @returns {string[]}
+ */
+export const getUserPermissions = (user) => {
+  if (user.role === 'ADMIN') return ALL_PERMISSIONS;
+  if (user.staffRole) return user.staffRole.permissions;
+  return UNASSIGNED_STAFF_PERMISSIONS;
+};
+
+/**
+ * Whether a user has every one of the given permissions
+ * @param {Object} user - User record, with staffRole included
+ * @param {...string} permissions - Permission names
+ * @returns {boolean}
+ */
+export const hasPermission = (user, ...permissions) => {
+  const granted = getUserPermissions(user);
+  return permissions.every((permission) => granted.includes(permission));
+};
+
+export default {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  DEFAULT_ROLES,
+  getUserPermissions,
+  hasPermission,
+};
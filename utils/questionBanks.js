@@ -0,0 +1,243 @@
+// utils/questionBanks.js
+// Randomized quizzes. A QUIZ task with a "draw" in its options gives each
+// teen `count` random questions from its own questions plus any question
+// banks it names (by id or topic), with the answer order shuffled. The draw
+// is saved as a QuizAttempt so the teen is graded on exactly what they saw,
+// and a new draw is made when they retry a failed quiz. A quiz is only
+// drawn from when its pool holds at least `count` questions; saving the task
+// and changing or deleting the banks it uses are checked against that.
+
+import crypto from 'crypto';
+import prisma from '../lib/prisma.js';
+import { normalizeTaskOptions } from './challengeBundle.js';
+import { getQuizOptionsError, isRandomizedQuiz } from './quizGrading.js';
+
+// Fisher-Yates with a CSPRNG, so draws can't be predicted
+const shuffle = (list) => {
+  const shuffled = [...list];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+/**
+ * Check a bank's questions (same shape as QUIZ options.questions)
+ * @param {Object[]} questions
+ * @returns {string|null} Problem description, or null if valid
+ */
+export const getBankQuestionsError = (questions) => {
+  if (!Array.isArray(questions) || questions.length === 0) {
+    return 'A question bank needs at least one question';
+  }
+
+  for (const [index, question] of questions.entries()) {
+    const label = `Question ${index + 1}`;
+    if (!question?.text || typeof question.text !== 'string') {
+      return `${label} needs its text`;
+    }
+    if (!Array.isArray(question.options) || question.options.length < 2) {
+      return `${label} needs at least 2 answers`;
+    }
+  }
+
+  return getQuizOptionsError({ questions });
+};
+
+/**
+ * Give bank questions stable ids, keeping existing ones by position
+ * @param {Object[]} questions - Incoming questions
+ * @param {Object[]} existingQuestions - Questions currently stored, if any
+ * @returns {Object[]}
+ */
+export const normalizeBankQuestions = (questions, existingQuestions = []) =>
+  normalizeTaskOptions('QUIZ', { questions }, { questions: existingQuestions })
+    .questions;
+
+// Whether a draw names this bank, by id or by one of its topics
+const drawsFromBank = (draw, bank) =>
+  (draw.bankIds || []).includes(bank.id) ||
+  (draw.topics || []).some((topic) => (bank.topics || []).includes(topic));
+
+// The task's own questions plus those of the banks it draws from. Bank
+// questions get the bank id in front of theirs so ids stay unique.
+const buildQuestionPool = (options, banks) => [
+  ...(options.questions || []),
+  ...banks
+    .filter((bank) => drawsFromBank(options.draw, bank))
+    .flatMap((bank) =>
+      (bank.questions || []).map((question) => ({
+        ...question,
+        id: `${bank.id}-${question.id}`,
+      }))
+    ),
+];
+
+/**
+ * Every question a randomized quiz can draw from
+ * @param {Object} options - QUIZ task options with draw
+ * @returns {Promise<Object[]>}
+ */
+export const getQuestionPool = async (options) => {
+  const { topics = [], bankIds = [] } = options.draw;
+  const sources = [
+    ...(bankIds.length > 0 ? [{ id: { in: bankIds } }] : []),
+    ...(topics.length > 0 ? [{ topics: { hasSome: topics } }] : []),
+  ];
+
+  const banks =
+    sources.length > 0
+      ? await prisma.questionBank.findMany({
+          where: { OR: sources },
+          select: { id: true, topics: true, questions: true },
+        })
+      : [];
+
+  return buildQuestionPool(options, banks);
+};
+
+/**
+ * Check a randomized quiz has enough questions to draw
+ * @param {Object} options - QUIZ task options with draw
+ * @returns {Promise<string|null>} Problem description, or null if enough
+ */
+export const getQuestionPoolError = async (options) => {
+  const { count } = options.draw;
+  const pool = await getQuestionPool(options);
+
+  return pool.length < count
+    ? `The draw needs ${count} questions but only ${pool.length} match its banks and topics`
+    : null;
+};
+
+/**
+ * Randomized quizzes that draw from a bank and would be left short of
+ * questions by a change to it
+ * @param {string} bankId
+ * @param {Object|null} updatedBank - { topics, questions } after the change,
+ *   or null when the bank is being deleted
+ * @returns {Promise<Object[]>} Tasks (id, title, challengeId)
+ */
+export const getTasksShortOfQuestions = async (bankId, updatedBank) => {
+  const quizzes = (
+    await prisma.task.findMany({
+      where: { taskType: 'QUIZ' },
+      select: {
+        id: true,
+        title: true,
+        challengeId: true,
+        taskType: true,
+        options: true,
+      },
+    })
+  ).filter(isRandomizedQuiz);
+
+  if (quizzes.length === 0) return [];
+
+  const banks = await prisma.questionBank.findMany({
+    select: { id: true, topics: true, questions: true },
+  });
+  const current = banks.find((bank) => bank.id === bankId);
+  const after = [
+    ...banks.filter((bank) => bank.id !== bankId),
+    ...(updatedBank ? [{ ...updatedBank, id: bankId }] : []),
+  ];
+
+  return quizzes
+    .filter(
+      (task) =>
+        current &&
+        drawsFromBank(task.options.draw, current) &&
+        buildQuestionPool(task.options, after).length < task.options.draw.count
+    )
+    .map(({ id, title, challengeId }) => ({ id, title, challengeId }));
+};
+
+/**
+ * Draw one teen's questions for a randomized quiz
+ * @param {Object} task - QUIZ task with draw options
+ * @returns {Promise<Object[]|null>} Questions, answer keys included - null
+ *   when the pool has fewer than `count` questions
+ */
+export const drawQuizQuestions = async (task) => {
+  const { count, shuffleOptions = true } = task.options.draw;
+  const pool = await getQuestionPool(task.options);
+
+  if (pool.length < count) return null;
+
+  return shuffle(pool)
+    .slice(0, count)
+    .map((question) =>
+      shuffleOptions && Array.isArray(question.options)
+        ? { ...question, options: shuffle(question.options) }
+        : question
+    );
+};
+
+/**
+ * A teen's unsubmitted attempt at a quiz
+ * @param {string} taskId
+ * @param {string} teenId
+ * @returns {Promise<Object|null>}
+ */
+export const getOpenQuizAttempt = (taskId, teenId) =>
+  prisma.quizAttempt.findFirst({
+    where: { taskId, teenId, submittedAt: null },
+    orderBy: { startedAt: 'desc' },
+  });
+
+/**
+ * The attempt to show a teen: the open one, else the one they submitted,
+ * else a fresh draw. A failed quiz gets a fresh draw for the retry.
+ * @param {Object} task - QUIZ task with draw options
+ * @param {string} teenId
+ * @param {Object} submission - The teen's submission for the task, if any
+ * @returns {Promise<Object|null>} QuizAttempt - null when there aren't
+ *   enough questions left to draw
+ */
+export const getQuizAttemptForTeen = async (task, teenId, submission) => {
+  const open = await getOpenQuizAttempt(task.id, teenId);
+  if (open) return open;
+
+  if (submission?.quizAttemptId && submission.status !== 'REJECTED') {
+    const submitted = await prisma.quizAttempt.findUnique({
+      where: { id: submission.quizAttemptId },
+    });
+    if (submitted) return submitted;
+  }
+
+  const questions = await drawQuizQuestions(task);
+  if (!questions) return null;
+
+  return prisma.quizAttempt.create({
+    data: {
+      taskId: task.id,
+      teenId,
+      questions,
+    },
+  });
+};
+
+/**
+ * Quiz options to validate and grade a submission against
+ * @param {Object} task - QUIZ task
+ * @param {Object} attempt - The teen's QuizAttempt
+ * @returns {Object}
+ */
+export const getAttemptQuizOptions = (task, attempt) => ({
+  ...task.options,
+  questions: attempt.questions,
+});
+
+export default {
+  getBankQuestionsError,
+  normalizeBankQuestions,
+  getQuestionPool,
+  getQuestionPoolError,
+  getTasksShortOfQuestions,
+  drawQuizQuestions,
+  getOpenQuizAttempt,
+  getQuizAttemptForTeen,
+  getAttemptQuizOptions,
+};
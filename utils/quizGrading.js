@@ -0,0 +1,291 @@
+// utils/quizGrading.js
+// Auto-grading for QUIZ tasks. The answer key lives in the task's options:
+//
+//   { "passMark": 70,                       // % of points; unset = no pass mark
+//     "questions": [
+//       { "id", "text", "options": ["Faith", "Love", ...],
+//         "correctAnswer": "Faith",          // single choice
+//         "points": 2,                       // default 1
+//         "explanation": "..." },            // shown after submitting
+//       { "id", "text", "options": [...],
+//         "multiple": true,                  // teen picks several answers
+//         "correctAnswers": ["Love", "Hope"],
+//         "partialCredit": true } ] }        // credit for partly right picks
+//
+// Questions without a key aren't graded. A quiz with no keys at all is
+// approved as before and left for staff to score. Teens only see the key
+// (and explanations) once they pass.
+//
+// A randomized quiz also has a "draw" (utils/questionBanks.js); each teen
+// then gets their own questions and is graded against those:
+//
+//   "draw": { "count": 5, "topics": ["Psalms"], "bankIds": [...],
+//             "shuffleOptions": true }
+
+const DEFAULT_POINTS = 1;
+
+/**
+ * Whether a task gives each teen their own random questions
+ * @param {Object} task - Task (taskType, options)
+ * @returns {boolean}
+ */
+export const isRandomizedQuiz = (task) =>
+  task.taskType === 'QUIZ' && Boolean(task.options?.draw);
+
+const isStringList = (value) =>
+  Array.isArray(value) &&
+  value.every((entry) => typeof entry === 'string' && entry.trim());
+
+// The "draw" part of a randomized quiz's options
+const getDrawError = (draw, ownQuestions) => {
+  if (typeof draw !== 'object' || Array.isArray(draw)) {
+    return 'Draw settings must be an object';
+  }
+  if (!Number.isInteger(draw.count) || draw.count < 1) {
+    return 'Draw count must be a whole number of at least 1';
+  }
+  for (const field of ['topics', 'bankIds']) {
+    if (draw[field] !== undefined && !isStringList(draw[field])) {
+      return `Draw ${field} must be a list of text values`;
+    }
+  }
+  if (
+    draw.shuffleOptions !== undefined &&
+    typeof draw.shuffleOptions !== 'boolean'
+  ) {
+    return 'Draw "shuffleOptions" must be true or false';
+  }
+  if (!draw.topics?.length && !draw.bankIds?.length && !ownQuestions) {
+    return 'Draw needs topics or bankIds to pick questions from';
+  }
+  return null;
+};
+
+/**
+ * Whether a question takes several answers
+ * @param {Object} question
+ * @returns {boolean}
+ */
+export const isMultiSelect = (question) => question?.multiple === true;
+
+/**
+ * Correct answers for a question
+ * @param {Object} question
+ * @returns {string[]} Empty when the question has no key
+ */
+export const getAnswerKey = (question) => {
+  if (isMultiSelect(question)) {
+    return Array.isArray(question.correctAnswers)
+      ? question.correctAnswers
+      : [];
+  }
+  return question.correctAnswer !== undefined && question.correctAnswer !== null
+    ? [question.correctAnswer]
+    : [];
+};
+
+/**
+ * Check the answer key, points and pass mark in quiz options
+ * @param {Object} options - QUIZ task options
+ * @returns {string|null} Problem description, or null if valid
+ */
+export const getQuizOptionsError = (options) => {
+  if (!options || typeof options !== 'object') {
+    return 'Quiz options need a "questions" list';
+  }
+
+  // Randomized quizzes can draw everything from question banks
+  const hasDraw = options.draw !== undefined && options.draw !== null;
+  if (hasDraw) {
+    const drawError = getDrawError(
+      options.draw,
+      Array.isArray(options.questions) && options.questions.length > 0
+    );
+    if (drawError) return drawError;
+  }
+
+  if (!Array.isArray(options.questions)) {
+    if (hasDraw && options.questions === undefined) return null;
+    return 'Quiz options need a "questions" list';
+  }
+
+  const { passMark } = options;
+  if (
+    passMark !== undefined &&
+    passMark !== null &&
+    (!Number.isInteger(passMark) || passMark < 0 || passMark > 100)
+  ) {
+    return 'Pass mark must be a whole-number percentage between 0 and 100';
+  }
+
+  for (const [index, question] of options.questions.entries()) {
+    const label = `Question ${index + 1}`;
+    if (!question || typeof question !== 'object') {
+      return `${label} must be an object`;
+    }
+    const answers = Array.isArray(question.options) ? question.options : [];
+
+    if (
+      question.points !== undefined &&
+      (typeof question.points !== 'number' || question.points <= 0)
+    ) {
+      return `${label} points must be a positive number`;
+    }
+    if (
+      question.multiple !== undefined &&
+      typeof question.multiple !== 'boolean'
+    ) {
+      return `${label} "multiple" must be true or false`;
+    }
+    if (
+      question.partialCredit !== undefined &&
+      typeof question.partialCredit !== 'boolean'
+    ) {
+      return `${label} "partialCredit" must be true or false`;
+    }
+    if (
+      question.explanation !== undefined &&
+      question.explanation !== null &&
+      typeof question.explanation !== 'string'
+    ) {
+      return `${label} explanation must be text`;
+    }
+
+    if (isMultiSelect(question)) {
+      if (
+        question.correctAnswers !== undefined &&
+        (!Array.isArray(question.correctAnswers) ||
+          question.correctAnswers.length === 0 ||
+          !question.correctAnswers.every((answer) => answers.includes(answer)))
+      ) {
+        return `${label} correct answers must be a non-empty list of its answers`;
+      }
+    } else if (
+      question.correctAnswer !== undefined &&
+      question.correctAnswer !== null &&
+      !answers.includes(question.correctAnswer)
+    ) {
+      return `${label} correct answer must be one of its answers`;
+    }
+  }
+
+  return null;
+};
+
+// Points for one question; partial credit takes wrong picks off right ones
+const gradeQuestion = (question, key, answer) => {
+  const points = question.points ?? DEFAULT_POINTS;
+
+  if (!isMultiSelect(question)) {
+    return answer === key[0] ? points : 0;
+  }
+
+  const picked = new Set(Array.isArray(answer) ? answer : []);
+  const hits = key.filter((option) => picked.has(option)).length;
+  const misses = [...picked].filter((option) => !key.includes(option)).length;
+
+  if (hits === key.length && misses === 0) return points;
+  if (!question.partialCredit) return 0;
+
+  return (Math.max(hits - misses, 0) / key.length) * points;
+};
+
+const roundPoints = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Grade a teen's quiz answers
+ * @param {Object} options - QUIZ task options (questions, passMark)
+ * @param {Object} answers - { [questionId]: answer | answers[] }
+ * @param {number} maxScore - Task.maxScore the points are scaled to
+ * @returns {Object|null} { score, points, maxPoints, percentage, passMark,
+ *   passed, questions } - null when the quiz has no answer key
+ */
+export const gradeQuiz = (options, answers, maxScore) => {
+  const questions = [];
+  let points = 0;
+  let maxPoints = 0;
+
+  for (const question of options?.questions || []) {
+    const key = getAnswerKey(question);
+    if (key.length === 0) continue;
+
+    const available = question.points ?? DEFAULT_POINTS;
+    const awarded = gradeQuestion(question, key, answers[question.id]);
+
+    points += awarded;
+    maxPoints += available;
+    questions.push({
+      questionId: question.id,
+      text: question.text,
+      correct: awarded === available,
+      points: roundPoints(awarded),
+      maxPoints: available,
+      correctAnswers: key,
+      explanation: question.explanation || null,
+    });
+  }
+
+  if (maxPoints === 0) return null;
+
+  const percentage = Math.round((points / maxPoints) * 100);
+  const passMark = options.passMark ?? null;
+
+  return {
+    score: Math.round((points / maxPoints) * maxScore),
+    points: roundPoints(points),
+    maxPoints,
+    percentage,
+    passMark,
+    passed: passMark === null || percentage >= passMark,
+    questions,
+  };
+};
+
+/**
+ * Grading as teens see it. A failed attempt only shows the score: the
+ * answer key, explanations and which answers were right would let a teen
+ * pass the retry by copying them.
+ * @param {Object|null} grading - Submission.grading
+ * @returns {Object|null}
+ */
+export const getTeenGrading = (grading) => {
+  if (!grading || grading.passed) return grading;
+
+  const { questions, ...summary } = grading;
+  return summary;
+};
+
+/**
+ * Task options as teens see them before submitting: no answer key or
+ * explanations (those come back with the graded submission). A randomized
+ * quiz shows the teen's own draw, or just how many questions it has.
+ * @param {Object} task - Task (taskType, options)
+ * @param {Object} attempt - The teen's QuizAttempt, for randomized quizzes
+ * @returns {Object|null}
+ */
+export const getTeenTaskOptions = (task, attempt = null) => {
+  if (task.taskType !== 'QUIZ' || !task.options) {
+    return task.options;
+  }
+
+  const { draw, ...options } = task.options;
+  const questions = draw ? attempt?.questions || [] : options.questions;
+
+  return {
+    ...options,
+    ...(draw && { questionCount: draw.count }),
+    questions: (Array.isArray(questions) ? questions : []).map(
+      ({ correctAnswer, correctAnswers, explanation, ...question }) => question
+    ),
+  };
+};
+
+export default {
+  isRandomizedQuiz,
+  isMultiSelect,
+  getAnswerKey,
+  getQuizOptionsError,
+  gradeQuiz,
+  getTeenGrading,
+  getTeenTaskOptions,
+};
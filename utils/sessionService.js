@@ -0,0 +1,304 @@
+// utils/sessionService.js
+// Short-lived access tokens backed by rotating refresh tokens.
+// Every login creates a Session row; the access token carries its id (sid)
+// so the auth middleware can reject revoked sessions.
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import prisma from '../lib/prisma.js';
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(
+  process.env.REFRESH_TOKEN_EXPIRES_DAYS || '30'
+);
+
+/**
+ * Hash a refresh token for storage
+ * @param {string} token - Raw refresh token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+// Avoid a database write on every request just to bump lastSeenAt
+const LAST_SEEN_RESOLUTION_MS = 5 * 60 * 1000;
+
+const getRefreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Extract device details from a login request
+ * @param {Object} req - Express request
+ * @returns {Object} { deviceName, userAgent, ipAddress }
+ */
+export const getSessionContext = (req) => ({
+  deviceName: req.body?.deviceName || req.headers['x-device-name'] || null,
+  userAgent: req.headers['user-agent'] || null,
+  // Resolved by 'trust proxy', so a client can't pass off another address
+  ipAddress: req.ip,
+});
+
+/**
+ * Whether a teen has signed in from this device before
+ * @param {string} teenId - Teen id
+ * @param {Object} context - Result of getSessionContext
+ * @returns {Promise<boolean>}
+ */
+export const isKnownDevice = async (teenId, context) => {
+  const match = await prisma.session.findFirst({
+    where: {
+      teenId,
+      ...(context.deviceName
+        ? { deviceName: context.deviceName }
+        : { userAgent: context.userAgent }),
+    },
+    select: { id: true },
+  });
+
+  return Boolean(match);
+};
+
+/**
+ * Sign an access token bound to a session
+ * @param {string} id - Teen or user id
+ * @param {string} type - 'teen' or 'user'
+ * @param {string} sessionId - Session id
+ * @returns {string} Signed JWT
+ */
+export const generateAccessToken = (id, type, sessionId) => {
+  return jwt.sign({ id, type, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  });
+};
+
+/**
+ * Create a session and issue its first token pair
+ * @param {string} id - Teen or user id
+ * @param {string} type - 'teen' or 'user'
+ * @param {Object} context - Device details from getSessionContext
+ * @returns {Promise<Object>} { token, refreshToken, sessionId }
+ */
+export const createSession = async (id, type, context = {}) => {
+  const refreshToken = generateRefreshToken();
+
+  const session = await prisma.session.create({
+    data: {
+      ...(type === 'teen' ? { teenId: id } : { userId: id }),
+      deviceName: context.deviceName || null,
+      userAgent: context.userAgent || null,
+      ipAddress: context.ipAddress || null,
+      refreshTokenHash: hashToken(refreshToken),
+      expiresAt: getRefreshExpiry(),
+    },
+  });
+
+  return {
+    token: generateAccessToken(id, type, session.id),
+    refreshToken,
+    sessionId: session.id,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * Replaying an already-rotated token means it leaked, so the whole
+ * session is revoked.
+ * @param {string} refreshToken - Raw refresh token
+ * @returns {Promise<Object|null>} New tokens or null if invalid
+ */
+export const rotateSession = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const replayed = await prisma.session.findFirst({
+    where: { previousTokenHash: tokenHash, revokedAt: null },
+    select: { id: true },
+  });
+
+  if (replayed) {
+    console.warn(
+      '⚠️ Refresh token reuse detected, revoking session:',
+      replayed.id
+    );
+    await prisma.session.update({
+      where: { id: replayed.id },
+      data: { revokedAt: new Date() },
+    });
+    return null;
+  }
+
+  const session = await prisma.session.findUnique({
+    where: { refreshTokenHash: tokenHash },
+    include: {
+      teen: { select: { id: true, isActive: true } },
+      user: { select: { id: true, isActive: true } },
+    },
+  });
+
+  if (!session || session.revokedAt || session.expiresAt < new Date()) {
+    return null;
+  }
+
+  const type = session.teenId ? 'teen' : 'user';
+  const owner = session.teen || session.user;
+
+  if (!owner || !owner.isActive) {
+    return null;
+  }
+
+  const nextRefreshToken = generateRefreshToken();
+
+  // Only swap if the token is still current: of two refreshes racing with
+  // the same token, the loser finds it already rotated and is a replay
+  const { count } = await prisma.session.updateMany({
+    where: { id: session.id, refreshTokenHash: tokenHash, revokedAt: null },
+    data: {
+      refreshTokenHash: hashToken(nextRefreshToken),
+      previousTokenHash: tokenHash,
+      expiresAt: getRefreshExpiry(),
+      lastSeenAt: new Date(),
+    },
+  });
+
+  if (count === 0) {
+    console.warn(
+      '⚠️ Refresh token reuse detected, revoking session:',
+      session.id
+    );
+    await prisma.session.update({
+      where: { id: session.id },
+      data: { revokedAt: new Date() },
+    });
+    return null;
+  }
+
+  return {
+    token: generateAccessToken(owner.id, type, session.id),
+    refreshToken: nextRefreshToken,
+    sessionId: session.id,
+    type,
+  };
+};
+
+/**
+ * Revoke the session a refresh token belongs to
+ * @param {string} refreshToken - Raw refresh token
+ * @returns {Promise<boolean>} Whether a session was revoked
+ */
+export const revokeSessionByRefreshToken = async (refreshToken) => {
+  const { count } = await prisma.session.updateMany({
+    where: { refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+
+  return count > 0;
+};
+
+/**
+ * Revoke every open session of a teen or user ("log out all devices")
+ * @param {string} id - Teen or user id
+ * @param {string} type - 'teen' or 'user'
+ * @param {string} [exceptSessionId] - Session to keep signed in
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export const revokeAllSessions = async (id, type, exceptSessionId) => {
+  const { count } = await prisma.session.updateMany({
+    where: {
+      ...(type === 'teen' ? { teenId: id } : { userId: id }),
+      ...(exceptSessionId && { id: { not: exceptSessionId } }),
+      revokedAt: null,
+    },
+    data: { revokedAt: new Date() },
+  });
+
+  return count;
+};
+
+/**
+ * Check that the session an access token was issued for is still usable
+ * @param {Object} decoded - Verified JWT payload
+ * @returns {Promise<boolean>}
+ */
+export const isSessionActive = async (decoded) => {
+  if (!decoded.sid) return false;
+
+  const session = await prisma.session.findUnique({
+    where: { id: decoded.sid },
+    select: {
+      teenId: true,
+      userId: true,
+      revokedAt: true,
+      expiresAt: true,
+      lastSeenAt: true,
+    },
+  });
+
+  if (!session || session.revokedAt || session.expiresAt < new Date()) {
+    return false;
+  }
+
+  const ownerId = decoded.type === 'teen' ? session.teenId : session.userId;
+  if (ownerId !== decoded.id) return false;
+
+  if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_RESOLUTION_MS) {
+    await prisma.session.update({
+      where: { id: decoded.sid },
+      data: { lastSeenAt: new Date() },
+    });
+  }
+
+  return true;
+};
+
+/**
+ * List a teen's open sessions, newest activity first
+ * @param {string} teenId - Teen id
+ * @returns {Promise<Array>}
+ */
+export const listTeenSessions = async (teenId) => {
+  return prisma.session.findMany({
+    where: {
+      teenId,
+      revokedAt: null,
+      expiresAt: { gt: new Date() },
+    },
+    select: {
+      id: true,
+      deviceName: true,
+      userAgent: true,
+      ipAddress: true,
+      lastSeenAt: true,
+      createdAt: true,
+    },
+    orderBy: { lastSeenAt: 'desc' },
+  });
+};
+
+/**
+ * Revoke one session, scoped to its owner
+ * @param {string} sessionId - Session id
+ * @param {string} teenId - Owning teen id
+ * @returns {Promise<boolean>} Whether a session was revoked
+ */
+export const revokeTeenSession = async (sessionId, teenId) => {
+  const { count } = await prisma.session.updateMany({
+    where: { id: sessionId, teenId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+
+  return count > 0;
+};
+
+export default {
+  getSessionContext,
+  isKnownDevice,
+  generateAccessToken,
+  createSession,
+  rotateSession,
+  revokeSessionByRefreshToken,
+  revokeAllSessions,
+  isSessionActive,
+  listTeenSessions,
+  revokeTeenSession,
+};
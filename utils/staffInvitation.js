@@ -0,0 +1,57 @@
+// utils/staffInvitation.js
+// Invitation-based onboarding for admin/staff accounts
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import prisma from '../lib/prisma.js';
+import {
+  generateStaffInvitationToken,
+  sendStaffInvitationEmail,
+} from './emailService.js';
+
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Placeholder password for invited staff. Nobody knows it, so the account
+ * can't be signed into until the invite is accepted.
+ * @returns {Promise<string>} bcrypt hash
+ */
+export const generateUnusablePassword = () =>
+  bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+
+/**
+ * Whether a staff member still has to accept their invitation
+ * @param {Object} user - User record
+ * @returns {boolean}
+ */
+export const isInvitationPending = (user) => Boolean(user.invitationToken);
+
+/**
+ * Issue a fresh invitation link (replacing any earlier one) and email it
+ * @param {Object} user - User record (id, email, name)
+ * @param {string} invitedBy - Name shown as the inviter
+ */
+export const sendStaffInvitation = async (user, invitedBy) => {
+  const invitationToken = generateStaffInvitationToken(user.id);
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      invitationToken,
+      invitationExpires: new Date(Date.now() + INVITATION_TTL_MS),
+    },
+  });
+
+  await sendStaffInvitationEmail(
+    user.email,
+    user.name,
+    invitedBy,
+    invitationToken
+  );
+};
+
+export default {
+  generateUnusablePassword,
+  isInvitationPending,
+  sendStaffInvitation,
+};
@@ -0,0 +1,200 @@
+// utils/twoFactor.js
+// TOTP two-factor authentication helpers for admin/staff accounts
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { authenticator } from 'otplib';
+import QRCode from 'qrcode';
+import prisma from '../lib/prisma.js';
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'TeenShapers';
+const BACKUP_CODE_COUNT = 10;
+
+// Accept codes from the previous/next 30s step to tolerate clock drift
+authenticator.options = { window: 1 };
+
+/**
+ * Generate a new TOTP secret with its enrollment QR code
+ * @param {string} email - Account email shown in the authenticator app
+ * @returns {Promise<Object>} { secret, otpauthUrl, qrCodeDataUrl }
+ */
+export const generateTwoFactorSecret = async (email) => {
+  const secret = authenticator.generateSecret();
+  const otpauthUrl = authenticator.keyuri(email, ISSUER, secret);
+  const qrCodeDataUrl = await QRCode.toDataURL(otpauthUrl);
+
+  return { secret, otpauthUrl, qrCodeDataUrl };
+};
+
+/**
+ * Check a 6-digit code against a TOTP secret
+ * @param {string} code - Code from the authenticator app
+ * @param {string} secret - Stored TOTP secret
+ * @returns {boolean}
+ */
+export const verifyTotpCode = (code, secret) => {
+  if (!code || !secret) return false;
+
+  try {
+    return authenticator.verify({
+      token: String(code).replace(/\s/g, ''),
+      secret,
+    });
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Accept a TOTP code once. The 30s time-step it matched is recorded, and a
+ * code from that step or an earlier one is refused, so a code that was seen
+ * (or already used) can't be replayed while it's still current.
+ * @param {Object} user - User with id and twoFactorSecret
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<boolean>}
+ */
+export const useTotpCode = async (user, code) => {
+  if (!verifyTotpCode(code, user.twoFactorSecret)) return false;
+
+  const { epoch, step } = authenticator.allOptions();
+  const delta = authenticator.checkDelta(
+    String(code).replace(/\s/g, ''),
+    user.twoFactorSecret
+  );
+  const timeStep = Math.floor(epoch / 1000 / step) + delta;
+
+  // Conditional update so parallel requests can't both use the same code
+  const { count } = await prisma.user.updateMany({
+    where: {
+      id: user.id,
+      OR: [
+        { twoFactorLastStep: { isSet: false } },
+        { twoFactorLastStep: null },
+        { twoFactorLastStep: { lt: timeStep } },
+      ],
+    },
+    data: { twoFactorLastStep: timeStep },
+  });
+
+  return count === 1;
+};
+
+const hashBackupCode = (code) =>
+  crypto
+    .createHash('sha256')
+    .update(code.replace(/-/g, '').toLowerCase())
+    .digest('hex');
+
+/**
+ * Generate one-time backup codes
+ * @returns {Object} { codes: plain codes to show once, hashes: to store }
+ */
+export const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(4).toString('hex');
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+/**
+ * Find a backup code among the stored hashes
+ * @param {string} code - Code entered by the user
+ * @param {string[]} hashes - Stored backup code hashes
+ * @returns {string[]|null} Remaining hashes if the code matched, else null
+ */
+export const consumeBackupCode = (code, hashes = []) => {
+  if (!code) return null;
+
+  const hash = hashBackupCode(String(code).trim());
+  if (!hashes.includes(hash)) return null;
+
+  return hashes.filter((h) => h !== hash);
+};
+
+/**
+ * Use up a backup code. The codes are only replaced if nobody else changed
+ * them since `user` was read, so two requests can't both spend one code.
+ * @param {Object} user - User with id and twoFactorBackupCodes
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<string[]|null>} Remaining hashes, or null if the code
+ *   didn't match or was used in the meantime
+ */
+export const useBackupCode = async (user, code) => {
+  const remainingCodes = consumeBackupCode(code, user.twoFactorBackupCodes);
+  if (!remainingCodes) return null;
+
+  const { count } = await prisma.user.updateMany({
+    where: {
+      id: user.id,
+      twoFactorBackupCodes: { equals: user.twoFactorBackupCodes },
+    },
+    data: { twoFactorBackupCodes: remainingCodes },
+  });
+
+  return count === 1 ? remainingCodes : null;
+};
+
+/**
+ * Whether a user must have 2FA enrolled. REQUIRE_ADMIN_2FA=true enforces it
+ * for every ADMIN; admins can also require it per account.
+ * @param {Object} user - User record
+ * @returns {boolean}
+ */
+export const isTwoFactorRequired = (user) =>
+  user.twoFactorRequired ||
+  (user.role === 'ADMIN' && process.env.REQUIRE_ADMIN_2FA === 'true');
+
+/**
+ * Short-lived token proving the password step of a 2FA login succeeded.
+ * Its jti is stored on the user so only the latest challenge works, and
+ * only once (see claimTwoFactorChallenge).
+ * @param {string} userId - User id
+ * @returns {Promise<string>} Signed JWT
+ */
+export const generateTwoFactorChallengeToken = async (userId) => {
+  const challengeId = crypto.randomUUID();
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: { twoFactorChallengeId: challengeId },
+  });
+
+  return jwt.sign(
+    { id: userId, type: '2fa-challenge' },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: '5m',
+      jwtid: challengeId,
+    }
+  );
+};
+
+/**
+ * Use up a 2FA login challenge once its code checks out
+ * @param {Object} decoded - Verified challenge token payload
+ * @returns {Promise<boolean>} false if it was already used or replaced
+ */
+export const claimTwoFactorChallenge = async (decoded) => {
+  if (!decoded.jti) return false;
+
+  const { count } = await prisma.user.updateMany({
+    where: { id: decoded.id, twoFactorChallengeId: decoded.jti },
+    data: { twoFactorChallengeId: null },
+  });
+
+  return count === 1;
+};
+
+export default {
+  generateTwoFactorSecret,
+  verifyTotpCode,
+  useTotpCode,
+  generateBackupCodes,
+  consumeBackupCode,
+  useBackupCode,
+  isTwoFactorRequired,
+  generateTwoFactorChallengeToken,
+  claimTwoFactorChallenge,
+};
@@ -1,5 +1,11 @@
 // middleware/validation.js - COMPLETE VERSION
 import { body, param, query, validationResult } from 'express-validator';
+import { LATE_POLICIES } from './latePolicy.js';
+import { SUPPORTED_LANGUAGES, getTranslationsError } from './i18n.js';
+import { isValidTimezone, isWallClockString } from './challengeTime.js';
+import { getCompletionRulesError } from './completionRules.js';
+import { isMultiSelect } from './quizGrading.js';
+import { getBankQuestionsError } from './questionBanks.js';
 
 // ============================================
 // EXPRESS-VALIDATOR RULES
@@ -55,6 +61,100 @@ export const validateBadgeStatus = body('status')
   .isIn(['AVAILABLE', 'PURCHASED', 'EARNED'])
   .withMessage('Invalid badge status');
 
+// Late-submission policy (challenge or task; null clears a task override)
+export const validateLatePolicy = [
+  body('latePolicy')
+    .optional({ values: 'null' })
+    .isIn(LATE_POLICIES)
+    .withMessage(`Late policy must be one of ${LATE_POLICIES.join(', ')}`),
+  body('graceMinutes')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 })
+    .withMessage('Grace period must be a whole number of minutes')
+    .toInt(),
+  body('lateCredit')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Late credit must be between 0 and 100')
+    .toInt(),
+];
+
+// Challenge audience (empty/null = everyone)
+export const validateChallengeAudience = [
+  body(['minAge', 'maxAge'])
+    .optional({ values: 'null' })
+    .isInt({ min: 13, max: 19 })
+    .withMessage('Age limits must be between 13 and 19')
+    .toInt(),
+  body('maxAge')
+    .optional({ values: 'null' })
+    .custom(
+      (maxAge, { req }) =>
+        req.body.minAge === undefined ||
+        req.body.minAge === null ||
+        maxAge >= req.body.minAge
+    )
+    .withMessage('maxAge must not be below minAge'),
+  body(['genders', 'states', 'countries'])
+    .optional()
+    .isArray()
+    .withMessage('Must be a list'),
+  body(['genders.*', 'states.*', 'countries.*']).isString().trim(),
+];
+
+// Teen language (null = back to the default)
+export const validatePreferredLanguage = body('preferredLanguage')
+  .optional({ values: 'null' })
+  .isIn(SUPPORTED_LANGUAGES)
+  .withMessage(`Language must be one of ${SUPPORTED_LANGUAGES.join(', ')}`);
+
+// IANA timezone for a challenge or teen (null = back to the default)
+export const validateTimezone = body('timezone')
+  .optional({ values: 'null' })
+  .custom(isValidTimezone)
+  .withMessage('Timezone must be an IANA name such as Africa/Lagos');
+
+// Challenge and task dates are local date-times, read in the challenge's
+// (or teen's) timezone - "2026-03-01T00:00", never toISOString() output.
+// See utils/challengeTime.js.
+export const validateWallClockDate = (field, isOptional = false) => {
+  const chain = body(field);
+  return (isOptional ? chain.optional() : chain)
+    .custom(isWallClockString)
+    .withMessage(
+      `${field} must be a local date-time such as 2026-03-01T00:00, without "Z" or a UTC offset`
+    );
+};
+
+// Per-language text overrides for a challenge or task
+export const validateTranslations = (entityType) =>
+  body('translations')
+    .optional({ values: 'null' })
+    .custom((translations) => {
+      const error = getTranslationsError(translations, entityType);
+      if (error) throw new Error(error);
+      return true;
+    });
+
+// Machine-readable completion rules for a challenge (null = every task)
+export const validateCompletionRules = body('completionRules')
+  .optional({ values: 'null' })
+  .custom((rules) => {
+    const error = getCompletionRulesError(rules);
+    if (error) throw new Error(error);
+    return true;
+  });
+
+// Questions for a quiz question bank
+export const validateBankQuestions = (isOptional) => {
+  const chain = body('questions');
+  return (isOptional ? chain.optional() : chain).custom((questions) => {
+    const error = getBankQuestionsError(questions);
+    if (error) throw new Error(error);
+    return true;
+  });
+};
+
 export const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -85,8 +185,8 @@ export const validateChallenge = [
   body('month').isInt({ min: 1, max: 12 }).withMessage('Valid month required'),
   body('theme').trim().notEmpty().withMessage('Theme is required'),
   body('instructions').trim().notEmpty().withMessage('Instructions required'),
-  body('goLiveDate').isISO8601().withMessage('Valid go live date required'),
-  body('closingDate').isISO8601().withMessage('Valid closing date required'),
+  validateWallClockDate('goLiveDate'),
+  validateWallClockDate('closingDate'),
 ];
 
 export const validateTask = [
@@ -204,6 +304,21 @@ export const validateQuizSubmission = (content, taskOptions) => {
 
   // Check if all questions are answered
   for (const question of taskOptions.questions) {
+    // Multi-select questions take a list of answers
+    if (isMultiSelect(question)) {
+      const picked = answers[question.id];
+      if (!Array.isArray(picked) || picked.length === 0) {
+        return `Question "${question.text}" must be answered`;
+      }
+      if (
+        question.options &&
+        picked.some((answer) => !question.options.includes(answer))
+      ) {
+        return `Invalid answer for question "${question.text}"`;
+      }
+      continue;
+    }
+
     if (!answers[question.id]) {
       return `Question "${question.text}" must be answered`;
     }